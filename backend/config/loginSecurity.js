@@ -0,0 +1,16 @@
+// config/loginSecurity.js
+// Brute-force protection for POST /api/login, configurable through environment variables
+
+const loginSecurityConfig = {
+  // Consecutive failed passwords before an account is locked
+  maxFailedAttempts: parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5,
+  lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+  // After each failure the next attempt must wait baseDelaySeconds, doubling per failure up to maxDelaySeconds
+  baseDelaySeconds: parseInt(process.env.LOGIN_BASE_DELAY_SECONDS) || 1,
+  maxDelaySeconds: parseInt(process.env.LOGIN_MAX_DELAY_SECONDS) || 30,
+  // Failed logins from one IP address, across all usernames, before the address is blocked for the window
+  maxFailedAttemptsPerIp: parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS_PER_IP) || 20,
+  ipWindowMinutes: parseInt(process.env.LOGIN_IP_WINDOW_MINUTES) || 15
+};
+
+module.exports = loginSecurityConfig;
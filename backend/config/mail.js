@@ -0,0 +1,21 @@
+// config/mail.js
+// Outgoing email, selected and configured through environment variables
+
+const mailConfig = {
+  // 'smtp' (any SMTP server, e.g. a provider's relay or a local stand-in like MailHog) or 'log' (print to the console)
+  driver: process.env.MAIL_DRIVER || 'log',
+  from: process.env.MAIL_FROM || 'Poster Management <no-reply@localhost>',
+
+  smtp: {
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',   // TLS from the start (port 465); otherwise STARTTLS when offered
+    user: process.env.SMTP_USER,
+    password: process.env.SMTP_PASSWORD
+  },
+
+  // Frontend address used to build links in emails, e.g. password reset links
+  appUrl: process.env.APP_URL || 'http://localhost:5173'
+};
+
+module.exports = mailConfig;
@@ -0,0 +1,39 @@
+// Permission registry - every permission the application checks is declared here
+// Backed by shared/permissions.json, which the frontend imports as well; `npm run permissions:sync` copies it into the database
+
+const PERMISSION_DEFINITIONS = require('../../shared/permissions.json');
+
+// Constants for routes and services, e.g. PERMISSIONS.VIEW_CAMPAIGNS === 'view_campaigns'
+const PERMISSIONS = Object.freeze(Object.fromEntries(
+  PERMISSION_DEFINITIONS.map(definition => [definition.permission.toUpperCase(), definition.permission])
+));
+
+const declaredPermissions = new Set(PERMISSION_DEFINITIONS.map(definition => definition.permission));
+
+/**
+ * Check whether a permission name is declared in the registry
+ * @param {string} permission - Permission name
+ * @returns {boolean}
+ */
+function isDeclaredPermission(permission) {
+  return declaredPermissions.has(permission);
+}
+
+/**
+ * Throw when any of the given permission names is not declared in the registry
+ * Called while routes are being defined, so a typo stops the server from starting instead of denying everyone at runtime
+ * @param {Array<string>} permissions - Permission names
+ */
+function assertDeclaredPermissions(permissions) {
+  const undeclared = permissions.filter(permission => !isDeclaredPermission(permission));
+  if (undeclared.length > 0) {
+    throw new Error(`Undeclared permission(s): ${undeclared.join(', ')}. Add them to shared/permissions.json and run npm run permissions:sync`);
+  }
+}
+
+module.exports = {
+  PERMISSIONS,
+  PERMISSION_DEFINITIONS,
+  isDeclaredPermission,
+  assertDeclaredPermissions
+};
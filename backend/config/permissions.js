@@ -2,6 +2,7 @@
 // Single source of truth: the database
 
 const knex = require('./knex');
+const { getRolePermissionsWithInheritance } = require('../services/authService');
 
 // Cache for permissions and roles to avoid repeated DB calls
 let permissionsCache = null;
@@ -48,19 +49,17 @@ async function getAllRoles() {
 }
 
 /**
- * Get permissions for a specific role from database
+ * Get permissions allowed for a specific role from database, including those inherited from parent roles
  */
 async function getPermissionsForRole(roleName) {
   try {
-    const permissions = await knex('user_roles as ur')
-      .join('roles as r', 'ur.role', 'r.id')
-      .join('role_permissions as rp', 'r.id', 'rp.role')
-      .join('permissions as p', 'rp.permission', 'p.id')
-      .where('r.name', roleName)
-      .select('p.permission')
-      .distinct();
+    const role = await knex('roles').where('name', roleName).first();
+    if (!role) {
+      return [];
+    }
+    const permissions = await getRolePermissionsWithInheritance(role.id);
     
-    return permissions.map(p => p.permission);
+    return permissions.filter(p => p.effect === 'allow').map(p => p.permission);
   } catch (error) {
     console.error('Error fetching permissions for role:', error);
     return [];
@@ -0,0 +1,31 @@
+// config/storage.js
+// Campaign image storage backend, selected and configured through environment variables
+
+const path = require('path');
+
+const storageConfig = {
+  // 'local' (files on disk) or 's3' (any S3-compatible service, e.g. AWS S3 or MinIO)
+  driver: process.env.STORAGE_DRIVER || 'local',
+
+  local: {
+    root: process.env.STORAGE_LOCAL_ROOT || path.join(__dirname, '../uploads/campaign_images')
+  },
+
+  s3: {
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT || undefined,             // Set for MinIO and other non-AWS services
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true', // MinIO needs path-style bucket URLs
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    prefix: process.env.S3_PREFIX || 'campaign_images/'         // Key prefix inside the bucket
+  },
+
+  // Pre-signed download URLs let the browser load images straight from storage (s3 driver only)
+  signedUrls: {
+    enabled: process.env.STORAGE_SIGNED_URLS === 'true',
+    expiresIn: parseInt(process.env.STORAGE_SIGNED_URL_TTL) || 900   // Seconds
+  }
+};
+
+module.exports = storageConfig;
@@ -0,0 +1,16 @@
+// config/twoFactor.js
+// TOTP two-factor authentication settings, configurable through environment variables
+
+const twoFactorConfig = {
+  // Name shown next to the account in authenticator apps
+  issuer: process.env.TOTP_ISSUER || 'Poster Management',
+  digits: 6,
+  periodSeconds: 30,
+  // Codes from this many periods before or after the current one are accepted, to allow for clock drift
+  window: 1,
+  recoveryCodeCount: 10,
+  // How long a user has to enter their code after a correct password
+  challengeExpiresIn: process.env.TOTP_CHALLENGE_EXPIRES_IN || '5m'
+};
+
+module.exports = twoFactorConfig;
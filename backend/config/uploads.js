@@ -0,0 +1,20 @@
+// config/uploads.js
+// Campaign image upload limits, configurable through environment variables
+
+const os = require('os');
+const path = require('path');
+
+// Maximum size of a single image in megabytes (default 10 MB)
+const MAX_FILE_SIZE_MB = parseFloat(process.env.UPLOAD_MAX_FILE_SIZE_MB) || 10;
+
+const uploadConfig = {
+  maxFileSize: Math.round(MAX_FILE_SIZE_MB * 1024 * 1024),   // Bytes per file
+  maxFiles: parseInt(process.env.UPLOAD_MAX_FILES) || 10,    // Files per upload request
+  allowedMimeTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
+  // Days a deleted image can still be restored before scripts/purge-deleted-images.js removes it
+  deletedImageRetentionDays: parseInt(process.env.DELETED_IMAGE_RETENTION_DAYS) || 30,
+  // Uploads are received here and checked before being moved to storage (config/storage.js)
+  tempDir: process.env.UPLOAD_TEMP_DIR || path.join(os.tmpdir(), 'poster-uploads')
+};
+
+module.exports = uploadConfig;
@@ -0,0 +1,255 @@
+// controllers/accountController.js
+// Account controller - lets users look after their own account and reset a forgotten password
+
+const knex = require('../config/knex');
+const { hashPassword, comparePassword, isPasswordHashed, getUserRoles } = require('../services/authService');
+const { recordAuditEvent } = require('../services/auditService');
+const { revokeUserSessions } = require('../services/sessionService');
+const { getAccountBlock, reserveLoginAttempt, releaseLoginAttempt, recordFailedLogin } = require('../services/loginProtectionService');
+const { requestPasswordReset, consumePasswordResetToken } = require('../services/passwordResetService');
+
+// Same minimum as the password forms in the frontend
+const MIN_PASSWORD_LENGTH = 6;
+
+/**
+ * Check a new password against the password rules
+ * @param {string} password - New password
+ * @returns {string|null} - Error message, or null when the password is acceptable
+ */
+function validateNewPassword(password) {
+  if (!password) {
+    return 'New password is required';
+  }
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Confirm the current password of the signed-in user before a sensitive change
+ * Wrong passwords count towards the account lockout like failed logins, so a stolen session cannot guess it
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} user - Row from the users table
+ * @param {string} password - Password the user entered
+ * @returns {Promise<boolean>} - True if confirmed; otherwise the error response has been sent
+ */
+async function confirmCurrentPassword(req, res, user, password) {
+  const block = getAccountBlock(user) || await reserveLoginAttempt(user);
+  if (block) {
+    res.set('Retry-After', String(block.retry_after));
+    res.status(429).json({ error: 'Too many failed password attempts', ...block });
+    return false;
+  }
+
+  const isValidPassword = isPasswordHashed(user.password)
+    ? await comparePassword(password, user.password)
+    : password === user.password;
+  if (!isValidPassword) {
+    await recordFailedLogin(user, req.ip || null);
+    res.status(400).json({ error: 'Current password is incorrect' });
+    return false;
+  }
+
+  await releaseLoginAttempt(user);
+
+  return true;
+}
+
+/**
+ * GET /api/me - Account details of the signed-in user
+ * Returns: { id, username, email, user_type, company_id, company_name, last_login_at, roles }
+ */
+async function getAccount(req, res) {
+  try {
+    const user = await knex('users as u')
+      .leftJoin('companies as c', 'u.company_id', 'c.id')
+      .select('u.id', 'u.username', 'u.email', 'u.user_type', 'u.company_id', 'c.name as company_name', 'u.last_login_at')
+      .where('u.id', req.user.id)
+      .first();
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const roles = await getUserRoles(user.id);
+    res.json({ ...user, roles: roles.map(r => r.name) });
+  } catch (error) {
+    console.error('Error fetching account:', error);
+    res.status(500).json({ error: 'Failed to fetch account' });
+  }
+}
+
+/**
+ * PUT /api/me/email - Change the signed-in user's email address
+ * Body: { current_password, email } - an empty email removes the address
+ * The address receives password reset links, so changing it needs the current password
+ */
+async function updateEmail(req, res) {
+  const { current_password: currentPassword } = req.body;
+  const email = req.body.email ? String(req.body.email).trim() : null;
+
+  if (!currentPassword) {
+    return res.status(400).json({ error: 'Current password is required' });
+  }
+  if (email && !/^[^\s@]+@[^\s@]+$/.test(email)) {
+    return res.status(400).json({ error: 'Invalid email address' });
+  }
+
+  try {
+    const user = await knex('users').where('id', req.user.id).first();
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!(await confirmCurrentPassword(req, res, user, currentPassword))) {
+      return;
+    }
+
+    await knex('users').where('id', user.id).update({ email });
+
+    await recordAuditEvent(req, {
+      action: 'user.update',
+      entityType: 'user',
+      entityId: user.id,
+      entityLabel: user.username,
+      before: { email: user.email },
+      after: { email }
+    });
+
+    console.log(`[API] Email address changed by ${user.username}`);
+    res.json({ message: 'Email address updated', email });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: 'Email address is already in use' });
+    }
+    console.error('Error updating email address:', error);
+    res.status(500).json({ error: 'Failed to update email address' });
+  }
+}
+
+/**
+ * PUT /api/me/password - Change the signed-in user's password
+ * Body: { current_password, password }
+ * Signs the user out of every other session; the current one stays signed in
+ */
+async function changePassword(req, res) {
+  const { current_password: currentPassword, password } = req.body;
+
+  if (!currentPassword) {
+    return res.status(400).json({ error: 'Current password is required' });
+  }
+  const passwordError = validateNewPassword(password);
+  if (passwordError) {
+    return res.status(400).json({ error: passwordError });
+  }
+
+  try {
+    const user = await knex('users').where('id', req.user.id).first();
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!(await confirmCurrentPassword(req, res, user, currentPassword))) {
+      return;
+    }
+
+    const hashedPassword = await hashPassword(password);
+    await knex('users')
+      .where('id', user.id)
+      .update({ password: hashedPassword, failed_attempts: 0, locked_until: null });
+
+    // The hashes themselves are redacted; the event only records that the password changed
+    await recordAuditEvent(req, {
+      action: 'user.password_change',
+      entityType: 'user',
+      entityId: user.id,
+      entityLabel: user.username,
+      before: { password: user.password },
+      after: { password: hashedPassword }
+    });
+
+    const revoked = await revokeUserSessions(user.id, req.user.sid);
+
+    console.log(`[API] Password changed by ${user.username}; signed out ${revoked} other session(s)`);
+    res.json({ message: 'Password changed successfully', sessions_revoked: revoked });
+  } catch (error) {
+    console.error('Error changing password:', error);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+}
+
+/**
+ * POST /api/password/forgot - Email a password reset link
+ * Body: { email }
+ * Answers the same whether or not the address belongs to a user, so addresses cannot be probed;
+ * the lookup and the email happen after the response, so neither its timing nor a mail failure gives them away
+ */
+async function forgotPassword(req, res) {
+  const email = req.body.email ? String(req.body.email).trim() : '';
+
+  if (!email) {
+    return res.status(400).json({ error: 'Email address is required' });
+  }
+
+  requestPasswordReset(email, req.ip || null)
+    .catch(error => console.error('Error requesting password reset:', error));
+  res.json({ message: 'If an account uses this email address, a password reset link is on its way' });
+}
+
+/**
+ * POST /api/password/reset - Choose a new password with the token from a reset link
+ * Body: { token, password }
+ * The token works once; the account is unlocked and signed out of every session
+ */
+async function resetPassword(req, res) {
+  const { token, password } = req.body;
+
+  if (!token) {
+    return res.status(400).json({ error: 'Reset token is required' });
+  }
+  const passwordError = validateNewPassword(password);
+  if (passwordError) {
+    return res.status(400).json({ error: passwordError });
+  }
+
+  const trx = await knex.transaction();
+
+  try {
+    const user = await consumePasswordResetToken(token, trx);
+    if (!user) {
+      await trx.rollback();
+      return res.status(400).json({ error: 'This reset link is invalid or has expired' });
+    }
+
+    const hashedPassword = await hashPassword(password);
+    await trx('users')
+      .where('id', user.id)
+      .update({ password: hashedPassword, failed_attempts: 0, locked_until: null });
+
+    await recordAuditEvent(req, {
+      action: 'user.password_reset',
+      entityType: 'user',
+      entityId: user.id,
+      entityLabel: user.username,
+      before: { password: user.password },
+      after: { password: hashedPassword }
+    }, trx);
+
+    const revoked = await revokeUserSessions(user.id, null, trx);
+
+    await trx.commit();
+    console.log(`[API] Password reset for ${user.username}; signed out ${revoked} session(s)`);
+    res.json({ message: 'Password reset successfully, you can now log in' });
+  } catch (error) {
+    await trx.rollback();
+    console.error('Error resetting password:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+}
+
+module.exports = {
+  getAccount,
+  updateEmail,
+  changePassword,
+  forgotPassword,
+  resetPassword
+};
@@ -0,0 +1,38 @@
+// controllers/auditController.js
+// Audit log controller - lists recorded administrative actions
+
+const { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES, getAuditEvents } = require('../services/auditService');
+
+/**
+ * GET /api/audit - List audit events, newest first
+ * Query: { actor?, action?, entity_type?, entity_id?, from?, to?, limit?, offset? }
+ * actor is a username; from and to are ISO dates bounding when the events happened
+ */
+async function getAuditLog(req, res) {
+  const { action, entity_type: entityType, from, to } = req.query;
+
+  if (action && !AUDIT_ACTIONS.includes(action)) {
+    return res.status(400).json({ error: `action must be one of: ${AUDIT_ACTIONS.join(', ')}` });
+  }
+  if (entityType && !AUDIT_ENTITY_TYPES.includes(entityType)) {
+    return res.status(400).json({ error: `entity_type must be one of: ${AUDIT_ENTITY_TYPES.join(', ')}` });
+  }
+
+  const fromDate = from ? new Date(from) : null;
+  const toDate = to ? new Date(to) : null;
+  if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+    return res.status(400).json({ error: 'from and to must be valid dates' });
+  }
+
+  try {
+    const result = await getAuditEvents({ ...req.query, from: fromDate, to: toDate });
+    res.json(result);
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+}
+
+module.exports = {
+  getAuditLog
+};
@@ -2,14 +2,90 @@
 // Authentication controller handling login logic
 
 const knex = require('../config/knex');
-const { hashPassword, comparePassword, isPasswordHashed, generateToken, getUserRoles, can } = require('../services/authService');
+const { hashPassword, comparePassword, isPasswordHashed, getUserRoles, can } = require('../services/authService');
 const { getUserByUsername } = require('../services/userService');
+const { createSession, rotateRefreshToken, revokeSession } = require('../services/sessionService');
+const {
+  reserveIpAttempt,
+  releaseIpAttempt,
+  getAccountBlock,
+  getUnknownAccountBlock,
+  reserveLoginAttempt,
+  releaseLoginAttempt,
+  recordFailedLogin,
+  recordSuccessfulLogin
+} = require('../services/loginProtectionService');
+const {
+  isTwoFactorRequired,
+  startEnrollment,
+  completeEnrollment,
+  verifySecondFactor,
+  issueChallengeToken,
+  verifyChallengeToken
+} = require('../services/twoFactorService');
+
+// Hash of a password no account has, checked against for usernames without an account
+const UNKNOWN_USER_PASSWORD_HASH = '$2b$12$/YrWaY08rnMLiY.TLsciIO0prvDA8DR6V5.ZYohl0tp.7gGY3O1N2';
+
+/**
+ * Reject a login attempt that brute-force protection is holding back
+ * @param {Object} res - Express response
+ * @param {Object} block - { retry_after, locked_until? } from loginProtectionService
+ * @param {string} error - Message for the user
+ */
+function sendLoginBlocked(res, block, error) {
+  res.set('Retry-After', String(block.retry_after));
+  return res.status(429).json({ error, ...block });
+}
+
+/**
+ * Reject an attempt on a locked or throttled account
+ * @param {Object} res - Express response
+ * @param {Object} block - { retry_after, locked_until? } from loginProtectionService
+ */
+function sendAccountBlocked(res, block) {
+  return sendLoginBlocked(res, block, block.locked_until
+    ? 'Account locked after too many failed login attempts'
+    : 'Too many failed login attempts');
+}
+
+/**
+ * Start a session for a user who passed every login step and send the login response
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} user - User instance from userService
+ * @param {Object} extra - Additional response fields, e.g. recovery_codes after two-factor enrollment
+ */
+async function sendLoginSuccess(req, res, user, extra = {}) {
+  await recordSuccessfulLogin(user.id);
+
+  // Start a session; the access token carries its id so the session can be revoked
+  const roles = await getUserRoles(user.id);
+  const roleNames = roles.map(r => r.name); // get array of role names
+  const { token, refresh_token } = await createSession(user, req);
+
+  // Return success response with tokens and user info
+  res.json({
+    token,
+    refresh_token,
+    user: {
+      ...user.toJSON(),
+      roles: roleNames
+    },
+    ...extra
+  });
+}
 
 /**
  * User login controller
  * POST /api/login
  * Uses bcrypt for secure password comparison
- * Returns JWT token on successful authentication
+ * Starts a session and returns a short-lived JWT access token plus a refresh token
+ * Failed attempts are throttled per IP address and per account; see config/loginSecurity.js
+ * Usernames without an account are throttled and locked the same way, so the responses do not reveal which exist
+ * Returns 429 with retry_after (seconds) and, for locked accounts, locked_until while login is blocked
+ * Users with two-factor authentication (or a role requiring it) get { two_factor_required, two_factor_setup_required,
+ * challenge_token } instead of tokens and finish at POST /api/login/2fa
  */
 async function login(req, res) {
   const { username, password } = req.body;
@@ -19,10 +95,28 @@ async function login(req, res) {
   }
 
   try {
+    // Every attempt counts against the address until it turns out to be a success
+    const { attemptId, block: ipBlock } = await reserveIpAttempt(username, req.ip || null);
+    if (ipBlock) {
+      return sendLoginBlocked(res, ipBlock, 'Too many failed login attempts from this address');
+    }
+
     // Find user using the new User service
     const user = await getUserByUsername(username);
 
+    // Unknown usernames are throttled and locked like accounts, so the answers do not reveal which accounts exist
     if (!user) {
+      const unknownBlock = await getUnknownAccountBlock(username, attemptId);
+      if (unknownBlock) {
+        await releaseIpAttempt(attemptId);
+        return sendAccountBlocked(res, unknownBlock);
+      }
+      // Pay for a password check as a real account would, so the response time gives nothing away
+      await comparePassword(password, UNKNOWN_USER_PASSWORD_HASH);
+      const block = await getUnknownAccountBlock(username, attemptId, { includeAttempt: true });
+      if (block && block.locked_until) {
+        return sendLoginBlocked(res, block, 'Account locked after too many failed login attempts');
+      }
       return res.status(401).json({ error: 'Invalid username or password' });
     }
 
@@ -31,6 +125,14 @@ async function login(req, res) {
       .where('username', username)
       .first();
 
+    // Locked or throttled accounts are refused before the password is checked; the attempt is counted
+    // up front so concurrent requests cannot all slip past the check
+    const accountBlock = getAccountBlock(rawUserData) || await reserveLoginAttempt(rawUserData);
+    if (accountBlock) {
+      await releaseIpAttempt(attemptId);
+      return sendAccountBlocked(res, accountBlock);
+    }
+
     // Password verification - handle both plaintext and hashed passwords
     let isValidPassword = false;
     
@@ -53,33 +155,162 @@ async function login(req, res) {
     }
 
     if (!isValidPassword) {
+      const block = await recordFailedLogin(rawUserData);
+      if (block && block.locked_until) {
+        return sendLoginBlocked(res, block, 'Account locked after too many failed login attempts');
+      }
       return res.status(401).json({ error: 'Invalid username or password' });
     }
 
-    // Generate JWT token
-    const roles = await getUserRoles(user.id);
-    const roleNames = roles.map(r => r.name); // get array of role names
-    const token = generateToken({
-      id: user.id,
-      username: user.username,
-      roles: roleNames,
-      company_id: user.company_id
-    });
+    await releaseLoginAttempt(rawUserData);
+    await releaseIpAttempt(attemptId);
 
-    // Return success response with token and user info
-    res.json({
-      token,
-      user: {
-        ...user.toJSON(),
-        roles: roleNames
-      }
-    });
+    // Failed attempts are only cleared once the second factor has been checked too
+    const twoFactorEnabled = Boolean(rawUserData.totp_enabled_at);
+    if (twoFactorEnabled || await isTwoFactorRequired(user.id)) {
+      return res.json({
+        two_factor_required: true,
+        two_factor_setup_required: !twoFactorEnabled,
+        challenge_token: issueChallengeToken(user.id)
+      });
+    }
+
+    await sendLoginSuccess(req, res, user);
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 }
 
+/**
+ * Load the user behind a two-factor challenge token
+ * @param {string} challengeToken - Token from the password step of POST /api/login
+ * @returns {Promise<Object|null>} - Row from the users table, or null when the token is invalid or expired
+ */
+async function getChallengedUser(challengeToken) {
+  const challenge = challengeToken ? verifyChallengeToken(challengeToken) : null;
+  if (!challenge) {
+    return null;
+  }
+  return knex('users').where('id', challenge.id).first();
+}
+
+/**
+ * Get an authenticator app secret for a user who must set up two-factor authentication to log in
+ * POST /api/login/2fa/setup
+ * Body: { challenge_token }
+ * Returns: { secret, otpauth_url, qr_code } - only while two-factor authentication is not yet enabled
+ */
+async function setupTwoFactorLogin(req, res) {
+  try {
+    const rawUserData = await getChallengedUser(req.body.challenge_token);
+    if (!rawUserData) {
+      return res.status(401).json({ error: 'Verification expired, please log in again' });
+    }
+    if (rawUserData.totp_enabled_at) {
+      return res.status(409).json({ error: 'Two-factor authentication is already set up' });
+    }
+
+    res.json(await startEnrollment(rawUserData));
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+/**
+ * Second login step for users with two-factor authentication
+ * POST /api/login/2fa
+ * Body: { challenge_token, code } or { challenge_token, recovery_code }
+ * During enrollment the code confirms the new secret and the response also carries recovery_codes
+ * Failed codes count towards the account lockout like failed passwords
+ */
+async function verifyTwoFactorLogin(req, res) {
+  const { challenge_token: challengeToken, code, recovery_code: recoveryCode } = req.body;
+
+  if (!challengeToken || (!code && !recoveryCode)) {
+    return res.status(400).json({ error: 'Challenge token and code are required' });
+  }
+
+  try {
+    const rawUserData = await getChallengedUser(challengeToken);
+    if (!rawUserData) {
+      return res.status(401).json({ error: 'Verification expired, please log in again' });
+    }
+
+    const accountBlock = getAccountBlock(rawUserData) || await reserveLoginAttempt(rawUserData);
+    if (accountBlock) {
+      return sendAccountBlocked(res, accountBlock);
+    }
+
+    let isValidCode;
+    let recoveryCodes = null;
+    if (rawUserData.totp_enabled_at) {
+      isValidCode = await verifySecondFactor(rawUserData, { code, recovery_code: recoveryCode });
+    } else {
+      recoveryCodes = code ? await completeEnrollment(rawUserData.id, code) : null;
+      isValidCode = Boolean(recoveryCodes);
+    }
+
+    if (!isValidCode) {
+      const block = await recordFailedLogin(rawUserData, req.ip || null);
+      if (block && block.locked_until) {
+        return sendLoginBlocked(res, block, 'Account locked after too many failed login attempts');
+      }
+      return res.status(401).json({ error: 'Invalid verification code' });
+    }
+
+    await releaseLoginAttempt(rawUserData);
+
+    const user = await getUserByUsername(rawUserData.username);
+    await sendLoginSuccess(req, res, user, recoveryCodes ? { recovery_codes: recoveryCodes } : {});
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+/**
+ * Exchange a refresh token for a new access token
+ * POST /api/token/refresh
+ * Body: { refresh_token }
+ * The refresh token is rotated - the response carries a new one and the old one stops working
+ */
+async function refreshToken(req, res) {
+  const { refresh_token } = req.body;
+  
+  if (!refresh_token) {
+    return res.status(400).json({ error: 'Refresh token is required' });
+  }
+
+  try {
+    const tokens = await rotateRefreshToken(refresh_token);
+    if (!tokens) {
+      return res.status(401).json({ error: 'Session expired, please log in again' });
+    }
+    
+    res.json(tokens);
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+/**
+ * End the current session
+ * POST /api/logout
+ * Revokes the session of the access token, so neither it nor its refresh token can be used again
+ */
+async function logout(req, res) {
+  try {
+    await revokeSession(req.user.sid);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
 /**
  * Migrate plaintext passwords to hashed passwords
  * POST /api/migrate-passwords
@@ -145,6 +376,10 @@ async function checkPermission(req, res) {
 
 module.exports = {
   login,
+  setupTwoFactorLogin,
+  verifyTwoFactorLogin,
+  refreshToken,
+  logout,
   migratePasswords,
   checkPermission
 };
@@ -2,6 +2,168 @@
 // Campaign management controller - CRUD operations for campaigns
 
 const knex = require('../config/knex');
+const {
+  isValidStatus,
+  checkTransition,
+  hasRequirements,
+  getUnmetRequirements,
+  CAMPAIGN_STATUSES
+} = require('../services/campaignWorkflow');
+const { getImageReviewSummary, imageCountColumns, getCampaignImages } = require('../services/campaignImageService');
+const { getCampaignLocations, getPlacementStatusSummary } = require('../services/locationService');
+const { writeCampaignReport, formatReportDate } = require('../services/campaignReportService');
+const { slugify } = require('../services/imageArchiveService');
+const { PERMISSIONS } = require('../config/permissionRegistry');
+
+/**
+ * Columns returned for a campaign in list endpoints and reports
+ * Expects the query to use campaigns as c joined with companies as co
+ */
+function campaignListColumns() {
+  return [
+    'c.id', 'c.name', 'c.description', 'c.status', 'c.start_date', 'c.end_date', 'c.required_images', 'co.name as company_name',
+    ...imageCountColumns()
+  ];
+}
+
+/**
+ * Get a campaign's status history, oldest first, with the username of the actor
+ * @param {number} campaignId - Campaign ID
+ * @returns {Promise<Array>} - History entries
+ */
+async function getStatusHistory(campaignId) {
+  return knex('campaign_status_history as h')
+    .leftJoin('users as u', 'h.changed_by', 'u.id')
+    .select('h.id', 'h.from_status', 'h.to_status', 'h.reason', 'h.changed_at', 'h.changed_by', 'u.username as changed_by_username')
+    .where('h.campaign_id', campaignId)
+    .orderBy([{ column: 'h.changed_at', order: 'asc' }, { column: 'h.id', order: 'asc' }]);
+}
+
+/**
+ * Build the workflow actor for the current request
+ * @param {Object} req - Express request that passed requireCampaignAccess
+ * @returns {Object} - { user, isAssignedContractor, isCompanyMember, companyId }
+ */
+function getWorkflowActor(req) {
+  const { isAssignedContractor, isCompanyMember } = req.campaignAccess;
+  return { user: req.userInstance, isAssignedContractor, isCompanyMember, companyId: req.campaign.company_id };
+}
+
+/**
+ * Send the standard 409 response for an illegal status transition
+ */
+function sendIllegalTransition(res, fromStatus, toStatus, allowedTransitions) {
+  const allowedText = allowedTransitions.length > 0 ? allowedTransitions.join(', ') : 'none';
+  return res.status(409).json({
+    error: `Cannot change status from ${fromStatus} to ${toStatus}. Allowed next states: ${allowedText}`,
+    current_status: fromStatus,
+    requested_status: toStatus,
+    allowed_transitions: allowedTransitions
+  });
+}
+
+/**
+ * Check the workflow requirements of a target status against the campaign's current data
+ * @param {number} campaignId - Campaign ID
+ * @param {string} status - Requested status
+ * @returns {Promise<Array<string>>} - Unmet requirement messages
+ */
+async function getUnmetCampaignRequirements(campaignId, status) {
+  if (!hasRequirements(status)) {
+    return [];
+  }
+  const campaign = await knex('campaigns').select('required_images').where('id', campaignId).first();
+  const images = await getImageReviewSummary(campaignId);
+  const locations = await getPlacementStatusSummary(campaignId);
+  return getUnmetRequirements(status, { images, requiredImages: campaign.required_images, locations });
+}
+
+/**
+ * Parse the required_images field from a request body
+ * @param {*} value - Raw body value
+ * @returns {number|undefined|null} - Parsed count, undefined when not provided, null when invalid
+ */
+function parseRequiredImages(value) {
+  if (typeof value === 'undefined' || value === '') {
+    return undefined;
+  }
+  const count = Number(value);
+  return Number.isInteger(count) && count >= 0 ? count : null;
+}
+
+/**
+ * Record a status change in the campaign's history
+ * @param {Object} db - Knex instance or transaction
+ * @param {Object} entry - { campaign_id, from_status, to_status, changed_by, reason? }
+ */
+async function recordStatusHistory(db, entry) {
+  await db('campaign_status_history').insert({
+    campaign_id: entry.campaign_id,
+    from_status: entry.from_status,
+    to_status: entry.to_status,
+    changed_by: entry.changed_by || null,
+    reason: entry.reason || null
+  });
+}
+
+/**
+ * Move a campaign to a new status through the campaign workflow
+ * Sends a 409 and returns false when the transition is not allowed for the actor
+ * @param {Object} req - Express request (actor id and optional body.reason are recorded in the history)
+ * @param {Object} res - Express response object
+ * @param {Object} campaign - Campaign row with at least id and status
+ * @param {string} status - Requested status
+ * @param {Object} actor - Workflow actor from getWorkflowActor
+ * @param {Object} options - { updates: other columns to update with the status, reason: history note (defaults to req.body.reason) }
+ * @returns {Promise<boolean>} - True if the status was changed
+ */
+async function transitionCampaignStatus(req, res, campaign, status, actor, options = {}) {
+  const { updates = {}, reason = req.body.reason } = options;
+  const { allowed, allowedTransitions } = await checkTransition(campaign.status, status, actor);
+  if (!allowed) {
+    sendIllegalTransition(res, campaign.status, status, allowedTransitions);
+    return false;
+  }
+
+  const unmetRequirements = await getUnmetCampaignRequirements(campaign.id, status);
+  if (unmetRequirements.length > 0) {
+    res.status(409).json({
+      error: `Cannot change status to ${status} yet: ${unmetRequirements.join('; ')}`,
+      current_status: campaign.status,
+      requested_status: status,
+      unmet_requirements: unmetRequirements
+    });
+    return false;
+  }
+
+  // Guard against a concurrent change between the check and the update
+  const affectedRows = await knex.transaction(async (trx) => {
+    const updated = await trx('campaigns')
+      .where({ id: campaign.id, status: campaign.status })
+      .update({ ...updates, status });
+
+    if (updated > 0) {
+      await recordStatusHistory(trx, {
+        campaign_id: campaign.id,
+        from_status: campaign.status,
+        to_status: status,
+        changed_by: req.user.id,
+        reason
+      });
+    }
+    return updated;
+  });
+
+  if (affectedRows === 0) {
+    const current = await knex('campaigns').select('status').where('id', campaign.id).first();
+    const currentStatus = current ? current.status : campaign.status;
+    const retry = await checkTransition(currentStatus, status, actor);
+    sendIllegalTransition(res, currentStatus, status, retry.allowedTransitions);
+    return false;
+  }
+
+  return true;
+}
 
 /**
  * GET /api/campaigns - Retrieve campaigns based on user role
@@ -15,7 +177,7 @@ async function getAllCampaigns(req, res) {
   try {
     let query = knex('campaigns as c')
       .join('companies as co', 'c.company_id', 'co.id')
-      .select('c.id', 'c.name', 'c.description', 'c.status', 'c.start_date', 'c.end_date', 'co.name as company_name')
+      .select(...campaignListColumns())
       .orderBy('c.id', 'desc');
 
     // Check user roles for filtering
@@ -61,9 +223,7 @@ async function getCompletedCampaigns(req, res) {
     const rows = await knex('campaigns as c')
       .join('companies as co', 'c.company_id', 'co.id')
       .join('campaign_assignments as ca', 'c.id', 'ca.campaign_id')
-      .select(
-        'c.id', 'c.name', 'c.description', 'c.status', 'c.start_date', 'c.end_date', 'co.name as company_name'
-      )
+      .select(...campaignListColumns())
       .where('ca.contractor_id', req.user.id)
       .where('c.status', 'completed')
       .orderBy('c.id', 'desc');
@@ -77,7 +237,7 @@ async function getCompletedCampaigns(req, res) {
 
 /**
  * POST /api/campaigns - Create a new campaign
- * Body: { name, description, start_date?, end_date?, company_id? }
+ * Body: { name, description, start_date?, end_date?, company_id?, required_images? }
  * Role-based logic:
  * - Clients: Automatically use their company_id
  * - Employees: Must specify company_id in request body
@@ -85,10 +245,15 @@ async function getCompletedCampaigns(req, res) {
 async function createCampaign(req, res) {
   console.log('[API] POST /api/campaigns called by user:', req.user?.username || req.user?.id, 'body:', req.body);
   const { name, description, start_date, end_date } = req.body;
+  const requiredImages = parseRequiredImages(req.body.required_images);
   
   if (!name || !description) {
     return res.status(400).json({ error: 'Campaign name and description are required' });
   }
+
+  if (requiredImages === null) {
+    return res.status(400).json({ error: 'Required images must be a whole number of 0 or more' });
+  }
   
   try {
     // Determine company_id based on user's company or request body
@@ -99,21 +264,33 @@ async function createCampaign(req, res) {
       return res.status(400).json({ error: 'Company ID is required' });
     }
     
-    // Insert campaign with default 'pending' status
-    const [insertId] = await knex('campaigns').insert({
-      name,
-      description,
-      company_id,
-      status: 'pending',
-      start_date: start_date || null,
-      end_date: end_date || null,
-      created_by: req.user.id
+    // Insert campaign with default 'pending' status and open its status history
+    const insertId = await knex.transaction(async (trx) => {
+      const [campaignId] = await trx('campaigns').insert({
+        name,
+        description,
+        company_id,
+        status: 'pending',
+        start_date: start_date || null,
+        end_date: end_date || null,
+        ...(typeof requiredImages !== 'undefined' ? { required_images: requiredImages } : {}),
+        created_by: req.user.id
+      });
+
+      await recordStatusHistory(trx, {
+        campaign_id: campaignId,
+        from_status: null,
+        to_status: 'pending',
+        changed_by: req.user.id,
+        reason: 'Campaign created'
+      });
+      return campaignId;
     });
     
     // Retrieve the created campaign with company information
     const campaign = await knex('campaigns as c')
       .join('companies as co', 'c.company_id', 'co.id')
-      .select('c.id', 'c.name', 'c.description', 'c.status', 'c.start_date', 'c.end_date', 'co.name as company_name')
+      .select('c.id', 'c.name', 'c.description', 'c.status', 'c.start_date', 'c.end_date', 'c.required_images', 'co.name as company_name')
       .where('c.id', insertId)
       .first();
     
@@ -127,55 +304,69 @@ async function createCampaign(req, res) {
 /**
  * PUT /api/campaigns/:id - Update campaign details
  * Params: id (campaign ID)
- * Body: { name?, description?, start_date?, end_date?, company_id? }
- * Only employees can update campaign details
+ * Body: { name?, description?, start_date?, end_date?, company_id?, required_images?, status?, reason? }
+ * Only employees can update campaign details; a changed status goes through the campaign workflow
  */
 async function updateCampaign(req, res) {
   console.log('[API] PUT /api/campaigns/:id called by user:', req.user?.username || req.user?.id, 'params:', req.params, 'body:', req.body);
   const { id } = req.params;
   const { name, description, start_date, end_date, company_id } = req.body;
+  const requiredImages = parseRequiredImages(req.body.required_images);
   
   if (!name || !description) {
     return res.status(400).json({ error: 'Campaign name and description are required' });
   }
+
+  if (requiredImages === null) {
+    return res.status(400).json({ error: 'Required images must be a whole number of 0 or more' });
+  }
   
+  // Client users may only keep campaigns within their own company
+  const existingCampaign = req.campaign;
+  if (req.campaignAccess.kind === 'client' && company_id && Number(company_id) !== existingCampaign.company_id) {
+    return res.status(403).json({ error: 'Clients cannot move a campaign to another company' });
+  }
+
   try {
-    // Verify campaign exists and get current company_id if not provided
-    const existingCampaign = await knex('campaigns')
-      .select('id', 'company_id')
-      .where('id', id)
-      .first();
-      
-    if (!existingCampaign) {
-      return res.status(404).json({ error: 'Campaign not found' });
+    // Moving a campaign needs edit rights in the company it moves to, not just the one it leaves
+    if (company_id && Number(company_id) !== existingCampaign.company_id
+      && !(await req.userInstance.can(PERMISSIONS.EDIT_CAMPAIGN, { companyId: Number(company_id) }))) {
+      return res.status(403).json({ error: 'You do not have permission to move campaigns to this company' });
     }
-    
+
     // Use existing company_id if not provided in request
     const finalCompanyId = company_id || existingCampaign.company_id;
     
     // Update campaign
-    // Build update object, include status if provided
     const updateObj = {
       name,
       description,
       start_date: start_date || null,
       end_date: end_date || null,
-      company_id: finalCompanyId
+      company_id: finalCompanyId,
+      ...(typeof requiredImages !== 'undefined' ? { required_images: requiredImages } : {})
     };
-    if (typeof req.body.status !== 'undefined') {
-      updateObj.status = req.body.status;
-    }
 
-    const affectedRows = await knex('campaigns')
-      .where('id', id)
-      .update(updateObj);
+    // Status changes go through the campaign workflow together with the detail update
+    const { status } = req.body;
+    if (typeof status !== 'undefined' && status !== existingCampaign.status) {
+      if (!isValidStatus(status)) {
+        return res.status(400).json({ error: `Valid status is required (${CAMPAIGN_STATUSES.join(', ')})` });
+      }
+      const changed = await transitionCampaignStatus(req, res, existingCampaign, status, getWorkflowActor(req), { updates: updateObj });
+      if (!changed) return;
+    } else {
+      const affectedRows = await knex('campaigns')
+        .where('id', id)
+        .update(updateObj);
 
-    console.log('[DB] updateCampaign affectedRows:', affectedRows);
+      console.log('[DB] updateCampaign affectedRows:', affectedRows);
+    }
 
     // Retrieve the updated campaign with company information
     const campaign = await knex('campaigns as c')
       .join('companies as co', 'c.company_id', 'co.id')
-      .select('c.id', 'c.name', 'c.description', 'c.status', 'c.start_date', 'c.end_date', 'c.company_id', 'co.name as company_name')
+      .select('c.id', 'c.name', 'c.description', 'c.status', 'c.start_date', 'c.end_date', 'c.required_images', 'c.company_id', 'co.name as company_name')
       .where('c.id', id)
       .first();
 
@@ -191,8 +382,8 @@ async function updateCampaign(req, res) {
 /**
  * PUT /api/campaigns/:id/status - Update campaign status
  * Params: id (campaign ID)
- * Body: { status: enum('pending', 'approved', 'in_progress', 'completed', 'cancelled') }
- * Only employees can change campaign status
+ * Body: { status: enum('pending', 'approved', 'rejected', 'in_progress', 'completed', 'cancelled'), reason? }
+ * Allowed transitions and required permissions come from services/campaignWorkflow.js
  */
 async function updateCampaignStatus(req, res) {
   console.log('[API] PUT /api/campaigns/:id/status called by user:', req.user?.username || req.user?.id, 'params:', req.params, 'body:', req.body);
@@ -200,18 +391,13 @@ async function updateCampaignStatus(req, res) {
   const { status } = req.body;
   
   // Validate status enum values
-  if (!status || !['pending', 'approved', 'in_progress', 'completed', 'cancelled'].includes(status)) {
-    return res.status(400).json({ error: 'Valid status is required (pending, approved, in_progress, completed, cancelled)' });
+  if (!status || !isValidStatus(status)) {
+    return res.status(400).json({ error: `Valid status is required (${CAMPAIGN_STATUSES.join(', ')})` });
   }
   
   try {
-    const affectedRows = await knex('campaigns')
-      .where('id', id)
-      .update({ status });
-    
-    if (affectedRows === 0) {
-      return res.status(404).json({ error: 'Campaign not found' });
-    }
+    const changed = await transitionCampaignStatus(req, res, req.campaign, status, getWorkflowActor(req));
+    if (!changed) return;
     
     // Retrieve the updated campaign with company information
     const campaign = await knex('campaigns as c')
@@ -227,6 +413,62 @@ async function updateCampaignStatus(req, res) {
   }
 }
 
+/**
+ * Shared handler for client approval decisions on a pending campaign
+ * Clients may only decide on campaigns of their own company (enforced by the workflow's ownCompany grants)
+ */
+async function reviewCampaign(req, res, status, reason) {
+  const { id } = req.params;
+
+  try {
+    const actor = getWorkflowActor(req);
+
+    // Only members of the owning company decide, unless the user may edit any campaign
+    if (!actor.isCompanyMember && !(await req.userInstance.can(PERMISSIONS.EDIT_CAMPAIGN, { companyId: req.campaign.company_id }))) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    const changed = await transitionCampaignStatus(req, res, req.campaign, status, actor, { reason });
+    if (!changed) return;
+
+    const campaign = await knex('campaigns as c')
+      .join('companies as co', 'c.company_id', 'co.id')
+      .select('c.id', 'c.name', 'c.description', 'c.status', 'c.start_date', 'c.end_date', 'co.name as company_name')
+      .where('c.id', id)
+      .first();
+
+    res.json(campaign);
+  } catch (error) {
+    console.error('Error reviewing campaign:', error);
+    res.status(500).json({ error: 'Failed to review campaign' });
+  }
+}
+
+/**
+ * POST /api/campaigns/:id/approve - Client approves a pending campaign for their company
+ * Body: { comment? } - without a comment the history records who approved, e.g. 'Approved by employee'
+ */
+async function approveCampaign(req, res) {
+  console.log('[API] POST /api/campaigns/:id/approve called by user:', req.user?.username || req.user?.id, 'params:', req.params, 'body:', req.body);
+  const comment = typeof req.body.comment === 'string' ? req.body.comment.trim() : '';
+  return reviewCampaign(req, res, 'approved', comment || `Approved by ${req.campaignAccess.kind}`);
+}
+
+/**
+ * POST /api/campaigns/:id/reject - Client rejects a pending campaign for their company
+ * Body: { comment } - required so employees know what to change
+ */
+async function rejectCampaign(req, res) {
+  console.log('[API] POST /api/campaigns/:id/reject called by user:', req.user?.username || req.user?.id, 'params:', req.params, 'body:', req.body);
+  const comment = typeof req.body.comment === 'string' ? req.body.comment.trim() : '';
+
+  if (!comment) {
+    return res.status(400).json({ error: 'A comment is required when rejecting a campaign' });
+  }
+
+  return reviewCampaign(req, res, 'rejected', comment);
+}
+
 /**
  * POST /api/campaigns/:id/assign - Assign contractors to a campaign
  * Only employees can assign contractors
@@ -241,12 +483,6 @@ async function assignContractors(req, res) {
   }
 
   try {
-    // Verify campaign exists
-    const campaign = await knex('campaigns').where('id', id).first();
-    if (!campaign) {
-      return res.status(404).json({ error: 'Campaign not found' });
-    }
-
     // Use transaction for atomic operation
     await knex.transaction(async (trx) => {
       // Delete existing assignments for this campaign
@@ -270,45 +506,23 @@ async function assignContractors(req, res) {
 
 /**
  * PUT /api/campaigns/:id/contractor-status - Update campaign status (contractor specific)
- * Contractors can only update from 'approved' to 'in_progress' and from 'in_progress' to 'completed'
+ * Assigned contractors can only make the transitions the workflow grants to assigned contractors
+ * (approved -> in_progress, in_progress -> completed)
  */
 async function updateCampaignStatusByContractor(req, res) {
   console.log('[API] PUT /api/campaigns/:id/contractor-status called by user:', req.user?.username || req.user?.id, 'params:', req.params, 'body:', req.body);
   const { id } = req.params;
   const { status } = req.body;
-  
-  // Contractors can only update to these statuses
-  const allowedStatusUpdates = {
-    'approved': ['in_progress'],
-    'in_progress': ['completed']
-  };
 
-  try {
-    // Verify contractor is assigned to this campaign
-    const assignment = await knex('campaigns as c')
-      .join('campaign_assignments as ca', 'c.id', 'ca.campaign_id')
-      .select('c.status as current_status')
-      .where('c.id', id)
-      .where('ca.contractor_id', req.user.id)
-      .first();
-
-    if (!assignment) {
-      return res.status(404).json({ error: 'Campaign not found or not assigned to you' });
-    }
-
-    const currentStatus = assignment.current_status;
-    
-    // Check if the status update is allowed
-    if (!allowedStatusUpdates[currentStatus] || !allowedStatusUpdates[currentStatus].includes(status)) {
-      return res.status(400).json({ 
-        error: `Cannot update status from ${currentStatus} to ${status}` 
-      });
-    }
+  if (!status || !isValidStatus(status)) {
+    return res.status(400).json({ error: `Valid status is required (${CAMPAIGN_STATUSES.join(', ')})` });
+  }
 
-    // Update campaign status
-    await knex('campaigns')
-      .where('id', id)
-      .update({ status });
+  try {
+    // Only the assigned-contractor grants of the workflow apply on this endpoint
+    const actor = { user: null, isAssignedContractor: true, isCompanyMember: false };
+    const changed = await transitionCampaignStatus(req, res, req.campaign, status, actor);
+    if (!changed) return;
     
     // Retrieve the updated campaign with company information
     const campaign = await knex('campaigns as c')
@@ -324,6 +538,69 @@ async function updateCampaignStatusByContractor(req, res) {
   }
 }
 
+/**
+ * GET /api/campaigns/:id/history - Status history timeline for a campaign
+ * Clients only see campaigns of their own company, contractors only campaigns assigned to them
+ * Returns: Entries oldest first with the username of the actor
+ */
+async function getCampaignHistory(req, res) {
+  console.log('[API] GET /api/campaigns/:id/history called by user:', req.user?.username || req.user?.id, 'params:', req.params);
+
+  try {
+    res.json(await getStatusHistory(req.campaign.id));
+  } catch (error) {
+    console.error('Error fetching campaign history:', error);
+    res.status(500).json({ error: 'Failed to fetch campaign history' });
+  }
+}
+
+/**
+ * GET /api/campaigns/:id/report.pdf - Printable proof-of-performance report
+ * Available to employees and to client users of the company that owns the campaign
+ * Contains the campaign details, assigned contractors, sites, status history and approved photos
+ */
+async function getCampaignReport(req, res) {
+  console.log('[API] GET /api/campaigns/:id/report.pdf called by user:', req.user?.username || req.user?.id, 'params:', req.params);
+
+  try {
+    const campaign = await knex('campaigns as c')
+      .join('companies as co', 'c.company_id', 'co.id')
+      .select(...campaignListColumns())
+      .where('c.id', req.campaign.id)
+      .first();
+
+    const contractors = await knex('campaign_assignments as ca')
+      .join('users as u', 'ca.contractor_id', 'u.id')
+      .leftJoin('companies as co', 'u.company_id', 'co.id')
+      .select('u.id', 'u.username', 'co.name as company_name')
+      .where('ca.campaign_id', campaign.id)
+      .orderBy('u.username');
+    const locations = (await getCampaignLocations([campaign.id]))[campaign.id];
+    const history = await getStatusHistory(campaign.id);
+    const images = (await getCampaignImages(campaign.id)).filter(image => image.review_status === 'approved');
+
+    const generatedAt = new Date();
+    res.attachment(`${slugify(campaign.name)}-report-${formatReportDate(generatedAt)}.pdf`);
+    res.type('application/pdf');
+    await writeCampaignReport(res, {
+      campaign,
+      contractors,
+      locations,
+      history,
+      images,
+      generatedAt,
+      generatedBy: req.user.username
+    });
+  } catch (error) {
+    console.error('Error creating campaign report:', error);
+    // Once the PDF has started streaming the only option left is to abort the download
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ error: 'Failed to create campaign report' });
+  }
+}
+
 // Get campaigns assigned to the current contractor
 const getContractorCampaigns = async (req, res) => {
   console.log('[API] GET /api/campaigns/contractor called by user:', req.user?.username || req.user?.id);
@@ -340,11 +617,13 @@ const getContractorCampaigns = async (req, res) => {
     const campaigns = await knex('campaigns as c')
       .leftJoin('companies as co', 'c.company_id', 'co.id')
       .join('campaign_assignments as ca', 'c.id', 'ca.campaign_id')
-      .select('c.id', 'c.name', 'c.description', 'c.status', 'c.start_date', 'c.end_date', 'co.name as company_name')
+      .select(...campaignListColumns())
       .where('ca.contractor_id', req.user.id)
       .orderBy('c.id', 'desc');
 
-    res.json(campaigns);
+    // Attach the sites each campaign must be posted at
+    const placements = await getCampaignLocations(campaigns.map(campaign => campaign.id));
+    res.json(campaigns.map(campaign => ({ ...campaign, locations: placements[campaign.id] })));
   } catch (error) {
     console.error('Error fetching contractor campaigns:', error);
     res.status(500).json({ error: 'Failed to fetch campaigns' });
@@ -360,4 +639,8 @@ module.exports = {
   assignContractors,
   updateCampaignStatusByContractor,
   getContractorCampaigns,
+  getCampaignHistory,
+  getCampaignReport,
+  approveCampaign,
+  rejectCampaign,
 };
@@ -0,0 +1,534 @@
+// controllers/campaignImageController.js
+// Campaign image controller - upload, list, review and serve proof-of-posting images
+
+const fs = require('fs');
+const knex = require('../config/knex');
+const uploadConfig = require('../config/uploads');
+const { PERMISSIONS } = require('../config/permissionRegistry');
+const { getStorage, getDownloadUrl } = require('../services/storage');
+const { slugify, getArchiveEntries, writeImageArchive } = require('../services/imageArchiveService');
+const {
+  IMAGE_MIME_TYPES,
+  computeChecksum,
+  detectImageType,
+  extractImageMetadata,
+  deleteImageFiles,
+  recordImage,
+  getCampaignImages,
+  getDeletedCampaignImages,
+  softDeleteImage,
+  restoreImage,
+  getImageById,
+  getImageByStoredName
+} = require('../services/campaignImageService');
+const {
+  RENDITION_SIZES,
+  RENDITION_MIME_TYPE,
+  getRenditionKey,
+  autoOrientImage,
+  generateRenditions,
+  ensureRendition
+} = require('../services/imageRenditionService');
+
+/**
+ * Remove received upload files from the temp directory
+ * @param {Array} files - Multer file objects
+ */
+function discardUploadedFiles(files = []) {
+  for (const file of files) {
+    fs.unlink(file.path, (err) => {
+      if (err && err.code !== 'ENOENT') console.error('Failed to remove uploaded file:', file.path, err);
+    });
+  }
+}
+
+/**
+ * Add pre-signed download URLs to image records when signed URLs are enabled
+ * @param {Array} images - Image records
+ * @returns {Promise<Array>} - Records with urls: { original, thumb, medium }, or unchanged when URLs are disabled
+ */
+async function withDownloadUrls(images) {
+  return Promise.all(images.map(async (image) => {
+    const original = await getDownloadUrl(image.stored_name);
+    if (!original) {
+      return image;
+    }
+
+    const urls = { original };
+    for (const size of Object.keys(RENDITION_SIZES)) {
+      urls[size] = await getDownloadUrl(getRenditionKey(image.stored_name, size));
+    }
+    return { ...image, urls };
+  }));
+}
+
+/**
+ * GET /api/campaigns/upload-limits - Limits applied to image uploads
+ * Returns: { max_file_size (bytes), max_files, allowed_types, allowed_extensions }
+ */
+function getUploadLimits(req, res) {
+  res.json({
+    max_file_size: uploadConfig.maxFileSize,
+    max_files: uploadConfig.maxFiles,
+    allowed_types: uploadConfig.allowedMimeTypes,
+    allowed_extensions: Object.keys(IMAGE_MIME_TYPES)
+  });
+}
+
+/**
+ * Check that received files really are images, whatever their name and declared type claim
+ * Sets file.detectedType on every file
+ * @param {Array} files - Multer file objects
+ * @returns {Promise<Array>} - [{ file, reason }] for files that are not a supported image
+ */
+async function findUnsupportedFiles(files) {
+  const rejected = [];
+  for (const file of files) {
+    file.detectedType = await detectImageType(file.path);
+    if (!file.detectedType) {
+      rejected.push({ file: file.originalname, reason: 'File content is not a JPEG, PNG, GIF or WebP image' });
+    }
+  }
+  return rejected;
+}
+
+/**
+ * Read EXIF data, rotate photos upright and checksum the result
+ * EXIF is read before rotating; the size changes when a file is rewritten
+ * @param {Array} files - Multer file objects; file.metadata and file.checksum are set
+ */
+async function prepareUploadedFiles(files) {
+  for (const file of files) {
+    file.metadata = await extractImageMetadata(file.path);
+    if (file.metadata.orientation > 1) {
+      await autoOrientImage(file.path);
+      file.size = fs.statSync(file.path).size;
+    }
+    file.checksum = await computeChecksum(file.path);
+  }
+}
+
+/**
+ * Move prepared files to image storage, record them and generate their renditions
+ * If recording fails, files that already reached storage are removed again
+ * @param {Array} files - Prepared multer file objects
+ * @param {Function} recordFiles - async (trx) => image IDs, run inside a transaction
+ * @returns {Promise<Array>} - IDs returned by recordFiles
+ */
+async function storeUploadedFiles(files, recordFiles) {
+  const storage = getStorage();
+  const storedNames = [];
+  let imageIds;
+  try {
+    for (const file of files) {
+      await storage.put(file.filename, await fs.promises.readFile(file.path), { contentType: file.detectedType });
+      storedNames.push(file.filename);
+    }
+    imageIds = await knex.transaction(recordFiles);
+  } catch (error) {
+    for (const storedName of storedNames) {
+      await deleteImageFiles(storedName).catch(err => console.error('Failed to remove stored image:', storedName, err));
+    }
+    throw error;
+  }
+
+  // A failed rendition is not fatal: it is generated again the first time it is requested
+  for (const file of files) {
+    try {
+      await generateRenditions(file.filename, file.path);
+    } catch (error) {
+      console.error('Failed to generate renditions for:', file.filename, error);
+    }
+  }
+
+  return imageIds;
+}
+
+/**
+ * Image record fields for a prepared upload
+ * @param {Object} file - Prepared multer file object
+ * @returns {Object} - Fields for recordImage
+ */
+function uploadedFileRecord(file) {
+  return {
+    ...file.metadata,
+    original_name: file.originalname,
+    stored_name: file.filename,
+    mime_type: file.detectedType,
+    size_bytes: file.size,
+    checksum: file.checksum
+  };
+}
+
+/**
+ * Check whether the current user may delete or replace an image
+ * Users with edit_campaign may at any time; assigned contractors only their own uploads while the campaign is in progress
+ * @param {Object} req - Express request that passed requireCampaignAccess
+ * @param {Object} image - Image record
+ * @returns {Promise<Object|null>} - { status, error } when not allowed, null when allowed
+ */
+async function getImageChangeError(req, image) {
+  if (await req.userInstance.can(PERMISSIONS.EDIT_CAMPAIGN, { companyId: req.campaign.company_id })) {
+    return null;
+  }
+
+  if (!req.campaignAccess.isAssignedContractor) {
+    return { status: 404, error: 'Image not found' };
+  }
+  if (image.uploaded_by !== req.user.id) {
+    return { status: 403, error: 'You can only delete or replace images you uploaded' };
+  }
+
+  if (req.campaign.status !== 'in_progress') {
+    return { status: 409, error: 'Images can only be deleted or replaced while the campaign is in progress' };
+  }
+  return null;
+}
+
+/**
+ * POST /api/campaigns/:id/images - Upload campaign images
+ * Files are received by multer in a temp directory; each one's content is checked to be an image before it is moved
+ * to image storage and recorded in campaign_images
+ * EXIF capture time, GPS position and orientation are stored with each record, and sideways photos are rotated upright
+ * Thumbnail and medium renditions are generated once the records are saved
+ * Only while the campaign is in progress, like deleting and replacing images
+ * Body (multipart): { campaign_location_id? } - attaches the photos to one of the campaign's sites
+ * Returns: The created image records
+ */
+async function uploadCampaignImages(req, res) {
+  console.log('[API] POST /api/campaigns/:id/images called by user:', req.user?.username || req.user?.id, 'params:', req.params, 'files:', (req.files || []).length);
+  const { campaign } = req;
+  const files = req.files || [];
+
+  if (files.length === 0) {
+    return res.status(400).json({ error: 'At least one image is required' });
+  }
+
+  try {
+    // Photos are the evidence behind a finished campaign, so they only come in while it runs
+    if (campaign.status !== 'in_progress') {
+      return res.status(409).json({ error: 'Images can only be uploaded while the campaign is in progress' });
+    }
+
+    const rejected = await findUnsupportedFiles(files);
+    if (rejected.length > 0) {
+      return res.status(415).json({
+        error: `Unsupported image content: ${rejected.map(entry => entry.file).join(', ')}`,
+        rejected
+      });
+    }
+
+    const campaignLocationId = req.body.campaign_location_id ? Number(req.body.campaign_location_id) : null;
+    if (campaignLocationId) {
+      const placement = await knex('campaign_locations')
+        .where({ id: campaignLocationId, campaign_id: campaign.id })
+        .first();
+      if (!placement) {
+        return res.status(400).json({ error: 'Location is not part of this campaign' });
+      }
+    }
+
+    await prepareUploadedFiles(files);
+    const imageIds = await storeUploadedFiles(files, async (trx) => {
+      const ids = [];
+      for (const file of files) {
+        ids.push(await recordImage(trx, {
+          ...uploadedFileRecord(file),
+          campaign_id: campaign.id,
+          campaign_location_id: campaignLocationId,
+          uploaded_by: req.user.id
+        }));
+      }
+      return ids;
+    });
+
+    const images = await getCampaignImages(campaign.id);
+    res.status(201).json({
+      message: 'Images uploaded',
+      images: await withDownloadUrls(images.filter(image => imageIds.includes(image.id)))
+    });
+  } catch (error) {
+    console.error('Error uploading campaign images:', error);
+    res.status(500).json({ error: 'Failed to upload campaign images' });
+  } finally {
+    discardUploadedFiles(files);
+  }
+}
+
+/**
+ * POST /api/campaigns/:id/images/:imageId/replace - Replace an image with a new upload
+ * The old image is soft-deleted and the new one takes its site, starting a fresh review
+ * Body (multipart): { image } - the replacement file
+ * Returns: The new image record
+ */
+async function replaceCampaignImage(req, res) {
+  console.log('[API] POST /api/campaigns/:id/images/:imageId/replace called by user:', req.user?.username || req.user?.id, 'params:', req.params);
+  const { id, imageId } = req.params;
+  const files = req.file ? [req.file] : [];
+
+  if (files.length === 0) {
+    return res.status(400).json({ error: 'A replacement image is required' });
+  }
+
+  try {
+    const rejected = await findUnsupportedFiles(files);
+    if (rejected.length > 0) {
+      return res.status(415).json({ error: `Unsupported image content: ${rejected[0].file}`, rejected });
+    }
+
+    const image = await getImageById(imageId);
+    if (!image || image.deleted_at || String(image.campaign_id) !== String(id)) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    const changeError = await getImageChangeError(req, image);
+    if (changeError) {
+      return res.status(changeError.status).json({ error: changeError.error });
+    }
+
+    await prepareUploadedFiles(files);
+    const [replacementId] = await storeUploadedFiles(files, async (trx) => {
+      await softDeleteImage(trx, image.id, req.user.id);
+      return [await recordImage(trx, {
+        ...uploadedFileRecord(files[0]),
+        campaign_id: image.campaign_id,
+        campaign_location_id: image.campaign_location_id,
+        uploaded_by: req.user.id,
+        replaces_image_id: image.id
+      })];
+    });
+
+    const [replacement] = await withDownloadUrls([await getImageById(replacementId)]);
+    res.status(201).json({ message: 'Image replaced', image: replacement });
+  } catch (error) {
+    console.error('Error replacing campaign image:', error);
+    res.status(500).json({ error: 'Failed to replace campaign image' });
+  } finally {
+    discardUploadedFiles(files);
+  }
+}
+
+/**
+ * DELETE /api/campaigns/:id/images/:imageId - Soft-delete an image
+ * The files are kept and the image can be restored until the retention period ends
+ * Returns: { message, restorable_until }
+ */
+async function deleteCampaignImage(req, res) {
+  console.log('[API] DELETE /api/campaigns/:id/images/:imageId called by user:', req.user?.username || req.user?.id, 'params:', req.params);
+  const { id, imageId } = req.params;
+
+  try {
+    const image = await getImageById(imageId);
+    if (!image || image.deleted_at || String(image.campaign_id) !== String(id)) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    const changeError = await getImageChangeError(req, image);
+    if (changeError) {
+      return res.status(changeError.status).json({ error: changeError.error });
+    }
+
+    await softDeleteImage(knex, image.id, req.user.id);
+
+    const restorableUntil = new Date(Date.now() + uploadConfig.deletedImageRetentionDays * 24 * 60 * 60 * 1000);
+    res.json({ message: 'Image deleted', restorable_until: restorableUntil });
+  } catch (error) {
+    console.error('Error deleting campaign image:', error);
+    res.status(500).json({ error: 'Failed to delete campaign image' });
+  }
+}
+
+/**
+ * POST /api/campaigns/:id/images/:imageId/restore - Restore a soft-deleted image (employee)
+ * Only within the retention period; a replaced image takes the place of its replacement again
+ * Returns: The restored image record
+ */
+async function restoreCampaignImage(req, res) {
+  console.log('[API] POST /api/campaigns/:id/images/:imageId/restore called by user:', req.user?.username || req.user?.id, 'params:', req.params);
+  const { id, imageId } = req.params;
+
+  try {
+    const image = await getImageById(imageId);
+    if (!image || String(image.campaign_id) !== String(id)) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+    if (!image.deleted_at) {
+      return res.status(400).json({ error: 'Image is not deleted' });
+    }
+
+    // Past the retention period the image is due to be purged
+    const restorableUntil = new Date(new Date(image.deleted_at).getTime() + uploadConfig.deletedImageRetentionDays * 24 * 60 * 60 * 1000);
+    if (restorableUntil <= new Date()) {
+      return res.status(410).json({ error: 'Image was deleted too long ago to be restored' });
+    }
+
+    await knex.transaction(trx => restoreImage(trx, image.id, req.user.id));
+
+    const [restored] = await withDownloadUrls([await getImageById(image.id)]);
+    res.json(restored);
+  } catch (error) {
+    console.error('Error restoring campaign image:', error);
+    res.status(500).json({ error: 'Failed to restore campaign image' });
+  }
+}
+
+/**
+ * GET /api/campaigns/:id/images - List image records for a campaign
+ * Query: { deleted?: 'true' } - deleted images that can still be restored instead (edit_campaign only)
+ * Returns: Image metadata from campaign_images, oldest first, with pre-signed urls when enabled
+ */
+async function listCampaignImages(req, res) {
+  const { id } = req.params;
+
+  try {
+    if (req.query.deleted === 'true') {
+      if (!(await req.userInstance.can(PERMISSIONS.EDIT_CAMPAIGN, { companyId: req.campaign.company_id }))) {
+        return res.status(403).json({ error: 'Only employees can view deleted images' });
+      }
+      const deletedImages = await getDeletedCampaignImages(id, uploadConfig.deletedImageRetentionDays);
+      return res.json(await withDownloadUrls(deletedImages));
+    }
+
+    const images = await getCampaignImages(id);
+    res.json(await withDownloadUrls(images));
+  } catch (error) {
+    console.error('Error fetching campaign images:', error);
+    res.status(500).json({ error: 'Failed to fetch campaign images' });
+  }
+}
+
+/**
+ * PUT /api/campaigns/:id/images/:imageId/review - Approve or reject an uploaded image
+ * Body: { status: 'approved' | 'rejected', reason? } - reason is required when rejecting
+ * Returns: The updated image record
+ */
+async function reviewCampaignImage(req, res) {
+  console.log('[API] PUT /api/campaigns/:id/images/:imageId/review called by user:', req.user?.username || req.user?.id, 'params:', req.params, 'body:', req.body);
+  const { id, imageId } = req.params;
+  const { status } = req.body;
+  const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+  if (status !== 'approved' && status !== 'rejected') {
+    return res.status(400).json({ error: 'Review status must be approved or rejected' });
+  }
+
+  if (status === 'rejected' && !reason) {
+    return res.status(400).json({ error: 'A reason is required when rejecting an image' });
+  }
+
+  try {
+    const image = await getImageById(imageId);
+    if (!image || image.deleted_at || String(image.campaign_id) !== String(id)) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    await knex('campaign_images')
+      .where('id', image.id)
+      .update({
+        review_status: status,
+        reviewed_by: req.user.id,
+        reviewed_at: knex.fn.now(),
+        rejection_reason: status === 'rejected' ? reason : null
+      });
+
+    const [reviewed] = await withDownloadUrls([await getImageById(image.id)]);
+    res.json(reviewed);
+  } catch (error) {
+    console.error('Error reviewing campaign image:', error);
+    res.status(500).json({ error: 'Failed to review campaign image' });
+  }
+}
+
+/**
+ * GET /api/campaigns/:id/images/archive - Download all approved images of a campaign as a ZIP
+ * Files are named by site and capture date; manifest.csv lists each file with its details
+ */
+async function downloadCampaignImageArchive(req, res) {
+  console.log('[API] GET /api/campaigns/:id/images/archive called by user:', req.user?.username || req.user?.id, 'params:', req.params);
+  const { campaign } = req;
+
+  try {
+    const images = (await getCampaignImages(campaign.id)).filter(image => image.review_status === 'approved');
+    if (images.length === 0) {
+      return res.status(404).json({ error: 'This campaign has no approved images to download' });
+    }
+
+    res.attachment(`${slugify(campaign.name)}-photos.zip`);
+    res.type('application/zip');
+    await writeImageArchive(res, getArchiveEntries(images));
+  } catch (error) {
+    console.error('Error creating campaign image archive:', error);
+    // Once the ZIP has started streaming the only option left is to abort the download
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ error: 'Failed to create image archive' });
+  }
+}
+
+/**
+ * GET /api/campaigns/images/:filename - Serve an image file
+ * Query: { size?: 'thumb' | 'medium' } - a resized WebP rendition instead of the original
+ * Only files with a campaign_images record are served; the file is streamed from image storage
+ */
+async function serveCampaignImage(req, res) {
+  const { filename } = req.params;
+  const { size } = req.query;
+
+  // Security: Only allow alphanumeric, underscores, dots, and hyphens in filename
+  if (!/^[a-zA-Z0-9._-]+$/.test(filename)) {
+    return res.status(400).json({ error: 'Invalid filename' });
+  }
+
+  if (size !== undefined && !RENDITION_SIZES[size]) {
+    return res.status(400).json({ error: `Invalid size (${Object.keys(RENDITION_SIZES).join(', ')})` });
+  }
+
+  try {
+    const storage = getStorage();
+    const image = await getImageByStoredName(filename);
+
+    if (!image || !(await storage.exists(image.stored_name))) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+    // Deleted images are only shown to employees, who may restore them
+    if (image.deleted_at && !(await req.userInstance.can(PERMISSIONS.EDIT_CAMPAIGN, { companyId: req.campaign.company_id }))) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    let key = image.stored_name;
+    let contentType = image.mime_type;
+    if (size) {
+      try {
+        key = await ensureRendition(image.stored_name, size);
+        contentType = RENDITION_MIME_TYPE;
+      } catch (error) {
+        // Fall back to the original so the image still shows
+        console.error('Failed to generate image rendition:', filename, size, error);
+      }
+    }
+
+    const stream = await storage.getStream(key);
+    stream.on('error', (error) => {
+      console.error('Error streaming campaign image:', key, error);
+      res.destroy(error);
+    });
+    res.type(contentType);
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Error serving campaign image:', error);
+    res.status(500).json({ error: 'Failed to serve image' });
+  }
+}
+
+module.exports = {
+  getUploadLimits,
+  uploadCampaignImages,
+  replaceCampaignImage,
+  deleteCampaignImage,
+  restoreCampaignImage,
+  listCampaignImages,
+  downloadCampaignImageArchive,
+  reviewCampaignImage,
+  serveCampaignImage
+};
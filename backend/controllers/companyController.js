@@ -2,6 +2,7 @@
 // Company management controller - CRUD operations for companies
 
 const knex = require('../config/knex');
+const { recordAuditEvent } = require('../services/auditService');
 
 /**
  * GET /api/companies - Retrieve all companies
@@ -31,14 +32,26 @@ async function createCompany(req, res) {
     return res.status(400).json({ error: 'Company name is required' });
   }
   
+  const trx = await knex.transaction();
+  
   try {
-    const [insertId] = await knex('companies').insert({ name });
+    const [insertId] = await trx('companies').insert({ name });
+    
+    await recordAuditEvent(req, {
+      action: 'company.create',
+      entityType: 'company',
+      entityId: insertId,
+      entityLabel: name,
+      after: { name }
+    }, trx);
     
+    await trx.commit();
     res.status(201).json({ 
       id: insertId, 
       name
     });
   } catch (error) {
+    await trx.rollback();
     // Handle MySQL duplicate entry error
     if (error.code === 'ER_DUP_ENTRY') {
       return res.status(409).json({ error: 'Company name already exists' });
@@ -61,17 +74,33 @@ async function updateCompany(req, res) {
     return res.status(400).json({ error: 'Company name is required' });
   }
   
+  const trx = await knex.transaction();
+  
   try {
-    const affectedRows = await knex('companies')
+    const before = await trx('companies').select('name').where('id', id).first();
+    
+    const affectedRows = await trx('companies')
       .where('id', id)
       .update({ name });
     
     if (affectedRows === 0) {
+      await trx.rollback();
       return res.status(404).json({ error: 'Company not found' });
     }
     
+    await recordAuditEvent(req, {
+      action: 'company.update',
+      entityType: 'company',
+      entityId: parseInt(id),
+      entityLabel: name,
+      before,
+      after: { name }
+    }, trx);
+    
+    await trx.commit();
     res.json({ id: parseInt(id), name });
   } catch (error) {
+    await trx.rollback();
     // Handle MySQL duplicate entry error
     if (error.code === 'ER_DUP_ENTRY') {
       return res.status(409).json({ error: 'Company name already exists' });
@@ -102,14 +131,25 @@ async function deleteCompany(req, res) {
       });
     }
     
-    const affectedRows = await knex('companies')
-      .where('id', id)
-      .del();
-    
-    if (affectedRows === 0) {
+    const before = await knex('companies').select('name').where('id', id).first();
+    if (!before) {
       return res.status(404).json({ error: 'Company not found' });
     }
     
+    await knex.transaction(async (trx) => {
+      await trx('companies')
+        .where('id', id)
+        .del();
+      
+      await recordAuditEvent(req, {
+        action: 'company.delete',
+        entityType: 'company',
+        entityId: parseInt(id),
+        entityLabel: before.name,
+        before
+      }, trx);
+    });
+    
     res.json({ message: 'Company deleted successfully' });
   } catch (error) {
     console.error('Error deleting company:', error);
@@ -0,0 +1,263 @@
+// controllers/locationController.js
+// Location management controller - CRUD for poster sites, per-campaign placement lists and placement status
+
+const knex = require('../config/knex');
+const { PERMISSIONS } = require('../config/permissionRegistry');
+const {
+  PLACEMENT_STATUSES,
+  LOCATION_COLUMNS,
+  validateLocation,
+  validatePlacements,
+  getCampaignLocations
+} = require('../services/locationService');
+
+/**
+ * GET /api/locations - Retrieve all locations
+ * Query: { search?, site_type? }
+ * Returns: Locations ordered by name
+ */
+async function getAllLocations(req, res) {
+  const { search, site_type } = req.query;
+
+  try {
+    let query = knex('locations')
+      .select(LOCATION_COLUMNS)
+      .orderBy('name');
+
+    if (search) {
+      query = query.where(function () {
+        this.where('name', 'like', `%${search}%`).orWhere('address', 'like', `%${search}%`);
+      });
+    }
+    if (site_type) {
+      query = query.where('site_type', site_type);
+    }
+
+    res.json(await query);
+  } catch (error) {
+    console.error('Error fetching locations:', error);
+    res.status(500).json({ error: 'Failed to fetch locations' });
+  }
+}
+
+/**
+ * POST /api/locations - Create a new location
+ * Body: { name, address, latitude?, longitude?, site_type?, size_format?, owner_notes? }
+ */
+async function createLocation(req, res) {
+  const { error, values } = validateLocation(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const [insertId] = await knex('locations').insert({ ...values, created_by: req.user.id });
+    const location = await knex('locations').select(LOCATION_COLUMNS).where('id', insertId).first();
+
+    res.status(201).json(location);
+  } catch (error) {
+    console.error('Error creating location:', error);
+    res.status(500).json({ error: 'Failed to create location' });
+  }
+}
+
+/**
+ * PUT /api/locations/:id - Update an existing location
+ * Params: id (location ID)
+ * Body: { name, address, latitude?, longitude?, site_type?, size_format?, owner_notes? }
+ */
+async function updateLocation(req, res) {
+  const { id } = req.params;
+  const { error, values } = validateLocation(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const affectedRows = await knex('locations')
+      .where('id', id)
+      .update(values);
+
+    if (affectedRows === 0) {
+      return res.status(404).json({ error: 'Location not found' });
+    }
+
+    const location = await knex('locations').select(LOCATION_COLUMNS).where('id', id).first();
+    res.json(location);
+  } catch (error) {
+    console.error('Error updating location:', error);
+    res.status(500).json({ error: 'Failed to update location' });
+  }
+}
+
+/**
+ * DELETE /api/locations/:id - Delete a location
+ * Params: id (location ID)
+ * Constraint: Cannot delete locations that are part of a campaign
+ */
+async function deleteLocation(req, res) {
+  const { id } = req.params;
+
+  try {
+    const usage = await knex('campaign_locations')
+      .where('location_id', id)
+      .count('id as count')
+      .first();
+
+    if (usage.count > 0) {
+      return res.status(400).json({
+        error: 'Cannot delete a location used by campaigns. Remove it from those campaigns first.'
+      });
+    }
+
+    const affectedRows = await knex('locations')
+      .where('id', id)
+      .del();
+
+    if (affectedRows === 0) {
+      return res.status(404).json({ error: 'Location not found' });
+    }
+
+    res.json({ message: 'Location deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting location:', error);
+    res.status(500).json({ error: 'Failed to delete location' });
+  }
+}
+
+/**
+ * GET /api/campaigns/:id/locations - Sites a campaign is posted at
+ * Returns: Placements with location details and quantity
+ */
+async function getCampaignLocationList(req, res) {
+  const { campaign } = req;
+
+  try {
+    const placements = await getCampaignLocations([campaign.id]);
+    res.json(placements[campaign.id]);
+  } catch (error) {
+    console.error('Error fetching campaign locations:', error);
+    res.status(500).json({ error: 'Failed to fetch campaign locations' });
+  }
+}
+
+/**
+ * PUT /api/campaigns/:id/locations - Replace the placement list of a campaign
+ * Body: { locations: [{ location_id, quantity? }] }
+ */
+async function updateCampaignLocations(req, res) {
+  console.log('[API] PUT /api/campaigns/:id/locations called by user:', req.user?.username || req.user?.id, 'params:', req.params, 'body:', req.body);
+  const { campaign } = req;
+  const { error, values } = validatePlacements(req.body.locations);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const locationIds = values.map(placement => placement.location_id);
+    if (locationIds.length > 0) {
+      const found = await knex('locations').whereIn('id', locationIds).count('id as count').first();
+      if (parseInt(found.count) !== locationIds.length) {
+        return res.status(400).json({ error: 'One or more locations do not exist' });
+      }
+    }
+
+    // Update placements in place so posting status and linked photos survive edits to the list
+    await knex.transaction(async (trx) => {
+      const existing = await trx('campaign_locations').select('id', 'location_id').where('campaign_id', campaign.id);
+
+      const removedIds = existing
+        .filter(placement => !locationIds.includes(placement.location_id))
+        .map(placement => placement.id);
+      if (removedIds.length > 0) {
+        await trx('campaign_locations').whereIn('id', removedIds).del();
+      }
+
+      for (const placement of values) {
+        const current = existing.find(row => row.location_id === placement.location_id);
+        if (current) {
+          await trx('campaign_locations').where('id', current.id).update({ quantity: placement.quantity });
+        } else {
+          await trx('campaign_locations').insert({ ...placement, campaign_id: campaign.id });
+        }
+      }
+    });
+
+    const placements = await getCampaignLocations([campaign.id]);
+    res.json(placements[campaign.id]);
+  } catch (error) {
+    console.error('Error updating campaign locations:', error);
+    res.status(500).json({ error: 'Failed to update campaign locations' });
+  }
+}
+
+/**
+ * PUT /api/campaigns/:id/locations/:placementId/status - Update the posting status of one site
+ * Body: { status: 'not_started' | 'posted' | 'failed' | 'waived', reason? } - reason is required when failed
+ * Assigned contractors may report progress while the campaign is in progress;
+ * users with edit_campaign may set any status at any time, and only they may waive a site
+ */
+async function updatePlacementStatus(req, res) {
+  console.log('[API] PUT /api/campaigns/:id/locations/:placementId/status called by user:', req.user?.username || req.user?.id, 'params:', req.params, 'body:', req.body);
+  const { id, placementId } = req.params;
+  const { status } = req.body;
+  const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+  if (!PLACEMENT_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Valid status is required (${PLACEMENT_STATUSES.join(', ')})` });
+  }
+
+  if (status === 'failed' && !reason) {
+    return res.status(400).json({ error: 'A reason is required when posting at a location failed' });
+  }
+
+  try {
+    const placement = await knex('campaign_locations as cl')
+      .join('campaigns as c', 'cl.campaign_id', 'c.id')
+      .select('cl.id', 'cl.status', 'c.id as campaign_id', 'c.status as campaign_status')
+      .where({ 'cl.id': placementId, 'cl.campaign_id': id })
+      .first();
+
+    if (!placement) {
+      return res.status(404).json({ error: 'Campaign location not found' });
+    }
+
+    const canEditCampaign = await req.userInstance.can(PERMISSIONS.EDIT_CAMPAIGN, { companyId: req.campaign.company_id });
+    if (!canEditCampaign) {
+      if (!req.campaignAccess.isAssignedContractor) {
+        return res.status(404).json({ error: 'Campaign location not found' });
+      }
+      if (status === 'waived' || placement.status === 'waived') {
+        return res.status(403).json({ error: 'Only employees can waive a location or change a waived location' });
+      }
+      if (placement.campaign_status !== 'in_progress') {
+        return res.status(409).json({ error: 'Locations can only be updated while the campaign is in progress' });
+      }
+    }
+
+    await knex('campaign_locations')
+      .where('id', placement.id)
+      .update({
+        status,
+        status_reason: status === 'failed' || status === 'waived' ? reason || null : null,
+        status_updated_by: req.user.id,
+        status_updated_at: knex.fn.now()
+      });
+
+    const placements = await getCampaignLocations([placement.campaign_id]);
+    res.json(placements[placement.campaign_id].find(row => row.id === placement.id));
+  } catch (error) {
+    console.error('Error updating campaign location status:', error);
+    res.status(500).json({ error: 'Failed to update location status' });
+  }
+}
+
+module.exports = {
+  getAllLocations,
+  createLocation,
+  updateLocation,
+  deleteLocation,
+  getCampaignLocationList,
+  updateCampaignLocations,
+  updatePlacementStatus
+};
@@ -1,10 +1,33 @@
 // controllers/rbacController.js
 // Example controller demonstrating the new RBAC system
 
-const { getUserById, createUser, assignRole, removeRole } = require('../services/userService');
-const { hashPassword } = require('../services/authService');
+const {
+  getUserById,
+  assignRole,
+  removeRole,
+  getPermissionOverrides,
+  setPermissionOverride,
+  removePermissionOverride
+} = require('../services/userService');
+const { hashPassword, getRolePermissionsWithInheritance } = require('../services/authService');
+const { recordAuditEvent } = require('../services/auditService');
 const knex = require('../config/knex');
 
+/**
+ * Find a user's active override of one permission, for audit snapshots
+ * @param {number} userId - User ID
+ * @param {string} permission - Permission name
+ * @param {number|null} companyId - Company the override is limited to, null for the global one
+ * @returns {Promise<Object|null>} - { permission, effect, company_id, expires_at }, or null without an override
+ */
+async function findPermissionOverride(userId, permission, companyId) {
+  const overrides = await getPermissionOverrides(userId);
+  const override = overrides.find(o => o.permission === permission && (o.company_id || null) === companyId);
+  return override
+    ? { permission, effect: override.effect, company_id: companyId, expires_at: override.expires_at }
+    : null;
+}
+
 /**
  * Get current user's permissions and roles
  * GET /api/rbac/me
@@ -16,13 +39,22 @@ async function getMyPermissions(req, res) {
     const roles = await user.getRoles();
     const permissions = await user.getPermissions();
     
+    // Each entry names the role (or per-user override) that decided it; company_id is NULL for global decisions
+    const toDecision = p => ({
+      permission: p.permission,
+      description: p.description,
+      effect: p.effect,
+      source: p.source,
+      role: p.role_name,
+      inherited_from: p.inherited_from,
+      company_id: p.company_id
+    });
+    
     res.json({
       user: user.toJSON(),
       roles: roles,
-      permissions: permissions.map(p => ({
-        permission: p.permission,
-        description: p.description
-      }))
+      permissions: permissions.filter(p => p.allowed).map(toDecision),
+      denied: permissions.filter(p => !p.allowed).map(toDecision)
     });
   } catch (error) {
     console.error('Error getting user permissions:', error);
@@ -34,6 +66,7 @@ async function getMyPermissions(req, res) {
  * Check specific permission for current user
  * POST /api/rbac/check
  * Body: { permission: "permission_name" }
+ * Returns the decision and the role or per-user override behind it
  */
 async function checkMyPermission(req, res) {
   try {
@@ -44,11 +77,10 @@ async function checkMyPermission(req, res) {
       return res.status(400).json({ error: 'Permission name is required' });
     }
     
-    const hasPermission = await user.can(permission);
+    const decision = await user.explain(permission);
     
     res.json({
-      permission,
-      allowed: hasPermission,
+      ...decision,
       user: user.username
     });
   } catch (error) {
@@ -118,30 +150,42 @@ async function createNewUser(req, res) {
     // Hash the password
     const hashedPassword = await hashPassword(password);
     
-    // Create the user
-    const user = await createUser({
-      username,
-      password: hashedPassword,
-      email,
-      company_id: company_id || null
-    });
-    
-    if (!user) {
-      return res.status(400).json({ error: 'Failed to create user' });
-    }
-    
-    // Assign roles if provided
-    if (roles && Array.isArray(roles)) {
-      for (const roleName of roles) {
-        const role = await knex('roles').where('name', roleName).first();
-        if (role) {
-          await assignRole(user.id, role.id);
+    // Create the user, its roles and the audit event together
+    const userId = await knex.transaction(async (trx) => {
+      const [insertId] = await trx('users').insert({
+        username,
+        password: hashedPassword,
+        email,
+        company_id: company_id || null
+      });
+      
+      // Assign roles if provided
+      const assigned = [];
+      if (roles && Array.isArray(roles)) {
+        for (const roleName of roles) {
+          const role = await trx('roles').where('name', roleName).first();
+          if (role && await assignRole(insertId, role.id, null, trx) === true) {
+            assigned.push(role.name);
+          }
         }
       }
-    }
+      
+      await recordAuditEvent(req, {
+        action: 'user.create',
+        entityType: 'user',
+        entityId: insertId,
+        entityLabel: username,
+        after: { username, email, company_id: company_id || null, roles: assigned }
+      }, trx);
+      
+      return insertId;
+    });
     
     // Get the created user with roles
-    const createdUser = await getUserById(user.id);
+    const createdUser = await getUserById(userId);
+    if (!createdUser) {
+      return res.status(400).json({ error: 'Failed to create user' });
+    }
     const userRoles = await createdUser.getRoles();
     
     res.status(201).json({
@@ -150,6 +194,9 @@ async function createNewUser(req, res) {
       message: 'User created successfully'
     });
   } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(400).json({ error: 'Failed to create user' });
+    }
     console.error('Error creating user:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
@@ -158,12 +205,13 @@ async function createNewUser(req, res) {
 /**
  * Assign role to user (requires manage_roles permission)
  * POST /api/rbac/users/:userId/roles
- * Body: { role: "role_name" }
+ * Body: { role: "role_name", company_id? } - company_id limits the role to that company
  */
 async function assignUserRole(req, res) {
   try {
     const { userId } = req.params;
     const { role } = req.body;
+    const companyId = req.body.company_id ? parseInt(req.body.company_id) : null;
     
     if (!role) {
       return res.status(400).json({ error: 'Role name is required' });
@@ -174,11 +222,33 @@ async function assignUserRole(req, res) {
     if (!roleRecord) {
       return res.status(400).json({ error: 'Role not found' });
     }
+
+    let company = null;
+    if (companyId) {
+      company = await knex('companies').select('id', 'name').where('id', companyId).first();
+      if (!company) {
+        return res.status(400).json({ error: 'Company not found' });
+      }
+    }
     
     // Assign role
-    const result = await assignRole(parseInt(userId), roleRecord.id);
+    const result = await knex.transaction(async (trx) => {
+      const assigned = await assignRole(parseInt(userId), roleRecord.id, companyId, trx);
+      if (assigned === true) {
+        const user = await trx('users').select('username').where('id', userId).first();
+        await recordAuditEvent(req, {
+          action: 'user.role_assign',
+          entityType: 'user',
+          entityId: parseInt(userId),
+          entityLabel: user ? user.username : null,
+          after: { role, company: company ? company.name : null }
+        }, trx);
+      }
+      return assigned;
+    });
     if (result === true) {
-      res.json({ message: `Role ${role} assigned to user successfully` });
+      const scope = company ? ` for ${company.name}` : '';
+      res.json({ message: `Role ${role} assigned to user successfully${scope}` });
     } else if (result === 'already_assigned') {
       res.status(400).json({ error: 'Role already assigned to user' });
     } else {
@@ -193,10 +263,12 @@ async function assignUserRole(req, res) {
 /**
  * Remove role from user (requires manage_roles permission)
  * DELETE /api/rbac/users/:userId/roles/:role
+ * Query: { company_id? } - removes the assignment scoped to that company instead of the global one
  */
 async function removeUserRole(req, res) {
   try {
     const { userId, role } = req.params;
+    const companyId = req.query.company_id ? parseInt(req.query.company_id) : null;
     
     // Get role ID
     const roleRecord = await knex('roles').where('name', role).first();
@@ -205,12 +277,25 @@ async function removeUserRole(req, res) {
     }
     
     // Remove role
-    const success = await removeRole(parseInt(userId), roleRecord.id);
+    const success = await knex.transaction(async (trx) => {
+      const removed = await removeRole(parseInt(userId), roleRecord.id, companyId, trx);
+      if (removed) {
+        const user = await trx('users').select('username').where('id', userId).first();
+        await recordAuditEvent(req, {
+          action: 'user.role_remove',
+          entityType: 'user',
+          entityId: parseInt(userId),
+          entityLabel: user ? user.username : null,
+          before: { role, company_id: companyId }
+        }, trx);
+      }
+      return removed;
+    });
     
     if (success) {
       res.json({ message: `Role ${role} removed from user successfully` });
     } else {
-      res.status(400).json({ error: 'Failed to remove role' });
+      res.status(404).json({ error: 'Role assignment not found' });
     }
   } catch (error) {
     console.error('Error removing role:', error);
@@ -218,32 +303,163 @@ async function removeUserRole(req, res) {
   }
 }
 
+/**
+ * Get a user's active per-user permission overrides (requires manage_roles permission)
+ * GET /api/rbac/users/:userId/permissions
+ * Temporary grants carry expires_at; expired ones are not listed
+ */
+async function getUserPermissionOverrides(req, res) {
+  try {
+    const user = await getUserById(parseInt(req.params.userId));
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    res.json(await getPermissionOverrides(user.id));
+  } catch (error) {
+    console.error('Error getting permission overrides:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+/**
+ * Allow or deny a permission for one user (requires manage_roles permission)
+ * PUT /api/rbac/users/:userId/permissions/:permission
+ * Body: { effect: "allow" | "deny", company_id?, expires_at? }
+ * company_id limits the override to that company; expires_at (ISO date) makes it temporary
+ */
+async function setUserPermissionOverride(req, res) {
+  try {
+    const { userId, permission } = req.params;
+    const { effect } = req.body;
+    const companyId = req.body.company_id ? parseInt(req.body.company_id) : null;
+    const expiresAt = req.body.expires_at ? new Date(req.body.expires_at) : null;
+    
+    if (!['allow', 'deny'].includes(effect)) {
+      return res.status(400).json({ error: 'effect must be allow or deny' });
+    }
+    
+    if (expiresAt && (isNaN(expiresAt.getTime()) || expiresAt <= new Date())) {
+      return res.status(400).json({ error: 'expires_at must be a date in the future' });
+    }
+    
+    const user = await getUserById(parseInt(userId));
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const permissionRecord = await knex('permissions').where('permission', permission).first();
+    if (!permissionRecord) {
+      return res.status(400).json({ error: 'Permission not found' });
+    }
+    
+    if (companyId && !(await knex('companies').where('id', companyId).first())) {
+      return res.status(400).json({ error: 'Company not found' });
+    }
+    
+    const before = await findPermissionOverride(user.id, permission, companyId);
+    const success = await knex.transaction(async (trx) => {
+      const set = await setPermissionOverride(user.id, permissionRecord.id, effect, companyId, {
+        expiresAt,
+        grantedBy: req.user.id
+      }, trx);
+      if (set) {
+        await recordAuditEvent(req, {
+          action: 'user.permission_set',
+          entityType: 'user',
+          entityId: user.id,
+          entityLabel: user.username,
+          before,
+          after: { permission, effect, company_id: companyId, expires_at: expiresAt }
+        }, trx);
+      }
+      return set;
+    });
+    if (success) {
+      const until = expiresAt ? ` until ${expiresAt.toISOString()}` : '';
+      console.log(`[API] Permission ${permission} set to ${effect} for user ${user.username}${until}`);
+      res.json({ message: `Permission ${permission} ${effect === 'deny' ? 'denied' : 'allowed'} for user ${user.username}${until}` });
+    } else {
+      res.status(400).json({ error: 'Failed to set permission override' });
+    }
+  } catch (error) {
+    console.error('Error setting permission override:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+/**
+ * Remove a per-user permission override (requires manage_roles permission)
+ * DELETE /api/rbac/users/:userId/permissions/:permission
+ * Query: { company_id? } - removes the override scoped to that company instead of the global one
+ */
+async function removeUserPermissionOverride(req, res) {
+  try {
+    const { userId, permission } = req.params;
+    const companyId = req.query.company_id ? parseInt(req.query.company_id) : null;
+    
+    const permissionRecord = await knex('permissions').where('permission', permission).first();
+    if (!permissionRecord) {
+      return res.status(400).json({ error: 'Permission not found' });
+    }
+    
+    const before = await findPermissionOverride(parseInt(userId), permission, companyId);
+    const removed = await knex.transaction(async (trx) => {
+      const deleted = await removePermissionOverride(parseInt(userId), permissionRecord.id, companyId, trx);
+      if (deleted) {
+        const user = await trx('users').select('username').where('id', userId).first();
+        await recordAuditEvent(req, {
+          action: 'user.permission_remove',
+          entityType: 'user',
+          entityId: parseInt(userId),
+          entityLabel: user ? user.username : null,
+          before
+        }, trx);
+      }
+      return deleted;
+    });
+    if (removed) {
+      res.json({ message: `Permission override for ${permission} removed` });
+    } else {
+      res.status(404).json({ error: 'Permission override not found' });
+    }
+  } catch (error) {
+    console.error('Error removing permission override:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
 /**
  * Get all roles and permissions (requires view_users permission)
  * GET /api/rbac/roles
  */
 async function getRolesAndPermissions(req, res) {
   try {
-    const roles = await knex('roles')
-      .select('id', 'name', 'description')
-      .orderBy('name');
+    const roles = await knex('roles as r')
+      .leftJoin('roles as parent', 'r.parent_role', 'parent.id')
+      .select('r.id', 'r.name', 'r.description', 'parent.name as parent_role')
+      .orderBy('r.name');
     
     const permissions = await knex('permissions')
       .select('id', 'permission', 'description')
       .orderBy('permission');
     
-    // Get role-permission mappings
-    const rolePermissions = await knex('role_permissions as rp')
-      .join('roles as r', 'rp.role', 'r.id')
-      .join('permissions as p', 'rp.permission', 'p.id')
-      .select('r.name as role_name', 'p.permission as permission_name');
-    
-    // Group permissions by role
-    const rolesWithPermissions = roles.map(role => ({
-      ...role,
-      permissions: rolePermissions
-        .filter(rp => rp.role_name === role.name)
-        .map(rp => rp.permission_name)
+    // Split each role's permissions into direct grants, grants inherited from parent roles and denies
+    const rolesWithPermissions = await Promise.all(roles.map(async (role) => {
+      const rolePermissions = await getRolePermissionsWithInheritance(role.id);
+      const allowed = rolePermissions.filter(rp => rp.effect === 'allow');
+      return {
+        ...role,
+        permissions: allowed
+          .filter(rp => !rp.inherited_from)
+          .map(rp => rp.permission),
+        inherited_permissions: allowed
+          .filter(rp => rp.inherited_from)
+          .map(rp => rp.permission),
+        denied_permissions: rolePermissions
+          .filter(rp => rp.effect === 'deny')
+          .map(rp => rp.permission)
+      };
     }));
     
     res.json({
@@ -263,5 +479,8 @@ module.exports = {
   createNewUser,
   assignUserRole,
   removeUserRole,
+  getUserPermissionOverrides,
+  setUserPermissionOverride,
+  removeUserPermissionOverride,
   getRolesAndPermissions
 };
@@ -3,27 +3,110 @@
 // Updated for simplified 5-table RBAC structure
 
 const knex = require('../config/knex');
+const { getRoleParents, getRoleChain, getRolePermissionsWithInheritance } = require('../services/authService');
+const { recordAuditEvent } = require('../services/auditService');
+
+const CYCLE_ERROR = 'A role cannot inherit from itself or from one of its descendants';
+
+/**
+ * Look up a parent role by name
+ * @param {Object} db - Knex instance or transaction
+ * @param {string} parentName - Parent role name
+ * @returns {Promise<Object|undefined>} - { id, name }, or undefined when no such role exists
+ */
+async function findParentRole(db, parentName) {
+  return db('roles').where('name', parentName).select('id', 'name').first();
+}
+
+/**
+ * Check whether giving a role this parent would close a loop in the hierarchy
+ * @param {Object} db - Knex instance or transaction
+ * @param {number} roleId - Role being changed
+ * @param {number} parentId - Proposed parent role ID
+ * @returns {Promise<boolean>} - True when the proposed parent is the role itself or one of its descendants
+ */
+async function createsCycle(db, roleId, parentId) {
+  return getRoleChain(parentId, await getRoleParents(db)).includes(roleId);
+}
+
+/**
+ * Turn allowed and denied permission names into role_permissions rows
+ * @param {Object} db - Knex instance or transaction
+ * @param {number} roleId - Role ID
+ * @param {Array<string>} permissions - Permission names to allow
+ * @param {Array<string>} deniedPermissions - Permission names to deny
+ * @returns {Promise<Array|null>} - Rows, or null when a name is unknown or listed twice
+ */
+async function toRolePermissionRows(db, roleId, permissions, deniedPermissions) {
+  const names = [...permissions, ...deniedPermissions];
+  if (names.length === 0) {
+    return [];
+  }
+  if (new Set(names).size !== names.length) {
+    return null;
+  }
+  
+  const permissionRecords = await db('permissions')
+    .whereIn('permission', names)
+    .select('id', 'permission');
+  if (permissionRecords.length !== names.length) {
+    return null;
+  }
+  
+  return permissionRecords.map(perm => ({
+    role: roleId,
+    permission: perm.id,
+    effect: deniedPermissions.includes(perm.permission) ? 'deny' : 'allow'
+  }));
+}
+
+/**
+ * Get the permissions a role allows and denies directly, for audit snapshots
+ * @param {Object} db - Knex instance or transaction
+ * @param {number} roleId - Role ID
+ * @returns {Promise<Object>} - { permissions, denied_permissions }, each a sorted list of names
+ */
+async function getDirectRolePermissions(db, roleId) {
+  const rows = await db('role_permissions as rp')
+    .join('permissions as p', 'rp.permission', 'p.id')
+    .where('rp.role', roleId)
+    .select('p.permission', 'rp.effect')
+    .orderBy('p.permission');
+  
+  return {
+    permissions: rows.filter(row => row.effect === 'allow').map(row => row.permission),
+    denied_permissions: rows.filter(row => row.effect === 'deny').map(row => row.permission)
+  };
+}
 
 /**
  * GET /api/roles - Retrieve all roles
+ * permission_count counts the permissions a role grants directly; denied_count the ones it denies
  */
 async function getAllRoles(req, res) {
   try {
     // Get all roles from the roles table
-    const roles = await knex('roles')
-      .select('id', 'name', 'description')
-      .orderBy('name');
+    const roles = await knex('roles as r')
+      .leftJoin('roles as parent', 'r.parent_role', 'parent.id')
+      .select('r.id', 'r.name', 'r.description', 'r.requires_two_factor', 'parent.name as parent_role')
+      .orderBy('r.name');
     
     // Get user count for each role
     const rolesWithCounts = await Promise.all(
       roles.map(async (role) => {
+        // A user can hold the role for several companies; count them once
         const userCount = await knex('user_roles')
           .where('role', role.id)
-          .count('* as count')
+          .countDistinct('user as count')
           .first();
         
         const permissionCount = await knex('role_permissions')
-          .where('role', role.id)
+          .where({ role: role.id, effect: 'allow' })
+          .count('* as count')
+          .first();
+        
+        const deniedCount = await knex('role_permissions')
+          .where({ role: role.id, effect: 'deny' })
           .count('* as count')
           .first();
         
@@ -31,8 +114,11 @@ async function getAllRoles(req, res) {
           id: role.id,
           name: role.name,
           description: role.description,
+          parent_role: role.parent_role,
+          requires_two_factor: Boolean(role.requires_two_factor),
           user_count: parseInt(userCount.count),
-          permission_count: parseInt(permissionCount.count)
+          permission_count: parseInt(permissionCount.count),
+          denied_count: parseInt(deniedCount.count)
         };
       })
     );
@@ -45,7 +131,9 @@ async function getAllRoles(req, res) {
 }
 
 /**
- * GET /api/roles/:roleId/permissions - Retrieve permissions for a specific role
+ * GET /api/roles/:roleName/permissions - Retrieve permissions for a specific role
+ * Includes inherited permissions; inherited_from names the ancestor role granting them (NULL when direct)
+ * effect is 'deny' for permissions the role or an ancestor denies
  */
 async function getRolePermissions(req, res) {
   const { roleName } = req.params;
@@ -62,11 +150,7 @@ async function getRolePermissions(req, res) {
       return res.status(404).json({ error: 'Role not found' });
     }
     
-    const permissions = await knex('role_permissions as rp')
-      .join('permissions as p', 'rp.permission', 'p.id')
-      .where('rp.role', '=', role.id)
-      .select('p.id', 'p.permission', 'p.description')
-      .orderBy('p.permission');
+    const permissions = await getRolePermissionsWithInheritance(role.id);
     res.json(permissions);
   } catch (error) {
     console.error('Error fetching role permissions:', error);
@@ -76,43 +160,68 @@ async function getRolePermissions(req, res) {
 
 /**
  * POST /api/roles - Create a new role
+ * Body: { name, description?, permissions?, denied_permissions?, parent_role?, requires_two_factor? }
+ * parent_role is the name of the role to inherit from; denied_permissions win over grants from any role
+ * requires_two_factor makes holders of the role, and of roles inheriting from it, set up two-factor authentication before they can log in
  */
 async function createRole(req, res) {
-  const { name, description, permissions = [] } = req.body;
+  const {
+    name,
+    description,
+    permissions = [],
+    denied_permissions: deniedPermissions = [],
+    parent_role: parentName = null,
+    requires_two_factor: requiresTwoFactor = false
+  } = req.body;
   
   if (!name) {
     return res.status(400).json({ error: 'Role name is required' });
   }
   
+  if (parentName === name) {
+    return res.status(400).json({ error: CYCLE_ERROR });
+  }
+  
   const trx = await knex.transaction();
   
   try {
+    const parent = parentName ? await findParentRole(trx, parentName) : null;
+    if (parentName && !parent) {
+      await trx.rollback();
+      return res.status(400).json({ error: 'Parent role not found' });
+    }
+    
     // Create the role
     const [roleId] = await trx('roles').insert({
       name,
-      description: description || null
+      description: description || null,
+      parent_role: parent ? parent.id : null,
+      requires_two_factor: Boolean(requiresTwoFactor)
     });
     
     // Add permissions to the role if provided
-    if (permissions.length > 0) {
-      // Get permission IDs
-      const permissionRecords = await trx('permissions')
-        .whereIn('permission', permissions)
-        .select('id', 'permission');
-      
-      if (permissionRecords.length !== permissions.length) {
-        await trx.rollback();
-        return res.status(400).json({ error: 'One or more invalid permissions provided' });
-      }
-      
-      const rolePermissions = permissionRecords.map(perm => ({
-        role: roleId,
-        permission: perm.id
-      }));
-      
+    const rolePermissions = await toRolePermissionRows(trx, roleId, permissions, deniedPermissions);
+    if (!rolePermissions) {
+      await trx.rollback();
+      return res.status(400).json({ error: 'One or more invalid permissions provided' });
+    }
+    if (rolePermissions.length > 0) {
       await trx('role_permissions').insert(rolePermissions);
     }
     
+    await recordAuditEvent(req, {
+      action: 'role.create',
+      entityType: 'role',
+      entityId: roleId,
+      entityLabel: name,
+      after: {
+        description: description || null,
+        parent_role: parent ? parent.name : null,
+        requires_two_factor: Boolean(requiresTwoFactor),
+        ...await getDirectRolePermissions(trx, roleId)
+      }
+    }, trx);
+    
     await trx.commit();
     
     // Return the created role info
@@ -121,17 +230,15 @@ async function createRole(req, res) {
       .count('* as count')
       .first();
     
-    const permissionCount = await knex('role_permissions')
-      .where('role', roleId)
-      .count('* as count')
-      .first();
-    
     res.status(201).json({
       id: roleId,
       name,
       description,
+      parent_role: parent ? parent.name : null,
+      requires_two_factor: Boolean(requiresTwoFactor),
       user_count: parseInt(userCount.count),
-      permission_count: parseInt(permissionCount.count)
+      permission_count: permissions.length,
+      denied_count: deniedPermissions.length
     });
   } catch (error) {
     await trx.rollback();
@@ -144,16 +251,102 @@ async function createRole(req, res) {
 }
 
 /**
- * PUT /api/roles/:roleId/permissions - Update role permissions
+ * PUT /api/roles/:roleName - Update a role's description, parent role and two-factor requirement
+ * Body: { description?, parent_role?, requires_two_factor? } - parent_role null removes the parent; omitted fields are left unchanged
+ */
+async function updateRole(req, res) {
+  const { roleName } = req.params;
+  const updates = {};
+  
+  const trx = await knex.transaction();
+  
+  try {
+    const role = await trx('roles').where('name', roleName).first();
+    
+    if (!role) {
+      await trx.rollback();
+      return res.status(404).json({ error: 'Role not found' });
+    }
+    
+    if (req.body.description !== undefined) {
+      updates.description = req.body.description || null;
+    }
+    
+    if (req.body.requires_two_factor !== undefined) {
+      updates.requires_two_factor = Boolean(req.body.requires_two_factor);
+    }
+    
+    if (req.body.parent_role !== undefined) {
+      const parent = req.body.parent_role ? await findParentRole(trx, req.body.parent_role) : null;
+      if (req.body.parent_role && !parent) {
+        await trx.rollback();
+        return res.status(400).json({ error: 'Parent role not found' });
+      }
+      if (parent && await createsCycle(trx, role.id, parent.id)) {
+        await trx.rollback();
+        return res.status(400).json({ error: CYCLE_ERROR });
+      }
+      updates.parent_role = parent ? parent.id : null;
+    }
+    
+    const selectRole = () => trx('roles as r')
+      .leftJoin('roles as parent', 'r.parent_role', 'parent.id')
+      .where('r.id', role.id)
+      .select('r.id', 'r.name', 'r.description', 'r.requires_two_factor', 'parent.name as parent_role')
+      .first();
+    const before = await selectRole();
+    
+    if (Object.keys(updates).length > 0) {
+      await trx('roles').where('id', role.id).update(updates);
+    }
+    
+    const updatedRole = await selectRole();
+    
+    await recordAuditEvent(req, {
+      action: 'role.update',
+      entityType: 'role',
+      entityId: role.id,
+      entityLabel: role.name,
+      before: {
+        description: before.description,
+        parent_role: before.parent_role,
+        requires_two_factor: Boolean(before.requires_two_factor)
+      },
+      after: {
+        description: updatedRole.description,
+        parent_role: updatedRole.parent_role,
+        requires_two_factor: Boolean(updatedRole.requires_two_factor)
+      }
+    }, trx);
+    
+    await trx.commit();
+    
+    console.log(`[API] Role ${roleName} updated`);
+    res.json({ ...updatedRole, requires_two_factor: Boolean(updatedRole.requires_two_factor) });
+  } catch (error) {
+    await trx.rollback();
+    console.error('Error updating role:', error);
+    res.status(500).json({ error: 'Failed to update role' });
+  }
+}
+
+/**
+ * PUT /api/roles/:roleName/permissions - Update the permissions granted directly to a role
+ * Body: { permissions, denied_permissions? } - without denied_permissions the role's existing denies are kept,
+ * except for permissions now listed as allowed
  */
 async function updateRolePermissions(req, res) {
   const { roleName } = req.params;
-  const { permissions } = req.body;
+  const { permissions, denied_permissions: deniedPermissions } = req.body;
   
   if (!Array.isArray(permissions)) {
     return res.status(400).json({ error: 'permissions must be an array' });
   }
   
+  if (deniedPermissions !== undefined && !Array.isArray(deniedPermissions)) {
+    return res.status(400).json({ error: 'denied_permissions must be an array' });
+  }
+  
   const trx = await knex.transaction();
   
   try {
@@ -167,37 +360,42 @@ async function updateRolePermissions(req, res) {
     
     const roleId = role.id;
     
-    // Remove existing permissions for this role
-    await trx('role_permissions').where('role', roleId).del();
+    let denied = deniedPermissions;
+    if (denied === undefined) {
+      const existingDenies = await trx('role_permissions as rp')
+        .join('permissions as p', 'rp.permission', 'p.id')
+        .where({ 'rp.role': roleId, 'rp.effect': 'deny' })
+        .pluck('p.permission');
+      denied = existingDenies.filter(permission => !permissions.includes(permission));
+    }
     
-    // Add new permissions
-    if (permissions.length > 0) {
-      // Get permission IDs
-      const permissionRecords = await trx('permissions')
-        .whereIn('permission', permissions)
-        .select('id', 'permission');
-      
-      if (permissionRecords.length !== permissions.length) {
-        await trx.rollback();
-        return res.status(400).json({ error: 'One or more invalid permissions provided' });
-      }
-      
-      const rolePermissions = permissionRecords.map(perm => ({
-        role: roleId,
-        permission: perm.id
-      }));
-      
+    const rolePermissions = await toRolePermissionRows(trx, roleId, permissions, denied);
+    if (!rolePermissions) {
+      await trx.rollback();
+      return res.status(400).json({ error: 'One or more invalid permissions provided' });
+    }
+    
+    const before = await getDirectRolePermissions(trx, roleId);
+    
+    // Replace existing permissions for this role
+    await trx('role_permissions').where('role', roleId).del();
+    if (rolePermissions.length > 0) {
       await trx('role_permissions').insert(rolePermissions);
     }
     
+    await recordAuditEvent(req, {
+      action: 'role.permissions_update',
+      entityType: 'role',
+      entityId: roleId,
+      entityLabel: role.name,
+      before,
+      after: await getDirectRolePermissions(trx, roleId)
+    }, trx);
+    
     await trx.commit();
     
-    // Return updated permissions
-    const updatedPermissions = await knex('role_permissions as rp')
-      .join('permissions as p', 'rp.permission', 'p.id')
-      .where('rp.role', roleId)
-      .select('p.id', 'p.permission', 'p.description')
-      .orderBy('p.permission');
+    // Return updated permissions, inherited ones included
+    const updatedPermissions = await getRolePermissionsWithInheritance(roleId);
     
     console.log('Updated permissions result:', updatedPermissions);
     res.json(updatedPermissions);
@@ -209,14 +407,35 @@ async function updateRolePermissions(req, res) {
 }
 
 /**
- * DELETE /api/roles/:roleId - Delete a role (remove all assignments)
+ * DELETE /api/roles/:roleName - Delete a role (remove all assignments)
+ * Roles inheriting from it move up to its parent, so they keep the rest of their inherited permissions
  */
 async function deleteRole(req, res) {
-  const { roleId } = req.params;
+  const { roleName } = req.params;
   
   const trx = await knex.transaction();
   
   try {
+    const role = await trx('roles').where('name', roleName).first();
+    
+    if (!role) {
+      await trx.rollback();
+      return res.status(404).json({ error: 'Role not found' });
+    }
+    
+    const roleId = role.id;
+    const parent = role.parent_role ? await trx('roles').select('name').where('id', role.parent_role).first() : null;
+    const before = {
+      description: role.description,
+      parent_role: parent ? parent.name : null,
+      ...await getDirectRolePermissions(trx, roleId)
+    };
+    
+    // Attach child roles to the deleted role's parent
+    await trx('roles')
+      .where('parent_role', roleId)
+      .update({ parent_role: role.parent_role });
+    
     // Remove all user assignments for this role
     const userRolesDeletions = await trx('user_roles')
       .where('role', roleId)
@@ -228,15 +447,19 @@ async function deleteRole(req, res) {
       .del();
     
     // Delete the role itself
-    const roleDeletion = await trx('roles')
+    await trx('roles')
       .where('id', roleId)
       .del();
     
-    await trx.commit();
+    await recordAuditEvent(req, {
+      action: 'role.delete',
+      entityType: 'role',
+      entityId: roleId,
+      entityLabel: role.name,
+      before
+    }, trx);
     
-    if (roleDeletion === 0) {
-      return res.status(404).json({ error: 'Role not found' });
-    }
+    await trx.commit();
     
     res.json({ 
       message: `Role deleted successfully`,
@@ -270,6 +493,7 @@ module.exports = {
   getAllRoles,
   getRolePermissions,
   createRole,
+  updateRole,
   updateRolePermissions,
   deleteRole,
   getAllPermissions
@@ -0,0 +1,164 @@
+// controllers/twoFactorController.js
+// Two-factor authentication controller - lets signed-in users manage TOTP and recovery codes for their own account
+
+const knex = require('../config/knex');
+const {
+  getTwoFactorStatus,
+  startEnrollment,
+  completeEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+} = require('../services/twoFactorService');
+const { getAccountBlock, reserveLoginAttempt, releaseLoginAttempt, recordFailedLogin } = require('../services/loginProtectionService');
+
+/**
+ * Check a code from the authenticator app before a change to the current user's second factor
+ * Wrong codes count towards the account lockout like at login, so a stolen session cannot guess it
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} user - Row from the users table
+ * @param {string} code - Code the user entered
+ * @returns {Promise<boolean>} - True if confirmed; otherwise the error response has been sent
+ */
+async function confirmCode(req, res, user, code) {
+  const block = getAccountBlock(user) || await reserveLoginAttempt(user);
+  if (block) {
+    res.set('Retry-After', String(block.retry_after));
+    res.status(429).json({ error: 'Too many failed verification attempts', ...block });
+    return false;
+  }
+
+  if (!await verifySecondFactor(user, { code })) {
+    await recordFailedLogin(user, req.ip || null);
+    res.status(400).json({ error: 'Invalid verification code' });
+    return false;
+  }
+
+  await releaseLoginAttempt(user);
+  return true;
+}
+
+/**
+ * GET /api/2fa - Two-factor authentication state of the current user
+ * Returns: { enabled, enabled_at, required, recovery_codes_remaining }
+ */
+async function getStatus(req, res) {
+  try {
+    const status = await getTwoFactorStatus(req.user.id);
+    if (!status) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json(status);
+  } catch (error) {
+    console.error('Error fetching two-factor status:', error);
+    res.status(500).json({ error: 'Failed to fetch two-factor status' });
+  }
+}
+
+/**
+ * POST /api/2fa/setup - Start setting up two-factor authentication
+ * Returns: { secret, otpauth_url, qr_code } - scan qr_code with an authenticator app, then confirm at /api/2fa/enable
+ */
+async function setup(req, res) {
+  try {
+    const status = await getTwoFactorStatus(req.user.id);
+    if (status.enabled) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    res.json(await startEnrollment(req.user));
+  } catch (error) {
+    console.error('Error starting two-factor setup:', error);
+    res.status(500).json({ error: 'Failed to start two-factor setup' });
+  }
+}
+
+/**
+ * POST /api/2fa/enable - Confirm the setup with a code from the authenticator app
+ * Body: { code }
+ * Returns: { message, recovery_codes } - the recovery codes are shown this once only
+ */
+async function enable(req, res) {
+  const { code } = req.body;
+  if (!code) {
+    return res.status(400).json({ error: 'Verification code is required' });
+  }
+
+  try {
+    const recoveryCodes = await completeEnrollment(req.user.id, code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ error: 'Invalid verification code' });
+    }
+
+    console.log(`[API] Two-factor authentication enabled for ${req.user.username}`);
+    res.json({ message: 'Two-factor authentication enabled', recovery_codes: recoveryCodes });
+  } catch (error) {
+    console.error('Error enabling two-factor authentication:', error);
+    res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+  }
+}
+
+/**
+ * POST /api/2fa/recovery-codes - Replace the current user's recovery codes
+ * Body: { code } - a current code from the authenticator app
+ * Returns: { recovery_codes }
+ */
+async function regenerateCodes(req, res) {
+  const { code } = req.body;
+  if (!code) {
+    return res.status(400).json({ error: 'Verification code is required' });
+  }
+
+  try {
+    const user = await knex('users').where('id', req.user.id).first();
+    if (!(await confirmCode(req, res, user, code))) {
+      return;
+    }
+
+    res.json({ recovery_codes: await regenerateRecoveryCodes(user.id) });
+  } catch (error) {
+    console.error('Error regenerating recovery codes:', error);
+    res.status(500).json({ error: 'Failed to regenerate recovery codes' });
+  }
+}
+
+/**
+ * POST /api/2fa/disable - Turn off two-factor authentication for the current user
+ * Body: { code } - a current code from the authenticator app
+ * Not allowed while one of the user's roles requires two-factor authentication
+ */
+async function disable(req, res) {
+  const { code } = req.body;
+  if (!code) {
+    return res.status(400).json({ error: 'Verification code is required' });
+  }
+
+  try {
+    const status = await getTwoFactorStatus(req.user.id);
+    if (status.required) {
+      return res.status(403).json({ error: 'Two-factor authentication is required by your role' });
+    }
+
+    const user = await knex('users').where('id', req.user.id).first();
+    if (!(await confirmCode(req, res, user, code))) {
+      return;
+    }
+
+    await disableTwoFactor(user.id);
+
+    console.log(`[API] Two-factor authentication disabled for ${req.user.username}`);
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Error disabling two-factor authentication:', error);
+    res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+  }
+}
+
+module.exports = {
+  getStatus,
+  setup,
+  enable,
+  regenerateCodes,
+  disable
+};
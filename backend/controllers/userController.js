@@ -2,7 +2,13 @@
 // User management controller - CRUD operations for users
 
 const knex = require('../config/knex');
-const { hashPassword, getUserRoles } = require('../services/authService');
+const { hashPassword, getUserRoles, getUserRoleAssignments, getTargetCompanyId } = require('../services/authService');
+const { getPermissionOverrides } = require('../services/userService');
+const { recordAuditEvent } = require('../services/auditService');
+const { revokeUserSessions } = require('../services/sessionService');
+const { resetFailedLogins } = require('../services/loginProtectionService');
+const { disableTwoFactor } = require('../services/twoFactorService');
+const { PERMISSIONS } = require('../config/permissionRegistry');
 
 /**
  * GET /api/users - Retrieve users with their roles and optional role filtering
@@ -14,19 +20,25 @@ async function getAllUsers(req, res) {
     // Get all users with their company information
     let userQuery = knex('users as u')
       .leftJoin('companies as c', 'u.company_id', 'c.id')
-      .select('u.id', 'u.username', 'u.user_type', 'u.company_id', 'c.name as company_name')
+      .select('u.id', 'u.username', 'u.email', 'u.user_type', 'u.company_id', 'c.name as company_name',
+        'u.last_login_at', 'u.failed_attempts', 'u.last_failed_login_at', 'u.locked_until',
+        'u.totp_enabled_at as two_factor_enabled_at')
       .orderBy('u.id', 'desc');
     
     const users = await userQuery;
     
-    // Get roles for each user
+    // Get roles for each user; role_assignments also lists the company each role is limited to
+    // temporary_permissions lists per-user overrides that have not expired yet
     const usersWithRoles = await Promise.all(users.map(async (user) => {
       const roles = await getUserRoles(user.id);
       const roleNames = roles.map(r => r.name);
+      const overrides = await getPermissionOverrides(user.id);
       
       return {
         ...user,
-        roles: roleNames
+        roles: roleNames,
+        role_assignments: await getUserRoleAssignments(user.id),
+        temporary_permissions: overrides.filter(override => override.expires_at)
       };
     }));
     
@@ -45,11 +57,11 @@ async function getAllUsers(req, res) {
 
 /**
  * POST /api/users - Create a new user with role assignment
- * Body: { username, password, user_type, roles: [string], company_id? }
+ * Body: { username, password, user_type, roles: [string], company_id?, email? }
  * Note: Passwords are securely hashed using bcrypt before storage
  */
 async function createUser(req, res) {
-  const { username, password, user_type, roles, company_id } = req.body;
+  const { username, password, user_type, roles, company_id, email } = req.body;
   if (!username || !password || !user_type || !roles || !Array.isArray(roles) || roles.length === 0) {
     return res.status(400).json({ error: 'Username, password, user_type, and at least one role are required' });
   }
@@ -70,7 +82,8 @@ async function createUser(req, res) {
       username,
       password: hashedPassword,
       user_type,
-      company_id: company_id || null
+      company_id: company_id || null,
+      email: email || null
     });
     
     // Get role IDs for the provided role names
@@ -94,19 +107,27 @@ async function createUser(req, res) {
     // Retrieve the created user with company information
     const user = await trx('users as u')
       .leftJoin('companies as c', 'u.company_id', 'c.id')
-      .select('u.id', 'u.username', 'u.user_type', 'u.company_id', 'c.name as company_name')
+      .select('u.id', 'u.username', 'u.email', 'u.user_type', 'u.company_id', 'c.name as company_name')
       .where('u.id', insertId)
       .first();
     
     // Add roles to the response
     user.roles = roles;
     
+    await recordAuditEvent(req, {
+      action: 'user.create',
+      entityType: 'user',
+      entityId: insertId,
+      entityLabel: username,
+      after: { username, email: user.email, user_type, company_id: user.company_id, roles }
+    }, trx);
+    
     await trx.commit();
     res.status(201).json(user);
   } catch (error) {
     await trx.rollback();
     if (error.code === 'ER_DUP_ENTRY') {
-      return res.status(409).json({ error: 'Username already exists' });
+      return res.status(409).json({ error: 'Username or email already exists' });
     }
     console.error('Error creating user:', error);
     res.status(500).json({ error: 'Failed to create user' });
@@ -116,7 +137,8 @@ async function createUser(req, res) {
 /**
  * PUT /api/users/:id - Update user information, company assignment, and roles
  * Params: id (user ID)
- * Body: { username, user_type, roles: [string], company_id? }
+ * Body: { username, user_type, roles: [string], company_id?, email? } - company_id and email are left unchanged when omitted
+ * Users cannot change their own email here; that goes through PUT /api/me/email, which asks for the password
  */
 
 async function updateUser(req, res) {
@@ -134,28 +156,53 @@ async function updateUser(req, res) {
   }
 
 
+  const isSelf = parseInt(id) === currentUserId;
+  const target = await knex('users').select('company_id', 'user_type', 'email').where('id', id).first();
+  const newCompanyId = typeof company_id === 'undefined' ? target?.company_id : Number(company_id) || null;
+
   // Only allow user to update their own profile, unless they have edit_user permission
-  if (parseInt(id) !== currentUserId) {
+  // A user's own company and type decide which tenant's campaigns they reach, so changing those needs edit_user too
+  // A role scoped to a company must cover both the user's current company and the one they are moved to
+  // The email address receives password reset links; users change their own at PUT /api/me/email with their password
+  if (isSelf && target && typeof req.body.email !== 'undefined' && (req.body.email || null) !== target.email) {
+    return res.status(400).json({ error: 'Change your own email address from your profile' });
+  }
+
+  const changesTenant = Boolean(target) && (newCompanyId !== target.company_id || user_type !== target.user_type);
+  if (!isSelf || changesTenant) {
     let hasPermission = false;
     if (req.userInstance && typeof req.userInstance.can === 'function') {
-      hasPermission = await req.userInstance.can('edit_user');
+      hasPermission = await req.userInstance.can(PERMISSIONS.EDIT_USER, { companyId: await getTargetCompanyId(id, PERMISSIONS.EDIT_USER) })
+        && await req.userInstance.can(PERMISSIONS.EDIT_USER, { companyId: newCompanyId });
     }
     if (!hasPermission) {
-      return res.status(403).json({ error: 'You do not have permission to update other users.' });
+      return res.status(403).json({
+        error: isSelf
+          ? 'You do not have permission to change your own company or user type.'
+          : 'You do not have permission to update other users.'
+      });
     }
   }
 
   const trx = await knex.transaction();
 
   try {
+    const before = await trx('users').select('username', 'email', 'user_type', 'company_id').where('id', id).first();
+    
     // Update user basic information
+    const changes = {
+      username,
+      user_type
+    };
+    if (typeof company_id !== 'undefined') {
+      changes.company_id = newCompanyId;
+    }
+    if (typeof req.body.email !== 'undefined') {
+      changes.email = req.body.email || null;
+    }
     const affectedRows = await trx('users')
       .where('id', id)
-      .update({
-        username,
-        user_type,
-        company_id: company_id || null
-      });
+      .update(changes);
 
     if (affectedRows === 0) {
       await trx.rollback();
@@ -165,16 +212,25 @@ async function updateUser(req, res) {
     // Retrieve the updated user with company information
     const user = await trx('users as u')
       .leftJoin('companies as c', 'u.company_id', 'c.id')
-      .select('u.id', 'u.username', 'u.user_type', 'u.company_id', 'c.name as company_name')
+      .select('u.id', 'u.username', 'u.email', 'u.user_type', 'u.company_id', 'c.name as company_name')
       .where('u.id', id)
       .first();
 
+    await recordAuditEvent(req, {
+      action: 'user.update',
+      entityType: 'user',
+      entityId: user.id,
+      entityLabel: user.username,
+      before,
+      after: { username: user.username, email: user.email, user_type: user.user_type, company_id: user.company_id }
+    }, trx);
+
     await trx.commit();
     res.json(user);
   } catch (error) {
     await trx.rollback();
     if (error.code === 'ER_DUP_ENTRY') {
-      return res.status(409).json({ error: 'Username already exists' });
+      return res.status(409).json({ error: 'Username or email already exists' });
     }
     console.error('Error updating user:', error);
     res.status(500).json({ error: 'Failed to update user' });
@@ -196,16 +252,27 @@ async function updateUserPassword(req, res) {
   }
   
   try {
+    const user = await knex('users').select('id', 'username', 'password').where('id', id).first();
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
     // Hash the new password before storing it
     const hashedPassword = await hashPassword(password);
     
-    const affectedRows = await knex('users')
+    await knex('users')
       .where('id', id)
       .update({ password: hashedPassword });
     
-    if (affectedRows === 0) {
-      return res.status(404).json({ error: 'User not found' });
-    }
+    // The hashes themselves are redacted; the event only records that the password changed
+    await recordAuditEvent(req, {
+      action: 'user.password_change',
+      entityType: 'user',
+      entityId: user.id,
+      entityLabel: user.username,
+      before: { password: user.password },
+      after: { password: hashedPassword }
+    });
     
     res.json({ message: 'Password updated successfully' });
   } catch (error) {
@@ -214,6 +281,113 @@ async function updateUserPassword(req, res) {
   }
 }
 
+/**
+ * DELETE /api/users/:id/sessions - Sign a user out everywhere
+ * Params: id (user ID)
+ * Revokes all of the user's sessions; their access tokens stop working immediately
+ */
+async function signOutUser(req, res) {
+  const { id } = req.params;
+  
+  try {
+    const user = await knex('users').select('id', 'username').where('id', id).first();
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const revoked = await revokeUserSessions(user.id);
+    
+    await recordAuditEvent(req, {
+      action: 'user.sessions_revoke',
+      entityType: 'user',
+      entityId: user.id,
+      entityLabel: user.username,
+      after: { sessions_revoked: revoked }
+    });
+    
+    console.log(`[API] Signed out ${revoked} session(s) of user ${user.username}`);
+    res.json({ message: `Signed ${user.username} out of ${revoked} session(s)`, sessions_revoked: revoked });
+  } catch (error) {
+    console.error('Error signing out user:', error);
+    res.status(500).json({ error: 'Failed to sign out user' });
+  }
+}
+
+/**
+ * POST /api/users/:id/unlock - Unlock an account locked by brute-force protection
+ * Params: id (user ID)
+ * Clears the account's failed login attempts so the user can log in again straight away
+ */
+async function unlockUser(req, res) {
+  const { id } = req.params;
+  
+  try {
+    const before = await knex('users').select('id', 'username', 'failed_attempts', 'locked_until').where('id', id).first();
+    if (!before) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    await resetFailedLogins(before.id);
+    
+    await recordAuditEvent(req, {
+      action: 'user.unlock',
+      entityType: 'user',
+      entityId: before.id,
+      entityLabel: before.username,
+      before: { failed_attempts: before.failed_attempts, locked_until: before.locked_until },
+      after: { failed_attempts: 0, locked_until: null }
+    });
+    
+    console.log(`[API] Unlocked user ${before.username}`);
+    res.json({ message: `${before.username} unlocked successfully` });
+  } catch (error) {
+    console.error('Error unlocking user:', error);
+    res.status(500).json({ error: 'Failed to unlock user' });
+  }
+}
+
+/**
+ * DELETE /api/users/:id/2fa - Reset a user's two-factor authentication, e.g. after they lost their device
+ * Params: id (user ID)
+ * Deletes the TOTP secret and recovery codes and signs the user out everywhere;
+ * if a role requires 2FA the user sets it up again at next login
+ */
+async function resetUserTwoFactor(req, res) {
+  const { id } = req.params;
+  
+  const trx = await knex.transaction();
+  
+  try {
+    const user = await trx('users').select('id', 'username', 'totp_enabled_at').where('id', id).first();
+    if (!user) {
+      await trx.rollback();
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    await disableTwoFactor(user.id, trx);
+    
+    // Whoever holds a session may be the one who took the device
+    const revoked = await revokeUserSessions(user.id, null, trx);
+    
+    await recordAuditEvent(req, {
+      action: 'user.two_factor_reset',
+      entityType: 'user',
+      entityId: user.id,
+      entityLabel: user.username,
+      before: { two_factor_enabled: Boolean(user.totp_enabled_at) },
+      after: { two_factor_enabled: false }
+    }, trx);
+    
+    await trx.commit();
+    console.log(`[API] Reset two-factor authentication of user ${user.username}; signed out ${revoked} session(s)`);
+    res.json({ message: `Two-factor authentication reset for ${user.username}`, sessions_revoked: revoked });
+  } catch (error) {
+    await trx.rollback();
+    console.error('Error resetting two-factor authentication:', error);
+    res.status(500).json({ error: 'Failed to reset two-factor authentication' });
+  }
+}
+
 /**
  * DELETE /api/users/:id - Delete a user and their role assignments
  * Params: id (user ID)
@@ -230,6 +404,13 @@ async function deleteUser(req, res) {
   const trx = await knex.transaction();
   
   try {
+    const before = await trx('users').select('id', 'username', 'user_type', 'company_id').where('id', id).first();
+    const roles = await trx('user_roles as ur')
+      .join('roles as r', 'ur.role', 'r.id')
+      .where('ur.user', id)
+      .distinct()
+      .pluck('r.name');
+    
     // Delete user role assignments first (due to foreign key constraints)
     await trx('user_roles').where('user', id).del();
     
@@ -243,6 +424,14 @@ async function deleteUser(req, res) {
       return res.status(404).json({ error: 'User not found' });
     }
     
+    await recordAuditEvent(req, {
+      action: 'user.delete',
+      entityType: 'user',
+      entityId: before.id,
+      entityLabel: before.username,
+      before: { username: before.username, user_type: before.user_type, company_id: before.company_id, roles }
+    }, trx);
+    
     await trx.commit();
     res.json({ message: 'User deleted successfully' });
   } catch (error) {
@@ -257,5 +446,8 @@ module.exports = {
   createUser,
   updateUser,
   updateUserPassword,
+  signOutUser,
+  unlockUser,
+  resetUserTwoFactor,
   deleteUser
 };
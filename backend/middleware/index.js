@@ -5,12 +5,16 @@ const {
   authenticateToken, 
   requirePermission, 
   requireRole, 
-  requireAnyPermission 
+  requireAnyPermission,
+  requireCampaignAccess,
+  companyContext
 } = require('./unified-auth');
 
 module.exports = {
   authenticateToken,
   requirePermission,
   requireRole,
-  requireAnyPermission
+  requireAnyPermission,
+  requireCampaignAccess,
+  companyContext
 };
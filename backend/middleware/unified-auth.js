@@ -1,10 +1,18 @@
 // Unified authentication and authorization middleware
 const jwt = require('jsonwebtoken');
+const knex = require('../config/knex');
 const { getUserById } = require('../services/userService');
+const { isSessionActive } = require('../services/sessionService');
+const { getTargetCompanyId } = require('../services/authService');
+const { assertDeclaredPermissions } = require('../config/permissionRegistry');
+
+// Kinds of user the campaign access rules distinguish; anyone without the client or contractor role is an employee
+const CAMPAIGN_USER_KINDS = ['employee', 'client', 'contractor'];
 
 /**
  * Single authentication middleware that handles everything
  * Attaches both basic user data and enhanced User instance
+ * Expired tokens and tokens of revoked sessions get a 401, so clients know to refresh or log in again
  */
 const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -14,9 +22,22 @@ const authenticateToken = async (req, res, next) => {
     return res.status(401).json({ error: 'No token provided' });
   }
 
+  let decoded;
   try {
     // Verify JWT token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    if (err.name === 'TokenExpiredError') {
+      return res.status(401).json({ error: 'Token expired' });
+    }
+    return res.status(403).json({ error: 'Invalid token' });
+  }
+
+  try {
+    // Tokens belong to a session; a revoked session takes its tokens with it
+    if (!decoded.sid || !(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({ error: 'Session has been revoked' });
+    }
     
     // Get enhanced User instance
     const userInstance = await getUserById(decoded.id);
@@ -34,18 +55,61 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+/**
+ * Resolvers for the company a request acts on, for requirePermission's companyId option
+ * Company-scoped role assignments only count when the request's company matches
+ */
+const companyContext = {
+  // Company ID taken straight from a route parameter, e.g. /api/companies/:id
+  fromParam: (param = 'id') => req => req.params[param],
+  // Company of the campaign resolved by requireCampaignAccess
+  ofCampaign: () => req => req.campaign?.company_id,
+  // Company of the user in a route parameter, e.g. /api/users/:id
+  // None when that user holds the checked permission globally, so company-scoped roles cannot act on them
+  ofUser: (param = 'id') => async (req, permission) => {
+    if (permission) {
+      return getTargetCompanyId(req.params[param], permission);
+    }
+    const user = await knex('users').select('company_id').where('id', req.params[param]).first();
+    return user?.company_id;
+  }
+};
+
+/**
+ * Resolve the resource context of a request for a permission check
+ * @param {Object} req - Express request
+ * @param {Object} options - { companyId?: (req, permission) => company ID }
+ * @param {string} [permission] - Permission being checked, when there is a single one
+ * @returns {Promise<Object>} - { companyId? }
+ */
+async function getPermissionContext(req, options, permission) {
+  if (!options.companyId) {
+    return {};
+  }
+  const companyId = await options.companyId(req, permission);
+  return companyId ? { companyId: Number(companyId) } : {};
+}
+
 /**
  * Simple permission check - works with the User instance
+ * The decision behind a refusal is logged, not returned; users see their own at GET /api/rbac/me
+ * Throws while the route is being defined if the permission is not declared in the permission registry
+ * @param {string} permission - Permission name
+ * @param {Object} options - { companyId?: (req) => company ID } - lets company-scoped roles grant the permission
  */
-const requirePermission = (permission) => {
+const requirePermission = (permission, options = {}) => {
+  assertDeclaredPermissions([permission]);
+
   return async (req, res, next) => {
     try {
       if (!req.userInstance) {
         return res.status(401).json({ error: 'Authentication required' });
       }
 
-      const hasPermission = await req.userInstance.can(permission);
-      if (!hasPermission) {
+      const context = await getPermissionContext(req, options, permission);
+      const decision = await req.userInstance.explain(permission, context);
+      if (!decision.allowed) {
+        console.warn(`[Auth] Permission ${permission} denied to ${req.user.username}:`, JSON.stringify(decision));
         return res.status(403).json({ 
           error: `Permission denied: ${permission}` 
         });
@@ -86,16 +150,23 @@ const requireRole = (role) => {
 
 /**
  * Check for any of multiple permissions
+ * @param {Array<string>} permissions - Permission names
+ * @param {Object} options - { companyId?: (req) => company ID }, as for requirePermission
  */
-const requireAnyPermission = (permissions) => {
+const requireAnyPermission = (permissions, options = {}) => {
+  assertDeclaredPermissions(permissions);
+
   return async (req, res, next) => {
     try {
       if (!req.userInstance) {
         return res.status(401).json({ error: 'Authentication required' });
       }
 
-      const hasAny = await req.userInstance.canAny(permissions);
+      const context = await getPermissionContext(req, options);
+      const decisions = [];
+      const hasAny = await req.userInstance.canAny(permissions, context, decisions);
       if (!hasAny) {
+        console.warn(`[Auth] Permissions ${permissions.join(', ')} denied to ${req.user.username}:`, JSON.stringify(decisions));
         return res.status(403).json({ 
           error: `One of these permissions required: ${permissions.join(', ')}` 
         });
@@ -109,9 +180,80 @@ const requireAnyPermission = (permissions) => {
   };
 };
 
+/**
+ * Resolve the campaign a request targets and check the user may reach it
+ * - Tenant: client users only reach campaigns of their own company
+ * - Assignment: contractors only reach campaigns assigned to them
+ * - Role: only the kinds of user listed in options.roles may use the route
+ * Campaigns outside the user's scope answer 404 so IDs cannot be probed
+ * Attaches req.campaign ({ id, name, company_id, status }) and
+ * req.campaignAccess ({ kind, isCompanyMember, isAssignedContractor })
+ * @param {Object} options
+ * @param {Array<string>} options.roles - Kinds of user allowed: 'employee', 'client', 'contractor' (default: all)
+ * @param {Function} options.getCampaignId - async (req) => campaign ID (default: req.params.id)
+ * @param {string} options.notFoundError - Error message when the campaign is missing or out of scope
+ */
+const requireCampaignAccess = (options = {}) => {
+  const {
+    roles = CAMPAIGN_USER_KINDS,
+    getCampaignId = req => req.params.id,
+    notFoundError = 'Campaign not found'
+  } = options;
+
+  return async (req, res, next) => {
+    try {
+      if (!req.userInstance) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+
+      const roleNames = await req.userInstance.getRoleNames();
+      const isClient = roleNames.includes('client');
+      const isContractor = roleNames.includes('contractor');
+      const kind = isClient ? 'client' : isContractor ? 'contractor' : 'employee';
+
+      if (!roles.includes(kind)) {
+        return res.status(403).json({ error: `Not available to ${kind} users` });
+      }
+
+      const campaignId = await getCampaignId(req);
+      const campaign = campaignId
+        ? await knex('campaigns').select('id', 'name', 'company_id', 'status').where('id', campaignId).first()
+        : null;
+      if (!campaign) {
+        return res.status(404).json({ error: notFoundError });
+      }
+
+      const isCompanyMember = !!req.userInstance.company_id && req.userInstance.company_id === campaign.company_id;
+      if (isClient && !isCompanyMember) {
+        return res.status(404).json({ error: notFoundError });
+      }
+
+      let isAssignedContractor = false;
+      if (isContractor) {
+        const assignment = await knex('campaign_assignments')
+          .where({ campaign_id: campaign.id, contractor_id: req.userInstance.id })
+          .first();
+        isAssignedContractor = !!assignment;
+        if (!isAssignedContractor) {
+          return res.status(404).json({ error: notFoundError });
+        }
+      }
+
+      req.campaign = campaign;
+      req.campaignAccess = { kind, isCompanyMember, isAssignedContractor };
+      next();
+    } catch (error) {
+      console.error('Campaign access check error:', error);
+      res.status(500).json({ error: 'Campaign access check failed' });
+    }
+  };
+};
+
 module.exports = {
   authenticateToken,
   requirePermission,
   requireRole,
-  requireAnyPermission
+  requireAnyPermission,
+  requireCampaignAccess,
+  companyContext
 };
@@ -4,10 +4,20 @@
  */
 exports.up = async function(knex) {
   // Drop all existing tables in reverse dependency order
+  await knex.schema.dropTableIfExists('audit_events');
+  await knex.schema.dropTableIfExists('password_reset_tokens');
+  await knex.schema.dropTableIfExists('recovery_codes');
+  await knex.schema.dropTableIfExists('login_attempts');
+  await knex.schema.dropTableIfExists('sessions');
+  await knex.schema.dropTableIfExists('campaign_images');
+  await knex.schema.dropTableIfExists('campaign_status_history');
+  await knex.schema.dropTableIfExists('campaign_locations');
   await knex.schema.dropTableIfExists('campaign_assignments');
+  await knex.schema.dropTableIfExists('user_permissions');
   await knex.schema.dropTableIfExists('role_permissions');
   await knex.schema.dropTableIfExists('user_roles');
   await knex.schema.dropTableIfExists('campaigns');
+  await knex.schema.dropTableIfExists('locations');
   await knex.schema.dropTableIfExists('users');
   await knex.schema.dropTableIfExists('companies');
   await knex.schema.dropTableIfExists('permissions');
@@ -18,6 +28,12 @@ exports.up = async function(knex) {
     table.increments('id').unsigned().primary();
     table.string('name', 100).notNullable().unique();
     table.string('description', 500).nullable();
+    // Parent role whose permissions this role inherits
+    table.integer('parent_role').unsigned().nullable();
+    // Users holding the role must set up two-factor authentication before they can log in
+    table.boolean('requires_two_factor').notNullable().defaultTo(false);
+
+    table.foreign('parent_role').references('id').inTable('roles').onDelete('SET NULL');
   });
 
   // Create permissions table
@@ -38,8 +54,16 @@ exports.up = async function(knex) {
     table.increments('id').unsigned().primary();
     table.string('username', 255).notNullable().unique();
     table.string('password', 255).notNullable();
+    table.string('email', 255).nullable().unique();                          // Where password reset links are sent
     table.integer('company_id').unsigned().nullable();
     table.enu('user_type', ['employee', 'client', 'contractor']).notNullable().defaultTo('employee');
+    table.timestamp('last_login_at').nullable();
+    table.integer('failed_attempts').unsigned().notNullable().defaultTo(0);  // Consecutive failed passwords, reset on login
+    table.timestamp('last_failed_login_at').nullable();
+    table.timestamp('locked_until').nullable();                              // Set by brute-force protection, see config/loginSecurity.js
+    table.string('totp_secret', 64).nullable();                              // Base32 TOTP secret; pending until totp_enabled_at is set
+    table.timestamp('totp_enabled_at').nullable();
+    table.bigInteger('totp_last_used_step').unsigned().nullable();           // Last accepted TOTP time step, so a code works only once
     
     // Foreign key constraints
     table.foreign('company_id').references('id').inTable('companies').onDelete('SET NULL');
@@ -52,9 +76,10 @@ exports.up = async function(knex) {
     table.string('name', 255).notNullable();
     table.text('description').nullable();
     table.integer('company_id').unsigned().nullable();
-    table.enu('status', ['pending', 'approved', 'in_progress', 'completed', 'cancelled']).nullable().defaultTo('pending');
+    table.enu('status', ['pending', 'approved', 'rejected', 'in_progress', 'completed', 'cancelled']).nullable().defaultTo('pending');
     table.date('start_date').nullable();
     table.date('end_date').nullable();
+    table.integer('required_images').unsigned().notNullable().defaultTo(1);   // Approved proof images needed to complete
     table.integer('created_by').unsigned().nullable();
     
     // Foreign key constraints
@@ -65,22 +90,29 @@ exports.up = async function(knex) {
   });
 
   // Create user_roles table
+  // company_id scopes an assignment to one company; NULL grants the role everywhere
   await knex.schema.createTable('user_roles', (table) => {
+    table.increments('id').unsigned().primary();
     table.integer('user').unsigned().notNullable();
     table.integer('role').unsigned().notNullable();
+    table.integer('company_id').unsigned().nullable();
     
     // Foreign key constraints
     table.foreign('user').references('id').inTable('users').onDelete('CASCADE');
     table.foreign('role').references('id').inTable('roles').onDelete('CASCADE');
+    table.foreign('company_id').references('id').inTable('companies').onDelete('CASCADE');
     
-    // Composite primary key prevents duplicates
-    table.primary(['user', 'role']);
+    // Prevents duplicate scoped assignments; duplicate global ones are checked in userService.assignRole
+    table.unique(['user', 'role', 'company_id']);
+    table.index('user');
   });
 
   // Create role_permissions table
   await knex.schema.createTable('role_permissions', (table) => {
     table.integer('role').unsigned().notNullable();
     table.integer('permission').unsigned().notNullable();
+    // A deny entry wins over any grant of the same permission
+    table.enu('effect', ['allow', 'deny']).notNullable().defaultTo('allow');
     
     // Foreign key constraints
     table.foreign('role').references('id').inTable('roles').onDelete('CASCADE');
@@ -90,6 +122,29 @@ exports.up = async function(knex) {
     table.primary(['role', 'permission']);
   });
 
+  // Create user_permissions table - per-user allow/deny overrides on top of the user's roles
+  await knex.schema.createTable('user_permissions', (table) => {
+    table.increments('id').unsigned().primary();
+    table.integer('user').unsigned().notNullable();
+    table.integer('permission').unsigned().notNullable();
+    table.enu('effect', ['allow', 'deny']).notNullable();
+    // NULL applies everywhere; otherwise only for resources of this company
+    table.integer('company_id').unsigned().nullable();
+    // Temporary overrides stop applying at expires_at; NULL never expires
+    table.timestamp('expires_at').nullable();
+    table.integer('granted_by').unsigned().nullable();
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    
+    table.foreign('user').references('id').inTable('users').onDelete('CASCADE');
+    table.foreign('permission').references('id').inTable('permissions').onDelete('CASCADE');
+    table.foreign('company_id').references('id').inTable('companies').onDelete('CASCADE');
+    table.foreign('granted_by').references('id').inTable('users').onDelete('SET NULL');
+    
+    table.unique(['user', 'permission', 'company_id']);
+    table.index('user');
+    table.index('expires_at');
+  });
+
   // Create campaign_assignments table
   await knex.schema.createTable('campaign_assignments', (table) => {
     table.increments('id').unsigned().primary();
@@ -102,6 +157,172 @@ exports.up = async function(knex) {
     table.index('campaign_id');
     table.index('contractor_id');
   });
+
+  // Create locations table (registry of sites where posters are put up)
+  await knex.schema.createTable('locations', (table) => {
+    table.increments('id').unsigned().primary();
+    table.string('name', 255).notNullable();
+    table.string('address', 500).notNullable();
+    table.decimal('latitude', 10, 7).nullable();
+    table.decimal('longitude', 10, 7).nullable();
+    table.enu('site_type', ['billboard', 'bus_shelter', 'street_pole', 'wall', 'kiosk', 'indoor', 'other']).notNullable().defaultTo('other');
+    table.string('size_format', 100).nullable();   // e.g. A0, 6-sheet, 48-sheet
+    table.text('owner_notes').nullable();          // Site owner contact, access instructions
+    table.integer('created_by').unsigned().nullable();
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+    
+    // Foreign key constraints
+    table.foreign('created_by').references('id').inTable('users').onDelete('SET NULL');
+  });
+
+  // Create campaign_locations table (sites a campaign is posted at, with poster quantity and posting status per site)
+  await knex.schema.createTable('campaign_locations', (table) => {
+    table.increments('id').unsigned().primary();
+    table.integer('campaign_id').unsigned().notNullable();
+    table.integer('location_id').unsigned().notNullable();
+    table.integer('quantity').unsigned().notNullable().defaultTo(1);
+    table.enu('status', ['not_started', 'posted', 'failed', 'waived']).notNullable().defaultTo('not_started');
+    table.string('status_reason', 1000).nullable();   // Why posting failed or was waived
+    table.integer('status_updated_by').unsigned().nullable();
+    table.timestamp('status_updated_at').nullable();
+    
+    // Foreign key constraints - locations in use cannot be deleted
+    table.foreign('campaign_id').references('id').inTable('campaigns').onDelete('CASCADE');
+    table.foreign('location_id').references('id').inTable('locations').onDelete('RESTRICT');
+    table.foreign('status_updated_by').references('id').inTable('users').onDelete('SET NULL');
+    table.unique(['campaign_id', 'location_id']);
+    table.index('location_id');
+  });
+
+  // Create campaign_status_history table (audit trail of every status change)
+  await knex.schema.createTable('campaign_status_history', (table) => {
+    table.increments('id').unsigned().primary();
+    table.integer('campaign_id').unsigned().notNullable();
+    table.string('from_status', 20).nullable();   // NULL when the campaign was created
+    table.string('to_status', 20).notNullable();
+    table.integer('changed_by').unsigned().nullable();
+    table.string('reason', 1000).nullable();
+    table.timestamp('changed_at').notNullable().defaultTo(knex.fn.now());
+    
+    // Foreign key constraints
+    table.foreign('campaign_id').references('id').inTable('campaigns').onDelete('CASCADE');
+    table.foreign('changed_by').references('id').inTable('users').onDelete('SET NULL');
+    table.index('campaign_id');
+  });
+
+  // Create campaign_images table (metadata for uploaded proof-of-posting images)
+  await knex.schema.createTable('campaign_images', (table) => {
+    table.increments('id').unsigned().primary();
+    table.integer('campaign_id').unsigned().notNullable();
+    table.integer('campaign_location_id').unsigned().nullable();   // Site the photo proves, if any
+    table.integer('uploaded_by').unsigned().nullable();
+    table.string('original_name', 255).notNullable();
+    table.string('stored_name', 255).notNullable().unique();
+    table.string('mime_type', 100).notNullable();
+    table.integer('size_bytes').unsigned().notNullable();
+    table.string('checksum', 64).notNullable();   // SHA-256 hex digest
+    table.datetime('captured_at').nullable();        // EXIF capture time, camera local time
+    table.decimal('gps_latitude', 10, 7).nullable();  // EXIF GPS position
+    table.decimal('gps_longitude', 10, 7).nullable();
+    table.tinyint('orientation').unsigned().nullable();   // EXIF orientation tag (1-8) of the photo as taken
+    table.timestamp('uploaded_at').notNullable().defaultTo(knex.fn.now());
+    table.enu('review_status', ['pending', 'approved', 'rejected']).notNullable().defaultTo('pending');
+    table.integer('reviewed_by').unsigned().nullable();
+    table.timestamp('reviewed_at').nullable();
+    table.string('rejection_reason', 1000).nullable();
+    table.integer('replaces_image_id').unsigned().nullable();   // Image this one was uploaded to replace
+    table.timestamp('deleted_at').nullable();   // Soft delete; files are purged after the retention period
+    table.integer('deleted_by').unsigned().nullable();
+    
+    // Foreign key constraints
+    table.foreign('campaign_id').references('id').inTable('campaigns').onDelete('CASCADE');
+    table.foreign('replaces_image_id').references('id').inTable('campaign_images').onDelete('SET NULL');
+    table.foreign('deleted_by').references('id').inTable('users').onDelete('SET NULL');
+    table.foreign('campaign_location_id').references('id').inTable('campaign_locations').onDelete('SET NULL');
+    table.foreign('uploaded_by').references('id').inTable('users').onDelete('SET NULL');
+    table.foreign('reviewed_by').references('id').inTable('users').onDelete('SET NULL');
+    table.index('campaign_id');
+  });
+
+  // Create sessions table (one row per sign-in; refresh tokens are stored as SHA-256 hashes)
+  await knex.schema.createTable('sessions', (table) => {
+    table.increments('id').unsigned().primary();
+    table.integer('user').unsigned().notNullable();
+    table.string('refresh_token_hash', 64).notNullable().unique();
+    table.string('previous_token_hash', 64).nullable();   // Replaced on rotation; presenting it again revokes the session
+    table.string('ip_address', 45).nullable();
+    table.string('user_agent', 500).nullable();
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+    table.timestamp('last_used_at').nullable();
+    table.timestamp('expires_at').notNullable();
+    table.timestamp('revoked_at').nullable();
+    
+    // Foreign key constraints
+    table.foreign('user').references('id').inTable('users').onDelete('CASCADE');
+    table.index('user');
+    table.index('previous_token_hash');
+  });
+
+  // Create recovery_codes table (one-time two-factor recovery codes, stored as SHA-256 hashes)
+  await knex.schema.createTable('recovery_codes', (table) => {
+    table.increments('id').unsigned().primary();
+    table.integer('user').unsigned().notNullable();
+    table.string('code_hash', 64).notNullable();
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+    table.timestamp('used_at').nullable();
+    
+    // Foreign key constraints
+    table.foreign('user').references('id').inTable('users').onDelete('CASCADE');
+    table.index('user');
+  });
+
+  // Create password_reset_tokens table (single-use reset links, stored as SHA-256 hashes)
+  await knex.schema.createTable('password_reset_tokens', (table) => {
+    table.increments('id').unsigned().primary();
+    table.integer('user').unsigned().notNullable();
+    table.string('token_hash', 64).notNullable().unique();
+    table.string('ip_address', 45).nullable();   // Address that requested the reset
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+    table.timestamp('expires_at').notNullable();
+    table.timestamp('used_at').nullable();
+    
+    // Foreign key constraints
+    table.foreign('user').references('id').inTable('users').onDelete('CASCADE');
+    table.index('user');
+  });
+
+  // Create login_attempts table (failed logins, used to block IP addresses that guess many passwords
+  // and to throttle usernames that belong to no account)
+  await knex.schema.createTable('login_attempts', (table) => {
+    table.increments('id').unsigned().primary();
+    table.string('username', 255).notNullable();
+    table.string('ip_address', 45).nullable();
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+    
+    table.index(['ip_address', 'created_at']);
+    table.index(['username', 'created_at']);
+  });
+
+  // Create audit_events table (who changed which user, role, permission or company, and how)
+  await knex.schema.createTable('audit_events', (table) => {
+    table.increments('id').unsigned().primary();
+    table.integer('actor_id').unsigned().nullable();
+    table.string('actor_username', 255).nullable();   // Kept so events stay readable after the actor is deleted
+    table.string('action', 100).notNullable();        // e.g. user.create, role.permissions_update
+    table.string('entity_type', 50).notNullable();    // user, role, company
+    table.integer('entity_id').unsigned().nullable();
+    table.string('entity_label', 255).nullable();     // Username, role or company name at the time of the event
+    table.text('changes').nullable();                 // JSON { field: { before, after } }
+    table.string('ip_address', 45).nullable();
+    table.string('user_agent', 500).nullable();
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+    
+    // Foreign key constraints
+    table.foreign('actor_id').references('id').inTable('users').onDelete('SET NULL');
+    table.index(['entity_type', 'entity_id']);
+    table.index('actor_id');
+    table.index('created_at');
+  });
 };
 
 /**
@@ -110,10 +331,20 @@ exports.up = async function(knex) {
  */
 exports.down = async function(knex) {
   // Drop all tables in reverse dependency order
+  await knex.schema.dropTableIfExists('audit_events');
+  await knex.schema.dropTableIfExists('password_reset_tokens');
+  await knex.schema.dropTableIfExists('recovery_codes');
+  await knex.schema.dropTableIfExists('login_attempts');
+  await knex.schema.dropTableIfExists('sessions');
+  await knex.schema.dropTableIfExists('campaign_images');
+  await knex.schema.dropTableIfExists('campaign_status_history');
+  await knex.schema.dropTableIfExists('campaign_locations');
   await knex.schema.dropTableIfExists('campaign_assignments');
+  await knex.schema.dropTableIfExists('user_permissions');
   await knex.schema.dropTableIfExists('role_permissions');
   await knex.schema.dropTableIfExists('user_roles');
   await knex.schema.dropTableIfExists('campaigns');
+  await knex.schema.dropTableIfExists('locations');
   await knex.schema.dropTableIfExists('users');
   await knex.schema.dropTableIfExists('companies');
   await knex.schema.dropTableIfExists('permissions');
@@ -0,0 +1,17 @@
+// routes/audit.js
+// Audit log routes
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requirePermission } = require('../middleware');
+const { getAuditLog } = require('../controllers/auditController');
+const { PERMISSIONS } = require('../config/permissionRegistry');
+
+/**
+ * GET /api/audit - List recorded administrative actions
+ * Requires: Authentication + view_audit_log permission
+ * Query: actor, action, entity_type, entity_id, from, to, limit, offset
+ */
+router.get('/', authenticateToken, requirePermission(PERMISSIONS.VIEW_AUDIT_LOG), getAuditLog);
+
+module.exports = router;
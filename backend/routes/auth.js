@@ -4,15 +4,64 @@
 const express = require('express');
 const router = express.Router();
 const { authenticateToken, requirePermission } = require('../middleware');
-const { login, migratePasswords, checkPermission } = require('../controllers/authController');
+const {
+  login,
+  setupTwoFactorLogin,
+  verifyTwoFactorLogin,
+  refreshToken,
+  logout,
+  migratePasswords,
+  checkPermission
+} = require('../controllers/authController');
+const { forgotPassword, resetPassword } = require('../controllers/accountController');
+const { PERMISSIONS } = require('../config/permissionRegistry');
 
 /**
  * POST /api/login - User authentication
  * Uses bcrypt for secure password comparison
- * Returns JWT token on successful authentication
+ * Returns a short-lived JWT access token and a refresh token on successful authentication,
+ * or a two-factor challenge for users who must also enter a code
  */
 router.post('/login', login);
 
+/**
+ * POST /api/login/2fa/setup - Get the authenticator app secret and QR code for a required two-factor setup
+ * Body: { challenge_token: string } - from POST /api/login
+ */
+router.post('/login/2fa/setup', setupTwoFactorLogin);
+
+/**
+ * POST /api/login/2fa - Finish logging in with a TOTP code or a recovery code
+ * Body: { challenge_token: string, code?: string, recovery_code?: string }
+ * Returns the same tokens as POST /api/login
+ */
+router.post('/login/2fa', verifyTwoFactorLogin);
+
+/**
+ * POST /api/token/refresh - Exchange a refresh token for a new access token and refresh token
+ * Body: { refresh_token: string }
+ */
+router.post('/token/refresh', refreshToken);
+
+/**
+ * POST /api/logout - Revoke the current session
+ * Requires: Authentication
+ */
+router.post('/logout', authenticateToken, logout);
+
+/**
+ * POST /api/password/forgot - Email a single-use password reset link
+ * Body: { email: string }
+ * Always answers the same, whether or not the address belongs to a user
+ */
+router.post('/password/forgot', forgotPassword);
+
+/**
+ * POST /api/password/reset - Set a new password with the token from a reset link
+ * Body: { token: string, password: string }
+ */
+router.post('/password/reset', resetPassword);
+
 /**
  * POST /api/check-permission - Check if user has specific permission
  * Requires: Authentication
@@ -26,6 +75,6 @@ router.post('/check-permission', authenticateToken, checkPermission);
  * Note: This is a one-time migration utility for existing users
  * WARNING: Only run this once on production data
  */
-router.post('/migrate-passwords', authenticateToken, requirePermission('manage_roles'), migratePasswords);
+router.post('/migrate-passwords', authenticateToken, requirePermission(PERMISSIONS.MANAGE_ROLES), migratePasswords);
 
 module.exports = router;
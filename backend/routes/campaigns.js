@@ -3,7 +3,8 @@
 
 const express = require('express');
 const router = express.Router();
-const { authenticateToken, requireRole, requirePermission } = require('../middleware');
+const { authenticateToken, requireRole, requirePermission, requireCampaignAccess, companyContext } = require('../middleware');
+const { PERMISSIONS } = require('../config/permissionRegistry');
 const { 
   getAllCampaigns, 
   getCompletedCampaigns,
@@ -12,29 +13,115 @@ const {
   updateCampaignStatus,
   assignContractors,
   updateCampaignStatusByContractor,
-  getContractorCampaigns
+  getContractorCampaigns,
+  getCampaignHistory,
+  getCampaignReport,
+  approveCampaign,
+  rejectCampaign
 } = require('../controllers/campaignController');
+const {
+  getUploadLimits,
+  uploadCampaignImages,
+  replaceCampaignImage,
+  deleteCampaignImage,
+  restoreCampaignImage,
+  listCampaignImages,
+  downloadCampaignImageArchive,
+  reviewCampaignImage,
+  serveCampaignImage
+} = require('../controllers/campaignImageController');
+const {
+  getCampaignLocationList,
+  updateCampaignLocations,
+  updatePlacementStatus
+} = require('../controllers/locationController');
+const { IMAGE_MIME_TYPES, getImageByStoredName } = require('../services/campaignImageService');
+const uploadConfig = require('../config/uploads');
 const multer = require('multer');
 const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Create the upload temp directory if it doesn't exist
+if (!fs.existsSync(uploadConfig.tempDir)) {
+  fs.mkdirSync(uploadConfig.tempDir, { recursive: true });
+}
 
-// Configure multer for local disk storage
+// Configure multer to receive files in the temp directory; the controller moves them to image storage
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
-    cb(null, path.join(__dirname, '../uploads/campaign_images'));
+    cb(null, uploadConfig.tempDir);
   },
   filename: function (req, file, cb) {
-    // Save with campaignId and timestamp for uniqueness
+    // Save with campaignId, timestamp and a random suffix for uniqueness within one upload
     const campaignId = req.params.id;
-    const ext = path.extname(file.originalname);
-    cb(null, `campaign_${campaignId}_${Date.now()}${ext}`);
+    const ext = path.extname(file.originalname).toLowerCase();
+    const suffix = crypto.randomBytes(4).toString('hex');
+    cb(null, `campaign_${campaignId}_${Date.now()}_${suffix}${ext}`);
+  }
+});
+const upload = multer({
+  storage,
+  limits: {
+    fileSize: uploadConfig.maxFileSize,
+    files: uploadConfig.maxFiles
+  },
+  // Reject files whose declared type or extension is not an accepted image; content is verified after upload
+  fileFilter: function (req, file, cb) {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (!uploadConfig.allowedMimeTypes.includes(file.mimetype) || !IMAGE_MIME_TYPES[ext]) {
+      const error = new Error(`${file.originalname} is not a supported image type`);
+      error.code = 'UNSUPPORTED_FILE_TYPE';
+      return cb(error);
+    }
+    cb(null, true);
   }
 });
-const upload = multer({ storage });
+
+/**
+ * Wrap a multer middleware so its errors become HTTP responses
+ * 413 for files that are too large or too many, 415 for unsupported types
+ * @param {Function} receiveFiles - multer middleware
+ * @param {number} maxFiles - Files accepted by the middleware
+ */
+function handleUploadErrors(receiveFiles, maxFiles) {
+  return (req, res, next) => receiveFiles(req, res, (err) => {
+    if (!err) return next();
+
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      const maxMb = uploadConfig.maxFileSize / (1024 * 1024);
+      return res.status(413).json({
+        error: `An image is larger than the ${maxMb} MB limit`,
+        max_file_size: uploadConfig.maxFileSize
+      });
+    }
+    if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+      return res.status(413).json({
+        error: maxFiles === 1 ? 'Only one image can be uploaded' : `At most ${maxFiles} images can be uploaded at once`,
+        max_files: maxFiles
+      });
+    }
+    if (err.code === 'UNSUPPORTED_FILE_TYPE') {
+      return res.status(415).json({ error: err.message, allowed_types: uploadConfig.allowedMimeTypes });
+    }
+
+    console.error('Error receiving campaign image upload:', err);
+    res.status(500).json({ error: 'Failed to receive uploaded images' });
+  });
+}
+
+const uploadImages = handleUploadErrors(upload.array('images', uploadConfig.maxFiles), uploadConfig.maxFiles);
+const uploadReplacementImage = handleUploadErrors(upload.single('image'), 1);
 
 /**
  * GET /api/campaigns - Retrieve campaigns based on user role
  */
-router.get('/', authenticateToken, requirePermission('view_campaigns'), getAllCampaigns);
+router.get('/', authenticateToken, requirePermission(PERMISSIONS.VIEW_CAMPAIGNS), getAllCampaigns);
+
+/**
+ * GET /api/campaigns/upload-limits - Image upload limits so clients can check files before uploading
+ */
+router.get('/upload-limits', authenticateToken, getUploadLimits);
 
 /**
  * GET /api/campaigns/contractor - Get campaigns assigned to contractor
@@ -49,100 +136,118 @@ router.get('/completed', authenticateToken, requireRole('contractor'), getComple
 /**
  * POST /api/campaigns - Create a new campaign
  */
-router.post('/', authenticateToken, requirePermission('create_campaign'), createCampaign);
+router.post('/', authenticateToken, requirePermission(PERMISSIONS.CREATE_CAMPAIGN, {
+  // Same company the controller creates the campaign for
+  companyId: req => req.user.company_id || req.body.company_id
+}), createCampaign);
+
+// Every /:id route below starts with requireCampaignAccess: clients only reach their own company's campaigns,
+// contractors only their assigned ones, and req.campaign is set for the controller. Permission checks then run
+// in the campaign's company, so roles scoped to that company count
+const inCampaignCompany = { companyId: companyContext.ofCampaign() };
 
 /**
  * POST /api/campaigns/:id/assign - Assign contractors to a campaign
  */
-router.post('/:id/assign', authenticateToken, requirePermission('assign_campaign'), assignContractors);
+router.post('/:id/assign', authenticateToken, requireCampaignAccess(), requirePermission(PERMISSIONS.ASSIGN_CAMPAIGN, inCampaignCompany), assignContractors);
 
 /**
  * PUT /api/campaigns/:id - Update campaign details
  */
-router.put('/:id', authenticateToken, requirePermission('edit_campaign'), updateCampaign);
+router.put('/:id', authenticateToken, requireCampaignAccess(), requirePermission(PERMISSIONS.EDIT_CAMPAIGN, inCampaignCompany), updateCampaign);
 
 /**
  * PUT /api/campaigns/:id/status - Update campaign status (employee)
  */
-router.put('/:id/status', authenticateToken, requirePermission('edit_campaign'), updateCampaignStatus);
+router.put('/:id/status', authenticateToken, requireCampaignAccess(), requirePermission(PERMISSIONS.EDIT_CAMPAIGN, inCampaignCompany), updateCampaignStatus);
+
+/**
+ * POST /api/campaigns/:id/approve - Approve a pending campaign (client, own company)
+ */
+router.post('/:id/approve', authenticateToken, requireCampaignAccess(), requirePermission(PERMISSIONS.APPROVE_CAMPAIGN, inCampaignCompany), approveCampaign);
+
+/**
+ * POST /api/campaigns/:id/reject - Reject a pending campaign with a comment (client, own company)
+ */
+router.post('/:id/reject', authenticateToken, requireCampaignAccess(), requirePermission(PERMISSIONS.APPROVE_CAMPAIGN, inCampaignCompany), rejectCampaign);
 
 /**
  * PUT /api/campaigns/:id/contractor-status - Update campaign status (contractor)
  */
-router.put('/:id/contractor-status', authenticateToken, requireRole('contractor'), updateCampaignStatusByContractor);
+router.put('/:id/contractor-status', authenticateToken, requireRole('contractor'), requireCampaignAccess(), updateCampaignStatusByContractor);
+
+/**
+ * GET /api/campaigns/:id/history - Status history timeline
+ */
+router.get('/:id/history', authenticateToken, requireCampaignAccess(), requirePermission(PERMISSIONS.VIEW_CAMPAIGNS, inCampaignCompany), getCampaignHistory);
+
+/**
+ * GET /api/campaigns/:id/report.pdf - Proof-of-performance PDF report
+ * Employees, and clients for their own company
+ */
+router.get('/:id/report.pdf', authenticateToken, requireCampaignAccess({ roles: ['employee', 'client'] }), requirePermission(PERMISSIONS.VIEW_CAMPAIGNS, inCampaignCompany), getCampaignReport);
+
+/**
+ * GET /api/campaigns/:id/locations - Sites the campaign is posted at
+ */
+router.get('/:id/locations', authenticateToken, requireCampaignAccess(), requirePermission(PERMISSIONS.VIEW_CAMPAIGNS, inCampaignCompany), getCampaignLocationList);
+
+/**
+ * PUT /api/campaigns/:id/locations - Replace the campaign's placement list
+ */
+router.put('/:id/locations', authenticateToken, requireCampaignAccess(), requirePermission(PERMISSIONS.EDIT_CAMPAIGN, inCampaignCompany), updateCampaignLocations);
+
+/**
+ * PUT /api/campaigns/:id/locations/:placementId/status - Report posting status for one site
+ * Assigned contractors and employees; only employees may waive (checked in the controller)
+ */
+router.put('/:id/locations/:placementId/status', authenticateToken, requireCampaignAccess(), requirePermission(PERMISSIONS.VIEW_CAMPAIGNS, inCampaignCompany), updatePlacementStatus);
 
 /**
  * POST /api/campaigns/:id/images - Upload campaign images
+ * Type, size and count limits come from config/uploads.js; each stored file is recorded in campaign_images
+ * and gets thumbnail and medium renditions
  */
-router.post('/:id/images', authenticateToken, requireRole('contractor'), upload.array('images', 10), async (req, res) => {
-  // Debug: Log user info attached to request
-  console.log('Upload images route - req.user:', req.user);
-  console.log('Upload images route - req.userInstance:', req.userInstance);
-  // You can save file info to DB here if needed
-  res.json({ message: 'Images uploaded', files: req.files });
-});
+router.post('/:id/images', authenticateToken, requireRole('contractor'), requireCampaignAccess(), uploadImages, uploadCampaignImages);
 
-// Create uploads/campaign_images directory if it doesn't exist
-const fs = require('fs');
-const uploadsDir = path.join(__dirname, '../uploads/campaign_images');
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
-}
+/**
+ * GET /api/campaigns/:id/images - List campaign image records
+ * ?deleted=true lists restorable deleted images (edit_campaign, checked in the controller)
+ */
+router.get('/:id/images', authenticateToken, requireCampaignAccess(), requirePermission(PERMISSIONS.VIEW_CAMPAIGNS, inCampaignCompany), listCampaignImages);
 
-router.get('/:id/images', authenticateToken, requirePermission('view_campaigns'), async (req, res) => {
-  const { id } = req.params;
-  const fs = require('fs');
-  const path = require('path');
-  
-  try {
-    const imagesDir = path.join(__dirname, '../uploads/campaign_images');
-    
-    // Check if uploads directory exists
-    if (!fs.existsSync(imagesDir)) {
-      return res.json([]);
-    }
-    
-    // Get all files in the directory
-    const files = fs.readdirSync(imagesDir);
-    
-    // Filter files that belong to this campaign (filename starts with campaign_{id}_)
-    const campaignFiles = files.filter(file => 
-      file.startsWith(`campaign_${id}_`) && 
-      /\.(jpg|jpeg|png|gif|webp)$/i.test(file)
-    );
-    
-    // Return the filenames
-    res.json(campaignFiles);
-  } catch (error) {
-    console.error('Error fetching campaign images:', error);
-    res.status(500).json({ error: 'Failed to fetch campaign images' });
-  }
-});
+/**
+ * GET /api/campaigns/:id/images/archive - ZIP of approved images with a manifest CSV
+ */
+router.get('/:id/images/archive', authenticateToken, requireCampaignAccess(), requirePermission(PERMISSIONS.VIEW_CAMPAIGNS, inCampaignCompany), downloadCampaignImageArchive);
+
+/**
+ * POST /api/campaigns/:id/images/:imageId/replace - Replace an image with a new upload
+ * DELETE /api/campaigns/:id/images/:imageId - Soft-delete an image
+ * Employees at any time; contractors their own uploads while in progress (checked in the controller)
+ */
+router.post('/:id/images/:imageId/replace', authenticateToken, requireCampaignAccess(), requirePermission(PERMISSIONS.VIEW_CAMPAIGNS, inCampaignCompany), uploadReplacementImage, replaceCampaignImage);
+router.delete('/:id/images/:imageId', authenticateToken, requireCampaignAccess(), requirePermission(PERMISSIONS.VIEW_CAMPAIGNS, inCampaignCompany), deleteCampaignImage);
+
+/**
+ * POST /api/campaigns/:id/images/:imageId/restore - Restore a deleted image (employee)
+ */
+router.post('/:id/images/:imageId/restore', authenticateToken, requireCampaignAccess(), requirePermission(PERMISSIONS.EDIT_CAMPAIGN, inCampaignCompany), restoreCampaignImage);
+
+/**
+ * PUT /api/campaigns/:id/images/:imageId/review - Approve or reject an uploaded image (employee)
+ */
+router.put('/:id/images/:imageId/review', authenticateToken, requireCampaignAccess(), requirePermission(PERMISSIONS.EDIT_CAMPAIGN, inCampaignCompany), reviewCampaignImage);
 
 /**
  * GET /api/campaigns/images/:filename - Serve image files
- * Static file serving for campaign images
- */
-router.get('/images/:filename', authenticateToken, requirePermission('view_campaigns'), (req, res) => {
-  const { filename } = req.params;
-  const path = require('path');
-  const fs = require('fs');
-  
-  // Security: Only allow alphanumeric, underscores, dots, and hyphens in filename
-  if (!/^[a-zA-Z0-9._-]+$/.test(filename)) {
-    return res.status(400).json({ error: 'Invalid filename' });
-  }
-  
-  const filePath = path.join(__dirname, '../uploads/campaign_images', filename);
-  
-  // Check if file exists and is within the allowed directory
-  if (!fs.existsSync(filePath)) {
-    return res.status(404).json({ error: 'Image not found' });
-  }
-  
-  // Serve the file
-  res.sendFile(filePath);
-});
+ * ?size=thumb|medium serves a resized rendition; only files recorded in campaign_images are served,
+ * with the same campaign access rules as the image's campaign
+ */
+router.get('/images/:filename', authenticateToken, requireCampaignAccess({
+  getCampaignId: async req => (await getImageByStoredName(req.params.filename))?.campaign_id,
+  notFoundError: 'Image not found'
+}), requirePermission(PERMISSIONS.VIEW_CAMPAIGNS, inCampaignCompany), serveCampaignImage);
 
 module.exports = router;
 
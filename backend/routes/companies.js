@@ -3,15 +3,16 @@
 
 const express = require('express');
 const router = express.Router();
-const { authenticateToken, requirePermission } = require('../middleware');
+const { authenticateToken, requirePermission, companyContext } = require('../middleware');
 const { getAllCompanies, createCompany, updateCompany, deleteCompany } = require('../controllers/companyController');
+const { PERMISSIONS } = require('../config/permissionRegistry');
 
 /**
  * GET /api/companies - Retrieve all companies
  * Requires: Authentication + view_companies permission
  * Returns: List of companies with id and name
  */
-router.get('/', authenticateToken, requirePermission('view_companies'), getAllCompanies);
+router.get('/', authenticateToken, requirePermission(PERMISSIONS.VIEW_COMPANIES), getAllCompanies);
 
 /**
  * POST /api/companies - Create a new company
@@ -19,22 +20,22 @@ router.get('/', authenticateToken, requirePermission('view_companies'), getAllCo
  * Body: { name: string }
  * Handles: Duplicate name validation
  */
-router.post('/', authenticateToken, requirePermission('create_company'), createCompany);
+router.post('/', authenticateToken, requirePermission(PERMISSIONS.CREATE_COMPANY), createCompany);
 
 /**
  * PUT /api/companies/:id - Update an existing company
- * Requires: Authentication + edit_company permission
+ * Requires: Authentication + edit_company permission (global or scoped to this company)
  * Params: id (company ID)
  * Body: { name: string }
  */
-router.put('/:id', authenticateToken, requirePermission('edit_company'), updateCompany);
+router.put('/:id', authenticateToken, requirePermission(PERMISSIONS.EDIT_COMPANY, { companyId: companyContext.fromParam() }), updateCompany);
 
 /**
  * DELETE /api/companies/:id - Delete a company
- * Requires: Authentication + delete_company permission
+ * Requires: Authentication + delete_company permission (global or scoped to this company)
  * Params: id (company ID)
  * Constraint: Cannot delete companies with associated users
  */
-router.delete('/:id', authenticateToken, requirePermission('delete_company'), deleteCompany);
+router.delete('/:id', authenticateToken, requirePermission(PERMISSIONS.DELETE_COMPANY, { companyId: companyContext.fromParam() }), deleteCompany);
 
 module.exports = router;
@@ -12,14 +12,22 @@ const campaignRoutes = require('./campaigns');
 const roleRoutes = require('./roles');
 const permissionRoutes = require('./permissions');
 const rbacRoutes = require('./rbac');
+const locationRoutes = require('./locations');
+const auditRoutes = require('./audit');
+const twoFactorRoutes = require('./twoFactor');
+const meRoutes = require('./me');
 
 // Mount routes with appropriate prefixes
-router.use('/api', authRoutes);           // Auth routes: /api/login, /api/migrate-passwords
+router.use('/api', authRoutes);           // Auth routes: /api/login, /api/login/2fa, /api/password/*, /api/migrate-passwords
 router.use('/api/rbac', rbacRoutes);      // RBAC demo routes: /api/rbac/*
 router.use('/api/companies', companyRoutes);  // Company routes: /api/companies/*
 router.use('/api/users', userRoutes);         // User routes: /api/users/*
 router.use('/api/campaigns', campaignRoutes); // Campaign routes: /api/campaigns/*
+router.use('/api/locations', locationRoutes); // Location routes: /api/locations/*
 router.use('/api/roles', roleRoutes);         // Role routes: /api/roles/*
 router.use('/api/permissions', permissionRoutes); // Permission routes: /api/permissions/*
+router.use('/api/audit', auditRoutes);        // Audit log routes: /api/audit
+router.use('/api/2fa', twoFactorRoutes);      // Two-factor routes: /api/2fa/*
+router.use('/api/me', meRoutes);              // Own account routes: /api/me, /api/me/*
 
 module.exports = router;
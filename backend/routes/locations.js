@@ -0,0 +1,38 @@
+// routes/locations.js
+// Location management routes - CRUD operations for poster sites
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requirePermission } = require('../middleware');
+const { getAllLocations, createLocation, updateLocation, deleteLocation } = require('../controllers/locationController');
+const { PERMISSIONS } = require('../config/permissionRegistry');
+
+/**
+ * GET /api/locations - Retrieve all locations
+ * Requires: Authentication + view_locations permission
+ * Query: { search?, site_type? }
+ */
+router.get('/', authenticateToken, requirePermission(PERMISSIONS.VIEW_LOCATIONS), getAllLocations);
+
+/**
+ * POST /api/locations - Create a new location
+ * Requires: Authentication + create_location permission
+ * Body: { name, address, latitude?, longitude?, site_type?, size_format?, owner_notes? }
+ */
+router.post('/', authenticateToken, requirePermission(PERMISSIONS.CREATE_LOCATION), createLocation);
+
+/**
+ * PUT /api/locations/:id - Update an existing location
+ * Requires: Authentication + edit_location permission
+ * Params: id (location ID)
+ */
+router.put('/:id', authenticateToken, requirePermission(PERMISSIONS.EDIT_LOCATION), updateLocation);
+
+/**
+ * DELETE /api/locations/:id - Delete a location
+ * Requires: Authentication + delete_location permission
+ * Constraint: Cannot delete locations used by campaigns
+ */
+router.delete('/:id', authenticateToken, requirePermission(PERMISSIONS.DELETE_LOCATION), deleteLocation);
+
+module.exports = router;
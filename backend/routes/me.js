@@ -0,0 +1,29 @@
+// routes/me.js
+// Routes for the signed-in user's own account
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware');
+const { getAccount, updateEmail, changePassword } = require('../controllers/accountController');
+
+/**
+ * GET /api/me - Get the current user's account details
+ * Requires: Authentication only
+ */
+router.get('/', authenticateToken, getAccount);
+
+/**
+ * PUT /api/me/email - Change the current user's email address, where password reset links are sent
+ * Requires: Authentication only
+ * Body: { current_password: string, email: string }
+ */
+router.put('/email', authenticateToken, updateEmail);
+
+/**
+ * PUT /api/me/password - Change the current user's password
+ * Requires: Authentication only
+ * Body: { current_password: string, password: string }
+ */
+router.put('/password', authenticateToken, changePassword);
+
+module.exports = router;
@@ -5,6 +5,7 @@ const express = require('express');
 const router = express.Router();
 const { authenticateToken, requirePermission } = require('../middleware');
 const { getAllPermissions } = require('../controllers/roleController');
+const { PERMISSIONS } = require('../config/permissionRegistry');
 
 /**
  * GET /api/permissions - Retrieve all permissions
@@ -16,6 +17,6 @@ router.get('/', authenticateToken, getAllPermissions);
  * GET /api/permissions/manage - Manage permissions (admin only)
  * Requires: Authentication + manage_roles permission
  */
-router.get('/manage', authenticateToken, requirePermission('manage_roles'), getAllPermissions);
+router.get('/manage', authenticateToken, requirePermission(PERMISSIONS.MANAGE_ROLES), getAllPermissions);
 
 module.exports = router;
@@ -9,6 +9,7 @@ const {
   requireRole, 
   requireAnyPermission 
 } = require('../middleware');
+const { PERMISSIONS } = require('../config/permissionRegistry');
 const {
   getMyPermissions,
   checkMyPermission,
@@ -16,6 +17,9 @@ const {
   createNewUser,
   assignUserRole,
   removeUserRole,
+  getUserPermissionOverrides,
+  setUserPermissionOverride,
+  removeUserPermissionOverride,
   getRolesAndPermissions
 } = require('../controllers/rbacController');
 
@@ -30,6 +34,7 @@ router.use(authenticateToken);
 
 /**
  * GET /api/rbac/me - Get current user's permissions and roles
+ * Lists allowed and denied permissions with the role or override that decided each
  */
 router.get('/me', getMyPermissions);
 
@@ -46,29 +51,48 @@ router.post('/check', checkMyPermission);
 /**
  * GET /api/rbac/users - Get all users (requires view_users permission)
  */
-router.get('/users', requirePermission('view_users'), getUsers);
+router.get('/users', requirePermission(PERMISSIONS.VIEW_USERS), getUsers);
 
 /**
  * POST /api/rbac/users - Create new user (requires create_user permission)
  * Body: { username, password, email, company_id?, roles? }
  */
-router.post('/users', requirePermission('create_user'), createNewUser);
+router.post('/users', requirePermission(PERMISSIONS.CREATE_USER), createNewUser);
 
 /**
  * POST /api/rbac/users/:userId/roles - Assign role to user (requires manage_roles permission)
- * Body: { role: "role_name" }
+ * Body: { role: "role_name", company_id? } - company_id limits the role to one company
  */
-router.post('/users/:userId/roles', requirePermission('manage_roles'), assignUserRole);
+router.post('/users/:userId/roles', requirePermission(PERMISSIONS.MANAGE_ROLES), assignUserRole);
 
 /**
  * DELETE /api/rbac/users/:userId/roles/:role - Remove role from user (requires manage_roles permission)
+ * ?company_id= removes the assignment scoped to that company
  */
-router.delete('/users/:userId/roles/:role', requirePermission('manage_roles'), removeUserRole);
+router.delete('/users/:userId/roles/:role', requirePermission(PERMISSIONS.MANAGE_ROLES), removeUserRole);
+
+/**
+ * GET /api/rbac/users/:userId/permissions - List active per-user permission overrides (requires manage_roles permission)
+ */
+router.get('/users/:userId/permissions', requirePermission(PERMISSIONS.MANAGE_ROLES), getUserPermissionOverrides);
+
+/**
+ * PUT /api/rbac/users/:userId/permissions/:permission - Allow or deny a permission for one user (requires manage_roles permission)
+ * Body: { effect: "allow" | "deny", company_id?, expires_at? } - a deny wins over every role granting the permission;
+ * with expires_at the override is temporary and stops applying at that time
+ */
+router.put('/users/:userId/permissions/:permission', requirePermission(PERMISSIONS.MANAGE_ROLES), setUserPermissionOverride);
+
+/**
+ * DELETE /api/rbac/users/:userId/permissions/:permission - Remove a per-user override (requires manage_roles permission)
+ * ?company_id= removes the override scoped to that company
+ */
+router.delete('/users/:userId/permissions/:permission', requirePermission(PERMISSIONS.MANAGE_ROLES), removeUserPermissionOverride);
 
 /**
  * GET /api/rbac/roles - Get all roles and permissions (requires view_users permission)
  */
-router.get('/roles', requirePermission('view_users'), getRolesAndPermissions);
+router.get('/roles', requirePermission(PERMISSIONS.VIEW_USERS), getRolesAndPermissions);
 
 /**
  * Example routes showing different permission requirements
@@ -89,7 +113,7 @@ router.get('/admin-only', requireRole('super_admin'), (req, res) => {
  * GET /api/rbac/management - Management route (requires any management permission)
  */
 router.get('/management', 
-  requireAnyPermission(['manage_roles', 'create_user', 'delete_user']), 
+  requireAnyPermission([PERMISSIONS.MANAGE_ROLES, PERMISSIONS.CREATE_USER, PERMISSIONS.DELETE_USER]), 
   (req, res) => {
     res.json({ 
       message: 'Welcome to management area!', 
@@ -102,7 +126,7 @@ router.get('/management',
 /**
  * GET /api/rbac/campaigns - Campaign access (view_campaigns permission)
  */
-router.get('/campaigns', requirePermission('view_campaigns'), (req, res) => {
+router.get('/campaigns', requirePermission(PERMISSIONS.VIEW_CAMPAIGNS), (req, res) => {
   res.json({ 
     message: 'Campaign data access granted', 
     user: req.userInstance.username,
@@ -5,10 +5,12 @@
 const express = require('express');
 const router = express.Router();
 const { authenticateToken, requirePermission } = require('../middleware');
+const { PERMISSIONS } = require('../config/permissionRegistry');
 const { 
   getAllRoles, 
   getRolePermissions, 
   createRole, 
+  updateRole, 
   updateRolePermissions, 
   deleteRole 
 } = require('../controllers/roleController');
@@ -17,39 +19,46 @@ const {
  * GET /api/roles - Retrieve all roles (for user management dropdowns)
  * Requires: Authentication + view_roles permission (more accessible)
  */
-router.get('/', authenticateToken, requirePermission('view_roles'), getAllRoles);
+router.get('/', authenticateToken, requirePermission(PERMISSIONS.VIEW_ROLES), getAllRoles);
 
 /**
  * GET /api/roles/manage - Retrieve all roles (for role management admin)
  * Requires: Authentication + manage_roles permission
  */
-router.get('/manage', authenticateToken, requirePermission('manage_roles'), getAllRoles);
+router.get('/manage', authenticateToken, requirePermission(PERMISSIONS.MANAGE_ROLES), getAllRoles);
 
 /**
  * GET /api/roles/:roleName/permissions - Retrieve permissions for a specific role
  * Requires: Authentication + manage_roles permission
  * Note: Now uses roleName (string) instead of id
  */
-router.get('/:roleName/permissions', authenticateToken, requirePermission('manage_roles'), getRolePermissions);
+router.get('/:roleName/permissions', authenticateToken, requirePermission(PERMISSIONS.MANAGE_ROLES), getRolePermissions);
 
 /**
  * POST /api/roles - Create a new role
  * Requires: Authentication + manage_roles permission
  */
-router.post('/', authenticateToken, requirePermission('manage_roles'), createRole);
+router.post('/', authenticateToken, requirePermission(PERMISSIONS.MANAGE_ROLES), createRole);
+
+/**
+ * PUT /api/roles/:roleName - Update a role's description, parent role and two-factor requirement
+ * Requires: Authentication + manage_roles permission
+ * Note: Rejects a parent that would make the role inherit from itself
+ */
+router.put('/:roleName', authenticateToken, requirePermission(PERMISSIONS.MANAGE_ROLES), updateRole);
 
 /**
  * PUT /api/roles/:roleName/permissions - Update role permissions
  * Requires: Authentication + manage_roles permission
  * Note: Now uses roleName (string) instead of id
  */
-router.put('/:roleName/permissions', authenticateToken, requirePermission('manage_roles'), updateRolePermissions);
+router.put('/:roleName/permissions', authenticateToken, requirePermission(PERMISSIONS.MANAGE_ROLES), updateRolePermissions);
 
 /**
  * DELETE /api/roles/:roleName - Delete a role
  * Requires: Authentication + manage_roles permission
  * Note: Now uses roleName (string) instead of id
  */
-router.delete('/:roleName', authenticateToken, requirePermission('manage_roles'), deleteRole);
+router.delete('/:roleName', authenticateToken, requirePermission(PERMISSIONS.MANAGE_ROLES), deleteRole);
 
 module.exports = router;
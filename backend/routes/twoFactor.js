@@ -0,0 +1,42 @@
+// routes/twoFactor.js
+// Two-factor authentication routes for the signed-in user's own account
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware');
+const { getStatus, setup, enable, regenerateCodes, disable } = require('../controllers/twoFactorController');
+
+/**
+ * GET /api/2fa - Get the current user's two-factor authentication state
+ * Requires: Authentication only
+ */
+router.get('/', authenticateToken, getStatus);
+
+/**
+ * POST /api/2fa/setup - Generate a new authenticator app secret and QR code
+ * Requires: Authentication only
+ */
+router.post('/setup', authenticateToken, setup);
+
+/**
+ * POST /api/2fa/enable - Confirm the new secret and turn on two-factor authentication
+ * Requires: Authentication only
+ * Body: { code: string }
+ */
+router.post('/enable', authenticateToken, enable);
+
+/**
+ * POST /api/2fa/recovery-codes - Replace the recovery codes
+ * Requires: Authentication only
+ * Body: { code: string }
+ */
+router.post('/recovery-codes', authenticateToken, regenerateCodes);
+
+/**
+ * POST /api/2fa/disable - Turn off two-factor authentication
+ * Requires: Authentication only
+ * Body: { code: string }
+ */
+router.post('/disable', authenticateToken, disable);
+
+module.exports = router;
@@ -3,21 +3,21 @@
 
 const express = require('express');
 const router = express.Router();
-const { authenticateToken, requirePermission } = require('../middleware');
-const { getAllUsers, createUser, updateUser, updateUserPassword, deleteUser } = require('../controllers/userController');
+const { authenticateToken, requirePermission, companyContext } = require('../middleware');
+const { getAllUsers, createUser, updateUser, updateUserPassword, signOutUser, unlockUser, resetUserTwoFactor, deleteUser } = require('../controllers/userController');
+const { PERMISSIONS } = require('../config/permissionRegistry');
 
 /**
  * GET /api/users/me/permissions - Get current user's permissions as simple array
  * Requires: Authentication only
- * Returns: Array of permission strings
+ * Returns: Array of permission strings - denied permissions are left out
  */
 router.get('/me/permissions', authenticateToken, async (req, res) => {
   try {
     const user = req.userInstance;
-    const permissions = await user.getPermissions();
     
-    // Return simple array of permission names for compatibility
-    const permissionArray = permissions.map(p => p.permission);
+    // Return simple array of allowed permission names for compatibility
+    const permissionArray = await user.getPermissionNames();
     
     res.json(permissionArray);
   } catch (error) {
@@ -31,39 +31,61 @@ router.get('/me/permissions', authenticateToken, async (req, res) => {
  * Requires: Authentication + view_users permission
  * Returns: Users with joined company data and their assigned roles
  */
-router.get('/', authenticateToken, requirePermission('view_users'), getAllUsers);
+router.get('/', authenticateToken, requirePermission(PERMISSIONS.VIEW_USERS), getAllUsers);
 
 /**
  * POST /api/users - Create a new user with role assignments
  * Requires: Authentication + create_user permission
- * Body: { username, password, roles: [string], company_id? }
+ * Body: { username, password, roles: [string], company_id?, email? }
  * Note: Passwords are securely hashed using bcrypt before storage
  */
-router.post('/', authenticateToken, requirePermission('create_user'), createUser);
+router.post('/', authenticateToken, requirePermission(PERMISSIONS.CREATE_USER), createUser);
 
 /**
  * PUT /api/users/:id - Update user information, company assignment, and roles
  * Requires: Authentication + edit_user permission
  * Params: id (user ID)
- * Body: { username, roles: [string], company_id? }
+ * Body: { username, roles: [string], company_id?, email? }
  */
 router.put('/:id', authenticateToken, updateUser);
 
 /**
  * PUT /api/users/:id/password - Update user password
- * Requires: Authentication + edit_user permission
+ * Requires: Authentication + edit_user permission (global, or scoped to the user's company unless they hold it globally)
  * Params: id (user ID)
  * Body: { password: string }
  * Note: Passwords are securely hashed using bcrypt before storage
  */
-router.put('/:id/password', authenticateToken, requirePermission('edit_user'), updateUserPassword);
+router.put('/:id/password', authenticateToken, requirePermission(PERMISSIONS.EDIT_USER, { companyId: companyContext.ofUser() }), updateUserPassword);
+
+/**
+ * DELETE /api/users/:id/sessions - Sign a user out of all their sessions
+ * Requires: Authentication + edit_user permission (global, or scoped to the user's company unless they hold it globally)
+ * Params: id (user ID)
+ */
+router.delete('/:id/sessions', authenticateToken, requirePermission(PERMISSIONS.EDIT_USER, { companyId: companyContext.ofUser() }), signOutUser);
+
+/**
+ * POST /api/users/:id/unlock - Unlock an account locked after too many failed logins
+ * Requires: Authentication + edit_user permission (global, or scoped to the user's company unless they hold it globally)
+ * Params: id (user ID)
+ */
+router.post('/:id/unlock', authenticateToken, requirePermission(PERMISSIONS.EDIT_USER, { companyId: companyContext.ofUser() }), unlockUser);
+
+/**
+ * DELETE /api/users/:id/2fa - Reset a user's two-factor authentication and sign them out
+ * Requires: Authentication + manage_roles permission (global, or scoped to the user's company unless they hold it globally)
+ * edit_user is not enough: the reset turns off the second factor of accounts that may hold more permissions than the actor
+ * Params: id (user ID)
+ */
+router.delete('/:id/2fa', authenticateToken, requirePermission(PERMISSIONS.MANAGE_ROLES, { companyId: companyContext.ofUser() }), resetUserTwoFactor);
 
 /**
  * DELETE /api/users/:id - Delete a user and their role assignments
- * Requires: Authentication + delete_user permission
+ * Requires: Authentication + delete_user permission (global, or scoped to the user's company unless they hold it globally)
  * Params: id (user ID)
  * Constraint: Users cannot delete their own account
  */
-router.delete('/:id', authenticateToken, requirePermission('delete_user'), deleteUser);
+router.delete('/:id', authenticateToken, requirePermission(PERMISSIONS.DELETE_USER, { companyId: companyContext.ofUser() }), deleteUser);
 
 module.exports = router;
@@ -0,0 +1,31 @@
+// Campaign image import script
+// Backfills campaign_images records from files already in the configured storage (local disk or S3)
+// Safe to run repeatedly: files that are already recorded are skipped
+
+const knex = require('../config/knex');
+const storageConfig = require('../config/storage');
+const { importImagesFromStorage } = require('../services/campaignImageService');
+
+async function importCampaignImages() {
+  console.log(`📷 Importing campaign images from ${storageConfig.driver} storage...\n`);
+
+  try {
+    const summary = await importImagesFromStorage();
+
+    console.log(`✅ Imported ${summary.imported} image(s)`);
+    console.log(`   • ${summary.skipped} file(s) skipped (already recorded or not a campaign image)`);
+    if (summary.errors.length > 0) {
+      console.log(`⚠️  ${summary.errors.length} file(s) could not be imported:`);
+      summary.errors.forEach(message => console.log(`   • ${message}`));
+    }
+  } catch (error) {
+    console.error('❌ Import failed:', error);
+    await knex.destroy();
+    process.exit(1);
+  }
+
+  await knex.destroy();
+  process.exit(0);
+}
+
+importCampaignImages();
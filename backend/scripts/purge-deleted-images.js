@@ -0,0 +1,30 @@
+// Deleted campaign image purge script
+// Permanently removes images that were deleted longer ago than DELETED_IMAGE_RETENTION_DAYS (default 30)
+// Meant to run on a schedule, e.g. nightly from cron
+
+const knex = require('../config/knex');
+const uploadConfig = require('../config/uploads');
+const { purgeDeletedImages } = require('../services/campaignImageService');
+
+async function purgeImages() {
+  console.log(`🗑️  Purging campaign images deleted more than ${uploadConfig.deletedImageRetentionDays} day(s) ago...\n`);
+
+  try {
+    const summary = await purgeDeletedImages(uploadConfig.deletedImageRetentionDays);
+
+    console.log(`✅ Purged ${summary.purged} image(s)`);
+    if (summary.errors.length > 0) {
+      console.log(`⚠️  ${summary.errors.length} image(s) could not be purged:`);
+      summary.errors.forEach(message => console.log(`   • ${message}`));
+    }
+  } catch (error) {
+    console.error('❌ Purge failed:', error);
+    await knex.destroy();
+    process.exit(1);
+  }
+
+  await knex.destroy();
+  process.exit(0);
+}
+
+purgeImages();
@@ -0,0 +1,25 @@
+// Expired permission override purge script
+// Deletes temporary per-user permission grants and denies whose expires_at has passed
+// They already stop applying when they expire; this keeps the user_permissions table tidy
+// Meant to run on a schedule, e.g. nightly from cron
+
+const knex = require('../config/knex');
+const { purgeExpiredPermissionOverrides } = require('../services/userService');
+
+async function purgePermissions() {
+  console.log('🗑️  Purging expired permission overrides...\n');
+
+  try {
+    const purged = await purgeExpiredPermissionOverrides();
+    console.log(`✅ Purged ${purged} expired override(s)`);
+  } catch (error) {
+    console.error('❌ Purge failed:', error);
+    await knex.destroy();
+    process.exit(1);
+  }
+
+  await knex.destroy();
+  process.exit(0);
+}
+
+purgePermissions();
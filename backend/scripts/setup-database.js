@@ -4,6 +4,7 @@
 
 const knex = require('../config/knex');
 const { hashPassword } = require('../services/authService');
+const { PERMISSION_DEFINITIONS } = require('../config/permissionRegistry');
 
 async function setupDatabase() {
   console.log('🏗️  Setting up database with unified script...\n');
@@ -11,13 +12,24 @@ async function setupDatabase() {
   try {
     // Clear existing data
     console.log('🧹 Clearing existing data...');
+    await knex('audit_events').del();
+    await knex('sessions').del();
+    await knex('password_reset_tokens').del();
+    await knex('recovery_codes').del();
+    await knex('login_attempts').del();
+    await knex('campaign_images').del();
+    await knex('campaign_status_history').del();
+    await knex('campaign_locations').del();
     await knex('campaign_assignments').del();
+    await knex('user_permissions').del();
     await knex('user_roles').del();
     await knex('role_permissions').del();
     await knex('campaigns').del();
+    await knex('locations').del();
     await knex('users').del();
     await knex('companies').del();
     await knex('permissions').del();
+    await knex('roles').update({ parent_role: null });
     await knex('roles').del();
     console.log('✅ Cleared existing data\n');
 
@@ -39,29 +51,8 @@ async function setupDatabase() {
 
     // 2. Insert Permissions
     console.log('🔐 Creating permissions...');
-    const permissions = [
-      // User management
-      { permission: 'view_users', description: 'View Users' },
-      { permission: 'create_user', description: 'Create Users' },
-      { permission: 'edit_user', description: 'Edit Users' },
-      { permission: 'delete_user', description: 'Delete Users' },
-      
-      // Company management
-      { permission: 'view_companies', description: 'View Companies' },
-      { permission: 'create_company', description: 'Create Companies' },
-      { permission: 'edit_company', description: 'Edit Companies' },
-      { permission: 'delete_company', description: 'Delete Companies' },
-      
-      // Campaign management
-      { permission: 'view_campaigns', description: 'View Campaigns' },
-      { permission: 'create_campaign', description: 'Create Campaigns' },
-      { permission: 'edit_campaign', description: 'Edit Campaigns' },
-      { permission: 'assign_campaign', description: 'Assign Campaigns' },
-      
-      // Role and Permission management
-      { permission: 'manage_roles', description: 'Manage Roles and Permissions' },
-      { permission: 'view_roles', description: 'View Roles' }
-    ];
+    // Declared in shared/permissions.json; npm run permissions:sync keeps an existing database in step with it
+    const permissions = PERMISSION_DEFINITIONS.map(({ permission, description }) => ({ permission, description }));
     await knex('permissions').insert(permissions);
     console.log(`✅ Created ${permissions.length} permissions\n`);
 
@@ -72,17 +63,28 @@ async function setupDatabase() {
     const getRoleId = (name) => rolesFromDB.find(r => r.name === name).id;
     const getPermissionId = (permission) => permissionsFromDB.find(p => p.permission === permission).id;
 
-    // 4. Assign permissions to roles
+    // 4. Link the employee roles into a hierarchy; each role inherits its parent's permissions
+    console.log('🪜 Linking role hierarchy...');
+    const roleHierarchy = [
+      { role: 'super_admin', parent: 'admin_manager' },
+      { role: 'admin_manager', parent: 'employee' },
+      { role: 'employee', parent: 'basic_employee' }
+    ];
+    for (const link of roleHierarchy) {
+      await knex('roles').where('id', getRoleId(link.role)).update({ parent_role: getRoleId(link.parent) });
+    }
+    console.log(`✅ Linked ${roleHierarchy.length} parent roles\n`);
+
+    // 5. Assign permissions to roles - only what each role adds on top of its parent
     console.log('🔗 Assigning permissions to roles...');
     const rolePermissionMappings = [
-      // SUPER ADMIN - Complete system control (all permissions)
+      // SUPER ADMIN - Complete system control; adds the destructive and system-level operations
       { 
         role: 'super_admin', 
         permissions: [
-          'view_users', 'create_user', 'edit_user', 'delete_user',
-          'view_companies', 'create_company', 'edit_company', 'delete_company',
-          'view_campaigns', 'create_campaign', 'edit_campaign', 'assign_campaign',
-          'manage_roles', 'view_roles'
+          'delete_user', 'delete_company', 'delete_location',
+          'approve_campaign',
+          'manage_roles', 'view_audit_log'
         ] 
       },
       
@@ -90,10 +92,7 @@ async function setupDatabase() {
       { 
         role: 'admin_manager', 
         permissions: [
-          'view_users', 'create_user', 'edit_user',           // Can manage users but not delete
-          'view_companies', 'create_company', 'edit_company', // Can manage companies but not delete
-          'view_campaigns', 'create_campaign', 'edit_campaign', 'assign_campaign',
-          'view_roles'                                        // Can view roles but not manage
+          'create_company'                                    // Can manage companies but not delete
         ] 
       },
       
@@ -101,9 +100,10 @@ async function setupDatabase() {
       { 
         role: 'employee', 
         permissions: [
-          'view_users', 'create_user', 'edit_user',           // Can manage users but not delete
-          'view_companies', 'edit_company',                   // Can view and edit companies
-          'view_campaigns', 'create_campaign', 'edit_campaign', 'assign_campaign',
+          'create_user', 'edit_user',                         // Can manage users but not delete
+          'edit_company',                                     // Can view and edit companies
+          'create_campaign', 'edit_campaign', 'assign_campaign',
+          'create_location', 'edit_location',                 // Can manage locations but not delete
           'view_roles'                                        // Can view roles
         ] 
       },
@@ -112,7 +112,7 @@ async function setupDatabase() {
       { 
         role: 'basic_employee', 
         permissions: [
-          'view_users', 'view_companies', 'view_campaigns'    // Read-only access
+          'view_users', 'view_companies', 'view_campaigns', 'view_locations' // Read-only access
         ] 
       },
       
@@ -120,7 +120,8 @@ async function setupDatabase() {
       { 
         role: 'client', 
         permissions: [
-          'view_campaigns'                                    // View campaigns only
+          'view_campaigns',                                   // View own company campaigns
+          'approve_campaign'                                  // Approve or reject own company campaigns
         ] 
       },
       
@@ -146,7 +147,7 @@ async function setupDatabase() {
     await knex('role_permissions').insert(rolePermissionData);
     console.log(`✅ Created ${rolePermissionData.length} role-permission assignments\n`);
 
-    // 5. Create test companies
+    // 6. Create test companies
     console.log('🏢 Creating test companies...');
     const companies = [
       { name: 'TechCorp Inc' },
@@ -162,7 +163,7 @@ async function setupDatabase() {
     const companyRecords = await knex('companies').select('*').orderBy('id');
     console.log(`✅ Created ${companies.length} companies\n`);
 
-    // 6. Create test users
+    // 7. Create test users
     console.log('👤 Creating test users...');
     const hashedPassword = await hashPassword('password123');
     
@@ -222,7 +223,9 @@ async function setupDatabase() {
         password: hashedPassword,
         company_id: digitalMediaGroup.id,
         user_type: 'employee',
-        role: 'admin_manager'
+        role: 'basic_employee',
+        // Administers Digital Media Group only; read-only elsewhere
+        scopedRoles: [{ role: 'admin_manager', company_id: digitalMediaGroup.id }]
       },
       {
         username: 'digital_client',
@@ -253,6 +256,7 @@ async function setupDatabase() {
       const [userId] = await knex('users').insert({
         username: user.username,
         password: user.password,
+        email: `${user.username}@example.com`,
         company_id: user.company_id,
         user_type: user.user_type
       });
@@ -262,11 +266,18 @@ async function setupDatabase() {
         user: userId,
         role: getRoleId(user.role)
       });
+      for (const scoped of user.scopedRoles || []) {
+        await knex('user_roles').insert({
+          user: userId,
+          role: getRoleId(scoped.role),
+          company_id: scoped.company_id
+        });
+      }
     }
     
     console.log(`✅ Created ${testUsers.length} test users\n`);
 
-    // 7. Create sample campaigns
+    // 8. Create sample campaigns
     console.log('📋 Creating sample campaigns...');
     const campaigns = [
       {
@@ -328,8 +339,75 @@ async function setupDatabase() {
     ];
     
     await knex('campaigns').insert(campaigns);
+
+    // Start each sample campaign's status history at its seeded status
+    const campaignRecords = await knex('campaigns').select('id', 'name', 'status');
+    await knex('campaign_status_history').insert(campaignRecords.map(campaign => ({
+      campaign_id: campaign.id,
+      from_status: null,
+      to_status: campaign.status,
+      reason: 'Sample campaign created by setup script'
+    })));
     console.log(`✅ Created ${campaigns.length} sample campaigns\n`);
 
+    // 9. Create sample locations and placements
+    console.log('📍 Creating sample locations...');
+    const locations = [
+      {
+        name: 'Main Street Billboard',
+        address: '120 Main Street',
+        latitude: 40.7128,
+        longitude: -74.0060,
+        site_type: 'billboard',
+        size_format: '48-sheet',
+        owner_notes: 'Owned by City Outdoor Media - call ahead for lift access'
+      },
+      {
+        name: 'Central Station Shelter',
+        address: 'Central Station, Bay 4',
+        latitude: 40.7527,
+        longitude: -73.9772,
+        site_type: 'bus_shelter',
+        size_format: '6-sheet',
+        owner_notes: 'Transit authority site - key from depot office'
+      },
+      {
+        name: 'Riverside Mall Atrium',
+        address: '500 Riverside Drive',
+        latitude: null,
+        longitude: null,
+        site_type: 'indoor',
+        size_format: 'A0',
+        owner_notes: 'Posting allowed before 9am only'
+      },
+      {
+        name: 'Park Avenue Kiosk',
+        address: 'Park Avenue & 3rd Street',
+        latitude: 40.7411,
+        longitude: -73.9897,
+        site_type: 'kiosk',
+        size_format: 'A1',
+        owner_notes: null
+      }
+    ];
+    await knex('locations').insert(locations);
+
+    const locationRecords = await knex('locations').select('id', 'name');
+    const getLocationId = (name) => locationRecords.find(l => l.name === name).id;
+    const getCampaignId = (name) => campaignRecords.find(c => c.name === name).id;
+    const campaignLocations = [
+      { campaign: 'Digital Media Campaign', location: 'Main Street Billboard', quantity: 1 },
+      { campaign: 'Digital Media Campaign', location: 'Central Station Shelter', quantity: 4 },
+      { campaign: 'TechCorp Rebranding', location: 'Riverside Mall Atrium', quantity: 10 },
+      { campaign: 'TechCorp Rebranding', location: 'Park Avenue Kiosk', quantity: 2 }
+    ];
+    await knex('campaign_locations').insert(campaignLocations.map(placement => ({
+      campaign_id: getCampaignId(placement.campaign),
+      location_id: getLocationId(placement.location),
+      quantity: placement.quantity
+    })));
+    console.log(`✅ Created ${locations.length} sample locations with ${campaignLocations.length} campaign placements\n`);
+
     console.log('🎉 Database setup complete!\n');
     console.log('📊 Summary:');
     console.log(`   • ${roles.length} roles created`);
@@ -338,6 +416,7 @@ async function setupDatabase() {
     console.log(`   • ${companies.length} test companies`);
     console.log(`   • ${testUsers.length} test users`);
     console.log(`   • ${campaigns.length} sample campaigns`);
+    console.log(`   • ${locations.length} sample locations`);
     console.log('\n🔑 Test Logins:');
     console.log('   👑 SUPER ADMIN:');
     console.log('      Username: superadmin');
@@ -357,7 +436,7 @@ async function setupDatabase() {
     console.log('      Access: Read-only');
     console.log('\n🏢 COMPANY USERS:');
     console.log('   Digital Media Group:');
-    console.log('      Admin: digital_admin / password123');
+    console.log('      Admin: digital_admin / password123 (admin manager for Digital Media Group only)');
     console.log('      Client: digital_client / password123');
     console.log('   Brand Dynamics LLC:');
     console.log('      Manager: brand_manager / password123');
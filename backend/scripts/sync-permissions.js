@@ -0,0 +1,41 @@
+// Permission sync script
+// Upserts every permission declared in shared/permissions.json into the permissions table
+// Rows the registry no longer declares are reported but left alone - they may still be linked to roles and users
+// Run after adding or renaming a permission, before starting the server
+
+const knex = require('../config/knex');
+const { PERMISSION_DEFINITIONS, isDeclaredPermission } = require('../config/permissionRegistry');
+
+async function syncPermissions() {
+  console.log('🔄 Syncing permissions from the registry...\n');
+
+  try {
+    const existing = await knex('permissions').pluck('permission');
+    const rows = PERMISSION_DEFINITIONS.map(({ permission, description }) => ({ permission, description }));
+
+    await knex('permissions')
+      .insert(rows)
+      .onConflict('permission')
+      .merge(['description']);
+
+    const added = rows.filter(row => !existing.includes(row.permission));
+    console.log(`✅ Synced ${rows.length} permission(s), ${added.length} new`);
+    added.forEach(row => console.log(`   + ${row.permission}`));
+
+    const orphaned = existing.filter(permission => !isDeclaredPermission(permission));
+    if (orphaned.length > 0) {
+      console.warn(`\n⚠️  ${orphaned.length} permission(s) in the database are not declared in the registry:`);
+      orphaned.forEach(permission => console.warn(`   - ${permission}`));
+      console.warn('   Declare them in shared/permissions.json or remove them once no role or user relies on them');
+    }
+  } catch (error) {
+    console.error('❌ Sync failed:', error);
+    await knex.destroy();
+    process.exit(1);
+  }
+
+  await knex.destroy();
+  process.exit(0);
+}
+
+syncPermissions();
@@ -18,9 +18,8 @@ const app = express();
 const PORT = 3001;
 
 // Middleware configuration
-app.use(cors());             // Enable CORS for cross-origin requests from frontend
+app.use(cors({ exposedHeaders: ['Content-Disposition'] }));   // Enable CORS for the frontend; expose download filenames
 app.use(express.json());     // Parse JSON request bodies
-app.use('/uploads/campaign_images', express.static(__dirname + '/uploads/campaign_images'));
 
 // Mount all routes
 app.use(routes);
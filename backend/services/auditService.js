@@ -0,0 +1,138 @@
+// services/auditService.js
+// Audit log - records who changed which user, role, permission or company, from where, and what changed
+
+const knex = require('../config/knex');
+
+// Actions recorded in audit_events.action, grouped by the entity they change
+const AUDIT_ACTIONS = [
+  'user.create', 'user.update', 'user.password_change', 'user.delete',
+  'user.password_reset', 'user.sessions_revoke', 'user.unlock', 'user.two_factor_reset',
+  'user.role_assign', 'user.role_remove', 'user.permission_set', 'user.permission_remove',
+  'role.create', 'role.update', 'role.permissions_update', 'role.delete',
+  'company.create', 'company.update', 'company.delete'
+];
+
+// Kinds of entity an audit event can target (matches audit_events.entity_type)
+const AUDIT_ENTITY_TYPES = ['user', 'role', 'company'];
+
+// Fields whose values never reach the audit log; a change to them is still recorded
+const REDACTED_FIELDS = ['password'];
+const REDACTED = '[redacted]';
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Normalize a field value for comparison and storage
+ * @param {*} value - Raw value
+ * @returns {*} - null for missing values, ISO strings for dates
+ */
+function normalizeValue(value) {
+  if (typeof value === 'undefined') {
+    return null;
+  }
+  return value instanceof Date ? value.toISOString() : value;
+}
+
+/**
+ * Build the field-by-field difference between two versions of an entity
+ * Pass null as before for creations and null as after for deletions
+ * @param {Object|null} before - Entity before the change
+ * @param {Object|null} after - Entity after the change
+ * @returns {Object} - { field: { before, after } } for every field that changed
+ */
+function diffChanges(before, after) {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = {};
+
+  for (const field of fields) {
+    const oldValue = normalizeValue(before ? before[field] : undefined);
+    const newValue = normalizeValue(after ? after[field] : undefined);
+    if (JSON.stringify(oldValue) === JSON.stringify(newValue)) {
+      continue;
+    }
+    changes[field] = REDACTED_FIELDS.includes(field)
+      ? { before: oldValue === null ? null : REDACTED, after: newValue === null ? null : REDACTED }
+      : { before: oldValue, after: newValue };
+  }
+
+  return changes;
+}
+
+/**
+ * Record an administrative action in the audit log
+ * The actor, IP address and user agent come from the request
+ * @param {Object} req - Express request of the authenticated actor
+ * @param {Object} event - { action, entityType, entityId?, entityLabel?, before?, after? }
+ * @param {Object} db - Knex instance or transaction; pass the handler's transaction so the event commits with the change
+ */
+async function recordAuditEvent(req, event, db = knex) {
+  const changes = diffChanges(event.before || null, event.after || null);
+  const userAgent = req.get('user-agent');
+
+  await db('audit_events').insert({
+    actor_id: req.user ? req.user.id : null,
+    actor_username: req.user ? req.user.username : null,
+    action: event.action,
+    entity_type: event.entityType,
+    entity_id: event.entityId || null,
+    entity_label: event.entityLabel || null,
+    changes: Object.keys(changes).length > 0 ? JSON.stringify(changes) : null,
+    ip_address: req.ip || null,
+    user_agent: userAgent ? userAgent.slice(0, 500) : null
+  });
+}
+
+/**
+ * Get audit events, newest first
+ * @param {Object} filters - { actor?, action?, entity_type?, entity_id?, from?, to?, limit?, offset? }
+ * actor matches the actor's username; from and to are dates bounding created_at
+ * @returns {Promise<Object>} - { events, total, limit, offset }
+ */
+async function getAuditEvents(filters = {}) {
+  const limit = Math.min(parseInt(filters.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const offset = Math.max(parseInt(filters.offset) || 0, 0);
+
+  const query = knex('audit_events');
+  if (filters.actor) {
+    query.where('actor_username', filters.actor);
+  }
+  if (filters.action) {
+    query.where('action', filters.action);
+  }
+  if (filters.entity_type) {
+    query.where('entity_type', filters.entity_type);
+  }
+  if (filters.entity_id) {
+    query.where('entity_id', filters.entity_id);
+  }
+  if (filters.from) {
+    query.where('created_at', '>=', filters.from);
+  }
+  if (filters.to) {
+    query.where('created_at', '<=', filters.to);
+  }
+
+  const { count } = await query.clone().count('* as count').first();
+  const events = await query
+    .select('id', 'actor_id', 'actor_username', 'action', 'entity_type', 'entity_id', 'entity_label',
+      'changes', 'ip_address', 'user_agent', 'created_at')
+    .orderBy([{ column: 'created_at', order: 'desc' }, { column: 'id', order: 'desc' }])
+    .limit(limit)
+    .offset(offset);
+
+  return {
+    events: events.map(event => ({ ...event, changes: event.changes ? JSON.parse(event.changes) : {} })),
+    total: parseInt(count),
+    limit,
+    offset
+  };
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  AUDIT_ENTITY_TYPES,
+  diffChanges,
+  recordAuditEvent,
+  getAuditEvents
+};
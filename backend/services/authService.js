@@ -35,12 +35,12 @@ function isPasswordHashed(password) {
 }
 
 /**
- * Generate JWT token
- * @param {Object} payload - User information to encode in token
- * @param {string} expiresIn - Token expiration time (default: '1h')
+ * Generate a short-lived JWT access token; clients renew it with their session's refresh token
+ * @param {Object} payload - User information to encode in token, including the session id (sid)
+ * @param {string} expiresIn - Token expiration time (default: '15m')
  * @returns {string} - JWT token
  */
-function generateToken(payload, expiresIn = '1h') {
+function generateToken(payload, expiresIn = '15m') {
   return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn });
 }
 
@@ -58,21 +58,233 @@ function verifyToken(token) {
 }
 
 /**
- * Get user permissions based on their roles
+ * Limit a user_roles query to the assignments that apply in a resource context
+ * Global assignments (company_id NULL) always apply; company-scoped ones only for that company
+ * @param {Object} query - Knex query on user_roles as ur
+ * @param {Object} context - { companyId? } - without a company only global assignments apply
+ * @returns {Object} - The query
+ */
+function whereAssignmentApplies(query, context = {}) {
+  return query.where((builder) => {
+    builder.whereNull('ur.company_id');
+    if (context.companyId) {
+      builder.orWhere('ur.company_id', context.companyId);
+    }
+  });
+}
+
+/**
+ * Load every role's parent role
+ * @param {Object} db - Knex instance or transaction (default: knex)
+ * @returns {Promise<Map>} - Map of role ID to parent role ID (null for top-level roles)
+ */
+async function getRoleParents(db = knex) {
+  const roles = await db('roles').select('id', 'parent_role');
+  return new Map(roles.map(role => [role.id, role.parent_role]));
+}
+
+/**
+ * Walk up a role's parent chain
+ * Stops at a role already visited, so a cycle in the data cannot loop forever
+ * @param {number} roleId - Role ID to start from
+ * @param {Map} parents - Map from getRoleParents()
+ * @returns {Array<number>} - The role followed by its ancestors, nearest first
+ */
+function getRoleChain(roleId, parents) {
+  const chain = [];
+  let current = roleId;
+  while (current && !chain.includes(current)) {
+    chain.push(current);
+    current = parents.get(current);
+  }
+  return chain;
+}
+
+/**
+ * Pick the entry that decides a permission - any deny wins over every allow
+ * @param {Array} entries - Entries for one permission, in order of preference
+ * @returns {Object|undefined} - The first deny, else the first allow
+ */
+function pickDecisiveEntry(entries) {
+  return entries.find(entry => entry.effect === 'deny') || entries.find(entry => entry.effect === 'allow');
+}
+
+/**
+ * Get the permissions a role allows or denies, directly or inherited from its ancestors
+ * A deny anywhere in the chain wins; otherwise the nearest role granting the permission is reported
+ * @param {number} roleId - Role ID
+ * @param {Object} db - Knex instance or transaction (default: knex)
+ * @returns {Promise<Array>} - [{ id, permission, description, effect, inherited_from }], inherited_from NULL when set on the role itself
+ */
+async function getRolePermissionsWithInheritance(roleId, db = knex) {
+  const chain = getRoleChain(roleId, await getRoleParents(db));
+  const grants = await db('role_permissions as rp')
+    .join('permissions as p', 'rp.permission', 'p.id')
+    .join('roles as r', 'rp.role', 'r.id')
+    .whereIn('rp.role', chain)
+    .select('rp.role', 'r.name as role_name', 'rp.effect', 'p.id', 'p.permission', 'p.description');
+
+  // Nearest role first, so ties go to the closest role
+  const ordered = chain.flatMap(chainRoleId => grants.filter(grant => grant.role === chainRoleId));
+  const permissionNames = [...new Set(ordered.map(grant => grant.permission))].sort();
+
+  return permissionNames.map(name => {
+    const decisive = pickDecisiveEntry(ordered.filter(grant => grant.permission === name));
+    return {
+      id: decisive.id,
+      permission: decisive.permission,
+      description: decisive.description,
+      effect: decisive.effect,
+      inherited_from: decisive.role === roleId ? null : decisive.role_name
+    };
+  });
+}
+
+/**
+ * Limit a user_permissions query to overrides that have not expired
+ * @param {Object} query - Knex query on user_permissions as up
+ * @returns {Object} - The query
+ */
+function whereOverrideActive(query) {
+  return query.where((builder) => {
+    builder.whereNull('up.expires_at').orWhere('up.expires_at', '>', new Date());
+  });
+}
+
+/**
+ * Load every allow/deny entry that reaches a user
+ * Per-user overrides come first, then role entries with the nearest role in each chain first
+ * Expired overrides are left out
  * @param {number} userId - User ID
- * @returns {Promise<Array>} - Array of permission objects
+ * @param {string} permissionName - Only load entries for this permission (default: all)
+ * @returns {Promise<Array>} - [{ permission, description, effect, source, role_name, inherited_from, company_id, expires_at }]
+ *   source is 'user' for overrides and 'role' for role entries; role_name is the assigned role
+ */
+async function getPermissionEntries(userId, permissionName = null) {
+  const overridesQuery = whereOverrideActive(knex('user_permissions as up'))
+    .join('permissions as p', 'up.permission', 'p.id')
+    .where('up.user', userId)
+    .select('p.permission', 'p.description', 'up.effect', 'up.company_id', 'up.expires_at');
+  if (permissionName) {
+    overridesQuery.where('p.permission', permissionName);
+  }
+  const overrides = await overridesQuery;
+
+  const assignments = await knex('user_roles as ur')
+    .join('roles as r', 'ur.role', 'r.id')
+    .where('ur.user', userId)
+    .select('ur.role', 'r.name as role_name', 'ur.company_id');
+
+  const entries = overrides.map(override => ({
+    ...override,
+    source: 'user',
+    role_name: null,
+    inherited_from: null
+  }));
+  if (assignments.length === 0) {
+    return entries;
+  }
+
+  const parents = await getRoleParents();
+  const chains = new Map(assignments.map(assignment => [assignment.role, getRoleChain(assignment.role, parents)]));
+  const grantsQuery = knex('role_permissions as rp')
+    .join('permissions as p', 'rp.permission', 'p.id')
+    .join('roles as r', 'rp.role', 'r.id')
+    .whereIn('rp.role', [...new Set([...chains.values()].flat())])
+    .select('rp.role', 'r.name as role_name', 'rp.effect', 'p.permission', 'p.description');
+  if (permissionName) {
+    grantsQuery.where('p.permission', permissionName);
+  }
+  const grants = await grantsQuery;
+
+  assignments.forEach(assignment => {
+    chains.get(assignment.role).forEach(chainRoleId => {
+      grants.filter(grant => grant.role === chainRoleId).forEach(grant => {
+        entries.push({
+          permission: grant.permission,
+          description: grant.description,
+          effect: grant.effect,
+          source: 'role',
+          role_name: assignment.role_name,
+          inherited_from: chainRoleId === assignment.role ? null : grant.role_name,
+          company_id: assignment.company_id,
+          expires_at: null
+        });
+      });
+    });
+  });
+
+  return entries;
+}
+
+/**
+ * Check whether an entry applies in a resource context, like whereAssignmentApplies
+ */
+function entryApplies(entry, context = {}) {
+  return entry.company_id === null || (!!context.companyId && Number(entry.company_id) === Number(context.companyId));
+}
+
+/**
+ * Decide a permission from the entries that apply
+ * @param {string} permissionName - Permission name
+ * @param {Array} entries - Applicable entries from getPermissionEntries()
+ * @returns {Object} - { permission, allowed, effect, source, role_name, inherited_from, expires_at }
+ *   effect, source and role_name are NULL when nothing grants or denies the permission;
+ *   expires_at is set when a temporary per-user override decided it
+ */
+function decidePermission(permissionName, entries) {
+  const decisive = pickDecisiveEntry(entries.filter(entry => entry.permission === permissionName));
+  return {
+    permission: permissionName,
+    allowed: decisive ? decisive.effect === 'allow' : false,
+    effect: decisive ? decisive.effect : null,
+    source: decisive ? decisive.source : null,
+    role_name: decisive ? decisive.role_name : null,
+    inherited_from: decisive ? decisive.inherited_from : null,
+    expires_at: decisive ? decisive.expires_at : null
+  };
+}
+
+/**
+ * Get the effective decision for one permission and what caused it
+ * @param {number} userId - User ID
+ * @param {string} permissionName - Permission name
+ * @param {Object} context - Resource context { companyId? }; company-scoped entries only count for their company
+ * @returns {Promise<Object>} - Decision from decidePermission()
+ */
+async function getPermissionDecision(userId, permissionName, context = {}) {
+  const entries = await getPermissionEntries(userId, permissionName);
+  return decidePermission(permissionName, entries.filter(entry => entryApplies(entry, context)));
+}
+
+/**
+ * Get a user's effective permission decisions
+ * Global decisions come first (company_id NULL); each company with scoped entries gets its own
+ * decisions for the permissions those entries touch, since a scoped grant or deny can change the outcome there
+ * @param {number} userId - User ID
+ * @returns {Promise<Array>} - Array of decisions
+ *   { permission, description, allowed, effect, source, role_name, inherited_from, expires_at, company_id }
  */
 async function getUserPermissions(userId) {
   try {
-    const permissions = await knex('user_roles as ur')
-      .join('roles as r', 'ur.role', 'r.id')
-      .join('role_permissions as rp', 'r.id', 'rp.role')
-      .join('permissions as p', 'rp.permission', 'p.id')
-      .where('ur.user', userId)
-      .select('p.permission', 'p.description', 'r.name as role_name')
-      .distinct();
+    const entries = await getPermissionEntries(userId);
+    const descriptions = new Map(entries.map(entry => [entry.permission, entry.description]));
+    const scopes = [null, ...new Set(entries.filter(entry => entry.company_id !== null).map(entry => entry.company_id))];
+
+    const decisions = [];
+    scopes.forEach(companyId => {
+      const applicable = entries.filter(entry => entryApplies(entry, { companyId }));
+      const names = new Set(entries.filter(entry => entry.company_id === companyId).map(entry => entry.permission));
+      [...names].sort().forEach(name => {
+        decisions.push({
+          ...decidePermission(name, applicable),
+          description: descriptions.get(name),
+          company_id: companyId
+        });
+      });
+    });
 
-    return permissions;
+    return decisions;
   } catch (error) {
     console.error('Error fetching user permissions:', error);
     return [];
@@ -100,22 +312,36 @@ async function getUserRoles(userId) {
 }
 
 /**
- * Check if user has specific permission (can method)
+ * Get a user's role assignments with their company scope
  * @param {number} userId - User ID
- * @param {string} permissionName - Permission name (e.g., 'edit_user')
- * @returns {Promise<boolean>} - True if user has permission
+ * @returns {Promise<Array>} - [{ role, description, company_id, company_name }], company_id NULL for global roles
  */
-async function can(userId, permissionName) {
+async function getUserRoleAssignments(userId) {
   try {
-    const permission = await knex('user_roles as ur')
+    return await knex('user_roles as ur')
       .join('roles as r', 'ur.role', 'r.id')
-      .join('role_permissions as rp', 'r.id', 'rp.role')
-      .join('permissions as p', 'rp.permission', 'p.id')
+      .leftJoin('companies as c', 'ur.company_id', 'c.id')
       .where('ur.user', userId)
-      .where('p.permission', permissionName)
-      .first();
+      .select('r.name as role', 'r.description', 'ur.company_id', 'c.name as company_name')
+      .orderBy([{ column: 'r.name' }, { column: 'c.name' }]);
+  } catch (error) {
+    console.error('Error fetching user role assignments:', error);
+    return [];
+  }
+}
 
-    return !!permission;
+/**
+ * Check if user has specific permission (can method), directly or through a parent role
+ * Deny entries on roles or on the user win over any grant
+ * @param {number} userId - User ID
+ * @param {string} permissionName - Permission name (e.g., 'edit_user')
+ * @param {Object} context - Resource context { companyId? }; company-scoped roles only count for their company
+ * @returns {Promise<boolean>} - True if user has permission
+ */
+async function can(userId, permissionName, context = {}) {
+  try {
+    const decision = await getPermissionDecision(userId, permissionName, context);
+    return decision.allowed;
   } catch (error) {
     console.error('Error checking user permission:', error);
     return false;
@@ -124,19 +350,36 @@ async function can(userId, permissionName) {
 
 // hasPermission removed - use can() directly
 
+/**
+ * Company in which another user's permission is checked before acting on a user with it
+ * A user who holds the permission in every company outranks company-scoped holders of it,
+ * so only a global grant may act on them
+ * @param {number} userId - ID of the user acted on
+ * @param {string} permissionName - Permission the action needs (e.g., 'edit_user')
+ * @returns {Promise<number|null>} - The user's company, or null when only a global grant will do
+ */
+async function getTargetCompanyId(userId, permissionName) {
+  const user = await knex('users').select('id', 'company_id').where('id', userId).first();
+  if (!user || await can(user.id, permissionName)) {
+    return null;
+  }
+  return user.company_id;
+}
+
 /**
  * Check if user has specific role
  * @param {number} userId - User ID
  * @param {string} roleName - Role name
+ * @param {Object} context - Resource context { companyId? }; company-scoped roles only count for their company
  * @returns {Promise<boolean>} - True if user has role
  */
-async function hasRole(userId, roleName) {
+async function hasRole(userId, roleName, context = {}) {
   try {
-    const role = await knex('user_roles as ur')
+    const query = knex('user_roles as ur')
       .join('roles as r', 'ur.role', 'r.id')
       .where('ur.user', userId)
-      .where('r.name', roleName)
-      .first();
+      .where('r.name', roleName);
+    const role = await whereAssignmentApplies(query, context).first();
 
     return !!role;
   } catch (error) {
@@ -151,8 +394,15 @@ module.exports = {
   isPasswordHashed,
   generateToken,
   verifyToken,
+  getRoleParents,
+  getRoleChain,
+  getRolePermissionsWithInheritance,
+  whereOverrideActive,
+  getPermissionDecision,
   getUserPermissions,
   getUserRoles,
+  getUserRoleAssignments,
   can,
+  getTargetCompanyId,
   hasRole
 };
@@ -0,0 +1,403 @@
+// services/campaignImageService.js
+// Campaign image records - metadata stored in the campaign_images table, files kept in the configured storage
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const exifr = require('exifr');
+const knex = require('../config/knex');
+const { getStorage } = require('./storage');
+const { RENDITION_SIZES, getRenditionKey } = require('./imageRenditionService');
+
+// Image extensions accepted for campaign images, mapped to their MIME type
+const IMAGE_MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+
+// Stored filenames follow campaign_{campaignId}_{timestamp}{ext}
+const STORED_NAME_PATTERN = /^campaign_(\d+)_/;
+
+/**
+ * Compute the SHA-256 checksum of a file or buffer
+ * @param {string|Buffer} source - Absolute path to the file, or its contents
+ * @returns {Promise<string>} - Hex encoded checksum
+ */
+function computeChecksum(source) {
+  if (Buffer.isBuffer(source)) {
+    return Promise.resolve(crypto.createHash('sha256').update(source).digest('hex'));
+  }
+  const filePath = source;
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * Get the MIME type for an image filename based on its extension
+ * @param {string} filename - Filename to check
+ * @returns {string|null} - MIME type or null if not a supported image
+ */
+function getImageMimeType(filename) {
+  return IMAGE_MIME_TYPES[path.extname(filename).toLowerCase()] || null;
+}
+
+// Leading bytes that identify each accepted image format
+const IMAGE_SIGNATURES = [
+  { mime: 'image/jpeg', matches: (bytes) => bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF },
+  { mime: 'image/png', matches: (bytes) => bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) },
+  { mime: 'image/gif', matches: (bytes) => ['GIF87a', 'GIF89a'].includes(bytes.toString('ascii', 0, 6)) },
+  { mime: 'image/webp', matches: (bytes) => bytes.toString('ascii', 0, 4) === 'RIFF' && bytes.toString('ascii', 8, 12) === 'WEBP' }
+];
+
+/**
+ * Detect the image type of a file from its content rather than its name
+ * @param {string} filePath - Absolute path to the file
+ * @returns {Promise<string|null>} - MIME type or null if the content is not a supported image
+ */
+async function detectImageType(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const bytes = Buffer.alloc(12);
+    const { bytesRead } = await handle.read(bytes, 0, bytes.length, 0);
+    if (bytesRead < bytes.length) {
+      return null;
+    }
+    const signature = IMAGE_SIGNATURES.find(candidate => candidate.matches(bytes));
+    return signature ? signature.mime : null;
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Read capture time, GPS position and orientation from a photo's EXIF data
+ * Photos without EXIF (screenshots, edited or PNG files) give null values
+ * @param {string|Buffer} source - Absolute path to the file, or its contents
+ * @returns {Promise<Object>} - { captured_at, gps_latitude, gps_longitude, orientation }
+ */
+async function extractImageMetadata(source) {
+  const metadata = { captured_at: null, gps_latitude: null, gps_longitude: null, orientation: null };
+
+  let exif;
+  try {
+    exif = await exifr.parse(source, { gps: true, translateValues: false });
+  } catch (error) {
+    console.error('Failed to read EXIF data:', Buffer.isBuffer(source) ? '(buffer)' : source, error.message);
+    return metadata;
+  }
+  if (!exif) {
+    return metadata;
+  }
+
+  const capturedAt = exif.DateTimeOriginal || exif.CreateDate;
+  if (capturedAt instanceof Date && !isNaN(capturedAt)) {
+    metadata.captured_at = capturedAt;
+  }
+  if (Number.isFinite(exif.latitude) && Number.isFinite(exif.longitude)) {
+    metadata.gps_latitude = exif.latitude;
+    metadata.gps_longitude = exif.longitude;
+  }
+  if (Number.isInteger(exif.Orientation) && exif.Orientation >= 1 && exif.Orientation <= 8) {
+    metadata.orientation = exif.Orientation;
+  }
+
+  return metadata;
+}
+
+/**
+ * Remove an image and its renditions from storage
+ * @param {string} storedName - Stored filename of the image
+ * @returns {Promise<void>}
+ */
+async function deleteImageFiles(storedName) {
+  const storage = getStorage();
+  await storage.delete(storedName);
+  for (const size of Object.keys(RENDITION_SIZES)) {
+    await storage.delete(getRenditionKey(storedName, size));
+  }
+}
+
+/**
+ * Create a campaign_images record for a stored file
+ * @param {Object} db - Knex instance or transaction
+ * @param {Object} image - { campaign_id, campaign_location_id?, uploaded_by, original_name, stored_name, mime_type?, size_bytes, checksum,
+ *                           uploaded_at?, captured_at?, gps_latitude?, gps_longitude?, orientation?, replaces_image_id? }
+ * @returns {Promise<number>} - ID of the created record
+ */
+async function recordImage(db, image) {
+  const [imageId] = await db('campaign_images').insert({
+    campaign_id: image.campaign_id,
+    campaign_location_id: image.campaign_location_id || null,
+    uploaded_by: image.uploaded_by || null,
+    original_name: image.original_name,
+    stored_name: image.stored_name,
+    mime_type: image.mime_type || getImageMimeType(image.stored_name) || 'application/octet-stream',
+    size_bytes: image.size_bytes,
+    checksum: image.checksum,
+    captured_at: image.captured_at || null,
+    gps_latitude: image.gps_latitude ?? null,
+    gps_longitude: image.gps_longitude ?? null,
+    orientation: image.orientation || null,
+    replaces_image_id: image.replaces_image_id || null,
+    ...(image.uploaded_at ? { uploaded_at: image.uploaded_at } : {})
+  });
+
+  return imageId;
+}
+
+// Review states for proof-of-posting images
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+
+/**
+ * Base query for image records with uploader, reviewer, deleter and site information
+ * Includes soft-deleted images; callers filter on ci.deleted_at
+ * captured_outside_campaign is 1 when the photo was taken before the campaign's start_date or after its end_date,
+ * 0 when it was taken inside the window and null when the capture time or the window is unknown
+ */
+function imageQuery() {
+  return knex('campaign_images as ci')
+    .join('campaigns as c', 'ci.campaign_id', 'c.id')
+    .leftJoin('users as u', 'ci.uploaded_by', 'u.id')
+    .leftJoin('users as r', 'ci.reviewed_by', 'r.id')
+    .leftJoin('users as d', 'ci.deleted_by', 'd.id')
+    .leftJoin('campaign_locations as cl', 'ci.campaign_location_id', 'cl.id')
+    .leftJoin('locations as l', 'cl.location_id', 'l.id')
+    .select(
+      'ci.id', 'ci.campaign_id', 'ci.campaign_location_id', 'l.name as location_name', 'ci.original_name', 'ci.stored_name', 'ci.mime_type',
+      'ci.size_bytes', 'ci.checksum', 'ci.uploaded_at', 'ci.uploaded_by', 'u.username as uploaded_by_username',
+      'ci.review_status', 'ci.rejection_reason', 'ci.reviewed_at', 'ci.reviewed_by', 'r.username as reviewed_by_username',
+      'ci.captured_at', 'ci.gps_latitude', 'ci.gps_longitude', 'ci.orientation', 'ci.replaces_image_id',
+      'ci.deleted_at', 'ci.deleted_by', 'd.username as deleted_by_username',
+      knex.raw(`CASE
+        WHEN ci.captured_at IS NULL OR (c.start_date IS NULL AND c.end_date IS NULL) THEN NULL
+        WHEN DATE(ci.captured_at) < c.start_date OR DATE(ci.captured_at) > c.end_date THEN 1
+        ELSE 0
+      END as captured_outside_campaign`)
+    );
+}
+
+/**
+ * Get a single image record by ID, including soft-deleted images
+ * @param {number} imageId - Image ID
+ * @returns {Promise<Object|undefined>} - Image record
+ */
+async function getImageById(imageId) {
+  return imageQuery().where('ci.id', imageId).first();
+}
+
+/**
+ * Count a campaign's images by review status
+ * @param {number} campaignId - Campaign ID
+ * @param {Object} db - Knex instance or transaction
+ * @returns {Promise<Object>} - { total, pending, approved, rejected }
+ */
+async function getImageReviewSummary(campaignId, db = knex) {
+  const rows = await db('campaign_images')
+    .select('review_status')
+    .count('* as count')
+    .where('campaign_id', campaignId)
+    .whereNull('deleted_at')
+    .groupBy('review_status');
+
+  const summary = { total: 0, pending: 0, approved: 0, rejected: 0 };
+  for (const row of rows) {
+    summary[row.review_status] = parseInt(row.count);
+    summary.total += parseInt(row.count);
+  }
+  return summary;
+}
+
+/**
+ * Subselects adding image counts to a campaigns query aliased as `c`; deleted images are not counted
+ * @returns {Array} - Raw select expressions for total_images, approved_images and rejected_images
+ */
+function imageCountColumns() {
+  return [
+    knex.raw('(SELECT COUNT(*) FROM campaign_images ci WHERE ci.campaign_id = c.id AND ci.deleted_at IS NULL) as total_images'),
+    knex.raw("(SELECT COUNT(*) FROM campaign_images ci WHERE ci.campaign_id = c.id AND ci.deleted_at IS NULL AND ci.review_status = 'approved') as approved_images"),
+    knex.raw("(SELECT COUNT(*) FROM campaign_images ci WHERE ci.campaign_id = c.id AND ci.deleted_at IS NULL AND ci.review_status = 'rejected') as rejected_images")
+  ];
+}
+
+/**
+ * Get all image records for a campaign, oldest first
+ * @param {number} campaignId - Campaign ID
+ * @returns {Promise<Array>} - Image records, without deleted images
+ */
+async function getCampaignImages(campaignId) {
+  return imageQuery()
+    .where('ci.campaign_id', campaignId)
+    .whereNull('ci.deleted_at')
+    .orderBy('ci.uploaded_at', 'asc')
+    .orderBy('ci.id', 'asc');
+}
+
+/**
+ * Get a campaign's deleted images that can still be restored, most recently deleted first
+ * @param {number} campaignId - Campaign ID
+ * @param {number} retentionDays - Days a deleted image is kept
+ * @returns {Promise<Array>} - Image records
+ */
+async function getDeletedCampaignImages(campaignId, retentionDays) {
+  return imageQuery()
+    .where('ci.campaign_id', campaignId)
+    .where('ci.deleted_at', '>=', knex.raw('NOW() - INTERVAL ? DAY', [retentionDays]))
+    .orderBy('ci.deleted_at', 'desc');
+}
+
+/**
+ * Soft-delete an image; its files stay in storage until purged
+ * @param {Object} db - Knex instance or transaction
+ * @param {number} imageId - Image ID
+ * @param {number} userId - User deleting the image
+ * @returns {Promise<void>}
+ */
+async function softDeleteImage(db, imageId, userId) {
+  await db('campaign_images')
+    .where('id', imageId)
+    .update({ deleted_at: knex.fn.now(), deleted_by: userId });
+}
+
+/**
+ * Restore a soft-deleted image
+ * An image that was replaced takes its place back: the active replacement (following replacements of replacements)
+ * is soft-deleted, so only one version of the photo counts
+ * @param {Object} db - Transaction
+ * @param {number} imageId - Image ID
+ * @param {number} userId - User restoring the image, recorded as deleting the replacement
+ * @returns {Promise<Array<number>>} - IDs of replacements that were soft-deleted
+ */
+async function restoreImage(db, imageId, userId) {
+  const retired = [];
+  let versionIds = [imageId];
+  while (versionIds.length > 0) {
+    const replacements = await db('campaign_images')
+      .select('id', 'deleted_at')
+      .whereIn('replaces_image_id', versionIds);
+    for (const replacement of replacements.filter(r => !r.deleted_at)) {
+      await softDeleteImage(db, replacement.id, userId);
+      retired.push(replacement.id);
+    }
+    versionIds = replacements.map(r => r.id);
+  }
+
+  await db('campaign_images')
+    .where('id', imageId)
+    .update({ deleted_at: null, deleted_by: null });
+  return retired;
+}
+
+/**
+ * Permanently remove images deleted longer ago than the retention period, files first
+ * @param {number} retentionDays - Days a deleted image is kept
+ * @returns {Promise<Object>} - { purged, errors }
+ */
+async function purgeDeletedImages(retentionDays) {
+  const summary = { purged: 0, errors: [] };
+
+  const expired = await knex('campaign_images')
+    .select('id', 'stored_name')
+    .where('deleted_at', '<', knex.raw('NOW() - INTERVAL ? DAY', [retentionDays]));
+
+  for (const image of expired) {
+    try {
+      await deleteImageFiles(image.stored_name);
+      await knex('campaign_images').where('id', image.id).del();
+      summary.purged++;
+    } catch (error) {
+      summary.errors.push(`${image.stored_name}: ${error.message}`);
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Get a single image record by its stored filename, including soft-deleted images
+ * @param {string} storedName - Stored filename
+ * @returns {Promise<Object|undefined>} - Image record
+ */
+async function getImageByStoredName(storedName) {
+  return imageQuery().where('ci.stored_name', storedName).first();
+}
+
+/**
+ * Backfill campaign_images rows from files already in storage
+ * Files without a matching campaign, or that are already recorded, are skipped
+ * @returns {Promise<Object>} - { imported, skipped, errors }
+ */
+async function importImagesFromStorage() {
+  const summary = { imported: 0, skipped: 0, errors: [] };
+
+  const storage = getStorage();
+  const objects = await storage.list();
+  const existing = new Set(
+    (await knex('campaign_images').select('stored_name')).map(row => row.stored_name)
+  );
+  const campaignIds = new Set(
+    (await knex('campaigns').select('id')).map(row => row.id)
+  );
+
+  for (const { key: file, size, lastModified } of objects) {
+    // Originals live at the top level; renditions/ and other nested keys never match
+    const match = file.match(STORED_NAME_PATTERN);
+    if (!match || !getImageMimeType(file) || existing.has(file)) {
+      summary.skipped++;
+      continue;
+    }
+
+    const campaignId = parseInt(match[1]);
+    if (!campaignIds.has(campaignId)) {
+      summary.errors.push(`${file}: campaign ${campaignId} does not exist`);
+      continue;
+    }
+
+    try {
+      const contents = await storage.getBuffer(file);
+      await recordImage(knex, {
+        ...await extractImageMetadata(contents),
+        campaign_id: campaignId,
+        uploaded_by: null,                // Uploader was never recorded for legacy files
+        original_name: file,
+        stored_name: file,
+        size_bytes: size,
+        checksum: await computeChecksum(contents),
+        uploaded_at: lastModified
+      });
+      summary.imported++;
+    } catch (error) {
+      summary.errors.push(`${file}: ${error.message}`);
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  IMAGE_MIME_TYPES,
+  REVIEW_STATUSES,
+  computeChecksum,
+  detectImageType,
+  extractImageMetadata,
+  getImageMimeType,
+  recordImage,
+  getCampaignImages,
+  getDeletedCampaignImages,
+  softDeleteImage,
+  restoreImage,
+  purgeDeletedImages,
+  getImageById,
+  getImageByStoredName,
+  getImageReviewSummary,
+  imageCountColumns,
+  deleteImageFiles,
+  importImagesFromStorage
+};
@@ -0,0 +1,286 @@
+// services/campaignReportService.js
+// Printable proof-of-performance PDF for a campaign - details, contractors, sites, status history and approved photos
+
+const PDFDocument = require('pdfkit');
+const sharp = require('sharp');
+const { getStorage } = require('./storage');
+const { ensureRendition } = require('./imageRenditionService');
+
+const PAGE_MARGIN = 50;
+const PHOTO_COLUMNS = 2;
+const PHOTO_GAP = 15;
+const PHOTO_HEIGHT = 180;
+const CAPTION_HEIGHT = 36;
+
+const pad = (number) => String(number).padStart(2, '0');
+
+/**
+ * Format a date as YYYY-MM-DD in server local time
+ * @param {Date|string} value - Date to format
+ * @returns {string} - Formatted date, or '-' when missing
+ */
+function formatReportDate(value) {
+  if (!value) {
+    return '-';
+  }
+  const date = new Date(value);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Format a date and time as YYYY-MM-DD HH:mm in server local time
+ * @param {Date|string} value - Date to format
+ * @returns {string} - Formatted date and time, or '-' when missing
+ */
+function formatReportDateTime(value) {
+  if (!value) {
+    return '-';
+  }
+  const date = new Date(value);
+  return `${formatReportDate(date)} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Turn a status value such as in_progress into "In progress"
+ * @param {string} status - Status value
+ * @returns {string} - Readable status
+ */
+function formatStatus(status) {
+  if (!status) {
+    return '-';
+  }
+  const text = status.replace(/_/g, ' ');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Load an approved image for the report as a JPEG, since PDFKit cannot embed WebP
+ * The medium rendition is used to keep the PDF small
+ * @param {Object} image - Image record
+ * @returns {Promise<Buffer|null>} - JPEG data, or null when the image cannot be loaded
+ */
+async function loadReportImage(image) {
+  try {
+    const renditionKey = await ensureRendition(image.stored_name, 'medium');
+    const rendition = await getStorage().getBuffer(renditionKey);
+    return await sharp(rendition)
+      .resize(800, 800, { fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: 75 })
+      .toBuffer();
+  } catch (error) {
+    console.error(`Could not load image ${image.stored_name} for report:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Start a new page when the next block would not fit on the current one
+ */
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+}
+
+function drawSectionHeading(doc, title) {
+  ensureSpace(doc, 60);
+  doc.moveDown(1);
+  doc.font('Helvetica-Bold').fontSize(13).fillColor('#111827').text(title, PAGE_MARGIN);
+  doc.moveDown(0.3);
+  doc.font('Helvetica').fontSize(9).fillColor('#111827');
+}
+
+/**
+ * Draw a simple table; rows grow to fit wrapped text and break across pages
+ * @param {Object} doc - PDFKit document
+ * @param {Array<{ header: string, width: number }>} columns - Column headers and widths in points
+ * @param {Array<Array<string>>} rows - Cell text per row
+ */
+function drawTable(doc, columns, rows) {
+  const drawRow = (cells, font) => {
+    doc.font(font).fontSize(9);
+    const height = Math.max(...cells.map((cell, index) =>
+      doc.heightOfString(cell, { width: columns[index].width - 6 }))) + 6;
+    ensureSpace(doc, height);
+
+    const top = doc.y;
+    let x = PAGE_MARGIN;
+    cells.forEach((cell, index) => {
+      doc.text(cell, x + 3, top + 3, { width: columns[index].width - 6 });
+      x += columns[index].width;
+    });
+    doc.moveTo(PAGE_MARGIN, top + height).lineTo(x, top + height).strokeColor('#d1d5db').lineWidth(0.5).stroke();
+    doc.y = top + height;
+  };
+
+  drawRow(columns.map(column => column.header), 'Helvetica-Bold');
+  rows.forEach(row => drawRow(row.map(cell => String(cell ?? '-')), 'Helvetica'));
+  doc.x = PAGE_MARGIN;
+}
+
+function drawDetails(doc, { campaign, generatedAt, generatedBy }) {
+  doc.font('Helvetica-Bold').fontSize(20).fillColor('#111827').text('Proof of Performance');
+  doc.font('Helvetica').fontSize(14).text(campaign.name);
+  doc.fontSize(9).fillColor('#6b7280')
+    .text(`Generated ${formatReportDateTime(generatedAt)}${generatedBy ? ` by ${generatedBy}` : ''}`);
+  doc.fillColor('#111827');
+
+  drawSectionHeading(doc, 'Campaign');
+  drawTable(doc, [{ header: 'Field', width: 140 }, { header: 'Value', width: 355 }], [
+    ['Campaign ID', campaign.id],
+    ['Client', campaign.company_name],
+    ['Status', formatStatus(campaign.status)],
+    ['Start date', formatReportDate(campaign.start_date)],
+    ['End date', formatReportDate(campaign.end_date)],
+    ['Description', campaign.description || '-'],
+    ['Photos approved', `${campaign.approved_images} of ${campaign.required_images} required`],
+    ['Photos uploaded / rejected', `${campaign.total_images} / ${campaign.rejected_images}`]
+  ]);
+}
+
+function drawContractors(doc, contractors) {
+  drawSectionHeading(doc, 'Assigned contractors');
+  if (contractors.length === 0) {
+    doc.text('No contractors assigned.');
+    return;
+  }
+  drawTable(doc, [{ header: 'Username', width: 200 }, { header: 'Company', width: 295 }],
+    contractors.map(contractor => [contractor.username, contractor.company_name]));
+}
+
+function drawLocations(doc, locations) {
+  drawSectionHeading(doc, 'Sites');
+  if (locations.length === 0) {
+    doc.text('No sites assigned.');
+    return;
+  }
+  drawTable(doc, [
+    { header: 'Site', width: 120 },
+    { header: 'Address', width: 150 },
+    { header: 'Qty', width: 35 },
+    { header: 'Status', width: 75 },
+    { header: 'Updated', width: 115 }
+  ], locations.map(location => [
+    location.name,
+    location.address,
+    location.quantity,
+    formatStatus(location.status) + (location.status_reason ? `: ${location.status_reason}` : ''),
+    location.status_updated_at
+      ? `${formatReportDateTime(location.status_updated_at)}${location.status_updated_by_username ? ` (${location.status_updated_by_username})` : ''}`
+      : '-'
+  ]));
+}
+
+function drawHistory(doc, history) {
+  drawSectionHeading(doc, 'Status history');
+  if (history.length === 0) {
+    doc.text('No status changes recorded.');
+    return;
+  }
+  drawTable(doc, [
+    { header: 'Date', width: 95 },
+    { header: 'Change', width: 150 },
+    { header: 'By', width: 90 },
+    { header: 'Reason', width: 160 }
+  ], history.map(entry => [
+    formatReportDateTime(entry.changed_at),
+    entry.from_status ? `${formatStatus(entry.from_status)} to ${formatStatus(entry.to_status)}` : `Created as ${formatStatus(entry.to_status)}`,
+    entry.changed_by_username || 'System',
+    entry.reason || '-'
+  ]));
+}
+
+async function drawPhotos(doc, images) {
+  drawSectionHeading(doc, 'Approved photos');
+  if (images.length === 0) {
+    doc.text('No approved photos.');
+    return;
+  }
+
+  const width = (doc.page.width - PAGE_MARGIN * 2 - PHOTO_GAP * (PHOTO_COLUMNS - 1)) / PHOTO_COLUMNS;
+  for (let index = 0; index < images.length; index += 1) {
+    const image = images[index];
+    const column = index % PHOTO_COLUMNS;
+    if (column === 0) {
+      ensureSpace(doc, PHOTO_HEIGHT + CAPTION_HEIGHT);
+    }
+    const x = PAGE_MARGIN + column * (width + PHOTO_GAP);
+    const top = doc.y;
+
+    const jpeg = await loadReportImage(image);
+    if (jpeg) {
+      doc.image(jpeg, x, top, { fit: [width, PHOTO_HEIGHT], align: 'center', valign: 'center' });
+    } else {
+      doc.rect(x, top, width, PHOTO_HEIGHT).strokeColor('#d1d5db').stroke();
+      doc.fillColor('#6b7280').text('Image unavailable', x, top + PHOTO_HEIGHT / 2 - 5, { width, align: 'center' });
+    }
+
+    const captured = image.captured_at ? `Taken ${formatReportDateTime(image.captured_at)}` : 'Capture time unknown';
+    doc.font('Helvetica').fontSize(8).fillColor('#111827')
+      .text(image.location_name || 'No site', x, top + PHOTO_HEIGHT + 4, { width, lineBreak: false, ellipsis: true });
+    doc.fillColor(image.captured_outside_campaign ? '#b45309' : '#6b7280')
+      .text(image.captured_outside_campaign ? `${captured} (outside campaign dates)` : captured, x, doc.y, { width, lineBreak: false, ellipsis: true });
+    doc.fillColor('#111827');
+
+    // Move below the row once it is full, otherwise stay level for the next column
+    doc.y = column === PHOTO_COLUMNS - 1 || index === images.length - 1 ? top + PHOTO_HEIGHT + CAPTION_HEIGHT : top;
+  }
+  doc.x = PAGE_MARGIN;
+}
+
+/**
+ * Add "Campaign name - Page n of m" to the bottom of every page
+ */
+function drawPageFooters(doc, campaign) {
+  const range = doc.bufferedPageRange();
+  for (let index = range.start; index < range.start + range.count; index += 1) {
+    doc.switchToPage(index);
+    // Writing below the bottom margin would otherwise add a page
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc.font('Helvetica').fontSize(8).fillColor('#6b7280').text(
+      `${campaign.name} - Page ${index + 1} of ${range.count}`,
+      PAGE_MARGIN,
+      doc.page.height - PAGE_MARGIN / 2 - 4,
+      { width: doc.page.width - PAGE_MARGIN * 2, align: 'center', lineBreak: false }
+    );
+    doc.page.margins.bottom = bottomMargin;
+  }
+}
+
+/**
+ * Write the proof-of-performance report to an output stream
+ * @param {Object} output - Writable stream, e.g. an Express response
+ * @param {Object} report - { campaign, contractors, locations, history, images, generatedAt, generatedBy }
+ *   campaign uses the campaign list columns; images are the approved image records
+ * @returns {Promise<void>} - Resolves once the whole PDF has been written
+ */
+async function writeCampaignReport(output, report) {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: PAGE_MARGIN,
+    bufferPages: true,
+    info: { Title: `Proof of Performance - ${report.campaign.name}` }
+  });
+  const finished = new Promise((resolve, reject) => {
+    doc.on('end', resolve);
+    doc.on('error', reject);
+  });
+  doc.pipe(output);
+
+  drawDetails(doc, report);
+  drawContractors(doc, report.contractors);
+  drawLocations(doc, report.locations);
+  drawHistory(doc, report.history);
+  await drawPhotos(doc, report.images);
+  drawPageFooters(doc, report.campaign);
+
+  doc.end();
+  await finished;
+}
+
+module.exports = {
+  formatReportDate,
+  formatReportDateTime,
+  writeCampaignReport
+};
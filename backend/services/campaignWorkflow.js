@@ -0,0 +1,159 @@
+// services/campaignWorkflow.js
+// Campaign status state machine - single source of truth for which status changes are allowed and who may make them
+
+const { PERMISSIONS } = require('../config/permissionRegistry');
+
+const CAMPAIGN_STATUSES = ['pending', 'approved', 'rejected', 'in_progress', 'completed', 'cancelled'];
+
+/**
+ * Allowed transitions keyed by current status, then by target status.
+ * Each target lists the grants that allow the change - satisfying any one of them is enough:
+ * - { permission: 'name' }                    user has the permission through their roles
+ * - { permission: 'name', ownCompany: true }  user has the permission and belongs to the campaign's company
+ * - { assignedContractor: true }              user is a contractor assigned to the campaign
+ */
+const TRANSITIONS = {
+  pending: {
+    approved: [{ permission: PERMISSIONS.EDIT_CAMPAIGN }, { permission: PERMISSIONS.APPROVE_CAMPAIGN, ownCompany: true }],
+    rejected: [{ permission: PERMISSIONS.APPROVE_CAMPAIGN, ownCompany: true }],
+    cancelled: [{ permission: PERMISSIONS.EDIT_CAMPAIGN }]
+  },
+  rejected: {
+    pending: [{ permission: PERMISSIONS.EDIT_CAMPAIGN }],          // Revised and resubmitted to the client
+    cancelled: [{ permission: PERMISSIONS.EDIT_CAMPAIGN }]
+  },
+  approved: {
+    in_progress: [{ permission: PERMISSIONS.EDIT_CAMPAIGN }, { assignedContractor: true }],
+    pending: [{ permission: PERMISSIONS.EDIT_CAMPAIGN }],          // Send back for review
+    cancelled: [{ permission: PERMISSIONS.EDIT_CAMPAIGN }]
+  },
+  in_progress: {
+    completed: [{ permission: PERMISSIONS.EDIT_CAMPAIGN }, { assignedContractor: true }],
+    cancelled: [{ permission: PERMISSIONS.EDIT_CAMPAIGN }]
+  },
+  completed: {
+    in_progress: [{ permission: PERMISSIONS.EDIT_CAMPAIGN }]       // Re-open for rework
+  },
+  cancelled: {
+    pending: [{ permission: PERMISSIONS.EDIT_CAMPAIGN }]           // Re-open as a new request
+  }
+};
+
+/**
+ * Requirements a campaign must meet before it may enter a status, checked after the actor's grants.
+ * Each check receives facts gathered by the caller and returns a message describing what is missing, or null:
+ * - images:         { total, pending, approved, rejected } image counts by review status
+ * - requiredImages: number of approved images the campaign needs
+ * - locations:      { total, not_started, posted, failed, waived } placement counts by posting status
+ */
+const STATUS_REQUIREMENTS = {
+  completed: [
+    ({ images, requiredImages }) => (images.approved < requiredImages
+      ? `${images.approved} of ${requiredImages} required images approved`
+      : null),
+    ({ images }) => (images.pending > 0
+      ? `${images.pending} image(s) still awaiting review`
+      : null),
+    ({ locations }) => {
+      const open = locations.total - locations.posted - locations.waived;
+      return open > 0 ? `${open} location(s) not yet posted or waived` : null;
+    }
+  ]
+};
+
+/**
+ * Check whether a status value is part of the campaign status enum
+ * @param {string} status - Status to check
+ * @returns {boolean} - True if status is valid
+ */
+function isValidStatus(status) {
+  return CAMPAIGN_STATUSES.includes(status);
+}
+
+/**
+ * Check whether an actor satisfies a single transition grant
+ * @param {Object} grant - Grant from the TRANSITIONS table
+ * @param {Object} actor - { user: User instance, isAssignedContractor: boolean, isCompanyMember: boolean, companyId?: number }
+ * @returns {Promise<boolean>} - True if the grant is satisfied
+ */
+async function satisfiesGrant(grant, actor) {
+  if (grant.assignedContractor) {
+    return !!actor.isAssignedContractor;
+  }
+  if (grant.ownCompany && !actor.isCompanyMember) {
+    return false;
+  }
+  if (grant.permission) {
+    // Company-scoped roles count for the campaign's company
+    return !!actor.user && await actor.user.can(grant.permission, { companyId: actor.companyId });
+  }
+  return false;
+}
+
+/**
+ * Get the statuses an actor may move a campaign to from its current status
+ * @param {string} fromStatus - Current campaign status
+ * @param {Object} actor - { user: User instance, isAssignedContractor: boolean, isCompanyMember: boolean }
+ * @returns {Promise<Array<string>>} - Allowed target statuses
+ */
+async function getAllowedTransitions(fromStatus, actor) {
+  const targets = TRANSITIONS[fromStatus] || {};
+  const allowed = [];
+
+  for (const [toStatus, grants] of Object.entries(targets)) {
+    for (const grant of grants) {
+      if (await satisfiesGrant(grant, actor)) {
+        allowed.push(toStatus);
+        break;
+      }
+    }
+  }
+
+  return allowed;
+}
+
+/**
+ * Check a single transition for an actor
+ * @param {string} fromStatus - Current campaign status
+ * @param {string} toStatus - Requested status
+ * @param {Object} actor - { user: User instance, isAssignedContractor: boolean, isCompanyMember: boolean }
+ * @returns {Promise<Object>} - { allowed: boolean, allowedTransitions: Array<string> }
+ */
+async function checkTransition(fromStatus, toStatus, actor) {
+  const allowedTransitions = await getAllowedTransitions(fromStatus, actor);
+  return {
+    allowed: allowedTransitions.includes(toStatus),
+    allowedTransitions
+  };
+}
+
+/**
+ * Check whether a status has requirements that need campaign facts
+ * @param {string} toStatus - Requested status
+ * @returns {boolean} - True if getUnmetRequirements must be consulted
+ */
+function hasRequirements(toStatus) {
+  return !!STATUS_REQUIREMENTS[toStatus];
+}
+
+/**
+ * Get the requirements a campaign does not yet meet for a target status
+ * @param {string} toStatus - Requested status
+ * @param {Object} facts - { images, requiredImages, locations }
+ * @returns {Array<string>} - Messages for each unmet requirement (empty when the status may be entered)
+ */
+function getUnmetRequirements(toStatus, facts) {
+  return (STATUS_REQUIREMENTS[toStatus] || [])
+    .map(check => check(facts))
+    .filter(Boolean);
+}
+
+module.exports = {
+  CAMPAIGN_STATUSES,
+  TRANSITIONS,
+  isValidStatus,
+  getAllowedTransitions,
+  checkTransition,
+  hasRequirements,
+  getUnmetRequirements
+};
@@ -0,0 +1,149 @@
+// services/imageArchiveService.js
+// ZIP archives of campaign images for client reporting - files named by site and capture date, plus a manifest CSV
+
+const path = require('path');
+const archiver = require('archiver');
+const { getStorage } = require('./storage');
+
+// Columns of manifest.csv, in order
+const MANIFEST_COLUMNS = [
+  'file', 'original_name', 'location', 'captured_at', 'uploaded_at', 'uploaded_by',
+  'gps_latitude', 'gps_longitude', 'reviewed_by', 'reviewed_at', 'sha256'
+];
+
+/**
+ * Turn text into a safe, readable filename part
+ * @param {string} text - Text to convert
+ * @returns {string} - Lowercase words joined by hyphens
+ */
+function slugify(text) {
+  return String(text)
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60) || 'untitled';
+}
+
+/**
+ * Format a date as YYYY-MM-DD in server local time (EXIF capture times carry no timezone)
+ * @param {Date|string} value - Date to format
+ * @returns {string} - Formatted date
+ */
+function formatFileDate(value) {
+  const date = new Date(value);
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Decide the name of each image inside the archive
+ * Names follow {location}_{capture date}_{nn}{ext}; the upload date is used when the capture time is unknown
+ * @param {Array} images - Image records
+ * @returns {Array} - [{ name, image }] in the order of the images
+ */
+function getArchiveEntries(images) {
+  const counters = {};
+
+  return images.map((image) => {
+    const location = image.location_name ? slugify(image.location_name) : 'no-site';
+    const date = formatFileDate(image.captured_at || image.uploaded_at);
+    const prefix = `${location}_${date}`;
+    counters[prefix] = (counters[prefix] || 0) + 1;
+
+    const extension = path.extname(image.stored_name).toLowerCase();
+    return { name: `${prefix}_${String(counters[prefix]).padStart(2, '0')}${extension}`, image };
+  });
+}
+
+/**
+ * Quote a value for CSV; text that spreadsheets would run as a formula is prefixed with an apostrophe
+ * @param {*} value - Cell value
+ * @returns {string} - CSV cell
+ */
+function toCsvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@]/.test(text) && !/^[+-]?\d+(\.\d+)?$/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build the manifest listing every file in the archive
+ * @param {Array} entries - Archive entries from getArchiveEntries
+ * @returns {string} - CSV with a header row
+ */
+function buildManifestCsv(entries) {
+  const rows = entries.map(({ name, image }) => [
+    name,
+    image.original_name,
+    image.location_name,
+    image.captured_at,
+    image.uploaded_at,
+    image.uploaded_by_username,
+    image.gps_latitude,
+    image.gps_longitude,
+    image.reviewed_by_username,
+    image.reviewed_at,
+    image.checksum
+  ]);
+
+  return [MANIFEST_COLUMNS, ...rows]
+    .map(row => row.map(toCsvCell).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+/**
+ * Append a stream to an archive and wait until it has been written
+ * Files are added one at a time so only one storage download is open at once
+ */
+function appendStream(archive, stream, data) {
+  return new Promise((resolve, reject) => {
+    const onEntry = () => {
+      archive.off('error', onError);
+      resolve();
+    };
+    const onError = (error) => {
+      archive.off('entry', onEntry);
+      reject(error);
+    };
+    archive.once('entry', onEntry);
+    archive.once('error', onError);
+    archive.append(stream, data);
+  });
+}
+
+/**
+ * Write a ZIP of the given images and their manifest to an output stream
+ * Images are stored without recompression since JPEG/PNG/WebP are already compressed
+ * @param {Object} output - Writable stream, e.g. an Express response
+ * @param {Array} entries - Archive entries from getArchiveEntries
+ * @returns {Promise<void>} - Resolves once the archive has been finalized
+ */
+async function writeImageArchive(output, entries) {
+  const storage = getStorage();
+  const archive = archiver('zip', { store: true });
+  // Errors outside an append (e.g. while finalizing) abort the download
+  archive.on('error', error => output.destroy(error));
+  archive.pipe(output);
+
+  for (const { name, image } of entries) {
+    const stream = await storage.getStream(image.stored_name);
+    await appendStream(archive, stream, { name, date: new Date(image.captured_at || image.uploaded_at) });
+  }
+  archive.append(buildManifestCsv(entries), { name: 'manifest.csv' });
+
+  await archive.finalize();
+}
+
+module.exports = {
+  slugify,
+  getArchiveEntries,
+  buildManifestCsv,
+  writeImageArchive
+};
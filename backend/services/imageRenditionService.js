@@ -0,0 +1,103 @@
+// services/imageRenditionService.js
+// Resized renditions of campaign images - thumbnails for grids and web-size copies for previews
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { getStorage } = require('./storage');
+
+// Bounding box (pixels) and WebP quality of each rendition; images are never enlarged
+const RENDITION_SIZES = {
+  thumb: { width: 320, height: 320, quality: 70 },
+  medium: { width: 1280, height: 1280, quality: 80 }
+};
+
+const RENDITION_MIME_TYPE = 'image/webp';
+
+/**
+ * Storage key of a rendition for a stored image
+ * @param {string} storedName - Stored filename of the original image
+ * @param {string} size - Rendition size (thumb, medium)
+ * @returns {string} - Key below renditions/{size}/
+ */
+function getRenditionKey(storedName, size) {
+  const baseName = path.basename(storedName, path.extname(storedName));
+  return `renditions/${size}/${baseName}.webp`;
+}
+
+/**
+ * Create one rendition of an image and store it
+ * The image is rotated according to its EXIF orientation before resizing
+ * @param {string} storedName - Stored filename of the original image
+ * @param {string} size - Rendition size (thumb, medium)
+ * @param {string|Buffer} source - Path or contents of the original image
+ * @returns {Promise<string>} - Storage key of the created rendition
+ */
+async function createRendition(storedName, size, source) {
+  const { width, height, quality } = RENDITION_SIZES[size];
+  const renditionKey = getRenditionKey(storedName, size);
+
+  const rendition = await sharp(source)
+    .rotate()
+    .resize({ width, height, fit: 'inside', withoutEnlargement: true })
+    .webp({ quality })
+    .toBuffer();
+  await getStorage().put(renditionKey, rendition, { contentType: RENDITION_MIME_TYPE });
+
+  return renditionKey;
+}
+
+/**
+ * Rotate an image file upright according to its EXIF orientation, replacing the file
+ * Used on uploads before they are stored; other EXIF data (capture time, GPS) is kept
+ * @param {string} filePath - Absolute path of the uploaded file
+ * @returns {Promise<void>}
+ */
+async function autoOrientImage(filePath) {
+  const tempPath = `${filePath}.rotating`;
+
+  try {
+    await sharp(filePath).rotate().withMetadata({ orientation: 1 }).toFile(tempPath);
+    await fs.promises.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.promises.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Create and store all renditions of an image
+ * @param {string} storedName - Stored filename of the original image
+ * @param {string|Buffer} source - Path or contents of the original image
+ * @returns {Promise<void>}
+ */
+async function generateRenditions(storedName, source) {
+  for (const size of Object.keys(RENDITION_SIZES)) {
+    await createRendition(storedName, size, source);
+  }
+}
+
+/**
+ * Get the storage key of a rendition, creating it from the stored original if it is missing
+ * Covers images uploaded before renditions existed and uploads whose generation failed
+ * @param {string} storedName - Stored filename of the original image
+ * @param {string} size - Rendition size (thumb, medium)
+ * @returns {Promise<string>} - Storage key of the rendition
+ */
+async function ensureRendition(storedName, size) {
+  const storage = getStorage();
+  const renditionKey = getRenditionKey(storedName, size);
+  if (await storage.exists(renditionKey)) {
+    return renditionKey;
+  }
+  return createRendition(storedName, size, await storage.getBuffer(storedName));
+}
+
+module.exports = {
+  RENDITION_SIZES,
+  RENDITION_MIME_TYPE,
+  getRenditionKey,
+  autoOrientImage,
+  generateRenditions,
+  ensureRendition
+};
@@ -0,0 +1,166 @@
+// services/locationService.js
+// Poster location registry - site validation, per-campaign placement lists and placement status
+
+const knex = require('../config/knex');
+
+// Kinds of sites posters can be put up at (matches the locations.site_type enum)
+const SITE_TYPES = ['billboard', 'bus_shelter', 'street_pole', 'wall', 'kiosk', 'indoor', 'other'];
+
+// Posting status of a single campaign placement (matches the campaign_locations.status enum)
+const PLACEMENT_STATUSES = ['not_started', 'posted', 'failed', 'waived'];
+
+// Columns returned for a location
+const LOCATION_COLUMNS = [
+  'id', 'name', 'address', 'latitude', 'longitude', 'site_type', 'size_format', 'owner_notes', 'created_at'
+];
+
+/**
+ * Parse an optional coordinate from a request body
+ * @param {*} value - Raw body value
+ * @param {number} limit - Absolute bound (90 for latitude, 180 for longitude)
+ * @returns {number|null|undefined} - Parsed value, null when empty, undefined when invalid
+ */
+function parseCoordinate(value, limit) {
+  if (value === null || typeof value === 'undefined' || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) && Math.abs(number) <= limit ? number : undefined;
+}
+
+/**
+ * Validate location fields from a request body
+ * @param {Object} body - { name, address, latitude?, longitude?, site_type?, size_format?, owner_notes? }
+ * @returns {Object} - { error } when invalid, otherwise { values } ready to insert or update
+ */
+function validateLocation(body) {
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  const address = typeof body.address === 'string' ? body.address.trim() : '';
+
+  if (!name || !address) {
+    return { error: 'Location name and address are required' };
+  }
+
+  const latitude = parseCoordinate(body.latitude, 90);
+  const longitude = parseCoordinate(body.longitude, 180);
+  if (typeof latitude === 'undefined' || typeof longitude === 'undefined') {
+    return { error: 'Latitude must be between -90 and 90 and longitude between -180 and 180' };
+  }
+  if ((latitude === null) !== (longitude === null)) {
+    return { error: 'Latitude and longitude must be provided together' };
+  }
+
+  const siteType = body.site_type || 'other';
+  if (!SITE_TYPES.includes(siteType)) {
+    return { error: `Site type must be one of: ${SITE_TYPES.join(', ')}` };
+  }
+
+  return {
+    values: {
+      name,
+      address,
+      latitude,
+      longitude,
+      site_type: siteType,
+      size_format: body.size_format ? String(body.size_format).trim() : null,
+      owner_notes: body.owner_notes ? String(body.owner_notes).trim() : null
+    }
+  };
+}
+
+/**
+ * Get the placement lists of one or more campaigns
+ * @param {Array<number>} campaignIds - Campaign IDs
+ * @returns {Promise<Object>} - Placements keyed by campaign ID, each with location details and quantity
+ */
+async function getCampaignLocations(campaignIds) {
+  const byCampaign = {};
+  if (campaignIds.length === 0) {
+    return byCampaign;
+  }
+
+  const rows = await knex('campaign_locations as cl')
+    .join('locations as l', 'cl.location_id', 'l.id')
+    .leftJoin('users as u', 'cl.status_updated_by', 'u.id')
+    .select(
+      'cl.id', 'cl.campaign_id', 'cl.location_id', 'cl.quantity',
+      'cl.status', 'cl.status_reason', 'cl.status_updated_at', 'u.username as status_updated_by_username',
+      'l.name', 'l.address', 'l.latitude', 'l.longitude', 'l.site_type', 'l.size_format', 'l.owner_notes'
+    )
+    .whereIn('cl.campaign_id', campaignIds)
+    .orderBy('l.name');
+
+  for (const campaignId of campaignIds) {
+    byCampaign[campaignId] = [];
+  }
+  for (const row of rows) {
+    byCampaign[row.campaign_id].push(row);
+  }
+  return byCampaign;
+}
+
+/**
+ * Count a campaign's placements by posting status
+ * @param {number} campaignId - Campaign ID
+ * @param {Object} db - Knex instance or transaction
+ * @returns {Promise<Object>} - { total, not_started, posted, failed, waived }
+ */
+async function getPlacementStatusSummary(campaignId, db = knex) {
+  const rows = await db('campaign_locations')
+    .select('status')
+    .count('* as count')
+    .where('campaign_id', campaignId)
+    .groupBy('status');
+
+  const summary = { total: 0, not_started: 0, posted: 0, failed: 0, waived: 0 };
+  for (const row of rows) {
+    summary[row.status] = parseInt(row.count);
+    summary.total += parseInt(row.count);
+  }
+  return summary;
+}
+
+/**
+ * Validate a placement list from a request body
+ * @param {*} placements - Expected: Array of { location_id, quantity? }
+ * @returns {Object} - { error } when invalid, otherwise { values } as { location_id, quantity } rows
+ */
+function validatePlacements(placements) {
+  if (!Array.isArray(placements)) {
+    return { error: 'Locations array is required' };
+  }
+
+  const values = [];
+  const seen = new Set();
+  for (const placement of placements) {
+    if (!placement || typeof placement !== 'object') {
+      return { error: 'Each location needs a valid location_id' };
+    }
+    const locationId = Number(placement.location_id);
+    const quantity = typeof placement.quantity === 'undefined' ? 1 : Number(placement.quantity);
+
+    if (!Number.isInteger(locationId) || locationId <= 0) {
+      return { error: 'Each location needs a valid location_id' };
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return { error: 'Quantity must be a whole number of 1 or more' };
+    }
+    if (seen.has(locationId)) {
+      return { error: 'Each location can only be listed once per campaign' };
+    }
+    seen.add(locationId);
+    values.push({ location_id: locationId, quantity });
+  }
+
+  return { values };
+}
+
+module.exports = {
+  SITE_TYPES,
+  PLACEMENT_STATUSES,
+  LOCATION_COLUMNS,
+  validateLocation,
+  validatePlacements,
+  getCampaignLocations,
+  getPlacementStatusSummary
+};
@@ -0,0 +1,228 @@
+// services/loginProtectionService.js
+// Brute-force protection - tracks failed logins per account and per IP address, delays retries and locks accounts
+
+const knex = require('../config/knex');
+const loginSecurityConfig = require('../config/loginSecurity');
+
+// Failed attempts are kept long enough to throttle an address and, for unknown usernames, to emulate
+// an account lockout followed by a fresh failure
+const ATTEMPT_RETENTION_MINUTES = loginSecurityConfig.ipWindowMinutes + loginSecurityConfig.lockoutMinutes;
+
+/**
+ * Seconds from now until a moment in time, rounded up
+ * @param {Date} until - Moment in the future
+ * @returns {number}
+ */
+function secondsUntil(until) {
+  return Math.max(Math.ceil((until.getTime() - Date.now()) / 1000), 1);
+}
+
+/**
+ * Delay required before the next attempt after a number of consecutive failures
+ * @param {number} failedAttempts - Consecutive failed passwords
+ * @returns {number} - Delay in seconds, doubling per failure up to the configured maximum
+ */
+function getRetryDelaySeconds(failedAttempts) {
+  if (failedAttempts < 1) {
+    return 0;
+  }
+  const delay = loginSecurityConfig.baseDelaySeconds * Math.pow(2, failedAttempts - 1);
+  return Math.min(delay, loginSecurityConfig.maxDelaySeconds);
+}
+
+/**
+ * Moment a number of minutes ago
+ * @param {number} minutes - Minutes to go back
+ * @returns {Date}
+ */
+function minutesAgo(minutes) {
+  return new Date(Date.now() - minutes * 60 * 1000);
+}
+
+/**
+ * Count a login attempt against an IP address before the password is checked
+ * The attempt is stored first and only the attempts stored before it are counted, so concurrent
+ * requests cannot all pass the limit together
+ * @param {string} username - Username that was tried
+ * @param {string|null} ipAddress - Client IP address
+ * @returns {Promise<Object>} - { attemptId, block } - block is { retry_after } when the address must wait,
+ *   in which case the attempt has already been taken back
+ */
+async function reserveIpAttempt(username, ipAddress) {
+  const windowStart = minutesAgo(loginSecurityConfig.ipWindowMinutes);
+  await knex('login_attempts')
+    .where('ip_address', ipAddress)
+    .where('created_at', '<=', minutesAgo(ATTEMPT_RETENTION_MINUTES))
+    .del();
+  const [attemptId] = await knex('login_attempts').insert({ username: username.slice(0, 255), ip_address: ipAddress });
+
+  const recentAttempts = knex('login_attempts')
+    .where('ip_address', ipAddress)
+    .where('created_at', '>', windowStart)
+    .where('id', '<', attemptId);
+
+  const { count } = await recentAttempts.clone().count('* as count').first();
+  const excess = parseInt(count) - loginSecurityConfig.maxFailedAttemptsPerIp;
+  if (excess < 0) {
+    return { attemptId, block: null };
+  }
+
+  await releaseIpAttempt(attemptId);
+
+  // The address is unblocked once enough failures have aged out of the window
+  const attempt = await recentAttempts
+    .select('created_at')
+    .orderBy('created_at', 'asc')
+    .offset(excess)
+    .first();
+  const unblockedAt = new Date(new Date(attempt.created_at).getTime() + loginSecurityConfig.ipWindowMinutes * 60 * 1000);
+  return { attemptId, block: { retry_after: secondsUntil(unblockedAt) } };
+}
+
+/**
+ * Take back an attempt reserved with reserveIpAttempt() that did not fail
+ * @param {number} attemptId - ID returned by reserveIpAttempt()
+ */
+async function releaseIpAttempt(attemptId) {
+  await knex('login_attempts').where('id', attemptId).del();
+}
+
+/**
+ * Check whether an account is locked or must wait before the next password attempt
+ * @param {Object} user - Row from the users table
+ * @returns {Object|null} - { retry_after, locked_until? }, or null when the account may try again
+ */
+function getAccountBlock(user) {
+  if (user.locked_until && new Date(user.locked_until) > new Date()) {
+    const lockedUntil = new Date(user.locked_until);
+    return { retry_after: secondsUntil(lockedUntil), locked_until: lockedUntil.toISOString() };
+  }
+
+  if (user.failed_attempts > 0 && user.last_failed_login_at) {
+    const delayMs = getRetryDelaySeconds(user.failed_attempts) * 1000;
+    const nextAttemptAt = new Date(new Date(user.last_failed_login_at).getTime() + delayMs);
+    if (nextAttemptAt > new Date()) {
+      return { retry_after: secondsUntil(nextAttemptAt) };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a username that belongs to no account must wait, as getAccountBlock() would for a real one
+ * Its failures are read from the recorded login attempts, so unknown usernames are throttled and
+ * locked the same way and cannot be told apart from real accounts
+ * @param {string} username - Username that was tried
+ * @param {number} attemptId - Attempt reserved for the current request with reserveIpAttempt()
+ * @param {Object} options - { includeAttempt } - also count the current attempt, to see whether it led to a lockout
+ * @returns {Promise<Object|null>} - { retry_after, locked_until? }, or null when the username may try again
+ */
+async function getUnknownAccountBlock(username, attemptId, { includeAttempt = false } = {}) {
+  const failures = await knex('login_attempts')
+    .where('username', username.slice(0, 255))
+    .where('id', includeAttempt ? '<=' : '<', attemptId)
+    .where('created_at', '>', minutesAgo(ATTEMPT_RETENTION_MINUTES))
+    .orderBy('id', 'desc')
+    .pluck('created_at');
+  if (failures.length === 0) {
+    return null;
+  }
+
+  const lastFailedAt = new Date(failures[0]);
+  return getAccountBlock({
+    failed_attempts: failures.length,
+    last_failed_login_at: lastFailedAt,
+    locked_until: failures.length >= loginSecurityConfig.maxFailedAttempts
+      ? new Date(lastFailedAt.getTime() + loginSecurityConfig.lockoutMinutes * 60 * 1000)
+      : null
+  });
+}
+
+/**
+ * Count a password attempt against an account before the password is checked
+ * The update only applies while the account still has the failure count it was read with and is not
+ * locked, so of several concurrent attempts only one gets through
+ * @param {Object} user - Row from the users table, as read before the attempt
+ * @returns {Promise<Object|null>} - { retry_after } when another attempt got there first, or null when this one may go ahead
+ */
+async function reserveLoginAttempt(user) {
+  const updated = await knex('users')
+    .where('id', user.id)
+    .where('failed_attempts', user.failed_attempts)
+    .where(query => query.whereNull('locked_until').orWhere('locked_until', '<=', new Date()))
+    .update({ failed_attempts: knex.raw('failed_attempts + 1'), last_failed_login_at: new Date() });
+  return updated > 0 ? null : { retry_after: Math.max(getRetryDelaySeconds(user.failed_attempts + 1), 1) };
+}
+
+/**
+ * Take back an attempt reserved with reserveLoginAttempt() after the right password was given
+ * @param {Object} user - Row from the users table, as passed to reserveLoginAttempt()
+ */
+async function releaseLoginAttempt(user) {
+  await knex('users')
+    .where('id', user.id)
+    .update({ failed_attempts: knex.raw('GREATEST(failed_attempts - 1, 0)'), last_failed_login_at: user.last_failed_login_at });
+}
+
+/**
+ * Record a failed password, locking the account once it reaches the configured number of failures
+ * The attempt itself has already been counted by reserveLoginAttempt()
+ * @param {Object} user - Row from the users table
+ * @param {string|null} [ipAddress] - Client IP address to count the failure against; leave out when
+ *   reserveIpAttempt() already did
+ * @returns {Promise<Object|null>} - The account's block after this failure (see getAccountBlock)
+ */
+async function recordFailedLogin(user, ipAddress) {
+  if (ipAddress !== undefined) {
+    await knex('login_attempts').insert({ username: user.username.slice(0, 255), ip_address: ipAddress });
+  }
+
+  const updated = await knex('users')
+    .select('id', 'username', 'failed_attempts', 'last_failed_login_at', 'locked_until')
+    .where('id', user.id)
+    .first();
+
+  if (updated.failed_attempts >= loginSecurityConfig.maxFailedAttempts) {
+    updated.locked_until = new Date(Date.now() + loginSecurityConfig.lockoutMinutes * 60 * 1000);
+    await knex('users').where('id', user.id).update({ locked_until: updated.locked_until });
+    console.warn(`[Auth] Locked account ${updated.username} after ${updated.failed_attempts} failed login attempts`);
+  }
+
+  return getAccountBlock(updated);
+}
+
+/**
+ * Record a successful login, clearing the account's failed attempts
+ * @param {number} userId - User ID
+ */
+async function recordSuccessfulLogin(userId) {
+  await knex('users')
+    .where('id', userId)
+    .update({ failed_attempts: 0, locked_until: null, last_login_at: new Date() });
+}
+
+/**
+ * Unlock an account and clear its failed attempts
+ * @param {number} userId - User ID
+ * @returns {Promise<boolean>} - True if the user exists
+ */
+async function resetFailedLogins(userId) {
+  const updated = await knex('users')
+    .where('id', userId)
+    .update({ failed_attempts: 0, locked_until: null });
+  return updated > 0;
+}
+
+module.exports = {
+  getRetryDelaySeconds,
+  reserveIpAttempt,
+  releaseIpAttempt,
+  getAccountBlock,
+  getUnknownAccountBlock,
+  reserveLoginAttempt,
+  releaseLoginAttempt,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  resetFailedLogins
+};
@@ -0,0 +1,62 @@
+// services/mail/index.js
+// Mail abstraction - picks the SMTP or console driver from config/mail.js
+//
+// Every driver provides:
+//   send({ from, to, subject, text })   deliver one plain-text message
+
+const mailConfig = require('../../config/mail');
+const { createLogMailer } = require('./logMailer');
+
+let mailer = null;
+
+/**
+ * Create a mail driver
+ * @param {Object} config - Mail configuration shaped like config/mail.js
+ * @returns {Object} - Mail driver
+ */
+function createMailer(config) {
+  switch (config.driver) {
+    case 'log':
+      return createLogMailer();
+    case 'smtp':
+      // Loaded on demand so nodemailer is only needed when mail is actually sent
+      return require('./smtpMailer').createSmtpMailer(config.smtp);
+    default:
+      throw new Error(`Unknown mail driver: ${config.driver}`);
+  }
+}
+
+/**
+ * Get the configured mail driver, created on first use
+ * @returns {Object} - Mail driver
+ */
+function getMailer() {
+  if (!mailer) {
+    mailer = createMailer(mailConfig);
+  }
+  return mailer;
+}
+
+/**
+ * Replace the mail driver, e.g. with one pointed at a test SMTP server
+ * @param {Object|null} driver - Mail driver, or null to go back to the configured one
+ */
+function setMailer(driver) {
+  mailer = driver;
+}
+
+/**
+ * Send a plain-text email from the configured sender address
+ * @param {Object} message - { to, subject, text }
+ * @returns {Promise<void>}
+ */
+async function sendMail({ to, subject, text }) {
+  await getMailer().send({ from: mailConfig.from, to, subject, text });
+}
+
+module.exports = {
+  createMailer,
+  getMailer,
+  setMailer,
+  sendMail
+};
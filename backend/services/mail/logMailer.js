@@ -0,0 +1,18 @@
+// services/mail/logMailer.js
+// Console mail driver - prints messages instead of sending them, for development without an SMTP server
+
+/**
+ * Create a console mail driver
+ * @returns {Object} - Mail driver (see services/mail/index.js)
+ */
+function createLogMailer() {
+  return {
+    async send({ from, to, subject, text }) {
+      console.log(`[Mail] From: ${from}\n[Mail] To: ${to}\n[Mail] Subject: ${subject}\n${text}`);
+    }
+  };
+}
+
+module.exports = {
+  createLogMailer
+};
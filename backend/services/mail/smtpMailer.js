@@ -0,0 +1,29 @@
+// services/mail/smtpMailer.js
+// SMTP mail driver - sends messages through any SMTP server using nodemailer
+
+const nodemailer = require('nodemailer');
+
+/**
+ * Create an SMTP mail driver
+ * @param {Object} options - { host, port, secure, user?, password? } - see config/mail.js
+ * @returns {Object} - Mail driver (see services/mail/index.js)
+ */
+function createSmtpMailer({ host, port, secure, user, password }) {
+  const transport = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    // Local stand-ins such as MailHog accept mail without logging in
+    auth: user ? { user, pass: password } : undefined
+  });
+
+  return {
+    async send({ from, to, subject, text }) {
+      await transport.sendMail({ from, to, subject, text });
+    }
+  };
+}
+
+module.exports = {
+  createSmtpMailer
+};
@@ -0,0 +1,124 @@
+// services/passwordResetService.js
+// Forgotten passwords - single-use, expiring reset links sent to the user's email address
+
+const crypto = require('crypto');
+const knex = require('../config/knex');
+const mailConfig = require('../config/mail');
+const { sendMail } = require('./mail');
+
+// How long a reset link stays valid
+const RESET_TOKEN_TTL_MINUTES = 60;
+
+// Reset emails sent to one user per hour; further requests are silently dropped
+const MAX_RESET_REQUESTS_PER_HOUR = 3;
+
+/**
+ * Hash a reset token for storage and lookup; only the hash is kept in the password_reset_tokens table
+ * @param {string} token - Reset token as sent in the email
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashResetToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Build the link a user follows to choose a new password
+ * @param {string} token - Reset token
+ * @returns {string} - Frontend URL carrying the token as reset_token
+ */
+function getResetLink(token) {
+  const url = new URL(mailConfig.appUrl);
+  url.searchParams.set('reset_token', token);
+  return url.toString();
+}
+
+/**
+ * Email a password reset link to the user with this address, if there is one
+ * Callers should answer the same way either way, without waiting for this, so addresses cannot be probed
+ * @param {string} email - Email address entered on the forgot password form
+ * @param {string|null} ipAddress - Address the request came from
+ * @returns {Promise<boolean>} - True if an email was sent
+ */
+async function requestPasswordReset(email, ipAddress) {
+  const user = await knex('users').select('id', 'username', 'email').where('email', email).first();
+  if (!user) {
+    return false;
+  }
+
+  const hourAgo = new Date(Date.now() - 60 * 60 * 1000);
+  const { count } = await knex('password_reset_tokens')
+    .where('user', user.id)
+    .where('created_at', '>', hourAgo)
+    .count('* as count')
+    .first();
+  if (parseInt(count) >= MAX_RESET_REQUESTS_PER_HOUR) {
+    console.warn(`[Auth] Too many password reset requests for ${user.username}; not sending another email`);
+    return false;
+  }
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  await knex('password_reset_tokens').insert({
+    user: user.id,
+    token_hash: hashResetToken(token),
+    ip_address: ipAddress || null,
+    expires_at: new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000)
+  });
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      `Hello ${user.username},`,
+      '',
+      'Someone asked to reset the password of your account. To choose a new password, open this link:',
+      '',
+      getResetLink(token),
+      '',
+      `The link works once and expires in ${RESET_TOKEN_TTL_MINUTES} minutes.`,
+      'If you did not ask for this, you can ignore this email; your password stays the same.'
+    ].join('\n')
+  });
+
+  return true;
+}
+
+/**
+ * Use up a reset token
+ * Marks the token used, along with any other unused tokens of the same user
+ * @param {string} token - Reset token from the link
+ * @param {Object} db - Knex instance or transaction; pass the handler's transaction so the token is only spent if the password changes
+ * @returns {Promise<Object|null>} - { id, username, password } of the token's user, or null when the token is invalid, expired or used
+ */
+async function consumePasswordResetToken(token, db = knex) {
+  const resetToken = await db('password_reset_tokens')
+    .where('token_hash', hashResetToken(token))
+    .whereNull('used_at')
+    .where('expires_at', '>', new Date())
+    .first();
+  if (!resetToken) {
+    return null;
+  }
+
+  // Only one request can spend the token, even if two arrive at once
+  const updated = await db('password_reset_tokens')
+    .where('id', resetToken.id)
+    .whereNull('used_at')
+    .update({ used_at: new Date() });
+  if (updated === 0) {
+    return null;
+  }
+
+  await db('password_reset_tokens')
+    .where('user', resetToken.user)
+    .whereNull('used_at')
+    .update({ used_at: new Date() });
+
+  return db('users').select('id', 'username', 'password').where('id', resetToken.user).first();
+}
+
+module.exports = {
+  RESET_TOKEN_TTL_MINUTES,
+  hashResetToken,
+  requestPasswordReset,
+  consumePasswordResetToken
+};
@@ -0,0 +1,184 @@
+// services/sessionService.js
+// Sign-in sessions - short-lived access tokens renewed with rotating refresh tokens, revocable server-side
+
+const crypto = require('crypto');
+const knex = require('../config/knex');
+const { generateToken, getUserRoles } = require('./authService');
+
+// How long a session lasts without being refreshed
+const REFRESH_TOKEN_TTL_DAYS = 30;
+
+/**
+ * Hash a refresh token for storage and lookup; only the hash is kept in the sessions table
+ * @param {string} refreshToken - Refresh token as given to the client
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashRefreshToken(refreshToken) {
+  return crypto.createHash('sha256').update(refreshToken).digest('hex');
+}
+
+/**
+ * Generate a new random refresh token
+ * @returns {string} - Refresh token
+ */
+function generateRefreshToken() {
+  return crypto.randomBytes(48).toString('base64url');
+}
+
+/**
+ * Get the expiry of a session refreshed now
+ * @returns {Date}
+ */
+function getSessionExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Issue an access token for a user's session
+ * @param {Object} user - { id, username, company_id }
+ * @param {number} sessionId - Session ID, carried in the token as sid so revoking the session revokes the token
+ * @returns {Promise<string>} - JWT access token
+ */
+async function issueAccessToken(user, sessionId) {
+  const roles = await getUserRoles(user.id);
+  return generateToken({
+    id: user.id,
+    username: user.username,
+    roles: roles.map(r => r.name),
+    company_id: user.company_id,
+    sid: sessionId
+  });
+}
+
+/**
+ * Start a session for a user who just signed in
+ * @param {Object} user - { id, username, company_id }
+ * @param {Object} req - Express request; its IP address and user agent are stored with the session
+ * @returns {Promise<Object>} - { token, refresh_token }
+ */
+async function createSession(user, req) {
+  const refreshToken = generateRefreshToken();
+  const userAgent = req.get('user-agent');
+
+  const [sessionId] = await knex('sessions').insert({
+    user: user.id,
+    refresh_token_hash: hashRefreshToken(refreshToken),
+    ip_address: req.ip || null,
+    user_agent: userAgent ? userAgent.slice(0, 500) : null,
+    last_used_at: new Date(),
+    expires_at: getSessionExpiry()
+  });
+
+  return {
+    token: await issueAccessToken(user, sessionId),
+    refresh_token: refreshToken
+  };
+}
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * The old refresh token stops working; presenting it again is treated as theft and revokes the session
+ * @param {string} refreshToken - Refresh token from the client
+ * @returns {Promise<Object|null>} - { token, refresh_token }, or null when the token is invalid, expired or revoked
+ */
+async function rotateRefreshToken(refreshToken) {
+  const tokenHash = hashRefreshToken(refreshToken);
+
+  const reused = await knex('sessions')
+    .where('previous_token_hash', tokenHash)
+    .whereNull('revoked_at')
+    .first();
+  if (reused) {
+    console.warn(`[Auth] Refresh token reused for session ${reused.id}; revoking it`);
+    await revokeSession(reused.id);
+    return null;
+  }
+
+  const session = await knex('sessions')
+    .where('refresh_token_hash', tokenHash)
+    .whereNull('revoked_at')
+    .where('expires_at', '>', new Date())
+    .first();
+  if (!session) {
+    return null;
+  }
+
+  const user = await knex('users').select('id', 'username', 'company_id').where('id', session.user).first();
+  if (!user) {
+    return null;
+  }
+
+  const newRefreshToken = generateRefreshToken();
+  // Only rotate if nobody else rotated this token in the meantime
+  const updated = await knex('sessions')
+    .where({ id: session.id, refresh_token_hash: tokenHash })
+    .update({
+      refresh_token_hash: hashRefreshToken(newRefreshToken),
+      previous_token_hash: tokenHash,
+      last_used_at: new Date(),
+      expires_at: getSessionExpiry()
+    });
+  if (updated === 0) {
+    return null;
+  }
+
+  return {
+    token: await issueAccessToken(user, session.id),
+    refresh_token: newRefreshToken
+  };
+}
+
+/**
+ * Check whether a session is still valid
+ * @param {number} sessionId - Session ID
+ * @returns {Promise<boolean>} - False once the session is revoked or expired
+ */
+async function isSessionActive(sessionId) {
+  const session = await knex('sessions')
+    .select('id')
+    .where('id', sessionId)
+    .whereNull('revoked_at')
+    .where('expires_at', '>', new Date())
+    .first();
+  return Boolean(session);
+}
+
+/**
+ * Revoke a single session, e.g. on logout
+ * @param {number} sessionId - Session ID
+ * @returns {Promise<boolean>} - True if an active session was revoked
+ */
+async function revokeSession(sessionId) {
+  const updated = await knex('sessions')
+    .where('id', sessionId)
+    .whereNull('revoked_at')
+    .update({ revoked_at: new Date() });
+  return updated > 0;
+}
+
+/**
+ * Revoke every active session of a user, signing them out everywhere
+ * @param {number} userId - User ID
+ * @param {number|null} exceptSessionId - Session to keep, e.g. the one that just changed the password
+ * @param {Object} db - Knex instance or transaction
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+async function revokeUserSessions(userId, exceptSessionId = null, db = knex) {
+  const query = db('sessions')
+    .where('user', userId)
+    .whereNull('revoked_at');
+  if (exceptSessionId) {
+    query.whereNot('id', exceptSessionId);
+  }
+  return query.update({ revoked_at: new Date() });
+}
+
+module.exports = {
+  REFRESH_TOKEN_TTL_DAYS,
+  hashRefreshToken,
+  createSession,
+  rotateRefreshToken,
+  isSessionActive,
+  revokeSession,
+  revokeUserSessions
+};
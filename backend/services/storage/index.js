@@ -0,0 +1,62 @@
+// services/storage/index.js
+// Storage abstraction for campaign image files - picks the local or S3 driver from config/storage.js
+//
+// Every driver provides (keys are relative paths using '/', e.g. 'renditions/thumb/campaign_1_x.webp'):
+//   put(key, body, { contentType? })   store a Buffer
+//   getBuffer(key)                     read an object into a Buffer
+//   getStream(key)                     readable stream of an object
+//   exists(key)                        whether an object exists
+//   delete(key)                        remove an object; missing objects are ignored
+//   list(prefix?)                      [{ key, size, lastModified }] for all objects below the prefix
+//   getSignedUrl(key, { expiresIn })   temporary download URL, or null when the driver has none
+
+const storageConfig = require('../../config/storage');
+const { createLocalStorage } = require('./localStorage');
+
+let storage = null;
+
+/**
+ * Create a storage driver
+ * @param {Object} config - Storage configuration shaped like config/storage.js
+ * @returns {Object} - Storage driver
+ */
+function createStorage(config) {
+  switch (config.driver) {
+    case 'local':
+      return createLocalStorage(config.local);
+    case 's3':
+      // Loaded on demand so the AWS SDK is only needed when S3 is used
+      return require('./s3Storage').createS3Storage(config.s3);
+    default:
+      throw new Error(`Unknown storage driver: ${config.driver}`);
+  }
+}
+
+/**
+ * Get the configured storage driver, created on first use
+ * @returns {Object} - Storage driver
+ */
+function getStorage() {
+  if (!storage) {
+    storage = createStorage(storageConfig);
+  }
+  return storage;
+}
+
+/**
+ * Temporary download URL for a stored object when signed URLs are enabled and supported
+ * @param {string} key - Storage key
+ * @returns {Promise<string|null>} - URL, or null when images must go through the API
+ */
+async function getDownloadUrl(key) {
+  if (!storageConfig.signedUrls.enabled) {
+    return null;
+  }
+  return getStorage().getSignedUrl(key, { expiresIn: storageConfig.signedUrls.expiresIn });
+}
+
+module.exports = {
+  createStorage,
+  getStorage,
+  getDownloadUrl
+};
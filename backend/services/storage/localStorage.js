@@ -0,0 +1,88 @@
+// services/storage/localStorage.js
+// Local disk storage driver - objects are files below a root directory, keys use '/' as separator
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Create a local disk storage driver
+ * @param {Object} options - { root } directory holding the stored files
+ * @returns {Object} - Storage driver (see services/storage/index.js)
+ */
+function createLocalStorage({ root }) {
+  const rootDir = path.resolve(root);
+
+  // Map a key to a file path, refusing keys that would escape the root directory
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootDir, ...key.split('/'));
+    if (!filePath.startsWith(rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  // Recursively collect files below a directory
+  const walk = async (dir, keyPrefix, results) => {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return results;
+      throw error;
+    }
+
+    for (const entry of entries) {
+      const key = keyPrefix + entry.name;
+      if (entry.isDirectory()) {
+        await walk(path.join(dir, entry.name), `${key}/`, results);
+      } else if (entry.isFile()) {
+        const stats = await fs.promises.stat(path.join(dir, entry.name));
+        results.push({ key, size: stats.size, lastModified: stats.mtime });
+      }
+    }
+    return results;
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, body) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, body);
+    },
+
+    async getBuffer(key) {
+      return fs.promises.readFile(resolveKey(key));
+    },
+
+    async getStream(key) {
+      return fs.createReadStream(resolveKey(key));
+    },
+
+    async exists(key) {
+      try {
+        return (await fs.promises.stat(resolveKey(key))).isFile();
+      } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+
+    async list(prefix = '') {
+      const objects = await walk(rootDir, '', []);
+      return objects.filter(object => object.key.startsWith(prefix));
+    },
+
+    // Files on disk are only reachable through the authenticated image route
+    async getSignedUrl() {
+      return null;
+    }
+  };
+}
+
+module.exports = { createLocalStorage };
@@ -0,0 +1,95 @@
+// services/storage/s3Storage.js
+// S3-compatible storage driver - works with AWS S3 and MinIO (set endpoint and forcePathStyle for MinIO)
+
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+/**
+ * Create an S3-compatible storage driver
+ * @param {Object} options - { bucket, region, endpoint?, forcePathStyle?, accessKeyId?, secretAccessKey?, prefix? }
+ * @returns {Object} - Storage driver (see services/storage/index.js)
+ */
+function createS3Storage({ bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey, prefix = '' }) {
+  if (!bucket) {
+    throw new Error('S3 storage requires a bucket (S3_BUCKET)');
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    // Without explicit keys the SDK falls back to its default credential chain (env, profile, instance role)
+    ...(accessKeyId && secretAccessKey ? { credentials: { accessKeyId, secretAccessKey } } : {})
+  });
+
+  const objectKey = (key) => prefix + key;
+
+  const getObject = (key) => client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+
+  return {
+    name: 's3',
+
+    async put(key, body, { contentType } = {}) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key),
+        Body: body,
+        ContentType: contentType
+      }));
+    },
+
+    async getBuffer(key) {
+      const object = await getObject(key);
+      return Buffer.from(await object.Body.transformToByteArray());
+    },
+
+    async getStream(key) {
+      return (await getObject(key)).Body;
+    },
+
+    async exists(key) {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return true;
+      } catch (error) {
+        if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) return false;
+        throw error;
+      }
+    },
+
+    // Deleting a missing object is not an error in S3
+    async delete(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+    },
+
+    async list(listPrefix = '') {
+      const objects = [];
+      let continuationToken;
+      do {
+        const page = await client.send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: objectKey(listPrefix),
+          ContinuationToken: continuationToken
+        }));
+        for (const object of page.Contents || []) {
+          objects.push({ key: object.Key.slice(prefix.length), size: object.Size, lastModified: object.LastModified });
+        }
+        continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (continuationToken);
+      return objects;
+    },
+
+    async getSignedUrl(key, { expiresIn }) {
+      return getSignedUrl(client, new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }), { expiresIn });
+    }
+  };
+}
+
+module.exports = { createS3Storage };
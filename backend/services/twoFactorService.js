@@ -0,0 +1,326 @@
+// services/twoFactorService.js
+// Two-factor authentication - TOTP (RFC 6238) enrollment and verification, recovery codes and login challenges
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const knex = require('../config/knex');
+const twoFactorConfig = require('../config/twoFactor');
+const { generateToken, verifyToken, getRoleParents, getRoleChain } = require('./authService');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Marks the short-lived token handed out between the password and the code step
+const CHALLENGE_PURPOSE = 'two_factor';
+
+/**
+ * Encode bytes as base32 (RFC 4648, no padding), the format authenticator apps expect for secrets
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string}
+ */
+function base32Encode(buffer) {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+}
+
+/**
+ * Decode a base32 string; spaces, padding and lowercase letters are tolerated
+ * @param {string} text - Base32 text
+ * @returns {Buffer}
+ */
+function base32Decode(text) {
+  const clean = text.toUpperCase().replace(/[\s=]/g, '');
+  let bits = '';
+  for (const char of clean) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+    bits += value.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Get the TOTP time step for a moment in time
+ * @param {number} now - Time in milliseconds (default: Date.now())
+ * @returns {number}
+ */
+function getTimeStep(now = Date.now()) {
+  return Math.floor(now / 1000 / twoFactorConfig.periodSeconds);
+}
+
+/**
+ * Compute the TOTP code for a secret and time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step (see getTimeStep)
+ * @returns {string} - Zero-padded code
+ */
+function generateTotp(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % Math.pow(10, twoFactorConfig.digits)).padStart(twoFactorConfig.digits, '0');
+}
+
+/**
+ * Find the time step a code was generated for, within the allowed clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number|null} lastUsedStep - Step of the last accepted code; it and earlier steps are refused
+ * @returns {number|null} - The matching step, or null when the code is wrong, expired or already used
+ */
+function findMatchingStep(secret, code, lastUsedStep = null) {
+  const normalized = String(code).replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${twoFactorConfig.digits}}$`).test(normalized)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep();
+  for (let offset = -twoFactorConfig.window; offset <= twoFactorConfig.window; offset++) {
+    const step = currentStep + offset;
+    if (lastUsedStep !== null && step <= lastUsedStep) {
+      continue;
+    }
+    if (crypto.timingSafeEqual(Buffer.from(generateTotp(secret, step)), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/**
+ * Hash a recovery code for storage and lookup; dashes, spaces and case are ignored
+ * @param {string} code - Recovery code as shown to the user
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashRecoveryCode(code) {
+  const normalized = String(code).toUpperCase().replace(/[\s-]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Replace a user's recovery codes with a fresh set
+ * @param {number} userId - User ID
+ * @param {Object} db - Knex instance or transaction
+ * @returns {Promise<string[]>} - The new codes; only their hashes are stored, so this is the only time they are seen
+ */
+async function replaceRecoveryCodes(userId, db = knex) {
+  const codes = Array.from({ length: twoFactorConfig.recoveryCodeCount }, () =>
+    base32Encode(crypto.randomBytes(10)).match(/.{4}/g).join('-')
+  );
+
+  await db('recovery_codes').where('user', userId).del();
+  await db('recovery_codes').insert(codes.map(code => ({ user: userId, code_hash: hashRecoveryCode(code) })));
+  return codes;
+}
+
+/**
+ * Check whether any role assigned to the user, or any role it inherits from, requires two-factor authentication
+ * @param {number} userId - User ID
+ * @returns {Promise<boolean>}
+ */
+async function isTwoFactorRequired(userId) {
+  const assigned = await knex('user_roles').where('user', userId).pluck('role');
+  if (assigned.length === 0) {
+    return false;
+  }
+
+  const parents = await getRoleParents();
+  const roleIds = [...new Set(assigned.flatMap(roleId => getRoleChain(roleId, parents)))];
+  const role = await knex('roles')
+    .whereIn('id', roleIds)
+    .where('requires_two_factor', true)
+    .first('id');
+  return Boolean(role);
+}
+
+/**
+ * Get a user's two-factor authentication state
+ * @param {number} userId - User ID
+ * @returns {Promise<Object|null>} - { enabled, enabled_at, required, recovery_codes_remaining }, or null if the user does not exist
+ */
+async function getTwoFactorStatus(userId) {
+  const user = await knex('users').select('id', 'totp_enabled_at').where('id', userId).first();
+  if (!user) {
+    return null;
+  }
+
+  const { count } = await knex('recovery_codes')
+    .where('user', userId)
+    .whereNull('used_at')
+    .count('* as count')
+    .first();
+
+  return {
+    enabled: Boolean(user.totp_enabled_at),
+    enabled_at: user.totp_enabled_at,
+    required: await isTwoFactorRequired(userId),
+    recovery_codes_remaining: user.totp_enabled_at ? parseInt(count) : 0
+  };
+}
+
+/**
+ * Start enrolling a user: store a new pending secret and return what the authenticator app needs
+ * Two-factor authentication stays off until completeEnrollment confirms a code from the app
+ * @param {Object} user - { id, username }
+ * @returns {Promise<Object>} - { secret, otpauth_url, qr_code } - qr_code is a PNG data URL of otpauth_url
+ */
+async function startEnrollment(user) {
+  const secret = base32Encode(crypto.randomBytes(20));
+  await knex('users')
+    .where('id', user.id)
+    .update({ totp_secret: secret, totp_enabled_at: null, totp_last_used_step: null });
+
+  const label = encodeURIComponent(`${twoFactorConfig.issuer}:${user.username}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: twoFactorConfig.issuer,
+    algorithm: 'SHA1',
+    digits: String(twoFactorConfig.digits),
+    period: String(twoFactorConfig.periodSeconds)
+  });
+  const otpauthUrl = `otpauth://totp/${label}?${params.toString()}`;
+
+  return {
+    secret,
+    otpauth_url: otpauthUrl,
+    qr_code: await QRCode.toDataURL(otpauthUrl)
+  };
+}
+
+/**
+ * Finish enrolling a user by checking a code generated from their pending secret
+ * @param {number} userId - User ID
+ * @param {string} code - Code from the authenticator app
+ * @returns {Promise<string[]|null>} - New recovery codes, or null when there is no pending secret or the code is wrong
+ */
+async function completeEnrollment(userId, code) {
+  const user = await knex('users').select('id', 'totp_secret', 'totp_enabled_at').where('id', userId).first();
+  if (!user || !user.totp_secret || user.totp_enabled_at) {
+    return null;
+  }
+
+  const step = findMatchingStep(user.totp_secret, code);
+  if (step === null) {
+    return null;
+  }
+
+  let codes;
+  await knex.transaction(async (trx) => {
+    await trx('users')
+      .where('id', userId)
+      .update({ totp_enabled_at: new Date(), totp_last_used_step: step });
+    codes = await replaceRecoveryCodes(userId, trx);
+  });
+  return codes;
+}
+
+/**
+ * Check the second factor of a user with two-factor authentication enabled
+ * A TOTP code or a recovery code is accepted once; each recovery code works a single time
+ * @param {Object} user - Row from the users table
+ * @param {Object} factor - { code?, recovery_code? }
+ * @returns {Promise<boolean>}
+ */
+async function verifySecondFactor(user, { code, recovery_code: recoveryCode }) {
+  if (!user.totp_enabled_at) {
+    return false;
+  }
+
+  if (recoveryCode) {
+    const used = await knex('recovery_codes')
+      .where({ user: user.id, code_hash: hashRecoveryCode(recoveryCode) })
+      .whereNull('used_at')
+      .update({ used_at: new Date() });
+    return used > 0;
+  }
+
+  const lastUsedStep = user.totp_last_used_step === null ? null : Number(user.totp_last_used_step);
+  const step = code ? findMatchingStep(user.totp_secret, code, lastUsedStep) : null;
+  if (step === null) {
+    return false;
+  }
+
+  // Conditional on the last step so two requests cannot both use the same code
+  const updated = await knex('users')
+    .where('id', user.id)
+    .where(function () {
+      this.whereNull('totp_last_used_step').orWhere('totp_last_used_step', '<', step);
+    })
+    .update({ totp_last_used_step: step });
+  return updated > 0;
+}
+
+/**
+ * Issue a new set of recovery codes, invalidating the old ones
+ * @param {number} userId - User ID
+ * @returns {Promise<string[]>}
+ */
+async function regenerateRecoveryCodes(userId) {
+  let codes;
+  await knex.transaction(async (trx) => {
+    codes = await replaceRecoveryCodes(userId, trx);
+  });
+  return codes;
+}
+
+/**
+ * Turn off two-factor authentication for a user and delete their secret and recovery codes
+ * @param {number} userId - User ID
+ * @param {Object} db - Knex instance or transaction
+ * @returns {Promise<boolean>} - True if the user exists
+ */
+async function disableTwoFactor(userId, db = knex) {
+  await db('recovery_codes').where('user', userId).del();
+  const updated = await db('users')
+    .where('id', userId)
+    .update({ totp_secret: null, totp_enabled_at: null, totp_last_used_step: null });
+  return updated > 0;
+}
+
+/**
+ * Issue the token that lets a user who gave the right password continue with the code step
+ * It has no session id, so authenticateToken never accepts it as an access token
+ * @param {number} userId - User ID
+ * @returns {string} - Short-lived JWT
+ */
+function issueChallengeToken(userId) {
+  return generateToken({ id: userId, purpose: CHALLENGE_PURPOSE }, twoFactorConfig.challengeExpiresIn);
+}
+
+/**
+ * Decode a challenge token from issueChallengeToken
+ * @param {string} token - Challenge token
+ * @returns {Object|null} - { id }, or null when the token is invalid, expired or of another kind
+ */
+function verifyChallengeToken(token) {
+  const decoded = verifyToken(token);
+  return decoded && decoded.purpose === CHALLENGE_PURPOSE ? decoded : null;
+}
+
+module.exports = {
+  generateTotp,
+  getTimeStep,
+  isTwoFactorRequired,
+  getTwoFactorStatus,
+  startEnrollment,
+  completeEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  issueChallengeToken,
+  verifyChallengeToken
+};
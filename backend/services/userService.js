@@ -2,7 +2,7 @@
 // User-related services including the enhanced User class with permission checking
 
 const knex = require('../config/knex');
-const { can, getUserRoles, getUserPermissions, hasRole } = require('./authService');
+const { can, getPermissionDecision, getUserRoles, getUserPermissions, hasRole, whereOverrideActive } = require('./authService');
 
 /**
  * Enhanced User class with permission checking capabilities
@@ -21,19 +21,32 @@ class User {
   /**
    * Check if user has specific permission
    * @param {string} permission - Permission name (e.g., 'edit_user')
+   * @param {Object} context - Resource context { companyId? }; company-scoped roles only count for their company
    * @returns {Promise<boolean>} - True if user has permission
    */
-  async can(permission) {
-    return await can(this.id, permission);
+  async can(permission, context = {}) {
+    return await can(this.id, permission, context);
+  }
+
+  /**
+   * Get the effective decision for a permission and what caused it
+   * @param {string} permission - Permission name
+   * @param {Object} context - Resource context { companyId? }
+   * @returns {Promise<Object>} - { permission, allowed, effect, source, role_name, inherited_from }
+   *   source is 'role' or 'user' (a per-user override); a deny from either wins over every grant
+   */
+  async explain(permission, context = {}) {
+    return await getPermissionDecision(this.id, permission, context);
   }
 
   /**
    * Check if user has specific role
    * @param {string} roleName - Role name
+   * @param {Object} context - Resource context { companyId? }
    * @returns {Promise<boolean>} - True if user has role
    */
-  async hasRole(roleName) {
-    return await hasRole(this.id, roleName);
+  async hasRole(roleName, context = {}) {
+    return await hasRole(this.id, roleName, context);
   }
 
   /**
@@ -48,8 +61,8 @@ class User {
   }
 
   /**
-   * Get user permissions (cached)
-   * @returns {Promise<Array>} - Array of permission objects
+   * Get user permission decisions (cached), denied ones included
+   * @returns {Promise<Array>} - Array of decision objects, see authService.getUserPermissions
    */
   async getPermissions() {
     if (!this._permissions) {
@@ -68,23 +81,24 @@ class User {
   }
 
   /**
-   * Get permission names as array
+   * Get names of the permissions the user is allowed, in any company
    * @returns {Promise<Array>} - Array of permission name strings
    */
   async getPermissionNames() {
     const permissions = await this.getPermissions();
-    return permissions.map(perm => perm.permission);
+    return [...new Set(permissions.filter(perm => perm.allowed).map(perm => perm.permission))];
   }
 
   /**
    * Check multiple permissions at once
    * @param {Array<string>} permissions - Array of permission names
+   * @param {Object} context - Resource context { companyId? }
    * @returns {Promise<Object>} - Object with permission names as keys and boolean values
    */
-  async canMultiple(permissions) {
+  async canMultiple(permissions, context = {}) {
     const results = {};
     for (const permission of permissions) {
-      results[permission] = await this.can(permission);
+      results[permission] = await this.can(permission, context);
     }
     return results;
   }
@@ -92,11 +106,15 @@ class User {
   /**
    * Check if user can perform any of the given permissions
    * @param {Array<string>} permissions - Array of permission names
+   * @param {Object} context - Resource context { companyId? }
+   * @param {Array} decisions - Optional array that receives the decision behind each permission checked
    * @returns {Promise<boolean>} - True if user has any of the permissions
    */
-  async canAny(permissions) {
+  async canAny(permissions, context = {}, decisions = []) {
     for (const permission of permissions) {
-      if (await this.can(permission)) {
+      const decision = await this.explain(permission, context);
+      decisions.push(decision);
+      if (decision.allowed) {
         return true;
       }
     }
@@ -106,11 +124,15 @@ class User {
   /**
    * Check if user can perform all of the given permissions
    * @param {Array<string>} permissions - Array of permission names
+   * @param {Object} context - Resource context { companyId? }
+   * @param {Array} decisions - Optional array that receives the decision behind each permission checked
    * @returns {Promise<boolean>} - True if user has all permissions
    */
-  async canAll(permissions) {
+  async canAll(permissions, context = {}, decisions = []) {
     for (const permission of permissions) {
-      if (!(await this.can(permission))) {
+      const decision = await this.explain(permission, context);
+      decisions.push(decision);
+      if (!decision.allowed) {
         return false;
       }
     }
@@ -222,22 +244,25 @@ async function updateUser(userId, updateData) {
  * Assign role to user
  * @param {number} userId - User ID
  * @param {number} roleId - Role ID
+ * @param {number|null} companyId - Company the role is limited to, or null for all companies
+ * @param {Object} db - Knex instance or transaction
  * @returns {Promise<boolean>} - Success status
  */
 
-async function assignRole(userId, roleId) {
+async function assignRole(userId, roleId, companyId = null, db = knex) {
   try {
-    // Check if role already assigned
-    const exists = await knex('user_roles')
-      .where({ user: userId, role: roleId })
+    // Check if role already assigned with the same scope
+    const exists = await db('user_roles')
+      .where({ user: userId, role: roleId, company_id: companyId })
       .first();
     if (exists) {
       // Role already assigned
       return 'already_assigned';
     }
-    await knex('user_roles').insert({
+    await db('user_roles').insert({
       user: userId,
-      role: roleId
+      role: roleId,
+      company_id: companyId
     });
     return true;
   } catch (error) {
@@ -250,21 +275,110 @@ async function assignRole(userId, roleId) {
  * Remove role from user
  * @param {number} userId - User ID
  * @param {number} roleId - Role ID
- * @returns {Promise<boolean>} - Success status
+ * @param {number|null} companyId - Scope of the assignment to remove, or null for the global assignment
+ * @param {Object} db - Knex instance or transaction
+ * @returns {Promise<boolean>} - True if an assignment was removed
  */
-async function removeRole(userId, roleId) {
+async function removeRole(userId, roleId, companyId = null, db = knex) {
   try {
-    await knex('user_roles')
-      .where('user', userId)
-      .where('role', roleId)
+    const removed = await db('user_roles')
+      .where({ user: userId, role: roleId, company_id: companyId })
       .del();
-    return true;
+    return removed > 0;
   } catch (error) {
     console.error('Error removing role:', error);
     return false;
   }
 }
 
+/**
+ * Get a user's active per-user permission overrides; expired ones are left out
+ * @param {number} userId - User ID
+ * @returns {Promise<Array>} - [{ permission, description, effect, company_id, company_name, expires_at, granted_by_username, created_at }]
+ */
+async function getPermissionOverrides(userId) {
+  try {
+    return await whereOverrideActive(knex('user_permissions as up'))
+      .join('permissions as p', 'up.permission', 'p.id')
+      .leftJoin('companies as c', 'up.company_id', 'c.id')
+      .leftJoin('users as g', 'up.granted_by', 'g.id')
+      .where('up.user', userId)
+      .select(
+        'p.permission', 'p.description', 'up.effect', 'up.company_id', 'c.name as company_name',
+        'up.expires_at', 'g.username as granted_by_username', 'up.created_at'
+      )
+      .orderBy([{ column: 'p.permission' }, { column: 'c.name' }]);
+  } catch (error) {
+    console.error('Error fetching permission overrides:', error);
+    return [];
+  }
+}
+
+/**
+ * Allow or deny a permission for one user, on top of their roles
+ * Replaces an existing override for the same permission and scope
+ * @param {number} userId - User ID
+ * @param {number} permissionId - Permission ID
+ * @param {string} effect - 'allow' or 'deny'
+ * @param {number|null} companyId - Company the override is limited to, or null for all companies
+ * @param {Object} options - { expiresAt?: Date, grantedBy?: user ID } - without expiresAt the override is permanent
+ * @param {Object} db - Knex instance or transaction
+ * @returns {Promise<boolean>} - Success status
+ */
+async function setPermissionOverride(userId, permissionId, effect, companyId = null, options = {}, db = knex) {
+  try {
+    await db.transaction(async (trx) => {
+      await trx('user_permissions')
+        .where({ user: userId, permission: permissionId, company_id: companyId })
+        .del();
+      await trx('user_permissions').insert({
+        user: userId,
+        permission: permissionId,
+        effect,
+        company_id: companyId,
+        expires_at: options.expiresAt || null,
+        granted_by: options.grantedBy || null
+      });
+    });
+    return true;
+  } catch (error) {
+    console.error('Error setting permission override:', error);
+    return false;
+  }
+}
+
+/**
+ * Delete overrides whose expiry has passed
+ * They already stop applying at expires_at; this only clears them out of the table
+ * @returns {Promise<number>} - Number of overrides deleted
+ */
+async function purgeExpiredPermissionOverrides() {
+  return knex('user_permissions')
+    .whereNotNull('expires_at')
+    .where('expires_at', '<=', new Date())
+    .del();
+}
+
+/**
+ * Remove a per-user permission override
+ * @param {number} userId - User ID
+ * @param {number} permissionId - Permission ID
+ * @param {number|null} companyId - Scope of the override to remove, or null for the global one
+ * @param {Object} db - Knex instance or transaction
+ * @returns {Promise<boolean>} - True if an override was removed
+ */
+async function removePermissionOverride(userId, permissionId, companyId = null, db = knex) {
+  try {
+    const removed = await db('user_permissions')
+      .where({ user: userId, permission: permissionId, company_id: companyId })
+      .del();
+    return removed > 0;
+  } catch (error) {
+    console.error('Error removing permission override:', error);
+    return false;
+  }
+}
+
 module.exports = {
   User,
   getUserById,
@@ -272,5 +386,9 @@ module.exports = {
   createUser,
   updateUser,
   assignRole,
-  removeRole
+  removeRole,
+  getPermissionOverrides,
+  setPermissionOverride,
+  removePermissionOverride,
+  purgeExpiredPermissionOverrides
 };
@@ -0,0 +1,127 @@
+// Tests for the audit log of administrative actions
+const request = require('supertest');
+const app = require('../server');
+const { diffChanges } = require('../services/auditService');
+
+describe('Audit Log', () => {
+  let superAdminToken, employeeToken;
+
+  const getAudit = (query) => request(app)
+    .get('/api/audit')
+    .set('Authorization', `Bearer ${superAdminToken}`)
+    .query(query);
+
+  beforeAll(async () => {
+    const superAdminRes = await request(app)
+      .post('/api/login')
+      .send({ username: 'superadmin', password: 'password123' });
+    superAdminToken = superAdminRes.body.token;
+
+    const employeeRes = await request(app)
+      .post('/api/login')
+      .send({ username: 'manager', password: 'password123' });
+    employeeToken = employeeRes.body.token;
+  });
+
+  it('should only diff fields that changed and redact passwords', () => {
+    expect(diffChanges({ name: 'Old', city: 'Oslo' }, { name: 'New', city: 'Oslo' })).toEqual({
+      name: { before: 'Old', after: 'New' }
+    });
+    expect(diffChanges(null, { name: 'New' })).toEqual({ name: { before: null, after: 'New' } });
+    expect(diffChanges({ password: 'hash1' }, { password: 'hash2' })).toEqual({
+      password: { before: '[redacted]', after: '[redacted]' }
+    });
+  });
+
+  it('should record company changes with actor and before/after values', async () => {
+    const name = `Audit Co ${Date.now()}`;
+    const created = await request(app)
+      .post('/api/companies')
+      .set('Authorization', `Bearer ${superAdminToken}`)
+      .send({ name });
+    expect(created.statusCode).toBe(201);
+    await request(app)
+      .put(`/api/companies/${created.body.id}`)
+      .set('Authorization', `Bearer ${superAdminToken}`)
+      .send({ name: `${name} Ltd` });
+    await request(app)
+      .delete(`/api/companies/${created.body.id}`)
+      .set('Authorization', `Bearer ${superAdminToken}`);
+
+    const res = await getAudit({ entity_type: 'company', entity_id: created.body.id });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.events.map(event => event.action)).toEqual(['company.delete', 'company.update', 'company.create']);
+
+    const update = res.body.events[1];
+    expect(update).toMatchObject({ actor_username: 'superadmin', entity_label: `${name} Ltd` });
+    expect(update.changes).toEqual({ name: { before: name, after: `${name} Ltd` } });
+    expect(update.ip_address).toBeTruthy();
+  });
+
+  it('should record password changes without the password', async () => {
+    const username = `audit_user_${Date.now()}`;
+    const created = await request(app)
+      .post('/api/users')
+      .set('Authorization', `Bearer ${superAdminToken}`)
+      .send({ username, password: 'password123', user_type: 'employee', roles: ['basic_employee'] });
+    await request(app)
+      .put(`/api/users/${created.body.id}/password`)
+      .set('Authorization', `Bearer ${superAdminToken}`)
+      .send({ password: 'newpassword456' });
+
+    const res = await getAudit({ action: 'user.password_change', entity_id: created.body.id });
+    expect(res.body.events).toHaveLength(1);
+    expect(JSON.stringify(res.body.events[0])).not.toMatch(/newpassword456|\$2[aby]\$/);
+
+    await request(app)
+      .delete(`/api/users/${created.body.id}`)
+      .set('Authorization', `Bearer ${superAdminToken}`);
+  });
+
+  it('should record role permission changes', async () => {
+    const name = `audited_${Date.now()}`;
+    await request(app)
+      .post('/api/roles')
+      .set('Authorization', `Bearer ${superAdminToken}`)
+      .send({ name, permissions: ['view_roles'] });
+    await request(app)
+      .put(`/api/roles/${name}/permissions`)
+      .set('Authorization', `Bearer ${superAdminToken}`)
+      .send({ permissions: ['view_roles', 'view_users'] });
+
+    const res = await getAudit({ action: 'role.permissions_update', entity_type: 'role' });
+    const event = res.body.events.find(e => e.entity_label === name);
+    expect(event.changes.permissions).toEqual({ before: ['view_roles'], after: ['view_roles', 'view_users'] });
+
+    await request(app)
+      .delete(`/api/roles/${name}`)
+      .set('Authorization', `Bearer ${superAdminToken}`);
+  });
+
+  it('should not record removing a role the user does not have', async () => {
+    const users = await request(app)
+      .get('/api/users')
+      .set('Authorization', `Bearer ${superAdminToken}`);
+    const client = users.body.find(user => user.username === 'client1');
+
+    const res = await request(app)
+      .delete(`/api/rbac/users/${client.id}/roles/super_admin`)
+      .set('Authorization', `Bearer ${superAdminToken}`);
+    expect(res.statusCode).toBe(404);
+
+    const events = await getAudit({ action: 'user.role_remove', entity_id: client.id });
+    expect(events.body.events).toHaveLength(0);
+  });
+
+  it('should require the view_audit_log permission', async () => {
+    const res = await request(app)
+      .get('/api/audit')
+      .set('Authorization', `Bearer ${employeeToken}`);
+    expect(res.statusCode).toBe(403);
+  });
+
+  it('should reject unknown filters', async () => {
+    const res = await getAudit({ action: 'user.teleport' });
+    expect(res.statusCode).toBe(400);
+  });
+});
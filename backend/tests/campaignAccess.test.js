@@ -0,0 +1,149 @@
+// Tests for company and assignment scoping on /api/campaigns/:id/* routes
+const request = require('supertest');
+const app = require('../server');
+
+describe('Campaign Access', () => {
+  let employeeToken, scopedAdminToken, clientToken, clientId, otherClientToken, contractorToken, contractorId;
+  let ownCampaignId, otherCampaignId;
+
+  const login = async (username) => {
+    const res = await request(app)
+      .post('/api/login')
+      .send({ username, password: 'password123' });
+    return res.body;
+  };
+
+  const get = (url, token) => request(app).get(url).set('Authorization', `Bearer ${token}`);
+
+  beforeAll(async () => {
+    // Login as seeded users: client1 belongs to Marketing Solutions, digital_client to Digital Media Group
+    // digital_admin administers Digital Media Group only
+    employeeToken = (await login('manager')).token;
+    scopedAdminToken = (await login('digital_admin')).token;
+    const client = await login('client1');
+    clientToken = client.token;
+    clientId = client.user.id;
+    otherClientToken = (await login('digital_client')).token;
+    const contractor = await login('contractor1');
+    contractorToken = contractor.token;
+    contractorId = contractor.user.id;
+
+    const campaigns = await get('/api/campaigns', employeeToken);
+    ownCampaignId = campaigns.body.find(campaign => campaign.name === 'Summer Campaign 2025').id;
+
+    // A Digital Media Group campaign of this suite's own, so the seeded campaigns keep their contractors
+    const created = await request(app)
+      .post('/api/campaigns')
+      .set('Authorization', `Bearer ${scopedAdminToken}`)
+      .send({ name: `Access Test Campaign ${Date.now()}`, description: 'Created by the campaign access tests' });
+    otherCampaignId = created.body.id;
+
+    // contractor1 works on that campaign only
+    await request(app)
+      .post(`/api/campaigns/${otherCampaignId}/assign`)
+      .set('Authorization', `Bearer ${scopedAdminToken}`)
+      .send({ contractor_ids: [contractorId] });
+  });
+
+  it('should let clients reach their own company campaigns', async () => {
+    const res = await get(`/api/campaigns/${ownCampaignId}/images`, clientToken);
+    expect(res.statusCode).toBe(200);
+    expect(Array.isArray(res.body)).toBe(true);
+  });
+
+  it.each([
+    'images',
+    'images/archive',
+    'history',
+    'locations',
+    'report.pdf'
+  ])('should hide other companies campaigns from clients on /%s', async (path) => {
+    const res = await get(`/api/campaigns/${otherCampaignId}/${path}`, clientToken);
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error).toBe('Campaign not found');
+  });
+
+  it('should not let clients decide on other companies campaigns', async () => {
+    const res = await request(app)
+      .post(`/api/campaigns/${ownCampaignId}/approve`)
+      .set('Authorization', `Bearer ${otherClientToken}`)
+      .send({ comment: 'Looks good' });
+    expect(res.statusCode).toBe(404);
+  });
+
+  it('should not let clients edit campaigns', async () => {
+    const body = { name: 'Renamed by client', description: 'Changed by a client' };
+
+    const other = await request(app)
+      .put(`/api/campaigns/${ownCampaignId}`)
+      .set('Authorization', `Bearer ${otherClientToken}`)
+      .send(body);
+    expect(other.statusCode).toBe(404);
+
+    const own = await request(app)
+      .put(`/api/campaigns/${ownCampaignId}`)
+      .set('Authorization', `Bearer ${clientToken}`)
+      .send(body);
+    expect(own.statusCode).toBe(403);
+  });
+
+  it('should not let company-scoped employees assign contractors to other companies campaigns', async () => {
+    const res = await request(app)
+      .post(`/api/campaigns/${ownCampaignId}/assign`)
+      .set('Authorization', `Bearer ${scopedAdminToken}`)
+      .send({ contractor_ids: [contractorId] });
+    expect(res.statusCode).toBe(403);
+
+    const unassigned = await get(`/api/campaigns/${ownCampaignId}/history`, contractorToken);
+    expect(unassigned.statusCode).toBe(404);
+  });
+
+  it('should not let clients move themselves into another company', async () => {
+    const companies = await get('/api/companies', employeeToken);
+    const otherCompany = companies.body.find(company => company.name === 'Digital Media Group');
+
+    const res = await request(app)
+      .put(`/api/users/${clientId}`)
+      .set('Authorization', `Bearer ${clientToken}`)
+      .send({ username: 'client1', user_type: 'client', company_id: otherCompany.id });
+    expect(res.statusCode).toBe(403);
+
+    const stillHidden = await get(`/api/campaigns/${otherCampaignId}/images`, clientToken);
+    expect(stillHidden.statusCode).toBe(404);
+  });
+
+  it('should not serve unknown image files', async () => {
+    const res = await get('/api/campaigns/images/campaign_0_unknown.jpg', clientToken);
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error).toBe('Image not found');
+  });
+
+  it('should limit contractors to assigned campaigns', async () => {
+    const assigned = await get(`/api/campaigns/${otherCampaignId}/images`, contractorToken);
+    expect(assigned.statusCode).toBe(200);
+
+    const unassigned = await get(`/api/campaigns/${ownCampaignId}/history`, contractorToken);
+    expect(unassigned.statusCode).toBe(404);
+  });
+
+  it('should refuse uploads to campaigns the contractor is not assigned to', async () => {
+    const res = await request(app)
+      .post(`/api/campaigns/${ownCampaignId}/images`)
+      .set('Authorization', `Bearer ${contractorToken}`)
+      .attach('images', Buffer.from('not read'), 'poster.jpg');
+    expect(res.statusCode).toBe(404);
+  });
+
+  it('should keep the PDF report to employees and clients', async () => {
+    const res = await get(`/api/campaigns/${otherCampaignId}/report.pdf`, contractorToken);
+    expect(res.statusCode).toBe(403);
+  });
+
+  it('should let employees reach any campaign and report missing ones', async () => {
+    const other = await get(`/api/campaigns/${otherCampaignId}/history`, employeeToken);
+    expect(other.statusCode).toBe(200);
+
+    const missing = await get('/api/campaigns/999999/history', employeeToken);
+    expect(missing.statusCode).toBe(404);
+  });
+});
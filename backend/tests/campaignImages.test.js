@@ -0,0 +1,147 @@
+// Tests for deleting, replacing and restoring campaign images
+const request = require('supertest');
+const sharp = require('sharp');
+const app = require('../server');
+const uploadConfig = require('../config/uploads');
+
+describe('Campaign Image Changes', () => {
+  let scopedAdminToken, clientToken, contractorToken, contractorId, campaignId, poster;
+
+  const login = async (username) => {
+    const res = await request(app)
+      .post('/api/login')
+      .send({ username, password: 'password123' });
+    return res.body;
+  };
+
+  const upload = async () => {
+    const res = await request(app)
+      .post(`/api/campaigns/${campaignId}/images`)
+      .set('Authorization', `Bearer ${contractorToken}`)
+      .attach('images', poster, { filename: 'poster.png', contentType: 'image/png' });
+    return res.body.images[0];
+  };
+
+  const listImages = async (query = '') => {
+    const res = await request(app)
+      .get(`/api/campaigns/${campaignId}/images${query}`)
+      .set('Authorization', `Bearer ${scopedAdminToken}`);
+    return res.body.map(image => image.id);
+  };
+
+  beforeAll(async () => {
+    // digital_admin administers Digital Media Group; digital_client approves its campaigns
+    scopedAdminToken = (await login('digital_admin')).token;
+    clientToken = (await login('digital_client')).token;
+    const contractor = await login('contractor1');
+    contractorToken = contractor.token;
+    contractorId = contractor.user.id;
+
+    poster = await sharp({ create: { width: 16, height: 16, channels: 3, background: '#336699' } }).png().toBuffer();
+
+    const created = await request(app)
+      .post('/api/campaigns')
+      .set('Authorization', `Bearer ${scopedAdminToken}`)
+      .send({ name: `Image Changes Campaign ${Date.now()}`, description: 'Created by the campaign image tests' });
+    campaignId = created.body.id;
+
+    await request(app)
+      .post(`/api/campaigns/${campaignId}/assign`)
+      .set('Authorization', `Bearer ${scopedAdminToken}`)
+      .send({ contractor_ids: [contractorId] });
+    await request(app)
+      .post(`/api/campaigns/${campaignId}/approve`)
+      .set('Authorization', `Bearer ${clientToken}`)
+      .send({});
+    await request(app)
+      .put(`/api/campaigns/${campaignId}/contractor-status`)
+      .set('Authorization', `Bearer ${contractorToken}`)
+      .send({ status: 'in_progress' });
+  });
+
+  it('should let the uploading contractor delete an image and only employees restore it', async () => {
+    const image = await upload();
+
+    const byClient = await request(app)
+      .delete(`/api/campaigns/${campaignId}/images/${image.id}`)
+      .set('Authorization', `Bearer ${clientToken}`);
+    expect(byClient.statusCode).toBe(404);
+
+    const deleted = await request(app)
+      .delete(`/api/campaigns/${campaignId}/images/${image.id}`)
+      .set('Authorization', `Bearer ${contractorToken}`);
+    expect(deleted.statusCode).toBe(200);
+    expect(await listImages('?deleted=true')).toContain(image.id);
+
+    const byContractor = await request(app)
+      .post(`/api/campaigns/${campaignId}/images/${image.id}/restore`)
+      .set('Authorization', `Bearer ${contractorToken}`);
+    expect(byContractor.statusCode).toBe(403);
+
+    const restored = await request(app)
+      .post(`/api/campaigns/${campaignId}/images/${image.id}/restore`)
+      .set('Authorization', `Bearer ${scopedAdminToken}`);
+    expect(restored.statusCode).toBe(200);
+    expect(await listImages()).toContain(image.id);
+  });
+
+  it('should put a replaced image back in place of its replacement', async () => {
+    const original = await upload();
+
+    const replaced = await request(app)
+      .post(`/api/campaigns/${campaignId}/images/${original.id}/replace`)
+      .set('Authorization', `Bearer ${contractorToken}`)
+      .attach('image', poster, { filename: 'poster-retake.png', contentType: 'image/png' });
+    expect(replaced.statusCode).toBe(201);
+    const replacement = replaced.body.image;
+
+    const restored = await request(app)
+      .post(`/api/campaigns/${campaignId}/images/${original.id}/restore`)
+      .set('Authorization', `Bearer ${scopedAdminToken}`);
+    expect(restored.statusCode).toBe(200);
+
+    const active = await listImages();
+    expect(active).toContain(original.id);
+    expect(active).not.toContain(replacement.id);
+  });
+
+  it('should not restore images past the retention period', async () => {
+    const image = await upload();
+    await request(app)
+      .delete(`/api/campaigns/${campaignId}/images/${image.id}`)
+      .set('Authorization', `Bearer ${contractorToken}`);
+
+    const retentionDays = uploadConfig.deletedImageRetentionDays;
+    uploadConfig.deletedImageRetentionDays = 0;
+    try {
+      const res = await request(app)
+        .post(`/api/campaigns/${campaignId}/images/${image.id}/restore`)
+        .set('Authorization', `Bearer ${scopedAdminToken}`);
+      expect(res.statusCode).toBe(410);
+    } finally {
+      uploadConfig.deletedImageRetentionDays = retentionDays;
+    }
+  });
+
+  it('should refuse uploads to campaigns that are not in progress', async () => {
+    const created = await request(app)
+      .post('/api/campaigns')
+      .set('Authorization', `Bearer ${scopedAdminToken}`)
+      .send({ name: `Rejected Images Campaign ${Date.now()}`, description: 'Created by the campaign image tests' });
+    await request(app)
+      .post(`/api/campaigns/${created.body.id}/assign`)
+      .set('Authorization', `Bearer ${scopedAdminToken}`)
+      .send({ contractor_ids: [contractorId] });
+    const rejected = await request(app)
+      .post(`/api/campaigns/${created.body.id}/reject`)
+      .set('Authorization', `Bearer ${clientToken}`)
+      .send({ comment: 'Not this season' });
+    expect(rejected.statusCode).toBe(200);
+
+    const res = await request(app)
+      .post(`/api/campaigns/${created.body.id}/images`)
+      .set('Authorization', `Bearer ${contractorToken}`)
+      .attach('images', poster, { filename: 'late.png', contentType: 'image/png' });
+    expect(res.statusCode).toBe(409);
+  });
+});
@@ -0,0 +1,62 @@
+// Tests for the proof-of-performance PDF report
+const { PassThrough } = require('stream');
+const { formatReportDate, formatReportDateTime, writeCampaignReport } = require('../services/campaignReportService');
+
+jest.mock('../services/imageRenditionService', () => ({
+  ensureRendition: jest.fn().mockRejectedValue(new Error('Object not found'))
+}));
+
+// Collect everything written to a stream while the report is generated
+const renderReport = async (report) => {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+  await writeCampaignReport(output, report);
+  return Buffer.concat(chunks);
+};
+
+describe('Campaign Report', () => {
+  const report = {
+    campaign: {
+      id: 7,
+      name: 'Spring Sale',
+      description: 'Posters for the spring sale',
+      status: 'completed',
+      start_date: new Date(2025, 2, 1),
+      end_date: new Date(2025, 2, 31),
+      required_images: 2,
+      company_name: 'Acme',
+      total_images: 3,
+      approved_images: 2,
+      rejected_images: 1
+    },
+    contractors: [{ id: 4, username: 'poster_pete', company_name: null }],
+    locations: [],
+    history: [{ id: 1, from_status: null, to_status: 'pending', reason: null, changed_at: new Date(2025, 1, 20), changed_by_username: 'client1' }],
+    images: [],
+    generatedAt: new Date(2025, 3, 2, 8, 5),
+    generatedBy: 'employee1'
+  };
+
+  it('should format dates for the report', () => {
+    expect(formatReportDate(new Date(2025, 3, 2, 8, 5))).toBe('2025-04-02');
+    expect(formatReportDateTime(new Date(2025, 3, 2, 8, 5))).toBe('2025-04-02 08:05');
+    expect(formatReportDate(null)).toBe('-');
+  });
+
+  it('should write a complete PDF document', async () => {
+    const pdf = await renderReport(report);
+
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+    expect(pdf.toString('latin1').trimEnd().endsWith('%%EOF')).toBe(true);
+  });
+
+  it('should still write the report when a photo cannot be loaded', async () => {
+    const pdf = await renderReport({
+      ...report,
+      images: [{ stored_name: 'campaign_7_missing.jpg', location_name: 'Station Square', captured_at: null }]
+    });
+
+    expect(pdf.toString('latin1').trimEnd().endsWith('%%EOF')).toBe(true);
+  });
+});
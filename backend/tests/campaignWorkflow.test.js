@@ -0,0 +1,83 @@
+// Tests for the campaign status workflow rules
+const { getAllowedTransitions, checkTransition, isValidStatus, getUnmetRequirements } = require('../services/campaignWorkflow');
+
+// Minimal stand-in for the User instance used by the workflow
+const userWith = (permissions) => ({
+  can: async (permission) => permissions.includes(permission)
+});
+
+describe('Campaign Workflow', () => {
+  const employee = { user: userWith(['view_campaigns', 'edit_campaign']), isAssignedContractor: false };
+  const viewer = { user: userWith(['view_campaigns']), isAssignedContractor: false };
+  const contractor = { user: null, isAssignedContractor: true };
+
+  it('should only accept the campaign status enum values', () => {
+    expect(isValidStatus('in_progress')).toBe(true);
+    expect(isValidStatus('archived')).toBe(false);
+  });
+
+  it('should let employees approve or cancel pending campaigns', async () => {
+    const allowed = await getAllowedTransitions('pending', employee);
+    expect(allowed.sort()).toEqual(['approved', 'cancelled']);
+  });
+
+  it('should not allow skipping straight from pending to completed', async () => {
+    const result = await checkTransition('pending', 'completed', employee);
+    expect(result.allowed).toBe(false);
+    expect(result.allowedTransitions).toContain('approved');
+  });
+
+  it('should let assigned contractors start and complete campaigns only', async () => {
+    expect(await getAllowedTransitions('approved', contractor)).toEqual(['in_progress']);
+    expect(await getAllowedTransitions('in_progress', contractor)).toEqual(['completed']);
+    expect(await getAllowedTransitions('pending', contractor)).toEqual([]);
+  });
+
+  it('should not allow cancelling completed campaigns', async () => {
+    const result = await checkTransition('completed', 'cancelled', employee);
+    expect(result.allowed).toBe(false);
+  });
+
+  it('should allow re-opening cancelled and completed campaigns', async () => {
+    expect((await checkTransition('cancelled', 'pending', employee)).allowed).toBe(true);
+    expect((await checkTransition('completed', 'in_progress', employee)).allowed).toBe(true);
+  });
+
+  it('should let clients approve or reject pending campaigns of their own company only', async () => {
+    const client = { user: userWith(['view_campaigns', 'approve_campaign']), isCompanyMember: true };
+    const otherClient = { ...client, isCompanyMember: false };
+    expect((await getAllowedTransitions('pending', client)).sort()).toEqual(['approved', 'rejected']);
+    expect(await getAllowedTransitions('pending', otherClient)).toEqual([]);
+    expect(await getAllowedTransitions('approved', client)).toEqual([]);
+  });
+
+  describe('completion requirements', () => {
+    const images = (counts) => ({ total: 0, pending: 0, approved: 0, rejected: 0, ...counts });
+    const locations = (counts) => ({ total: 0, not_started: 0, posted: 0, failed: 0, waived: 0, ...counts });
+
+    it('should only allow completion once the required images are approved and reviewed', () => {
+      expect(getUnmetRequirements('completed', { images: images({ approved: 1 }), requiredImages: 2, locations: locations() }))
+        .toEqual(['1 of 2 required images approved']);
+      expect(getUnmetRequirements('completed', { images: images({ approved: 2, pending: 1 }), requiredImages: 2, locations: locations() }))
+        .toEqual(['1 image(s) still awaiting review']);
+      expect(getUnmetRequirements('completed', { images: images({ approved: 2, rejected: 3 }), requiredImages: 2, locations: locations() }))
+        .toEqual([]);
+      expect(getUnmetRequirements('cancelled', { images: images(), requiredImages: 2, locations: locations() })).toEqual([]);
+    });
+
+    it('should only allow completion once every location is posted or waived', () => {
+      const facts = { images: images({ approved: 1 }), requiredImages: 1 };
+
+      expect(getUnmetRequirements('completed', { ...facts, locations: locations({ total: 3, posted: 1, failed: 1, not_started: 1 }) }))
+        .toEqual(['2 location(s) not yet posted or waived']);
+      expect(getUnmetRequirements('completed', { ...facts, locations: locations({ total: 3, posted: 2, waived: 1 }) }))
+        .toEqual([]);
+    });
+  });
+
+  it('should deny every transition without the required permission', async () => {
+    for (const status of ['pending', 'approved', 'rejected', 'in_progress', 'completed', 'cancelled']) {
+      expect(await getAllowedTransitions(status, viewer)).toEqual([]);
+    }
+  });
+});
@@ -0,0 +1,132 @@
+// Tests for deny entries on roles and per-user permission overrides
+const request = require('supertest');
+const app = require('../server');
+
+describe('Deny Permissions', () => {
+  let superAdminToken;
+  let restrictedRole;
+  let userId, userToken;
+
+  const check = (permission) => request(app)
+    .post('/api/rbac/check')
+    .set('Authorization', `Bearer ${userToken}`)
+    .send({ permission });
+
+  beforeAll(async () => {
+    const superAdminRes = await request(app)
+      .post('/api/login')
+      .send({ username: 'superadmin', password: 'password123' });
+    superAdminToken = superAdminRes.body.token;
+
+    // An employee who must not assign campaigns, without cloning the employee role
+    restrictedRole = `no_assign_${Date.now()}`;
+    await request(app)
+      .post('/api/roles')
+      .set('Authorization', `Bearer ${superAdminToken}`)
+      .send({ name: restrictedRole, description: 'No campaign assignment', denied_permissions: ['assign_campaign'] });
+
+    const username = `deny_test_${Date.now()}`;
+    const userRes = await request(app)
+      .post('/api/users')
+      .set('Authorization', `Bearer ${superAdminToken}`)
+      .send({ username, password: 'password123', user_type: 'employee', roles: ['employee', restrictedRole] });
+    userId = userRes.body.id;
+
+    const loginRes = await request(app)
+      .post('/api/login')
+      .send({ username, password: 'password123' });
+    userToken = loginRes.body.token;
+  });
+
+  afterAll(async () => {
+    await request(app)
+      .delete(`/api/users/${userId}`)
+      .set('Authorization', `Bearer ${superAdminToken}`);
+    await request(app)
+      .delete(`/api/roles/${restrictedRole}`)
+      .set('Authorization', `Bearer ${superAdminToken}`);
+  });
+
+  it('should let a role deny win over a grant from another role', async () => {
+    const res = await check('assign_campaign');
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ allowed: false, effect: 'deny', source: 'role', role_name: restrictedRole });
+
+    const granted = await check('edit_campaign');
+    expect(granted.body).toMatchObject({ allowed: true, effect: 'allow', source: 'role', role_name: 'employee' });
+  });
+
+  it('should report denied permissions on /api/rbac/me', async () => {
+    const res = await request(app)
+      .get('/api/rbac/me')
+      .set('Authorization', `Bearer ${userToken}`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.denied).toEqual(expect.arrayContaining([
+      expect.objectContaining({ permission: 'assign_campaign', role: restrictedRole })
+    ]));
+    expect(res.body.permissions.map(p => p.permission)).not.toContain('assign_campaign');
+
+    const names = await request(app)
+      .get('/api/users/me/permissions')
+      .set('Authorization', `Bearer ${userToken}`);
+    expect(names.body).not.toContain('assign_campaign');
+  });
+
+  it('should refuse denied routes without revealing the role configuration', async () => {
+    const campaigns = await request(app)
+      .get('/api/campaigns')
+      .set('Authorization', `Bearer ${userToken}`);
+    const res = await request(app)
+      .post(`/api/campaigns/${campaigns.body[0].id}/assign`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ contractor_ids: [] });
+    expect(res.statusCode).toBe(403);
+    expect(res.body).toEqual({ error: 'Permission denied: assign_campaign' });
+  });
+
+  it('should apply per-user overrides', async () => {
+    const denyRes = await request(app)
+      .put(`/api/rbac/users/${userId}/permissions/edit_campaign`)
+      .set('Authorization', `Bearer ${superAdminToken}`)
+      .send({ effect: 'deny' });
+    expect(denyRes.statusCode).toBe(200);
+
+    const denied = await check('edit_campaign');
+    expect(denied.body).toMatchObject({ allowed: false, effect: 'deny', source: 'user', role_name: null });
+
+    const overrides = await request(app)
+      .get(`/api/rbac/users/${userId}/permissions`)
+      .set('Authorization', `Bearer ${superAdminToken}`);
+    expect(overrides.body).toEqual([expect.objectContaining({ permission: 'edit_campaign', effect: 'deny', company_id: null })]);
+
+    const removeRes = await request(app)
+      .delete(`/api/rbac/users/${userId}/permissions/edit_campaign`)
+      .set('Authorization', `Bearer ${superAdminToken}`);
+    expect(removeRes.statusCode).toBe(200);
+
+    const restored = await check('edit_campaign');
+    expect(restored.body.allowed).toBe(true);
+  });
+
+  it('should not let a per-user allow override a role deny', async () => {
+    await request(app)
+      .put(`/api/rbac/users/${userId}/permissions/assign_campaign`)
+      .set('Authorization', `Bearer ${superAdminToken}`)
+      .send({ effect: 'allow' });
+
+    const res = await check('assign_campaign');
+    expect(res.body.allowed).toBe(false);
+
+    await request(app)
+      .delete(`/api/rbac/users/${userId}/permissions/assign_campaign`)
+      .set('Authorization', `Bearer ${superAdminToken}`);
+  });
+
+  it('should reject an unknown effect', async () => {
+    const res = await request(app)
+      .put(`/api/rbac/users/${userId}/permissions/edit_campaign`)
+      .set('Authorization', `Bearer ${superAdminToken}`)
+      .send({ effect: 'maybe' });
+    expect(res.statusCode).toBe(400);
+  });
+});
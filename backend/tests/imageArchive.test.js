@@ -0,0 +1,44 @@
+// Tests for campaign image archive naming and the manifest CSV
+const { getArchiveEntries, buildManifestCsv } = require('../services/imageArchiveService');
+
+describe('Image Archive', () => {
+  it('should name files by location and capture date with a running number', () => {
+    const entries = getArchiveEntries([
+      { original_name: 'IMG_0001.JPG', stored_name: 'campaign_1_1.jpg', location_name: 'Café Central, Main St', captured_at: new Date(2025, 4, 3, 10) },
+      { original_name: 'IMG_0002.JPG', stored_name: 'campaign_1_2.PNG', location_name: 'Café Central, Main St', captured_at: new Date(2025, 4, 3, 16) },
+      { original_name: 'IMG_0003.JPG', stored_name: 'campaign_1_3.jpg', location_name: 'Station Square', captured_at: new Date(2025, 4, 3, 11) }
+    ]);
+
+    expect(entries.map(entry => entry.name)).toEqual([
+      'cafe-central-main-st_2025-05-03_01.jpg',
+      'cafe-central-main-st_2025-05-03_02.png',
+      'station-square_2025-05-03_01.jpg'
+    ]);
+  });
+
+  it('should fall back to the upload date and a no-site prefix', () => {
+    const [entry] = getArchiveEntries([
+      { original_name: 'IMG_0001.JPG', stored_name: 'campaign_1_1.jpg', location_name: null, captured_at: null, uploaded_at: new Date(2025, 4, 6, 9, 30) }
+    ]);
+    expect(entry.name).toBe('no-site_2025-05-06_01.jpg');
+  });
+
+  it('should quote CSV values and neutralise spreadsheet formulas', () => {
+    const csv = buildManifestCsv(getArchiveEntries([
+      {
+        original_name: '=HYPERLINK("x"), copy',
+        stored_name: 'campaign_1_1.jpg',
+        location_name: 'Dock 5',
+        captured_at: new Date(2025, 4, 3, 10),
+        gps_latitude: '51.5000000',
+        gps_longitude: '-0.1200000',
+        checksum: 'abc123'
+      }
+    ]));
+    const [header, row] = csv.trim().split('\r\n');
+
+    expect(header.split(',')[0]).toBe('file');
+    expect(row).toContain('"\'=HYPERLINK(""x""), copy"');
+    expect(row).toContain(',51.5000000,-0.1200000,');
+  });
+});
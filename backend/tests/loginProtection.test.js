@@ -0,0 +1,121 @@
+// Tests for login brute-force protection and account lockout
+const request = require('supertest');
+const app = require('../server');
+const { getRetryDelaySeconds, getAccountBlock } = require('../services/loginProtectionService');
+const loginSecurityConfig = require('../config/loginSecurity');
+
+describe('Login Protection', () => {
+  let superAdminToken, userId;
+  const username = `lockout_user_${Date.now()}`;
+
+  const login = (password) => request(app)
+    .post('/api/login')
+    .send({ username, password });
+
+  beforeAll(async () => {
+    const superAdminRes = await request(app)
+      .post('/api/login')
+      .send({ username: 'superadmin', password: 'password123' });
+    superAdminToken = superAdminRes.body.token;
+
+    const created = await request(app)
+      .post('/api/users')
+      .set('Authorization', `Bearer ${superAdminToken}`)
+      .send({ username, password: 'password123', user_type: 'employee', roles: ['basic_employee'] });
+    userId = created.body.id;
+  });
+
+  afterAll(async () => {
+    await request(app)
+      .delete(`/api/users/${userId}`)
+      .set('Authorization', `Bearer ${superAdminToken}`);
+  });
+
+  it('should double the retry delay per failure up to the maximum', () => {
+    expect(getRetryDelaySeconds(0)).toBe(0);
+    expect(getRetryDelaySeconds(2)).toBe(loginSecurityConfig.baseDelaySeconds * 2);
+    expect(getRetryDelaySeconds(50)).toBe(loginSecurityConfig.maxDelaySeconds);
+  });
+
+  it('should report a lock until its expiry', () => {
+    const lockedUntil = new Date(Date.now() + 10 * 60 * 1000);
+    const block = getAccountBlock({ failed_attempts: 5, last_failed_login_at: new Date(), locked_until: lockedUntil });
+    expect(block.locked_until).toBe(lockedUntil.toISOString());
+    expect(block.retry_after).toBeGreaterThan(500);
+
+    expect(getAccountBlock({ failed_attempts: 5, last_failed_login_at: new Date(0), locked_until: new Date(0) })).toBeNull();
+  });
+
+  it('should make the next attempt wait after a failed password', async () => {
+    const failed = await login('wrongpassword');
+    expect(failed.statusCode).toBe(401);
+
+    // Even the right password is refused until the delay has passed
+    const retried = await login('password123');
+    expect(retried.statusCode).toBe(429);
+    expect(retried.body.retry_after).toBeGreaterThan(0);
+    expect(retried.headers['retry-after']).toBeDefined();
+  });
+
+  it('should show failed attempts to admins and let them unlock the account', async () => {
+    const users = await request(app)
+      .get('/api/users')
+      .set('Authorization', `Bearer ${superAdminToken}`);
+    const user = users.body.find(u => u.id === userId);
+    expect(user.failed_attempts).toBe(1);
+    expect(user).not.toHaveProperty('password');
+
+    const unlocked = await request(app)
+      .post(`/api/users/${userId}/unlock`)
+      .set('Authorization', `Bearer ${superAdminToken}`);
+    expect(unlocked.statusCode).toBe(200);
+
+    const res = await login('password123');
+    expect(res.statusCode).toBe(200);
+  });
+
+  it('should record the last login and clear failed attempts on success', async () => {
+    const users = await request(app)
+      .get('/api/users')
+      .set('Authorization', `Bearer ${superAdminToken}`);
+    const user = users.body.find(u => u.id === userId);
+    expect(user.failed_attempts).toBe(0);
+    expect(user.last_login_at).not.toBeNull();
+  });
+
+  it('should throttle unknown usernames like accounts', async () => {
+    const unknownUsername = `nobody_${Date.now()}`;
+    const unknown = (password) => request(app)
+      .post('/api/login')
+      .send({ username: unknownUsername, password });
+
+    const failed = await unknown('wrongpassword');
+    expect(failed.statusCode).toBe(401);
+
+    const retried = await unknown('password123');
+    expect(retried.statusCode).toBe(429);
+    expect(retried.body.error).toBe('Too many failed login attempts');
+    expect(retried.body.retry_after).toBeGreaterThan(0);
+  });
+
+  it('should count only one of several simultaneous attempts', async () => {
+    const results = await Promise.all([1, 2, 3].map(() => login('wrongpassword')));
+    expect(results.map(res => res.statusCode).sort()).toEqual([401, 429, 429]);
+
+    const users = await request(app)
+      .get('/api/users')
+      .set('Authorization', `Bearer ${superAdminToken}`);
+    expect(users.body.find(u => u.id === userId).failed_attempts).toBe(1);
+  });
+
+  it('should not let users without edit_user unlock accounts', async () => {
+    const employeeRes = await request(app)
+      .post('/api/login')
+      .send({ username: 'employee1', password: 'password123' });
+
+    const res = await request(app)
+      .post(`/api/users/${userId}/unlock`)
+      .set('Authorization', `Bearer ${employeeRes.body.token}`);
+    expect(res.statusCode).toBe(403);
+  });
+});
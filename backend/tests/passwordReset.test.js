@@ -0,0 +1,164 @@
+// Tests for self-service password changes and password reset emails
+const request = require('supertest');
+const { SMTPServer } = require('smtp-server');
+const app = require('../server');
+const { createMailer, setMailer } = require('../services/mail');
+
+describe('Password Change and Reset', () => {
+  let superAdminToken, userId, smtpServer;
+  let inbox = [];
+  const username = `reset_user_${Date.now()}`;
+  const email = `${username}@example.com`;
+
+  const login = (password) => request(app).post('/api/login').send({ username, password });
+
+  // Mail bodies arrive quoted-printable encoded; undo that to read the reset link
+  const readResetToken = (message) => {
+    const text = message.replace(/=\r?\n/g, '').replace(/=([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+    return text.match(/reset_token=([\w-]+)/)[1];
+  };
+
+  // Reset emails are sent after the response, so give them time to arrive
+  const waitForMail = async (count) => {
+    for (let i = 0; i < 50 && inbox.length < count; i++) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  };
+
+  beforeAll(async () => {
+    // Local SMTP stand-in that keeps every message it receives
+    smtpServer = new SMTPServer({
+      authOptional: true,
+      disabledCommands: ['STARTTLS'],
+      onData(stream, session, callback) {
+        let message = '';
+        stream.on('data', (chunk) => { message += chunk; });
+        stream.on('end', () => {
+          inbox.push({ to: session.envelope.rcptTo.map(rcpt => rcpt.address), message });
+          callback();
+        });
+      }
+    });
+    await new Promise(resolve => smtpServer.listen(0, '127.0.0.1', resolve));
+    setMailer(createMailer({
+      driver: 'smtp',
+      smtp: { host: '127.0.0.1', port: smtpServer.server.address().port, secure: false }
+    }));
+
+    const superAdminRes = await request(app)
+      .post('/api/login')
+      .send({ username: 'superadmin', password: 'password123' });
+    superAdminToken = superAdminRes.body.token;
+
+    const created = await request(app)
+      .post('/api/users')
+      .set('Authorization', `Bearer ${superAdminToken}`)
+      .send({ username, email, password: 'password123', user_type: 'employee', roles: ['basic_employee'] });
+    userId = created.body.id;
+  });
+
+  afterAll(async () => {
+    await request(app)
+      .delete(`/api/users/${userId}`)
+      .set('Authorization', `Bearer ${superAdminToken}`);
+    setMailer(null);
+    await new Promise(resolve => smtpServer.close(resolve));
+  });
+
+  beforeEach(() => {
+    inbox = [];
+  });
+
+  it('should change the password only with the current password and keep the current session', async () => {
+    const current = (await login('password123')).body.token;
+    const other = (await login('password123')).body.token;
+
+    const wrong = await request(app)
+      .put('/api/me/password')
+      .set('Authorization', `Bearer ${current}`)
+      .send({ current_password: 'not-my-password', password: 'changed456' });
+    expect(wrong.statusCode).toBe(400);
+
+    await request(app)
+      .post(`/api/users/${userId}/unlock`)
+      .set('Authorization', `Bearer ${superAdminToken}`);
+    const res = await request(app)
+      .put('/api/me/password')
+      .set('Authorization', `Bearer ${current}`)
+      .send({ current_password: 'password123', password: 'changed456' });
+    expect(res.statusCode).toBe(200);
+
+    const stillSignedIn = await request(app).get('/api/me').set('Authorization', `Bearer ${current}`);
+    expect(stillSignedIn.statusCode).toBe(200);
+    expect(stillSignedIn.body).toMatchObject({ username, email });
+
+    const signedOut = await request(app).get('/api/me').set('Authorization', `Bearer ${other}`);
+    expect(signedOut.statusCode).toBe(401);
+
+    expect((await login('password123')).statusCode).toBe(401);
+    await request(app)
+      .post(`/api/users/${userId}/unlock`)
+      .set('Authorization', `Bearer ${superAdminToken}`);
+    expect((await login('changed456')).body.token).toBeTruthy();
+  });
+
+  it('should not let users change their own email address without their password', async () => {
+    const session = (await login('changed456')).body.token;
+
+    const res = await request(app)
+      .put(`/api/users/${userId}`)
+      .set('Authorization', `Bearer ${session}`)
+      .send({ username, user_type: 'employee', email: 'taken-over@example.com' });
+    expect(res.statusCode).toBe(400);
+
+    const account = await request(app).get('/api/me').set('Authorization', `Bearer ${session}`);
+    expect(account.body.email).toBe(email);
+  });
+
+  it('should answer the same for unknown addresses without sending an email', async () => {
+    const unknown = await request(app).post('/api/password/forgot').send({ email: 'nobody@example.com' });
+    const known = await request(app).post('/api/password/forgot').send({ email });
+    expect(unknown.statusCode).toBe(200);
+    expect(unknown.body).toEqual(known.body);
+
+    // Only the known address gets an email
+    await waitForMail(1);
+    await new Promise(resolve => setTimeout(resolve, 200));
+    expect(inbox.map(mail => mail.to)).toEqual([[email]]);
+  });
+
+  it('should reset the password once with the emailed token', async () => {
+    const session = (await login('changed456')).body.token;
+
+    const forgot = await request(app).post('/api/password/forgot').send({ email });
+    expect(forgot.statusCode).toBe(200);
+    await waitForMail(1);
+    expect(inbox).toHaveLength(1);
+    expect(inbox[0].to).toEqual([email]);
+    const token = readResetToken(inbox[0].message);
+
+    const tooShort = await request(app).post('/api/password/reset').send({ token, password: 'abc' });
+    expect(tooShort.statusCode).toBe(400);
+
+    const res = await request(app).post('/api/password/reset').send({ token, password: 'reset789' });
+    expect(res.statusCode).toBe(200);
+
+    const reused = await request(app).post('/api/password/reset').send({ token, password: 'another789' });
+    expect(reused.statusCode).toBe(400);
+
+    // Every session ends with the reset
+    const signedOut = await request(app).get('/api/me').set('Authorization', `Bearer ${session}`);
+    expect(signedOut.statusCode).toBe(401);
+
+    expect((await login('changed456')).statusCode).toBe(401);
+    await request(app)
+      .post(`/api/users/${userId}/unlock`)
+      .set('Authorization', `Bearer ${superAdminToken}`);
+    expect((await login('reset789')).body.token).toBeTruthy();
+  });
+
+  it('should reject made-up reset tokens', async () => {
+    const res = await request(app).post('/api/password/reset').send({ token: 'not-a-real-token', password: 'reset789' });
+    expect(res.statusCode).toBe(400);
+  });
+});
@@ -0,0 +1,33 @@
+// Tests for the permission registry and the route-time check against it
+const request = require('supertest');
+const app = require('../server');
+const { PERMISSIONS, PERMISSION_DEFINITIONS, isDeclaredPermission } = require('../config/permissionRegistry');
+const { requirePermission, requireAnyPermission } = require('../middleware');
+
+describe('Permission Registry', () => {
+  it('should expose a constant for every declared permission', () => {
+    expect(PERMISSIONS.VIEW_CAMPAIGNS).toBe('view_campaigns');
+    expect(Object.values(PERMISSIONS)).toHaveLength(PERMISSION_DEFINITIONS.length);
+    expect(isDeclaredPermission('manage_roles')).toBe(true);
+    expect(isDeclaredPermission('view_user')).toBe(false);
+  });
+
+  it('should refuse to define a route with an undeclared permission', () => {
+    expect(() => requirePermission('view_user')).toThrow(/Undeclared permission\(s\): view_user/);
+    expect(() => requireAnyPermission([PERMISSIONS.VIEW_USERS, 'delete_campaign'])).toThrow(/delete_campaign/);
+    expect(() => requirePermission(PERMISSIONS.VIEW_USERS)).not.toThrow();
+  });
+
+  it('should have every declared permission in the database', async () => {
+    const loginRes = await request(app)
+      .post('/api/login')
+      .send({ username: 'superadmin', password: 'password123' });
+
+    const res = await request(app)
+      .get('/api/permissions')
+      .set('Authorization', `Bearer ${loginRes.body.token}`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.map(permission => permission.permission).sort())
+      .toEqual(PERMISSION_DEFINITIONS.map(definition => definition.permission).sort());
+  });
+});
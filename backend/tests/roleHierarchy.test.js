@@ -0,0 +1,108 @@
+// Tests for parent roles and inherited permissions
+const request = require('supertest');
+const app = require('../server');
+
+describe('Role Hierarchy', () => {
+  let superAdminToken, basicEmployeeToken;
+
+  beforeAll(async () => {
+    const superAdminRes = await request(app)
+      .post('/api/login')
+      .send({ username: 'superadmin', password: 'password123' });
+    superAdminToken = superAdminRes.body.token;
+
+    const basicEmployeeRes = await request(app)
+      .post('/api/login')
+      .send({ username: 'employee1', password: 'password123' });
+    basicEmployeeToken = basicEmployeeRes.body.token;
+  });
+
+  it('should list each role with its parent', async () => {
+    const res = await request(app)
+      .get('/api/roles')
+      .set('Authorization', `Bearer ${superAdminToken}`);
+    expect(res.statusCode).toBe(200);
+
+    const parents = Object.fromEntries(res.body.map(role => [role.name, role.parent_role]));
+    expect(parents.super_admin).toBe('admin_manager');
+    expect(parents.admin_manager).toBe('employee');
+    expect(parents.employee).toBe('basic_employee');
+    expect(parents.basic_employee).toBeNull();
+  });
+
+  it('should mark inherited permissions with the role granting them', async () => {
+    const res = await request(app)
+      .get('/api/roles/admin_manager/permissions')
+      .set('Authorization', `Bearer ${superAdminToken}`);
+    expect(res.statusCode).toBe(200);
+
+    const byName = Object.fromEntries(res.body.map(permission => [permission.permission, permission]));
+    expect(byName.create_company.inherited_from).toBeNull();
+    expect(byName.edit_campaign.inherited_from).toBe('employee');
+    expect(byName.view_users.inherited_from).toBe('basic_employee');
+    expect(byName.delete_user).toBeUndefined();
+  });
+
+  it('should grant inherited permissions to users', async () => {
+    // superadmin only holds super_admin, which grants view_users through basic_employee
+    const res = await request(app)
+      .post('/api/rbac/check')
+      .set('Authorization', `Bearer ${superAdminToken}`)
+      .send({ permission: 'view_users' });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.allowed).toBe(true);
+  });
+
+  it('should not grant permissions of child roles', async () => {
+    const res = await request(app)
+      .post('/api/rbac/check')
+      .set('Authorization', `Bearer ${basicEmployeeToken}`)
+      .send({ permission: 'edit_campaign' });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.allowed).toBe(false);
+  });
+
+  it('should reject a parent that creates a cycle', async () => {
+    const self = await request(app)
+      .put('/api/roles/employee')
+      .set('Authorization', `Bearer ${superAdminToken}`)
+      .send({ parent_role: 'employee' });
+    expect(self.statusCode).toBe(400);
+
+    const descendant = await request(app)
+      .put('/api/roles/basic_employee')
+      .set('Authorization', `Bearer ${superAdminToken}`)
+      .send({ parent_role: 'super_admin' });
+    expect(descendant.statusCode).toBe(400);
+    expect(descendant.body.error).toMatch(/inherit from itself/);
+  });
+
+  it('should create a role inheriting from an existing role', async () => {
+    const res = await request(app)
+      .post('/api/roles')
+      .set('Authorization', `Bearer ${superAdminToken}`)
+      .send({ name: `auditor_${Date.now()}`, description: 'Auditor', parent_role: 'basic_employee', permissions: ['view_roles'] });
+    expect(res.statusCode).toBe(201);
+    expect(res.body.parent_role).toBe('basic_employee');
+
+    const permissions = await request(app)
+      .get(`/api/roles/${res.body.name}/permissions`)
+      .set('Authorization', `Bearer ${superAdminToken}`);
+    expect(permissions.body.map(permission => permission.permission)).toEqual(
+      expect.arrayContaining(['view_roles', 'view_campaigns'])
+    );
+
+    await request(app)
+      .delete(`/api/roles/${res.body.name}`)
+      .set('Authorization', `Bearer ${superAdminToken}`);
+  });
+
+  it('should reject an unknown parent role', async () => {
+    const res = await request(app)
+      .post('/api/roles')
+      .set('Authorization', `Bearer ${superAdminToken}`)
+      .send({ name: `orphan_${Date.now()}`, parent_role: 'no_such_role' });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe('Parent role not found');
+  });
+});
@@ -0,0 +1,142 @@
+// Tests for role assignments scoped to one company
+const request = require('supertest');
+const app = require('../server');
+
+describe('Scoped Roles', () => {
+  // digital_admin is a basic employee everywhere and an admin manager for Digital Media Group only
+  let scopedAdminToken;
+  let ownCompany, otherCompany, ownCampaign, otherCampaign;
+
+  beforeAll(async () => {
+    const res = await request(app)
+      .post('/api/login')
+      .send({ username: 'digital_admin', password: 'password123' });
+    scopedAdminToken = res.body.token;
+
+    const companies = await request(app)
+      .get('/api/companies')
+      .set('Authorization', `Bearer ${scopedAdminToken}`);
+    ownCompany = companies.body.find(company => company.name === 'Digital Media Group');
+    otherCompany = companies.body.find(company => company.name === 'Marketing Solutions');
+
+    const campaigns = await request(app)
+      .get('/api/campaigns')
+      .set('Authorization', `Bearer ${scopedAdminToken}`);
+    ownCampaign = campaigns.body.find(campaign => campaign.name === 'Digital Media Campaign');
+    otherCampaign = campaigns.body.find(campaign => campaign.name === 'Summer Campaign 2025');
+  });
+
+  const updateCampaign = (campaign) => request(app)
+    .put(`/api/campaigns/${campaign.id}`)
+    .set('Authorization', `Bearer ${scopedAdminToken}`)
+    .send({ name: campaign.name, description: campaign.description, required_images: campaign.required_images });
+
+  it('should grant the scoped role inside its company', async () => {
+    const campaignRes = await updateCampaign(ownCampaign);
+    expect(campaignRes.statusCode).toBe(200);
+
+    const companyRes = await request(app)
+      .put(`/api/companies/${ownCompany.id}`)
+      .set('Authorization', `Bearer ${scopedAdminToken}`)
+      .send({ name: ownCompany.name });
+    expect(companyRes.statusCode).toBe(200);
+  });
+
+  it('should not grant the scoped role for other companies', async () => {
+    const campaignRes = await updateCampaign(otherCampaign);
+    expect(campaignRes.statusCode).toBe(403);
+
+    const companyRes = await request(app)
+      .put(`/api/companies/${otherCompany.id}`)
+      .set('Authorization', `Bearer ${scopedAdminToken}`)
+      .send({ name: otherCompany.name });
+    expect(companyRes.statusCode).toBe(403);
+  });
+
+  it('should not let the scoped role move a campaign into another company', async () => {
+    const res = await request(app)
+      .put(`/api/campaigns/${ownCampaign.id}`)
+      .set('Authorization', `Bearer ${scopedAdminToken}`)
+      .send({ name: ownCampaign.name, description: ownCampaign.description, company_id: otherCompany.id });
+    expect(res.statusCode).toBe(403);
+
+    const campaigns = await request(app)
+      .get('/api/campaigns')
+      .set('Authorization', `Bearer ${scopedAdminToken}`);
+    const campaign = campaigns.body.find(c => c.id === ownCampaign.id);
+    expect(campaign.company_name).toBe('Digital Media Group');
+  });
+
+  it('should keep a user in their company when an edit leaves out company_id', async () => {
+    const superAdminRes = await request(app)
+      .post('/api/login')
+      .send({ username: 'superadmin', password: 'password123' });
+    const users = await request(app)
+      .get('/api/users')
+      .set('Authorization', `Bearer ${superAdminRes.body.token}`);
+    const digitalClient = users.body.find(user => user.username === 'digital_client');
+
+    const res = await request(app)
+      .put(`/api/users/${digitalClient.id}`)
+      .set('Authorization', `Bearer ${scopedAdminToken}`)
+      .send({ username: digitalClient.username, user_type: digitalClient.user_type });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.company_id).toBe(ownCompany.id);
+  });
+
+  it('should not let the scoped role act on users who hold the permission everywhere', async () => {
+    const superAdminRes = await request(app)
+      .post('/api/login')
+      .send({ username: 'superadmin', password: 'password123' });
+    const superAdminToken = superAdminRes.body.token;
+
+    // An employee of the scoped company whose global role can edit users in every company
+    const created = await request(app)
+      .post('/api/users')
+      .set('Authorization', `Bearer ${superAdminToken}`)
+      .send({ username: `global_editor_${Date.now()}`, password: 'password123', user_type: 'employee', company_id: ownCompany.id, roles: ['employee'] });
+    expect(created.statusCode).toBe(201);
+
+    const password = await request(app)
+      .put(`/api/users/${created.body.id}/password`)
+      .set('Authorization', `Bearer ${scopedAdminToken}`)
+      .send({ password: 'taken-over' });
+    expect(password.statusCode).toBe(403);
+
+    const signOut = await request(app)
+      .delete(`/api/users/${created.body.id}/sessions`)
+      .set('Authorization', `Bearer ${scopedAdminToken}`);
+    expect(signOut.statusCode).toBe(403);
+
+    const unlock = await request(app)
+      .post(`/api/users/${created.body.id}/unlock`)
+      .set('Authorization', `Bearer ${scopedAdminToken}`);
+    expect(unlock.statusCode).toBe(403);
+
+    await request(app)
+      .delete(`/api/users/${created.body.id}`)
+      .set('Authorization', `Bearer ${superAdminToken}`);
+  });
+
+  it('should keep the global role everywhere', async () => {
+    const res = await request(app)
+      .get(`/api/campaigns/${otherCampaign.id}/history`)
+      .set('Authorization', `Bearer ${scopedAdminToken}`);
+    expect(res.statusCode).toBe(200);
+  });
+
+  it('should list role assignments with their company', async () => {
+    const res = await request(app)
+      .post('/api/login')
+      .send({ username: 'superadmin', password: 'password123' });
+    const users = await request(app)
+      .get('/api/users')
+      .set('Authorization', `Bearer ${res.body.token}`);
+
+    const scopedAdmin = users.body.find(user => user.username === 'digital_admin');
+    expect(scopedAdmin.role_assignments).toEqual(expect.arrayContaining([
+      expect.objectContaining({ role: 'basic_employee', company_id: null }),
+      expect.objectContaining({ role: 'admin_manager', company_id: ownCompany.id })
+    ]));
+  });
+});
@@ -0,0 +1,79 @@
+// Tests for refresh-token sessions, logout and server-side revocation
+const request = require('supertest');
+const app = require('../server');
+
+describe('Sessions', () => {
+  const login = (username) => request(app)
+    .post('/api/login')
+    .send({ username, password: 'password123' });
+
+  const getMe = (token) => request(app)
+    .get('/api/users/me/permissions')
+    .set('Authorization', `Bearer ${token}`);
+
+  it('should return a refresh token with the access token on login', async () => {
+    const res = await login('employee1');
+    expect(res.statusCode).toBe(200);
+    expect(res.body.token).toBeTruthy();
+    expect(res.body.refresh_token).toBeTruthy();
+  });
+
+  it('should rotate the refresh token and revoke the session when an old one is reused', async () => {
+    const { body: session } = await login('employee1');
+
+    const refreshed = await request(app).post('/api/token/refresh').send({ refresh_token: session.refresh_token });
+    expect(refreshed.statusCode).toBe(200);
+    expect(refreshed.body.refresh_token).not.toBe(session.refresh_token);
+    expect((await getMe(refreshed.body.token)).statusCode).toBe(200);
+
+    const reused = await request(app).post('/api/token/refresh').send({ refresh_token: session.refresh_token });
+    expect(reused.statusCode).toBe(401);
+
+    // Reuse looks like a stolen token, so the whole session ends
+    expect((await getMe(refreshed.body.token)).statusCode).toBe(401);
+    const next = await request(app).post('/api/token/refresh').send({ refresh_token: refreshed.body.refresh_token });
+    expect(next.statusCode).toBe(401);
+  });
+
+  it('should reject a refresh request without a refresh token', async () => {
+    const res = await request(app).post('/api/token/refresh').send({});
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('should revoke the session on logout', async () => {
+    const { body: session } = await login('employee1');
+
+    const res = await request(app).post('/api/logout').set('Authorization', `Bearer ${session.token}`);
+    expect(res.statusCode).toBe(200);
+
+    expect((await getMe(session.token)).statusCode).toBe(401);
+    const refreshed = await request(app).post('/api/token/refresh').send({ refresh_token: session.refresh_token });
+    expect(refreshed.statusCode).toBe(401);
+  });
+
+  it('should let an admin sign a user out of all sessions', async () => {
+    const { body: admin } = await login('superadmin');
+    const first = await login('contractor1');
+    const second = await login('contractor1');
+
+    const res = await request(app)
+      .delete(`/api/users/${first.body.user.id}/sessions`)
+      .set('Authorization', `Bearer ${admin.token}`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.sessions_revoked).toBeGreaterThanOrEqual(2);
+
+    expect((await getMe(first.body.token)).statusCode).toBe(401);
+    expect((await getMe(second.body.token)).statusCode).toBe(401);
+    expect((await getMe(admin.token)).statusCode).toBe(200);
+  });
+
+  it('should not let a user without edit_user sign others out', async () => {
+    const { body: employee } = await login('employee1');
+    const { body: admin } = await login('admin');
+
+    const res = await request(app)
+      .delete(`/api/users/${admin.user.id}/sessions`)
+      .set('Authorization', `Bearer ${employee.token}`);
+    expect(res.statusCode).toBe(403);
+  });
+});
@@ -0,0 +1,124 @@
+// Tests for the campaign image storage drivers
+// The S3 driver runs against a MinIO (or other S3-compatible) server when S3_TEST_ENDPOINT is set, e.g.
+//   docker run -p 9000:9000 minio/minio server /data
+//   S3_TEST_ENDPOINT=http://localhost:9000 S3_TEST_BUCKET=test-images npx jest storage
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../services/storage');
+
+// Behaviour every driver must provide
+const describeDriver = (name, setup) => {
+  describe(`${name} storage driver`, () => {
+    let storage;
+    let cleanup;
+
+    beforeAll(async () => {
+      ({ storage, cleanup } = await setup());
+    });
+
+    afterAll(async () => {
+      await cleanup();
+    });
+
+    it('should store, read and stream objects', async () => {
+      await storage.put('campaign_1_test.jpg', Buffer.from('original'), { contentType: 'image/jpeg' });
+
+      expect(await storage.exists('campaign_1_test.jpg')).toBe(true);
+      expect((await storage.getBuffer('campaign_1_test.jpg')).toString()).toBe('original');
+
+      const chunks = [];
+      for await (const chunk of await storage.getStream('campaign_1_test.jpg')) {
+        chunks.push(Buffer.from(chunk));
+      }
+      expect(Buffer.concat(chunks).toString()).toBe('original');
+    });
+
+    it('should list nested keys with their size', async () => {
+      await storage.put('renditions/thumb/campaign_1_test.webp', Buffer.from('thumb'), { contentType: 'image/webp' });
+
+      const keys = (await storage.list()).map(object => object.key);
+      expect(keys).toEqual(expect.arrayContaining(['campaign_1_test.jpg', 'renditions/thumb/campaign_1_test.webp']));
+
+      const renditions = await storage.list('renditions/');
+      expect(renditions).toHaveLength(1);
+      expect(renditions[0].size).toBe(5);
+    });
+
+    it('should delete objects and ignore missing ones', async () => {
+      await storage.delete('campaign_1_test.jpg');
+      await storage.delete('campaign_1_test.jpg');
+      await storage.delete('renditions/thumb/campaign_1_test.webp');
+
+      expect(await storage.exists('campaign_1_test.jpg')).toBe(false);
+    });
+  });
+};
+
+describeDriver('local', async () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+  return {
+    storage: createStorage({ driver: 'local', local: { root } }),
+    cleanup: async () => fs.rmSync(root, { recursive: true, force: true })
+  };
+});
+
+describe('local storage keys', () => {
+  it('should refuse keys outside the storage root', async () => {
+    const storage = createStorage({ driver: 'local', local: { root: os.tmpdir() } });
+    await expect(storage.put('../outside.jpg', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+  });
+
+  it('should not offer signed URLs', async () => {
+    const storage = createStorage({ driver: 'local', local: { root: os.tmpdir() } });
+    expect(await storage.getSignedUrl('campaign_1_test.jpg', { expiresIn: 60 })).toBeNull();
+  });
+});
+
+if (process.env.S3_TEST_ENDPOINT) {
+  describeDriver('s3', async () => {
+    const { S3Client, CreateBucketCommand, HeadBucketCommand } = require('@aws-sdk/client-s3');
+    const s3 = {
+      bucket: process.env.S3_TEST_BUCKET || 'campaign-images-test',
+      region: 'us-east-1',
+      endpoint: process.env.S3_TEST_ENDPOINT,
+      forcePathStyle: true,
+      accessKeyId: process.env.S3_TEST_ACCESS_KEY_ID || 'minioadmin',
+      secretAccessKey: process.env.S3_TEST_SECRET_ACCESS_KEY || 'minioadmin',
+      prefix: `test-${Date.now()}/`
+    };
+
+    const client = new S3Client({
+      region: s3.region,
+      endpoint: s3.endpoint,
+      forcePathStyle: true,
+      credentials: { accessKeyId: s3.accessKeyId, secretAccessKey: s3.secretAccessKey }
+    });
+    try {
+      await client.send(new HeadBucketCommand({ Bucket: s3.bucket }));
+    } catch {
+      await client.send(new CreateBucketCommand({ Bucket: s3.bucket }));
+    }
+
+    return {
+      storage: createStorage({ driver: 's3', s3 }),
+      cleanup: async () => client.destroy()
+    };
+  });
+
+  it('should sign download URLs for the s3 driver', async () => {
+    const storage = createStorage({
+      driver: 's3',
+      s3: {
+        bucket: process.env.S3_TEST_BUCKET || 'campaign-images-test',
+        region: 'us-east-1',
+        endpoint: process.env.S3_TEST_ENDPOINT,
+        forcePathStyle: true,
+        accessKeyId: process.env.S3_TEST_ACCESS_KEY_ID || 'minioadmin',
+        secretAccessKey: process.env.S3_TEST_SECRET_ACCESS_KEY || 'minioadmin'
+      }
+    });
+    const url = await storage.getSignedUrl('campaign_1_test.jpg', { expiresIn: 60 });
+    expect(url).toContain('X-Amz-Signature=');
+  });
+}
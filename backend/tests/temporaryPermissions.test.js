@@ -0,0 +1,92 @@
+// Tests for temporary per-user permission grants
+const request = require('supertest');
+const app = require('../server');
+
+describe('Temporary Permissions', () => {
+  let superAdminToken;
+  let userId, userToken;
+
+  const inDays = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+
+  const check = (permission) => request(app)
+    .post('/api/rbac/check')
+    .set('Authorization', `Bearer ${userToken}`)
+    .send({ permission });
+
+  beforeAll(async () => {
+    const superAdminRes = await request(app)
+      .post('/api/login')
+      .send({ username: 'superadmin', password: 'password123' });
+    superAdminToken = superAdminRes.body.token;
+
+    const username = `temp_grant_${Date.now()}`;
+    const userRes = await request(app)
+      .post('/api/users')
+      .set('Authorization', `Bearer ${superAdminToken}`)
+      .send({ username, password: 'password123', user_type: 'employee', roles: ['basic_employee'] });
+    userId = userRes.body.id;
+
+    const loginRes = await request(app)
+      .post('/api/login')
+      .send({ username, password: 'password123' });
+    userToken = loginRes.body.token;
+  });
+
+  afterAll(async () => {
+    await request(app)
+      .delete(`/api/users/${userId}`)
+      .set('Authorization', `Bearer ${superAdminToken}`);
+  });
+
+  it('should grant a permission until it expires', async () => {
+    const before = await check('edit_campaign');
+    expect(before.body.allowed).toBe(false);
+
+    const expiresAt = inDays(14);
+    const grantRes = await request(app)
+      .put(`/api/rbac/users/${userId}/permissions/edit_campaign`)
+      .set('Authorization', `Bearer ${superAdminToken}`)
+      .send({ effect: 'allow', expires_at: expiresAt });
+    expect(grantRes.statusCode).toBe(200);
+
+    const granted = await check('edit_campaign');
+    expect(granted.body).toMatchObject({ allowed: true, source: 'user' });
+    expect(granted.body.expires_at).not.toBeNull();
+  });
+
+  it('should list temporary grants with their expiry', async () => {
+    const overrides = await request(app)
+      .get(`/api/rbac/users/${userId}/permissions`)
+      .set('Authorization', `Bearer ${superAdminToken}`);
+    expect(overrides.statusCode).toBe(200);
+    expect(overrides.body).toEqual([
+      expect.objectContaining({ permission: 'edit_campaign', effect: 'allow', granted_by_username: 'superadmin' })
+    ]);
+    expect(overrides.body[0].expires_at).not.toBeNull();
+
+    const users = await request(app)
+      .get('/api/users')
+      .set('Authorization', `Bearer ${superAdminToken}`);
+    const user = users.body.find(u => u.id === userId);
+    expect(user.temporary_permissions.map(p => p.permission)).toEqual(['edit_campaign']);
+  });
+
+  it('should reject an expiry in the past', async () => {
+    const res = await request(app)
+      .put(`/api/rbac/users/${userId}/permissions/edit_campaign`)
+      .set('Authorization', `Bearer ${superAdminToken}`)
+      .send({ effect: 'allow', expires_at: inDays(-1) });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe('expires_at must be a date in the future');
+  });
+
+  it('should revoke a temporary grant early', async () => {
+    const res = await request(app)
+      .delete(`/api/rbac/users/${userId}/permissions/edit_campaign`)
+      .set('Authorization', `Bearer ${superAdminToken}`);
+    expect(res.statusCode).toBe(200);
+
+    const revoked = await check('edit_campaign');
+    expect(revoked.body.allowed).toBe(false);
+  });
+});
@@ -0,0 +1,193 @@
+// Tests for TOTP two-factor authentication
+const request = require('supertest');
+const app = require('../server');
+const { generateTotp, getTimeStep } = require('../services/twoFactorService');
+
+describe('Two-Factor Authentication', () => {
+  let superAdminToken, employeeToken, userId, userToken, secret, enabledStep, recoveryCodes;
+  const username = `totp_user_${Date.now()}`;
+  const roleName = `totp_role_${Date.now()}`;
+
+  const login = () => request(app).post('/api/login').send({ username, password: 'password123' });
+
+  beforeAll(async () => {
+    const superAdminRes = await request(app)
+      .post('/api/login')
+      .send({ username: 'superadmin', password: 'password123' });
+    superAdminToken = superAdminRes.body.token;
+
+    // manager holds the employee role, which can edit users but not manage roles
+    const employeeRes = await request(app)
+      .post('/api/login')
+      .send({ username: 'manager', password: 'password123' });
+    employeeToken = employeeRes.body.token;
+
+    const created = await request(app)
+      .post('/api/users')
+      .set('Authorization', `Bearer ${superAdminToken}`)
+      .send({ username, password: 'password123', user_type: 'employee', roles: ['basic_employee'] });
+    userId = created.body.id;
+
+    userToken = (await login()).body.token;
+  });
+
+  afterAll(async () => {
+    await request(app)
+      .delete(`/api/users/${userId}`)
+      .set('Authorization', `Bearer ${superAdminToken}`);
+    await request(app)
+      .delete(`/api/roles/${roleName}_child`)
+      .set('Authorization', `Bearer ${superAdminToken}`);
+    await request(app)
+      .delete(`/api/roles/${roleName}`)
+      .set('Authorization', `Bearer ${superAdminToken}`);
+  });
+
+  it('should enable two-factor authentication after confirming a code', async () => {
+    const setup = await request(app).post('/api/2fa/setup').set('Authorization', `Bearer ${userToken}`);
+    expect(setup.statusCode).toBe(200);
+    expect(setup.body.qr_code).toMatch(/^data:image\/png;base64,/);
+    expect(setup.body.otpauth_url).toContain(`secret=${setup.body.secret}`);
+    secret = setup.body.secret;
+
+    const wrong = await request(app)
+      .post('/api/2fa/enable')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ code: '12345' });
+    expect(wrong.statusCode).toBe(400);
+
+    enabledStep = getTimeStep();
+    const enabled = await request(app)
+      .post('/api/2fa/enable')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ code: generateTotp(secret, enabledStep) });
+    expect(enabled.statusCode).toBe(200);
+    expect(enabled.body.recovery_codes).toHaveLength(10);
+    recoveryCodes = enabled.body.recovery_codes;
+
+    const status = await request(app).get('/api/2fa').set('Authorization', `Bearer ${userToken}`);
+    expect(status.body).toMatchObject({ enabled: true, required: false, recovery_codes_remaining: 10 });
+  });
+
+  it('should hold back guesses at the code for turning two-factor authentication off', async () => {
+    const wrong = await request(app)
+      .post('/api/2fa/disable')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ code: '000000' });
+    expect(wrong.statusCode).toBe(400);
+
+    const retried = await request(app)
+      .post('/api/2fa/recovery-codes')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ code: '000000' });
+    expect(retried.statusCode).toBe(429);
+    expect(retried.body.retry_after).toBeGreaterThan(0);
+
+    await request(app)
+      .post(`/api/users/${userId}/unlock`)
+      .set('Authorization', `Bearer ${superAdminToken}`);
+  });
+
+  it('should ask for a code after the password and not accept the challenge as an access token', async () => {
+    const res = await login();
+    expect(res.statusCode).toBe(200);
+    expect(res.body.token).toBeUndefined();
+    expect(res.body).toMatchObject({ two_factor_required: true, two_factor_setup_required: false });
+
+    const misuse = await request(app)
+      .get('/api/users/me/permissions')
+      .set('Authorization', `Bearer ${res.body.challenge_token}`);
+    expect(misuse.statusCode).toBe(401);
+  });
+
+  it('should log in with a code that has not been used yet', async () => {
+    const { body: challenge } = await login();
+
+    // The code that enabled 2FA cannot be used again, only a later one
+    const reused = await request(app)
+      .post('/api/login/2fa')
+      .send({ challenge_token: challenge.challenge_token, code: generateTotp(secret, enabledStep) });
+    expect(reused.statusCode).toBe(401);
+
+    await request(app)
+      .post(`/api/users/${userId}/unlock`)
+      .set('Authorization', `Bearer ${superAdminToken}`);
+    const res = await request(app)
+      .post('/api/login/2fa')
+      .send({ challenge_token: challenge.challenge_token, code: generateTotp(secret, enabledStep + 1) });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.token).toBeTruthy();
+    expect(res.body.refresh_token).toBeTruthy();
+  });
+
+  it('should accept each recovery code once', async () => {
+    const { body: first } = await login();
+    const res = await request(app)
+      .post('/api/login/2fa')
+      .send({ challenge_token: first.challenge_token, recovery_code: recoveryCodes[0].toLowerCase() });
+    expect(res.statusCode).toBe(200);
+
+    const { body: second } = await login();
+    const reused = await request(app)
+      .post('/api/login/2fa')
+      .send({ challenge_token: second.challenge_token, recovery_code: recoveryCodes[0] });
+    expect(reused.statusCode).toBe(401);
+  });
+
+  it('should let only role managers reset two-factor authentication and sign the user out', async () => {
+    await request(app)
+      .post(`/api/users/${userId}/unlock`)
+      .set('Authorization', `Bearer ${superAdminToken}`);
+    const byEmployee = await request(app)
+      .delete(`/api/users/${userId}/2fa`)
+      .set('Authorization', `Bearer ${employeeToken}`);
+    expect(byEmployee.statusCode).toBe(403);
+
+    const reset = await request(app)
+      .delete(`/api/users/${userId}/2fa`)
+      .set('Authorization', `Bearer ${superAdminToken}`);
+    expect(reset.statusCode).toBe(200);
+
+    const signedOut = await request(app).get('/api/me').set('Authorization', `Bearer ${userToken}`);
+    expect(signedOut.statusCode).toBe(401);
+
+    const res = await login();
+    expect(res.body.token).toBeTruthy();
+    expect(res.body.two_factor_required).toBeUndefined();
+  });
+
+  it('should make users of a role inheriting the requirement set up two-factor authentication at login', async () => {
+    await request(app)
+      .post('/api/roles')
+      .set('Authorization', `Bearer ${superAdminToken}`)
+      .send({ name: roleName, requires_two_factor: true });
+    await request(app)
+      .post('/api/roles')
+      .set('Authorization', `Bearer ${superAdminToken}`)
+      .send({ name: `${roleName}_child`, parent_role: roleName });
+    await request(app)
+      .post(`/api/rbac/users/${userId}/roles`)
+      .set('Authorization', `Bearer ${superAdminToken}`)
+      .send({ role: `${roleName}_child` });
+
+    const { body: challenge } = await login();
+    expect(challenge).toMatchObject({ two_factor_required: true, two_factor_setup_required: true });
+
+    const setup = await request(app).post('/api/login/2fa/setup').send({ challenge_token: challenge.challenge_token });
+    expect(setup.statusCode).toBe(200);
+
+    const res = await request(app)
+      .post('/api/login/2fa')
+      .send({ challenge_token: challenge.challenge_token, code: generateTotp(setup.body.secret, getTimeStep()) });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.token).toBeTruthy();
+    expect(res.body.recovery_codes).toHaveLength(10);
+
+    // Holders of the role cannot turn it off again
+    const disable = await request(app)
+      .post('/api/2fa/disable')
+      .set('Authorization', `Bearer ${res.body.token}`)
+      .send({ code: generateTotp(setup.body.secret, getTimeStep() + 1) });
+    expect(disable.statusCode).toBe(403);
+  });
+});
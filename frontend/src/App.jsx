@@ -21,13 +21,18 @@ import { useState, useEffect } from 'react';
 import Login from './components/Login';
 import UserManagement from './components/UserManagement';
 import CompanyManagement from './components/CompanyManagement';
+import LocationManagement from './components/LocationManagement';
 import RoleManagement from './components/RoleManagement';
+import AuditLog from './components/AuditLog';
+import Profile from './components/Profile';
 import ClientCampaignManagement from './components/ClientCampaignManagement';
 import EmployeeCampaignManagement from './components/EmployeeCampaignManagement';
 import ContractorCampaignManagement from './components/ContractorCampaignManagement';
 import SimplePermissionBox from './components/SimplePermissionBox';
 import { PermissionGuard } from './components/Permission';
 import { UserProvider, useUserPermissions } from './hooks/useUser.jsx';
+import { PERMISSIONS } from './utils/permissions';
+import { startSession, endSession, clearSession, setSessionEndedHandler } from './utils/session';
 import './App.css';
 
 function AppContent({ onTokenChange }) {
@@ -53,8 +58,10 @@ function AppContent({ onTokenChange }) {
    * @param {Object} loginData - Object containing user info and JWT token
    * @param {Object} loginData.user - User object with username, role, company_name
    * @param {string} loginData.token - JWT authentication token
+   * @param {string} loginData.refresh_token - Refresh token used to renew the short-lived JWT
    */
   const handleLogin = (loginData) => {
+    startSession(loginData);
     setBasicUser(loginData.user);
     setToken(loginData.token);
     onTokenChange(loginData.token); // Update parent component's token
@@ -93,15 +100,19 @@ function AppContent({ onTokenChange }) {
   // Set default tab based on permissions using User.user.can() method
   useEffect(() => {
     if (user && !showLogin) {
-      // Priority order: campaigns, users, companies, roles
-      if (user.can('view_campaigns')) {
+      // Priority order: campaigns, users, companies, locations, roles, audit
+      if (user.can(PERMISSIONS.VIEW_CAMPAIGNS)) {
         setActiveTab('campaigns');
-      } else if (user.can('view_users')) {
+      } else if (user.can(PERMISSIONS.VIEW_USERS)) {
         setActiveTab('users');
-      } else if (user.can('view_companies')) {
+      } else if (user.can(PERMISSIONS.VIEW_COMPANIES)) {
         setActiveTab('companies');
-      } else if (user.can('manage_roles')) {
+      } else if (user.can(PERMISSIONS.VIEW_LOCATIONS)) {
+        setActiveTab('locations');
+      } else if (user.can(PERMISSIONS.MANAGE_ROLES)) {
         setActiveTab('roles');
+      } else if (user.can(PERMISSIONS.VIEW_AUDIT_LOG)) {
+        setActiveTab('audit');
       }
     }
   }, [user, showLogin]);
@@ -109,10 +120,17 @@ function AppContent({ onTokenChange }) {
   /**
    * Event Handler: User Logout
    * 
-   * Clears all authentication state and returns to login screen
+   * Revokes the session on the server, clears all authentication state and returns to login screen
    * Security best practice: Clear all sensitive data from memory
    */
-  const handleLogout = () => {
+  const handleLogout = async () => {
+    await endSession();
+    clearLoginState();
+  };
+
+  // Clear local authentication state, e.g. when the session has been revoked or has expired
+  const clearLoginState = () => {
+    clearSession();
     setBasicUser(null);
     setToken(null);
     onTokenChange(null); // Clear parent component's token
@@ -120,6 +138,12 @@ function AppContent({ onTokenChange }) {
     setActiveTab('campaigns');
   };
 
+  // Return to the login screen once the session can no longer be refreshed
+  useEffect(() => {
+    setSessionEndedHandler(clearLoginState);
+    return () => setSessionEndedHandler(() => {});
+  });
+
   // Conditional Rendering: Show login screen if not authenticated
   if (showLogin) {
     return <Login onLogin={handleLogin} />;
@@ -152,6 +176,16 @@ function AppContent({ onTokenChange }) {
             {(user?.company_name || basicUser?.company_name) && ` - ${user?.company_name || basicUser?.company_name}`}
           </span>
           <SimplePermissionBox />
+          <button
+            onClick={() => setActiveTab('profile')}
+            className={`px-3 py-1.5 text-sm border font-medium transition-all duration-200 ${
+              activeTab === 'profile'
+                ? 'border-gray-800 bg-gray-800 text-white'
+                : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+            }`}
+          >
+            Profile
+          </button>
           <button onClick={handleLogout} className="inline-flex items-center justify-center px-3 py-1.5 text-sm border border-red-600 font-medium focus:outline-none focus:ring-2 focus:ring-offset-2 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed bg-red-600 text-white hover:bg-red-700 focus:ring-red-500">
             Logout
           </button>
@@ -161,10 +195,13 @@ function AppContent({ onTokenChange }) {
       <main>
         {/* Permission-Based Navigation using User.user.can() method */}
         {/* Show navigation tabs if user has any management permissions */}
-        <PermissionGuard permission={["view_campaigns", "view_users", "view_companies", "manage_roles"]}>
+        <PermissionGuard permission={[
+          PERMISSIONS.VIEW_CAMPAIGNS, PERMISSIONS.VIEW_USERS, PERMISSIONS.VIEW_COMPANIES,
+          PERMISSIONS.VIEW_LOCATIONS, PERMISSIONS.MANAGE_ROLES, PERMISSIONS.VIEW_AUDIT_LOG
+        ]}>
           <div className="flex gap-4 mb-8 border-b border-gray-200">
             {/* Show campaigns tab if user has campaign permissions */}
-            <PermissionGuard permission="view_campaigns">
+            <PermissionGuard permission={PERMISSIONS.VIEW_CAMPAIGNS}>
               <button 
                 className={`px-6 py-3 border-b-2 font-medium text-sm transition-colors duration-200 ${
                   activeTab === 'campaigns' 
@@ -177,7 +214,7 @@ function AppContent({ onTokenChange }) {
               </button>
             </PermissionGuard>
             {/* Show user management tab only if user has permission */}
-            <PermissionGuard permission="view_users">
+            <PermissionGuard permission={PERMISSIONS.VIEW_USERS}>
               <button 
                 className={`px-6 py-3 border-b-2 font-medium text-sm transition-colors duration-200 ${
                   activeTab === 'users' 
@@ -190,7 +227,7 @@ function AppContent({ onTokenChange }) {
               </button>
             </PermissionGuard>
             {/* Show company management tab only if user has permission */}
-            <PermissionGuard permission="view_companies">
+            <PermissionGuard permission={PERMISSIONS.VIEW_COMPANIES}>
               <button 
                 className={`px-6 py-3 border-b-2 font-medium text-sm transition-colors duration-200 ${
                   activeTab === 'companies' 
@@ -202,8 +239,21 @@ function AppContent({ onTokenChange }) {
                 Company Management
               </button>
             </PermissionGuard>
+            {/* Show location management tab only if user has permission */}
+            <PermissionGuard permission={PERMISSIONS.VIEW_LOCATIONS}>
+              <button 
+                className={`px-6 py-3 border-b-2 font-medium text-sm transition-colors duration-200 ${
+                  activeTab === 'locations' 
+                    ? 'border-gray-800 text-gray-800 bg-gray-100' 
+                    : 'border-transparent text-gray-500 hover:text-gray-800 hover:bg-gray-50'
+                }`}
+                onClick={() => setActiveTab('locations')}
+              >
+                Locations
+              </button>
+            </PermissionGuard>
             {/* Show role management tab only if user has manage_roles permission */}
-            <PermissionGuard permission="manage_roles">
+            <PermissionGuard permission={PERMISSIONS.MANAGE_ROLES}>
               <button 
                 className={`px-6 py-3 border-b-2 font-medium text-sm transition-colors duration-200 ${
                   activeTab === 'roles' 
@@ -215,43 +265,71 @@ function AppContent({ onTokenChange }) {
                 Role Management
               </button>
             </PermissionGuard>
+            {/* Show audit log tab only if user has view_audit_log permission */}
+            <PermissionGuard permission={PERMISSIONS.VIEW_AUDIT_LOG}>
+              <button 
+                className={`px-6 py-3 border-b-2 font-medium text-sm transition-colors duration-200 ${
+                  activeTab === 'audit' 
+                    ? 'border-gray-800 text-gray-800 bg-gray-100' 
+                    : 'border-transparent text-gray-500 hover:text-gray-800 hover:bg-gray-50'
+                }`}
+                onClick={() => setActiveTab('audit')}
+              >
+                Audit Log
+              </button>
+            </PermissionGuard>
           </div>
         </PermissionGuard>
 
         {/* Management Interfaces Based on Permissions using User.user.can() method */}
-        <PermissionGuard permission="view_users">
+        <PermissionGuard permission={PERMISSIONS.VIEW_USERS}>
           {activeTab === 'users' && <UserManagement token={token} />}
         </PermissionGuard>
         
-        <PermissionGuard permission="view_companies">
+        <PermissionGuard permission={PERMISSIONS.VIEW_COMPANIES}>
           {activeTab === 'companies' && <CompanyManagement token={token} />}
         </PermissionGuard>
 
+        <PermissionGuard permission={PERMISSIONS.VIEW_LOCATIONS}>
+          {activeTab === 'locations' && <LocationManagement token={token} />}
+        </PermissionGuard>
+
         {/* Role Management - Permission-based access */}
-        <PermissionGuard permission="manage_roles">
+        <PermissionGuard permission={PERMISSIONS.MANAGE_ROLES}>
           {activeTab === 'roles' && <RoleManagement token={token} />}
         </PermissionGuard>
+
+        {/* Own profile, password and two-factor settings - available to every signed-in user */}
+        {activeTab === 'profile' && <Profile token={token} />}
+
+        {/* Audit Log - Permission-based access */}
+        <PermissionGuard permission={PERMISSIONS.VIEW_AUDIT_LOG}>
+          {activeTab === 'audit' && <AuditLog token={token} />}
+        </PermissionGuard>
         
         {/* Employee Campaign Management - Permission-based access */}
-        <PermissionGuard permission="view_campaigns">
+        <PermissionGuard permission={PERMISSIONS.VIEW_CAMPAIGNS}>
           {activeTab === 'campaigns' && !hasRole('client') && !hasRole('contractor') && (
             <EmployeeCampaignManagement token={token} user={user || basicUser} />
           )}
         </PermissionGuard>
         
         {/* Client Interface - Role-based since it's specific business logic */}
-        {hasRole('client') && <ClientCampaignManagement token={token} user={user || basicUser} />}
+        {hasRole('client') && activeTab !== 'profile' && <ClientCampaignManagement token={token} user={user || basicUser} />}
         
         {/* Contractor Interface - Role-based since it's specific business logic */}
-        {hasRole('contractor') && <ContractorCampaignManagement token={token} user={user || basicUser} />}
+        {hasRole('contractor') && activeTab !== 'profile' && <ContractorCampaignManagement token={token} user={user || basicUser} />}
 
         {/* Fallback for users without any permissions - uses User.user.can() method */}
-        {!can('view_campaigns') && 
-         !can('view_users') && 
-         !can('view_companies') && 
-         !can('manage_roles') && 
+        {!can(PERMISSIONS.VIEW_CAMPAIGNS) && 
+         !can(PERMISSIONS.VIEW_USERS) && 
+         !can(PERMISSIONS.VIEW_COMPANIES) && 
+         !can(PERMISSIONS.VIEW_LOCATIONS) && 
+         !can(PERMISSIONS.MANAGE_ROLES) && 
+         !can(PERMISSIONS.VIEW_AUDIT_LOG) && 
          !hasRole('client') && 
-         !hasRole('contractor') && (
+         !hasRole('contractor') && 
+         activeTab !== 'profile' && (
           <div className="bg-white p-6 shadow-sm border border-gray-300 text-center">
             <h3 className="text-lg font-semibold text-gray-900 mb-2">Access Restricted</h3>
             <p className="text-gray-600">
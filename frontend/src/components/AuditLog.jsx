@@ -0,0 +1,215 @@
+// frontend/src/components/AuditLog.jsx
+// Audit log of administrative actions - who changed which user, role, permission or company
+
+import { useState } from 'react';
+import { useDataFetching } from '../hooks/useDataFetching';
+import LoadingSpinner from './ui/LoadingSpinner';
+import ErrorAlert from './ui/ErrorAlert';
+import { AUDIT_ACTIONS, formatDateTime, getAuditActionDisplay, formatAuditValue } from '../utils/formatters';
+
+const PAGE_SIZE = 50;
+
+const EMPTY_FILTERS = { actor: '', action: '', entity_type: '', from: '', to: '' };
+
+/**
+ * Build the /audit query string from the applied filters
+ * @param {Object} filters - { actor, action, entity_type, from, to }
+ * @param {number} offset - Number of events to skip
+ * @returns {string} Endpoint with query string
+ */
+function buildAuditEndpoint(filters, offset) {
+  const params = new URLSearchParams({ limit: PAGE_SIZE, offset });
+  Object.entries(filters).forEach(([key, value]) => {
+    if (!value) return;
+    // Date inputs give whole days; the range runs from the start of "from" to the end of "to"
+    if (key === 'from') params.set(key, `${value}T00:00:00`);
+    else if (key === 'to') params.set(key, `${value}T23:59:59`);
+    else params.set(key, value);
+  });
+  return `/audit?${params.toString()}`;
+}
+
+function AuditLog({ token }) {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
+  const [offset, setOffset] = useState(0);
+
+  const { data, loading, error } = useDataFetching(buildAuditEndpoint(appliedFilters, offset), token);
+  const events = data.events || [];
+  const total = data.total || 0;
+
+  const handleFilterChange = (e) => {
+    setFilters({ ...filters, [e.target.name]: e.target.value });
+  };
+
+  const handleApplyFilters = (e) => {
+    e.preventDefault();
+    setAppliedFilters(filters);
+    setOffset(0);
+  };
+
+  const handleClearFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setAppliedFilters(EMPTY_FILTERS);
+    setOffset(0);
+  };
+
+  return (
+    <div className="bg-white p-6 shadow-sm border border-gray-300 mt-8">
+      <h3 className="text-2xl font-bold text-gray-900 border-b-2 border-gray-800 pb-2 mb-6">Audit Log</h3>
+
+      <form onSubmit={handleApplyFilters} className="bg-gray-50 p-6 mb-8 border border-gray-300">
+        <div className="grid grid-cols-1 lg:grid-cols-5 gap-4 mb-4">
+          <div>
+            <label htmlFor="audit_actor" className="form-label">Actor</label>
+            <input
+              type="text"
+              id="audit_actor"
+              name="actor"
+              value={filters.actor}
+              onChange={handleFilterChange}
+              placeholder="Username"
+              className="form-input"
+            />
+          </div>
+          <div>
+            <label htmlFor="audit_action" className="form-label">Action</label>
+            <select
+              id="audit_action"
+              name="action"
+              value={filters.action}
+              onChange={handleFilterChange}
+              className="form-input"
+            >
+              <option value="">All actions</option>
+              {AUDIT_ACTIONS.map(action => (
+                <option key={action} value={action}>{getAuditActionDisplay(action)}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="audit_entity_type" className="form-label">Target</label>
+            <select
+              id="audit_entity_type"
+              name="entity_type"
+              value={filters.entity_type}
+              onChange={handleFilterChange}
+              className="form-input"
+            >
+              <option value="">All targets</option>
+              <option value="user">Users</option>
+              <option value="role">Roles</option>
+              <option value="company">Companies</option>
+            </select>
+          </div>
+          <div>
+            <label htmlFor="audit_from" className="form-label">From</label>
+            <input
+              type="date"
+              id="audit_from"
+              name="from"
+              value={filters.from}
+              onChange={handleFilterChange}
+              className="form-input"
+            />
+          </div>
+          <div>
+            <label htmlFor="audit_to" className="form-label">To</label>
+            <input
+              type="date"
+              id="audit_to"
+              name="to"
+              value={filters.to}
+              onChange={handleFilterChange}
+              className="form-input"
+            />
+          </div>
+        </div>
+        <div className="flex gap-2">
+          <button type="submit" className="btn-primary text-sm px-3 py-1.5">Apply Filters</button>
+          <button type="button" onClick={handleClearFilters} className="btn-secondary text-sm px-3 py-1.5">Clear</button>
+        </div>
+      </form>
+
+      <ErrorAlert error={error} />
+
+      {loading ? (
+        <LoadingSpinner message="Loading audit log..." />
+      ) : events.length === 0 ? (
+        <div className="text-gray-500 text-sm italic p-4">No audit events match these filters.</div>
+      ) : (
+        <>
+          <div className="overflow-x-auto bg-white border border-gray-300">
+            <table className="w-full border-collapse">
+              <thead>
+                <tr>
+                  <th className="table-header">When</th>
+                  <th className="table-header">Actor</th>
+                  <th className="table-header">Action</th>
+                  <th className="table-header">Target</th>
+                  <th className="table-header">Changes</th>
+                  <th className="table-header">Source</th>
+                </tr>
+              </thead>
+              <tbody>
+                {events.map(event => (
+                  <tr key={event.id}>
+                    <td className="table-cell whitespace-nowrap">{formatDateTime(event.created_at)}</td>
+                    <td className="table-cell">{event.actor_username || 'Unknown'}</td>
+                    <td className="table-cell">{getAuditActionDisplay(event.action)}</td>
+                    <td className="table-cell">
+                      <span className="capitalize">{event.entity_type}</span>{' '}
+                      {event.entity_label || (event.entity_id ? `#${event.entity_id}` : '')}
+                    </td>
+                    <td className="table-cell">
+                      {Object.keys(event.changes).length === 0 ? (
+                        <span className="text-xs text-gray-500">No field changes</span>
+                      ) : (
+                        <ul className="text-xs space-y-1">
+                          {Object.entries(event.changes).map(([field, change]) => (
+                            <li key={field}>
+                              <span className="font-medium">{field.replace(/_/g, ' ')}:</span>{' '}
+                              <span className="text-red-700 line-through">{formatAuditValue(change.before)}</span>
+                              {' → '}
+                              <span className="text-green-700">{formatAuditValue(change.after)}</span>
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </td>
+                    <td className="table-cell text-xs text-gray-500" title={event.user_agent || ''}>
+                      {event.ip_address || 'Unknown'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="flex justify-between items-center mt-4 text-sm text-gray-600">
+            <span>
+              Showing {offset + 1}–{offset + events.length} of {total}
+            </span>
+            <div className="flex gap-2">
+              <button
+                className="btn-secondary text-sm px-3 py-1.5"
+                disabled={offset === 0}
+                onClick={() => setOffset(Math.max(offset - PAGE_SIZE, 0))}
+              >
+                Newer
+              </button>
+              <button
+                className="btn-secondary text-sm px-3 py-1.5"
+                disabled={offset + events.length >= total}
+                onClick={() => setOffset(offset + PAGE_SIZE)}
+              >
+                Older
+              </button>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default AuditLog;
@@ -1,6 +1,13 @@
 import React, { useState, useEffect } from 'react';
 import LoadingSpinner from './ui/LoadingSpinner';
 import ErrorAlert from './ui/ErrorAlert';
+import { PermissionGuard } from './Permission';
+import { useApi } from '../hooks/useApi';
+import { useDataFetching } from '../hooks/useDataFetching';
+import { useUserPermissions } from '../hooks/useUser.jsx';
+import { formatDateTime, getStatusClass, getStatusDisplay } from '../utils/formatters';
+import { PERMISSIONS } from '../utils/permissions';
+import { authFetch } from '../utils/session';
 
 function ImageWithAuth({ src, token, alt, className, onClick }) {
   const [imageSrc, setImageSrc] = useState('');
@@ -14,11 +21,7 @@ function ImageWithAuth({ src, token, alt, className, onClick }) {
         setLoading(true);
         setError(false);
         
-        const response = await fetch(src, {
-          headers: {
-            'Authorization': `Bearer ${token}`,
-          },
-        });
+        const response = await authFetch(src, {}, token);
 
         if (response.ok) {
           const blob = await response.blob();
@@ -90,25 +93,262 @@ function ImageWithAuth({ src, token, alt, className, onClick }) {
   );
 }
 
-function CampaignImages({ campaignId, token }) {
+/**
+ * Campaign image loaded from its pre-signed storage URL when the API provides one,
+ * otherwise (or if the URL fails, e.g. an expired link or a missing rendition) through the authenticated API
+ * @param {Object} props
+ * @param {Object} props.image - Image record, with urls: { original, thumb, medium } when signed URLs are enabled
+ * @param {string} [props.size] - Rendition to show (thumb, medium); the original when omitted
+ */
+function CampaignImage({ image, size, token, alt, className, onClick }) {
+  const [signedUrlFailed, setSignedUrlFailed] = useState(false);
+  const signedUrl = image.urls ? image.urls[size || 'original'] : null;
+
+  if (signedUrl && !signedUrlFailed) {
+    return (
+      <img
+        src={signedUrl}
+        alt={alt}
+        className={className}
+        onClick={onClick}
+        onError={() => setSignedUrlFailed(true)}
+      />
+    );
+  }
+
+  return (
+    <ImageWithAuth
+      src={`/api/campaigns/images/${image.stored_name}${size ? `?size=${size}` : ''}`}
+      token={token}
+      alt={alt}
+      className={className}
+      onClick={onClick}
+    />
+  );
+}
+
+/**
+ * Approve / reject controls for a single image; rejecting asks for a reason
+ * @param {Object} props
+ * @param {Object} props.image - Image record
+ * @param {Function} props.onReview - Called with (image, status, reason)
+ */
+function ImageReviewControls({ image, onReview }) {
+  const [rejecting, setRejecting] = useState(false);
+  const [reason, setReason] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const submit = async (status) => {
+    setSubmitting(true);
+    const reviewed = await onReview(image, status, status === 'rejected' ? reason.trim() : undefined);
+    setSubmitting(false);
+    if (reviewed) {
+      setRejecting(false);
+      setReason('');
+    }
+  };
+
+  if (rejecting) {
+    return (
+      <div className="mt-2 space-y-1" onClick={(e) => e.stopPropagation()}>
+        <textarea
+          className="form-input text-xs"
+          rows={2}
+          placeholder="Why is this photo rejected?"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+        />
+        <div className="flex gap-1">
+          <button
+            className="btn-danger text-xs px-2 py-1"
+            onClick={() => submit('rejected')}
+            disabled={submitting || !reason.trim()}
+          >
+            Reject
+          </button>
+          <button
+            className="btn-secondary text-xs px-2 py-1"
+            onClick={() => { setRejecting(false); setReason(''); }}
+            disabled={submitting}
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="mt-2 flex gap-1" onClick={(e) => e.stopPropagation()}>
+      {image.review_status !== 'approved' && (
+        <button
+          className="btn-success text-xs px-2 py-1"
+          onClick={() => submit('approved')}
+          disabled={submitting}
+        >
+          Approve
+        </button>
+      )}
+      {image.review_status !== 'rejected' && (
+        <button
+          className="btn-danger text-xs px-2 py-1"
+          onClick={() => setRejecting(true)}
+          disabled={submitting}
+        >
+          Reject
+        </button>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Delete / replace controls for a single image; replacing opens a file picker
+ * @param {Object} props
+ * @param {Object} props.image - Image record
+ * @param {Function} props.onDelete - Called with (image)
+ * @param {Function} props.onReplace - Called with (image, file)
+ */
+function ImageChangeControls({ image, onDelete, onReplace }) {
+  const [busy, setBusy] = useState(false);
+  const fileInputRef = React.useRef(null);
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete ${image.original_name}? Employees can restore it for a limited time.`)) return;
+    setBusy(true);
+    await onDelete(image);
+    setBusy(false);
+  };
+
+  const handleFileChosen = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setBusy(true);
+    await onReplace(image, file);
+    setBusy(false);
+  };
+
+  return (
+    <div className="mt-2 flex gap-1" onClick={(e) => e.stopPropagation()}>
+      <input
+        type="file"
+        accept="image/*"
+        ref={fileInputRef}
+        style={{ display: 'none' }}
+        onChange={handleFileChosen}
+      />
+      <button
+        className="btn-secondary text-xs px-2 py-1"
+        onClick={() => fileInputRef.current.click()}
+        disabled={busy}
+      >
+        Replace
+      </button>
+      <button
+        className="btn-danger text-xs px-2 py-1"
+        onClick={handleDelete}
+        disabled={busy}
+      >
+        Delete
+      </button>
+    </div>
+  );
+}
+
+/**
+ * Deleted images that can still be restored, collapsed by default
+ * @param {Object} props
+ * @param {number} props.campaignId - Campaign ID
+ * @param {string} props.token - Authentication token
+ * @param {Function} props.onRestored - Called with the restored image record
+ */
+function DeletedImages({ campaignId, token, onRestored }) {
+  const [expanded, setExpanded] = useState(false);
+  const { data: deletedImages, refetch } = useDataFetching(`/campaigns/${campaignId}/images?deleted=true`, token);
+  const { post, error, setError } = useApi(token);
+
+  const handleRestore = async (image) => {
+    try {
+      const restored = await post(`/campaigns/${campaignId}/images/${image.id}/restore`, {});
+      refetch();
+      onRestored(restored);
+    } catch {
+      // Error is already set by useApi hook
+    }
+  };
+
+  if (deletedImages.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="mt-4">
+      <button
+        type="button"
+        className="text-sm text-gray-600 hover:underline"
+        onClick={() => setExpanded(!expanded)}
+      >
+        {expanded ? '▾' : '▸'} Recently deleted ({deletedImages.length})
+      </button>
+      {expanded && (
+        <div className="mt-2">
+          <ErrorAlert error={error} onClose={() => setError('')} />
+          <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-6 gap-3">
+            {deletedImages.map((image) => (
+              <div key={image.id} className="border-2 border-gray-300 rounded-lg p-2 opacity-75">
+                <CampaignImage
+                  image={image}
+                  size="thumb"
+                  token={token}
+                  alt={image.original_name}
+                  className="max-w-full max-h-32 object-contain"
+                />
+                <div className="mt-1 text-xs text-gray-600 truncate">{image.original_name}</div>
+                <div className="mt-1 text-xs text-gray-500">
+                  Deleted {formatDateTime(image.deleted_at)}{image.deleted_by_username && ` by ${image.deleted_by_username}`}
+                </div>
+                <button
+                  className="btn-secondary text-xs px-2 py-1 mt-2"
+                  onClick={() => handleRestore(image)}
+                >
+                  Restore
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * @param {Object} props
+ * @param {number} props.campaignId - Campaign ID
+ * @param {string} props.token - Authentication token
+ * @param {string} [props.campaignStatus] - Campaign status; contractors may change their own uploads while in_progress
+ * @param {Function} [props.onImagesChanged] - Called after an image was deleted, replaced or restored
+ */
+function CampaignImages({ campaignId, token, campaignStatus, onImagesChanged }) {
   const [images, setImages] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [selectedImage, setSelectedImage] = useState(null);
+  // Bumped after a delete so the recently deleted list reloads
+  const [deletedVersion, setDeletedVersion] = useState(0);
+  const { put, post, del, error: actionError, setError: setActionError } = useApi(token);
+  const { user } = useUserPermissions();
 
   useEffect(() => {
     const fetchImages = async () => {
       try {
         setLoading(true);
-        const response = await fetch(`/api/campaigns/${campaignId}/images`, {
-          headers: {
-            'Authorization': `Bearer ${token}`,
-          },
-        });
+        const response = await authFetch(`/api/campaigns/${campaignId}/images`, {}, token);
 
         if (response.ok) {
-          const imageFilenames = await response.json();
-          setImages(imageFilenames);
+          const imageRecords = await response.json();
+          setImages(imageRecords);
           setError('');
         } else {
           const errorData = await response.json();
@@ -135,6 +375,52 @@ function CampaignImages({ campaignId, token }) {
     setSelectedImage(null);
   };
 
+  // Approve or reject an image; the updated record replaces the old one in place
+  const handleReview = async (image, status, reason) => {
+    try {
+      const updated = await put(`/campaigns/${campaignId}/images/${image.id}/review`, { status, reason });
+      setImages(prev => prev.map(img => (img.id === updated.id ? updated : img)));
+      return true;
+    } catch {
+      // Error is shown through actionError
+      return false;
+    }
+  };
+
+  const handleDelete = async (image) => {
+    try {
+      await del(`/campaigns/${campaignId}/images/${image.id}`);
+      setImages(prev => prev.filter(img => img.id !== image.id));
+      setDeletedVersion(version => version + 1);
+      onImagesChanged?.();
+    } catch {
+      // Error is shown through actionError
+    }
+  };
+
+  // The replacement takes the old image's place in the grid and starts a fresh review
+  const handleReplace = async (image, file) => {
+    const formData = new FormData();
+    formData.append('image', file);
+
+    try {
+      const result = await post(`/campaigns/${campaignId}/images/${image.id}/replace`, formData);
+      setImages(prev => prev.map(img => (img.id === image.id ? result.image : img)));
+      setDeletedVersion(version => version + 1);
+      onImagesChanged?.();
+    } catch {
+      // Error is shown through actionError
+    }
+  };
+
+  const handleRestored = (restored) => {
+    setImages(prev => [...prev, restored].sort((a, b) => new Date(a.uploaded_at) - new Date(b.uploaded_at) || a.id - b.id));
+    onImagesChanged?.();
+  };
+
+  // Contractors may change their own uploads while the campaign is in progress
+  const canChangeOwnUpload = (image) => campaignStatus === 'in_progress' && user && image.uploaded_by === user.id;
+
   if (loading) {
     return <LoadingSpinner message="Loading images..." />;
   }
@@ -143,35 +429,91 @@ function CampaignImages({ campaignId, token }) {
     return <ErrorAlert error={error} />;
   }
 
-  if (images.length === 0) {
-    return (
-      <div className="text-gray-500 text-sm italic p-4">
-        No images uploaded for this campaign yet.
-      </div>
-    );
-  }
-
   return (
     <div className="mt-4">
       <h4 className="text-lg font-semibold mb-3 text-gray-700">Campaign Images</h4>
+      <ErrorAlert error={actionError} onClose={() => setActionError('')} />
+
+      {images.length === 0 && (
+        <div className="text-gray-500 text-sm italic p-4">
+          No images uploaded for this campaign yet.
+        </div>
+      )}
       
       <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-6 gap-3">
-        {images.map((image, index) => (
+        {images.map((image) => (
           <div 
-            key={index} 
-            className="border-2 border-blue-300 rounded-lg p-2 cursor-pointer"
+            key={image.id} 
+            className={`border-2 ${image.review_status === 'rejected' ? 'border-red-400' : image.review_status === 'approved' ? 'border-green-400' : 'border-blue-300'} rounded-lg p-2 cursor-pointer`}
             onClick={() => openImageModal(image)}
+            title={`${image.original_name} - uploaded ${formatDateTime(image.uploaded_at)}${image.uploaded_by_username ? ` by ${image.uploaded_by_username}` : ''}`}
           >
-            <ImageWithAuth 
-              src={`/api/campaigns/images/${image}`} 
+            {/* The grid only needs the small rendition; the modal loads the full image */}
+            <CampaignImage
+              image={image}
+              size="thumb"
               token={token}
-              alt={`Campaign image ${index + 1}`}
+              alt={image.original_name}
               className="max-w-full max-h-32 object-contain"
             />
+            <div className="mt-1 text-xs text-gray-600 truncate">{image.original_name}</div>
+            {image.location_name && (
+              <div className="text-xs text-blue-700 truncate" title={image.location_name}>📍 {image.location_name}</div>
+            )}
+            {image.captured_at && (
+              <div className="text-xs text-gray-600 truncate" title="Capture time from the photo's EXIF data">
+                📷 {formatDateTime(image.captured_at)}
+              </div>
+            )}
+            {image.gps_latitude !== null && image.gps_longitude !== null && (
+              <a
+                href={`https://www.google.com/maps?q=${image.gps_latitude},${image.gps_longitude}`}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="text-xs text-blue-600 hover:underline"
+                onClick={(e) => e.stopPropagation()}
+              >
+                Where it was taken
+              </a>
+            )}
+            {Number(image.captured_outside_campaign) === 1 && (
+              <div className="mt-1 text-xs font-semibold text-amber-700" title="The photo was taken before the campaign started or after it ended">
+                ⚠ Taken outside campaign dates
+              </div>
+            )}
+            <div className={`${getStatusClass(image.review_status)} mt-1 text-xs`}>
+              {getStatusDisplay(image.review_status)}
+            </div>
+            {image.review_status === 'rejected' && image.rejection_reason && (
+              <div className="mt-1 text-xs text-red-700 italic" title={image.rejection_reason}>
+                "{image.rejection_reason}"
+              </div>
+            )}
+            {image.reviewed_by_username && (
+              <div className="mt-1 text-xs text-gray-500">
+                by {image.reviewed_by_username}, {formatDateTime(image.reviewed_at)}
+              </div>
+            )}
+            <PermissionGuard permission={PERMISSIONS.EDIT_CAMPAIGN}>
+              <ImageReviewControls image={image} onReview={handleReview} />
+            </PermissionGuard>
+            <PermissionGuard
+              permission={PERMISSIONS.EDIT_CAMPAIGN}
+              showWhenFailed
+              fallback={canChangeOwnUpload(image) && (
+                <ImageChangeControls image={image} onDelete={handleDelete} onReplace={handleReplace} />
+              )}
+            >
+              <ImageChangeControls image={image} onDelete={handleDelete} onReplace={handleReplace} />
+            </PermissionGuard>
           </div>
         ))}
       </div>
 
+      <PermissionGuard permission={PERMISSIONS.EDIT_CAMPAIGN}>
+        <DeletedImages key={deletedVersion} campaignId={campaignId} token={token} onRestored={handleRestored} />
+      </PermissionGuard>
+
       {selectedImage && (
         <div 
           className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4"
@@ -185,10 +527,10 @@ function CampaignImages({ campaignId, token }) {
             >
               ✕
             </button>
-            <ImageWithAuth 
-              src={`/api/campaigns/images/${selectedImage}`} 
+            <CampaignImage
+              image={selectedImage}
               token={token}
-              alt="Full size campaign image"
+              alt={selectedImage.original_name}
               className="max-w-full max-h-full object-contain rounded-lg"
               onClick={(e) => e.stopPropagation()}
             />
@@ -0,0 +1,67 @@
+// frontend/src/components/CampaignTimeline.jsx
+// Status history timeline for a single campaign
+
+import React from 'react';
+import { useDataFetching } from '../hooks/useDataFetching';
+import { formatDateTime, getStatusDisplay, getStatusClass } from '../utils/formatters';
+import LoadingSpinner from './ui/LoadingSpinner';
+import ErrorAlert from './ui/ErrorAlert';
+
+/**
+ * Timeline of status changes for a campaign, oldest first
+ * @param {Object} props
+ * @param {number} props.campaignId - Campaign ID
+ * @param {string} props.token - Authentication token
+ */
+function CampaignTimeline({ campaignId, token }) {
+  const { data: history, loading, error } = useDataFetching(`/campaigns/${campaignId}/history`, token);
+
+  if (loading) {
+    return <LoadingSpinner message="Loading history..." size="sm" />;
+  }
+
+  if (error) {
+    return <ErrorAlert error={error} />;
+  }
+
+  if (history.length === 0) {
+    return (
+      <div className="text-gray-500 text-sm italic p-4">
+        No status changes recorded for this campaign yet.
+      </div>
+    );
+  }
+
+  return (
+    <div className="mt-4">
+      <h4 className="text-lg font-semibold mb-3 text-gray-700">Status History</h4>
+      <ol className="relative border-l-2 border-gray-300 ml-2 space-y-4">
+        {history.map((entry) => (
+          <li key={entry.id} className="ml-4">
+            <div className="absolute -left-1.5 mt-1.5 w-3 h-3 bg-gray-600 rounded-full border-2 border-white"></div>
+            <div className="text-xs text-gray-500">{formatDateTime(entry.changed_at)}</div>
+            <div className="flex flex-wrap items-center gap-2 mt-1">
+              {entry.from_status ? (
+                <>
+                  <span className={getStatusClass(entry.from_status)}>{getStatusDisplay(entry.from_status)}</span>
+                  <span className="text-gray-500">→</span>
+                </>
+              ) : (
+                <span className="text-sm text-gray-600">Created as</span>
+              )}
+              <span className={getStatusClass(entry.to_status)}>{getStatusDisplay(entry.to_status)}</span>
+            </div>
+            <div className="text-sm text-gray-600 mt-1">
+              by {entry.changed_by_username || 'System'}
+            </div>
+            {entry.reason && (
+              <div className="text-sm text-gray-700 italic mt-1">"{entry.reason}"</div>
+            )}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
+
+export default CampaignTimeline;
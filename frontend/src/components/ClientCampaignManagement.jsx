@@ -1,13 +1,33 @@
 // frontend/src/components/ClientCampaignManagement.jsx
 
-import React from 'react';
+import React, { useState } from 'react';
+import { useApi } from '../hooks/useApi';
 import { useDataFetching } from '../hooks/useDataFetching';
 import LoadingSpinner from './ui/LoadingSpinner';
 import ErrorAlert from './ui/ErrorAlert';
+import SuccessAlert from './ui/SuccessAlert';
 import CampaignCard from './ui/CampaignCard';
 
 function ClientCampaignManagement({ token, user }) {
-  const { data: campaigns, loading, error } = useDataFetching('/campaigns', token);
+  const [success, setSuccess] = useState('');
+  const { data: campaigns, loading, error: fetchError, refetch } = useDataFetching('/campaigns', token);
+  const { post, error: apiError, setError: setApiError } = useApi(token);
+
+  const error = apiError || fetchError;
+
+  const handleApprove = async (campaign, comment) => {
+    setSuccess('');
+    await post(`/campaigns/${campaign.id}/approve`, { comment });
+    setSuccess(`Campaign "${campaign.name}" approved.`);
+    refetch();
+  };
+
+  const handleReject = async (campaign, comment) => {
+    setSuccess('');
+    await post(`/campaigns/${campaign.id}/reject`, { comment });
+    setSuccess(`Campaign "${campaign.name}" rejected.`);
+    refetch();
+  };
 
   return (
     <div className="bg-white p-6 shadow-sm border border-gray-300">
@@ -15,7 +35,8 @@ function ClientCampaignManagement({ token, user }) {
         Campaign Management - {user.company_name}
       </h3>
       
-      <ErrorAlert error={error} />
+      <ErrorAlert error={error} onClose={() => setApiError('')} />
+      <SuccessAlert message={success} onClose={() => setSuccess('')} />
 
       {/* Campaigns List */}
       <div>
@@ -30,7 +51,14 @@ function ClientCampaignManagement({ token, user }) {
         ) : (
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
             {campaigns.map((campaign) => (
-              <CampaignCard key={campaign.id} campaign={campaign} />
+              <CampaignCard
+                key={campaign.id}
+                campaign={campaign}
+                token={token}
+                onApprove={handleApprove}
+                onReject={handleReject}
+                showDownloads
+              />
             ))}
           </div>
         )}
@@ -8,6 +8,7 @@ import Permission, { CompanyCreateButton } from './Permission';
 import LoadingSpinner from './ui/LoadingSpinner';
 import ErrorAlert from './ui/ErrorAlert';
 import SuccessAlert from './ui/SuccessAlert';
+import { PERMISSIONS } from '../utils/permissions';
 
 function CompanyManagement({ token }) {
   const [success, setSuccess] = useState('');
@@ -135,7 +136,7 @@ function CompanyManagement({ token }) {
           <div className="flex flex-wrap gap-2">
             <Permission
               as="button"
-              permission="edit_company"
+              permission={PERMISSIONS.EDIT_COMPANY}
               variant="primary"
               size="sm"
               onClick={() => handleEditCompany(company)}
@@ -145,7 +146,7 @@ function CompanyManagement({ token }) {
             </Permission>
             <Permission
               as="button"
-              permission="delete_company"
+              permission={PERMISSIONS.DELETE_COMPANY}
               variant="danger"
               size="sm"
               onClick={() => handleDeleteCompany(company.id)}
@@ -1,10 +1,32 @@
 import React, { useState, useEffect } from 'react';
 import { useApi } from '../hooks/useApi';
 import { useDataFetching } from '../hooks/useDataFetching';
-import { formatDate, getStatusDisplay } from '../utils/formatters';
+import { formatDate, getStatusDisplay, formatFileSize } from '../utils/formatters';
 import LoadingSpinner from './ui/LoadingSpinner';
 import ErrorAlert from './ui/ErrorAlert';
 import CampaignCard from './ui/CampaignCard';
+import CampaignImages from './CampaignImages';
+import SiteChecklist from './contractor/SiteChecklist';
+
+/**
+ * Check a file against the server's upload limits before uploading it
+ * @param {File} file - Selected file
+ * @param {Object} limits - { max_file_size, allowed_types, allowed_extensions } from /campaigns/upload-limits
+ * @returns {string|null} Reason the file would be rejected, or null if it is acceptable
+ */
+const getFileRejection = (file, limits) => {
+  const extension = file.name.includes('.') ? file.name.slice(file.name.lastIndexOf('.')).toLowerCase() : '';
+  if (!limits.allowed_types.includes(file.type) || !limits.allowed_extensions.includes(extension)) {
+    return `Not a supported image (${limits.allowed_extensions.join(', ')})`;
+  }
+  if (file.size === 0) {
+    return 'File is empty';
+  }
+  if (file.size > limits.max_file_size) {
+    return `Too large (${formatFileSize(file.size)}, limit ${formatFileSize(limits.max_file_size)})`;
+  }
+  return null;
+};
 
 function ContractorCampaignManagement({ token }) {
   const [completedCampaigns, setCompletedCampaigns] = useState([]);
@@ -12,6 +34,9 @@ function ContractorCampaignManagement({ token }) {
   const [uploading, setUploading] = useState(false);
   const [selectedFiles, setSelectedFiles] = useState({});
   const [uploadedFiles, setUploadedFiles] = useState({});
+  const [showImagesFor, setShowImagesFor] = useState(null);
+  const [uploadSite, setUploadSite] = useState({});
+  const [rejectedFiles, setRejectedFiles] = useState({});
 
   const { get, put, post, error: apiError, setError: setApiError } = useApi(token);
 
@@ -23,6 +48,10 @@ function ContractorCampaignManagement({ token }) {
     refetch: refetchCampaigns
   } = useDataFetching('/campaigns/contractor', token);
 
+  // Upload limits enforced by the server, used to check files as they are chosen
+  const { data: uploadLimits } = useDataFetching('/campaigns/upload-limits', token);
+  const limitsLoaded = Array.isArray(uploadLimits.allowed_types);
+
   const error = apiError || fetchError;
 
   // Keep manual fetching for completed campaigns since it's conditional
@@ -59,21 +88,37 @@ function ContractorCampaignManagement({ token }) {
     try {
       await put(`/campaigns/${campaignId}/contractor-status`, { status: nextStatus });
       refetchCampaigns(); // Use refetch from custom hook
-    } catch {
-      setApiError('Failed to update status');
+    } catch (err) {
+      // Workflow rejections (409) explain which next states are allowed
+      setApiError(err.message || 'Failed to update status');
     }
   };
 
   // Image upload handler
   // Allow adding files to selection without resetting
+  // Files that break the upload limits are kept out of the selection and listed with the reason
   const handleFileChange = (campaignId, files) => {
-    setSelectedFiles(prev => {
-      const prevFiles = prev[campaignId] ? Array.from(prev[campaignId]) : [];
+    const prevFiles = selectedFiles[campaignId] ? Array.from(selectedFiles[campaignId]) : [];
+    const accepted = [...prevFiles];
+    const rejected = [];
+
+    for (const file of Array.from(files)) {
       // Avoid duplicates by name (can be improved for real-world use)
-      const newFiles = Array.from(files);
-      const combined = [...prevFiles, ...newFiles].filter((file, idx, arr) => arr.findIndex(f => f.name === file.name) === idx);
-      return { ...prev, [campaignId]: combined };
-    });
+      if (accepted.some(f => f.name === file.name)) continue;
+
+      const reason = limitsLoaded ? getFileRejection(file, uploadLimits) : null;
+      if (reason) {
+        rejected.push({ name: file.name, reason });
+      } else if (limitsLoaded && accepted.length >= uploadLimits.max_files) {
+        rejected.push({ name: file.name, reason: `Only ${uploadLimits.max_files} images can be uploaded at once` });
+      } else {
+        accepted.push(file);
+      }
+    }
+
+    setSelectedFiles(prev => ({ ...prev, [campaignId]: accepted }));
+    setRejectedFiles(prev => ({ ...prev, [campaignId]: rejected }));
+    document.getElementById(`file-upload-${campaignId}`).value = '';
   };
   // Remove a file from selectedFiles
   const handleRemoveSelectedFile = (campaignId, fileName) => {
@@ -95,6 +140,11 @@ function ContractorCampaignManagement({ token }) {
       const formData = new FormData();
       const filesToUpload = selectedFiles[campaignId];
 
+      // Attach the photos to a site when one is chosen
+      if (uploadSite[campaignId]) {
+        formData.append('campaign_location_id', uploadSite[campaignId]);
+      }
+
       // Add files to FormData
       Array.from(filesToUpload).forEach(file => {
         formData.append('images', file);
@@ -119,7 +169,8 @@ function ContractorCampaignManagement({ token }) {
       refetchCampaigns();
     } catch (err) {
       console.error('Upload error:', err);
-      setApiError('Failed to upload images');
+      // Size (413) and type (415) rejections from the server explain which limit was hit
+      setApiError(err.message || 'Failed to upload images');
     } finally {
       setUploading(false);
     }
@@ -195,7 +246,35 @@ function ContractorCampaignManagement({ token }) {
                 <div><span className="font-medium text-gray-700">Company:</span> {campaign.company_name}</div>
                 <div><span className="font-medium text-gray-700">Start:</span> {formatDate(campaign.start_date)}</div>
                 <div><span className="font-medium text-gray-700">End:</span> {formatDate(campaign.end_date)}</div>
+                <div>
+                  <span className="font-medium text-gray-700">Approved Photos:</span> {campaign.approved_images} of {campaign.required_images} needed
+                  {' '}({campaign.total_images} uploaded)
+                </div>
+                {campaign.rejected_images > 0 && (
+                  <div className="text-red-700 font-medium">
+                    {campaign.rejected_images} photo(s) rejected - check the reasons and re-shoot
+                  </div>
+                )}
               </div>
+              {/* Sites this contractor must post at, with per-site status */}
+              <SiteChecklist campaign={campaign} token={token} onUpdated={refetchCampaigns} />
+              <button
+                type="button"
+                className="btn btn-secondary mb-2 mr-2"
+                onClick={() => setShowImagesFor(showImagesFor === campaign.id ? null : campaign.id)}
+              >
+                {showImagesFor === campaign.id ? 'Hide Photos' : 'View Photos'}
+              </button>
+              {/* Uploaded photos with review status; remounts when the counts change so new uploads show up */}
+              {showImagesFor === campaign.id && (
+                <CampaignImages
+                  key={`${campaign.id}-${campaign.total_images}`}
+                  campaignId={campaign.id}
+                  token={token}
+                  campaignStatus={campaign.status}
+                  onImagesChanged={refetchCampaigns}
+                />
+              )}
               {/* Status update button */}
               {(campaign.status === 'approved' || campaign.status === 'in_progress') && (
                 <button
@@ -205,53 +284,82 @@ function ContractorCampaignManagement({ token }) {
                   {campaign.status === 'approved' ? 'Start Campaign' : 'Mark as Completed'}
                 </button>
               )}
-              {/* Image upload */}
-              <div className="mb-2">
-                <input
-                  type="file"
-                  multiple
-                  id={`file-upload-${campaign.id}`}
-                  style={{ display: 'none' }}
-                  onChange={e => handleFileChange(campaign.id, e.target.files)}
-                  disabled={uploading}
-                />
-                <button
-                  type="button"
-                  className="btn btn-secondary mr-2"
-                  onClick={() => document.getElementById(`file-upload-${campaign.id}`).click()}
-                  disabled={uploading}
-                >
-                  Choose Files
-                </button>
-                {/* Show selected file names */}
-                {selectedFiles[campaign.id] && selectedFiles[campaign.id].length > 0 && (
-                  <div className="mt-2 text-sm text-gray-700">
-                    <div className="font-semibold">Selected files:</div>
-                    {Array.from(selectedFiles[campaign.id]).map((file, idx) => (
-                      <div key={idx} className="inline-block mr-2 mb-1 cursor-pointer bg-gray-200 px-2 py-1 rounded hover:bg-red-200" title="Click to remove"
-                        onClick={() => handleRemoveSelectedFile(campaign.id, file.name)}>
-                        {file.name} <span className="text-red-500 font-bold">×</span>
-                      </div>
-                    ))}
-                  </div>
-                )}
-                {/* Show uploaded file names for this session */}
-                {uploadedFiles[campaign.id] && uploadedFiles[campaign.id].length > 0 && (
-                  <div className="mt-2 text-sm text-green-700">
-                    <div className="font-semibold">Uploaded this session:</div>
-                    {uploadedFiles[campaign.id].map((file, idx) => (
-                      <div key={idx}>{file.name}</div>
-                    ))}
-                  </div>
-                )}
-                <button
-                  className="btn btn-primary mt-2"
-                  onClick={() => handleUpload(campaign.id)}
-                  disabled={uploading || !selectedFiles[campaign.id]}
-                >
-                  {uploading ? 'Uploading...' : 'Upload Images'}
-                </button>
-              </div>
+              {/* Image upload - only while the campaign is in progress */}
+              {campaign.status === 'in_progress' && (
+                <div className="mb-2">
+                  <input
+                    type="file"
+                    multiple
+                    accept={limitsLoaded ? uploadLimits.allowed_types.join(',') : 'image/*'}
+                    id={`file-upload-${campaign.id}`}
+                    style={{ display: 'none' }}
+                    onChange={e => handleFileChange(campaign.id, e.target.files)}
+                    disabled={uploading}
+                  />
+                  <button
+                    type="button"
+                    className="btn btn-secondary mr-2"
+                    onClick={() => document.getElementById(`file-upload-${campaign.id}`).click()}
+                    disabled={uploading}
+                  >
+                    Choose Files
+                  </button>
+                  {/* Show selected file names */}
+                  {selectedFiles[campaign.id] && selectedFiles[campaign.id].length > 0 && (
+                    <div className="mt-2 text-sm text-gray-700">
+                      <div className="font-semibold">Selected files:</div>
+                      {Array.from(selectedFiles[campaign.id]).map((file, idx) => (
+                        <div key={idx} className="inline-block mr-2 mb-1 cursor-pointer bg-gray-200 px-2 py-1 rounded hover:bg-red-200" title="Click to remove"
+                          onClick={() => handleRemoveSelectedFile(campaign.id, file.name)}>
+                          {file.name} <span className="text-red-500 font-bold">×</span>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                  {/* Show files that were not added and why */}
+                  {rejectedFiles[campaign.id] && rejectedFiles[campaign.id].length > 0 && (
+                    <div className="mt-2 text-sm text-red-700">
+                      <div className="font-semibold">Not added:</div>
+                      {rejectedFiles[campaign.id].map((file) => (
+                        <div key={file.name}>{file.name} - {file.reason}</div>
+                      ))}
+                    </div>
+                  )}
+                  {/* Show uploaded file names for this session */}
+                  {uploadedFiles[campaign.id] && uploadedFiles[campaign.id].length > 0 && (
+                    <div className="mt-2 text-sm text-green-700">
+                      <div className="font-semibold">Uploaded this session:</div>
+                      {uploadedFiles[campaign.id].map((file, idx) => (
+                        <div key={idx}>{file.name}</div>
+                      ))}
+                    </div>
+                  )}
+                  {campaign.locations && campaign.locations.length > 0 && (
+                    <div className="mt-2">
+                      <label htmlFor={`upload-site-${campaign.id}`} className="form-label text-xs">Photos are for site</label>
+                      <select
+                        id={`upload-site-${campaign.id}`}
+                        className="form-input text-sm"
+                        value={uploadSite[campaign.id] || ''}
+                        onChange={e => setUploadSite(prev => ({ ...prev, [campaign.id]: e.target.value }))}
+                        disabled={uploading}
+                      >
+                        <option value="">Whole campaign</option>
+                        {campaign.locations.map(location => (
+                          <option key={location.id} value={location.id}>{location.name}</option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
+                  <button
+                    className="btn btn-primary mt-2"
+                    onClick={() => handleUpload(campaign.id)}
+                    disabled={uploading || !selectedFiles[campaign.id]}
+                  >
+                    {uploading ? 'Uploading...' : 'Upload Images'}
+                  </button>
+                </div>
+              )}
             </div>
           ))}
         </div>
@@ -8,6 +8,7 @@ import ErrorAlert from './ui/ErrorAlert';
 import SuccessAlert from './ui/SuccessAlert';
 import CampaignForm from './employee/CampaignForm';
 import CampaignRow from './employee/CampaignRow';
+import { PERMISSIONS } from '../utils/permissions';
 
 function EmployeeCampaignManagement({ token }) {
   const [success, setSuccess] = useState('');
@@ -65,7 +66,7 @@ function EmployeeCampaignManagement({ token }) {
         Campaign Management
       </h3>
       
-      <PermissionGuard permission="create_campaign">
+      <PermissionGuard permission={PERMISSIONS.CREATE_CAMPAIGN}>
         <CampaignForm
           token={token}
           companies={companies}
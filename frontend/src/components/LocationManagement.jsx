@@ -0,0 +1,337 @@
+// frontend/src/components/LocationManagement.jsx
+// Registry of poster sites - create, edit and delete locations
+
+import { useState } from 'react';
+import { useApi } from '../hooks/useApi';
+import { useDataFetching } from '../hooks/useDataFetching';
+import Permission, { LocationCreateButton } from './Permission';
+import LoadingSpinner from './ui/LoadingSpinner';
+import ErrorAlert from './ui/ErrorAlert';
+import SuccessAlert from './ui/SuccessAlert';
+import { SITE_TYPES, getSiteTypeDisplay, formatCoordinates } from '../utils/formatters';
+import { PERMISSIONS } from '../utils/permissions';
+
+const EMPTY_LOCATION = {
+  name: '',
+  address: '',
+  latitude: '',
+  longitude: '',
+  site_type: 'other',
+  size_format: '',
+  owner_notes: ''
+};
+
+/**
+ * Convert a location record into editable form values
+ */
+const toFormValues = (location) => ({
+  name: location.name,
+  address: location.address,
+  latitude: location.latitude ?? '',
+  longitude: location.longitude ?? '',
+  site_type: location.site_type,
+  size_format: location.size_format || '',
+  owner_notes: location.owner_notes || ''
+});
+
+/**
+ * Table row for a single location, with inline editing
+ */
+function LocationRow({ location, isEditing, onEdit, onSave, onCancel, onDelete }) {
+  const [editData, setEditData] = useState(toFormValues(location));
+
+  const handleEditChange = (e) => {
+    setEditData({ ...editData, [e.target.name]: e.target.value });
+  };
+
+  if (isEditing) {
+    return (
+      <tr className="editing-row">
+        <td className="table-cell">{location.id}</td>
+        <td className="table-cell">
+          <input type="text" name="name" value={editData.name} onChange={handleEditChange} className="form-input text-sm" />
+          <input type="text" name="address" value={editData.address} onChange={handleEditChange} className="form-input text-sm mt-1" />
+        </td>
+        <td className="table-cell">
+          <select name="site_type" value={editData.site_type} onChange={handleEditChange} className="form-input text-sm">
+            {SITE_TYPES.map(type => (
+              <option key={type} value={type}>{getSiteTypeDisplay(type)}</option>
+            ))}
+          </select>
+          <input type="text" name="size_format" value={editData.size_format} onChange={handleEditChange} placeholder="Size / format" className="form-input text-sm mt-1" />
+        </td>
+        <td className="table-cell">
+          <input type="number" step="any" name="latitude" value={editData.latitude} onChange={handleEditChange} placeholder="Latitude" className="form-input text-sm" />
+          <input type="number" step="any" name="longitude" value={editData.longitude} onChange={handleEditChange} placeholder="Longitude" className="form-input text-sm mt-1" />
+        </td>
+        <td className="table-cell">
+          <textarea name="owner_notes" value={editData.owner_notes} onChange={handleEditChange} rows="2" className="form-input text-sm" />
+        </td>
+        <td className="table-cell">
+          <div className="flex flex-wrap gap-2">
+            <button
+              className="btn-success text-sm px-3 py-1.5"
+              onClick={() => onSave(location.id, editData)}
+              disabled={!editData.name.trim() || !editData.address.trim()}
+            >
+              Save
+            </button>
+            <button className="btn-secondary text-sm px-3 py-1.5" onClick={onCancel}>
+              Cancel
+            </button>
+          </div>
+        </td>
+      </tr>
+    );
+  }
+
+  return (
+    <tr className="hover:bg-gray-50">
+      <td className="table-cell">{location.id}</td>
+      <td className="table-cell">
+        <div className="font-medium">{location.name}</div>
+        <div className="text-sm text-gray-600">{location.address}</div>
+      </td>
+      <td className="table-cell">
+        <div>{getSiteTypeDisplay(location.site_type)}</div>
+        {location.size_format && <div className="text-sm text-gray-600">{location.size_format}</div>}
+      </td>
+      <td className="table-cell text-sm">{formatCoordinates(location)}</td>
+      <td className="table-cell text-sm max-w-xs truncate" title={location.owner_notes || ''}>
+        {location.owner_notes}
+      </td>
+      <td className="table-cell">
+        <div className="flex flex-wrap gap-2">
+          <Permission
+            as="button"
+            permission={PERMISSIONS.EDIT_LOCATION}
+            variant="primary"
+            size="sm"
+            onClick={() => { setEditData(toFormValues(location)); onEdit(location); }}
+            disabledText="Cannot edit locations"
+          >
+            Edit
+          </Permission>
+          <Permission
+            as="button"
+            permission={PERMISSIONS.DELETE_LOCATION}
+            variant="danger"
+            size="sm"
+            onClick={() => onDelete(location.id)}
+            disabledText="Cannot delete locations"
+          >
+            Delete
+          </Permission>
+        </div>
+      </td>
+    </tr>
+  );
+}
+
+function LocationManagement({ token }) {
+  const [success, setSuccess] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [newLocation, setNewLocation] = useState(EMPTY_LOCATION);
+
+  const { post, put, del, error: apiError, setError: setApiError } = useApi(token);
+  const { data: locations, loading, error: fetchError, refetch } = useDataFetching('/locations', token);
+
+  const error = apiError || fetchError;
+
+  const handleNewLocationChange = (e) => {
+    setNewLocation({ ...newLocation, [e.target.name]: e.target.value });
+    if (error) setApiError('');
+    if (success) setSuccess('');
+  };
+
+  const handleAddLocation = async (e) => {
+    e.preventDefault();
+    setApiError('');
+    setSuccess('');
+
+    try {
+      await post('/locations', newLocation);
+      setNewLocation(EMPTY_LOCATION);
+      setSuccess('Location added successfully!');
+      refetch();
+    } catch {
+      // Error is already set by useApi hook
+    }
+  };
+
+  const handleEditLocation = (location) => {
+    setEditingId(location.id);
+    setApiError('');
+    setSuccess('');
+  };
+
+  const handleSaveEdit = async (locationId, updatedData) => {
+    setApiError('');
+    setSuccess('');
+
+    try {
+      await put(`/locations/${locationId}`, updatedData);
+      setEditingId(null);
+      setSuccess('Location updated successfully!');
+      refetch();
+    } catch {
+      // Error is already set by useApi hook - keep editing mode open
+    }
+  };
+
+  const handleDeleteLocation = async (locationId) => {
+    if (!window.confirm('Are you sure you want to delete this location?')) return;
+    setApiError('');
+    setSuccess('');
+
+    try {
+      await del(`/locations/${locationId}`);
+      setSuccess('Location deleted successfully!');
+      refetch();
+    } catch {
+      // Error is already set by useApi hook
+    }
+  };
+
+  return (
+    <div className="bg-white p-6 shadow-sm border border-gray-300 mt-8">
+      <h3 className="text-2xl font-bold text-gray-900 border-b-2 border-gray-800 pb-2 mb-6">Location Management</h3>
+
+      <Permission permission={PERMISSIONS.CREATE_LOCATION}>
+        <form onSubmit={handleAddLocation} className="bg-gray-50 p-6 mb-8 border border-gray-300">
+          <h4 className="text-lg font-semibold text-gray-900 mb-4">Add New Location</h4>
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 mb-4">
+            <div>
+              <label htmlFor="location_name" className="form-label">Name *</label>
+              <input
+                type="text"
+                id="location_name"
+                name="name"
+                value={newLocation.name}
+                onChange={handleNewLocationChange}
+                placeholder="e.g. Main Street Billboard"
+                required
+                className="form-input"
+              />
+            </div>
+            <div>
+              <label htmlFor="location_address" className="form-label">Address *</label>
+              <input
+                type="text"
+                id="location_address"
+                name="address"
+                value={newLocation.address}
+                onChange={handleNewLocationChange}
+                placeholder="Street address or landmark"
+                required
+                className="form-input"
+              />
+            </div>
+          </div>
+          <div className="grid grid-cols-1 lg:grid-cols-4 gap-4 mb-4">
+            <div>
+              <label htmlFor="location_site_type" className="form-label">Site Type</label>
+              <select
+                id="location_site_type"
+                name="site_type"
+                value={newLocation.site_type}
+                onChange={handleNewLocationChange}
+                className="form-input"
+              >
+                {SITE_TYPES.map(type => (
+                  <option key={type} value={type}>{getSiteTypeDisplay(type)}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="location_size_format" className="form-label">Size / Format</label>
+              <input
+                type="text"
+                id="location_size_format"
+                name="size_format"
+                value={newLocation.size_format}
+                onChange={handleNewLocationChange}
+                placeholder="e.g. A0, 6-sheet"
+                className="form-input"
+              />
+            </div>
+            <div>
+              <label htmlFor="location_latitude" className="form-label">Latitude</label>
+              <input
+                type="number"
+                step="any"
+                id="location_latitude"
+                name="latitude"
+                value={newLocation.latitude}
+                onChange={handleNewLocationChange}
+                className="form-input"
+              />
+            </div>
+            <div>
+              <label htmlFor="location_longitude" className="form-label">Longitude</label>
+              <input
+                type="number"
+                step="any"
+                id="location_longitude"
+                name="longitude"
+                value={newLocation.longitude}
+                onChange={handleNewLocationChange}
+                className="form-input"
+              />
+            </div>
+          </div>
+          <div className="mb-4">
+            <label htmlFor="location_owner_notes" className="form-label">Owner Notes</label>
+            <textarea
+              id="location_owner_notes"
+              name="owner_notes"
+              value={newLocation.owner_notes}
+              onChange={handleNewLocationChange}
+              placeholder="Site owner contact, access instructions"
+              rows="2"
+              className="form-input"
+            />
+          </div>
+          <LocationCreateButton type="submit" />
+        </form>
+      </Permission>
+
+      <ErrorAlert error={error} onClose={() => setApiError('')} />
+      <SuccessAlert message={success} onClose={() => setSuccess('')} />
+
+      {loading ? (
+        <LoadingSpinner message="Loading locations..." />
+      ) : (
+        <div className="overflow-x-auto bg-white border border-gray-300">
+          <table className="w-full border-collapse">
+            <thead>
+              <tr>
+                <th className="table-header">ID</th>
+                <th className="table-header">Name / Address</th>
+                <th className="table-header">Site</th>
+                <th className="table-header">Coordinates</th>
+                <th className="table-header">Owner Notes</th>
+                <th className="table-header">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {locations.map((location) => (
+                <LocationRow
+                  key={location.id}
+                  location={location}
+                  isEditing={editingId === location.id}
+                  onEdit={handleEditLocation}
+                  onSave={handleSaveEdit}
+                  onCancel={() => setEditingId(null)}
+                  onDelete={handleDeleteLocation}
+                />
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default LocationManagement;
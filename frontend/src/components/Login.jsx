@@ -1,5 +1,6 @@
 import { useState } from 'react';
 import { useApi } from '../hooks/useApi';
+import { TotpSetupInstructions, RecoveryCodeList } from './TwoFactorSettings';
 
 function Login({ onLogin }) {
   const [formData, setFormData] = useState({
@@ -8,9 +9,33 @@ function Login({ onLogin }) {
   });
   const [loading, setLoading] = useState(false);
   const [focusedField, setFocusedField] = useState('');
+  // Second step for two-factor accounts: { token, setup } from the password step
+  const [challenge, setChallenge] = useState(null);
+  const [setupInfo, setSetupInfo] = useState(null);
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  // Login finished with a first-time two-factor setup; shown with its recovery codes before continuing
+  const [completedLogin, setCompletedLogin] = useState(null);
+  // Forgotten password: 'forgot' asks for the email address, 'reset' sets a new password from an emailed link
+  const [resetToken] = useState(() => new URLSearchParams(window.location.search).get('reset_token'));
+  const [passwordMode, setPasswordMode] = useState(resetToken ? 'reset' : null);
+  const [resetData, setResetData] = useState({ email: '', password: '', confirmPassword: '' });
+  const [notice, setNotice] = useState('');
 
   const { post, error, setError } = useApi(); // No token needed for login
 
+  /**
+   * Build the message for a login held back by brute-force protection
+   * @param {Object} data - 429 response body: { error, retry_after, locked_until? }
+   * @returns {string} Message including when the user can try again
+   */
+  const getBlockedMessage = (data) => {
+    if (data.locked_until) {
+      return `${data.error}. Try again at ${new Date(data.locked_until).toLocaleTimeString()}.`;
+    }
+    return `${data.error}. Try again in ${data.retry_after} second${data.retry_after === 1 ? '' : 's'}.`;
+  };
+
   const handleChange = (e) => {
     setFormData({
       ...formData,
@@ -26,10 +51,108 @@ function Login({ onLogin }) {
 
     try {
       const data = await post('/login', formData);
-      onLogin(data);
+      if (!data.two_factor_required) {
+        onLogin(data);
+        return;
+      }
+      setChallenge({ token: data.challenge_token, setup: data.two_factor_setup_required });
+      // A role requires two-factor authentication the user has not set up yet
+      if (data.two_factor_setup_required) {
+        setSetupInfo(await post('/login/2fa/setup', { challenge_token: data.challenge_token }));
+      }
     } catch (error) {
-      console.error('Login error:', error);
-      // Error is already set by useApi hook
+      handleLoginError(error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const data = await post('/login/2fa', useRecoveryCode
+        ? { challenge_token: challenge.token, recovery_code: code }
+        : { challenge_token: challenge.token, code });
+      if (data.recovery_codes) {
+        setCompletedLogin(data);
+      } else {
+        onLogin(data);
+      }
+    } catch (error) {
+      handleLoginError(error);
+      setCode('');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Error is already set by useApi hook; add the retry time when login is blocked
+  const handleLoginError = (error) => {
+    console.error('Login error:', error);
+    if (error.status === 429 && error.data?.retry_after) {
+      setError(getBlockedMessage(error.data));
+    }
+  };
+
+  const handleBackToPassword = () => {
+    setChallenge(null);
+    setSetupInfo(null);
+    setCode('');
+    setUseRecoveryCode(false);
+    setError('');
+  };
+
+  const handleResetChange = (e) => {
+    setResetData({
+      ...resetData,
+      [e.target.name]: e.target.value
+    });
+    if (error) setError('');
+  };
+
+  const handleShowPasswordMode = (mode) => {
+    setPasswordMode(mode);
+    setResetData({ email: '', password: '', confirmPassword: '' });
+    setError('');
+    setNotice('');
+  };
+
+  const handleForgotPassword = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const data = await post('/password/forgot', { email: resetData.email });
+      handleShowPasswordMode(null);
+      setNotice(data.message);
+    } catch (error) {
+      console.error('Password reset request error:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleResetPassword = async (e) => {
+    e.preventDefault();
+    if (resetData.password !== resetData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+    setLoading(true);
+    setError('');
+
+    try {
+      const data = await post('/password/reset', { token: resetToken, password: resetData.password });
+      // The link only works once; drop it from the address bar
+      window.history.replaceState(null, '', window.location.pathname);
+      handleShowPasswordMode(null);
+      setNotice(data.message);
+    } catch (error) {
+      console.error('Password reset error:', error);
     } finally {
       setLoading(false);
     }
@@ -64,77 +187,219 @@ function Login({ onLogin }) {
             </div>
           )}
 
-          <form onSubmit={handleSubmit} className="space-y-6">
-            <div className="relative">
-              <label 
-                htmlFor="username" 
-                className={`absolute left-4 transition-all duration-300 pointer-events-none ${
-                  focusedField === 'username' || formData.username
-                    ? '-top-2 text-xs text-gray-700 font-semibold bg-white px-1'
-                    : 'top-4 text-gray-500'
-                }`}
-              >
-                Username
-              </label>
+          {notice && (
+            <div className="mb-6 p-4 bg-green-50 border border-green-300 text-green-800 text-center">
+              {notice}
+            </div>
+          )}
+
+          {passwordMode === 'forgot' ? (
+            <form onSubmit={handleForgotPassword} className="space-y-6">
+              <p className="text-sm text-gray-700 text-center">
+                Enter the email address of your account and we will send you a link to choose a new password.
+              </p>
               <input
-                type="text"
-                id="username"
-                name="username"
-                value={formData.username}
-                onChange={handleChange}
-                onFocus={() => setFocusedField('username')}
-                onBlur={() => setFocusedField('')}
+                type="email"
+                name="email"
+                value={resetData.email}
+                onChange={handleResetChange}
                 required
-                className="w-full p-4 bg-white border border-gray-300 text-gray-900 placeholder-transparent focus:outline-none focus:border-gray-500 transition-all duration-300 shadow-sm"
-                placeholder="Enter your username"
+                autoFocus
+                aria-label="Email address"
+                placeholder="you@example.com"
+                className="w-full p-4 bg-white border border-gray-300 text-gray-900 focus:outline-none focus:border-gray-500 shadow-sm"
               />
-            </div>
-
-            <div className="relative">
-              <label 
-                htmlFor="password" 
-                className={`absolute left-4 transition-all duration-300 pointer-events-none ${
-                  focusedField === 'password' || formData.password
-                    ? '-top-2 text-xs text-gray-700 font-semibold bg-white px-1'
-                    : 'top-4 text-gray-500'
-                }`}
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full p-4 bg-gray-800 hover:bg-gray-900 text-white font-semibold shadow-md disabled:opacity-50 disabled:cursor-not-allowed"
               >
-                Password
-              </label>
+                {loading ? 'Sending...' : 'Send Reset Link'}
+              </button>
+              <div className="text-sm">
+                <button type="button" onClick={() => handleShowPasswordMode(null)} className="text-gray-600 hover:text-gray-900">
+                  Back to sign in
+                </button>
+              </div>
+            </form>
+          ) : passwordMode === 'reset' ? (
+            <form onSubmit={handleResetPassword} className="space-y-6">
+              <p className="text-sm text-gray-700 text-center">Choose a new password for your account.</p>
               <input
                 type="password"
-                id="password"
                 name="password"
-                value={formData.password}
-                onChange={handleChange}
-                onFocus={() => setFocusedField('password')}
-                onBlur={() => setFocusedField('')}
+                value={resetData.password}
+                onChange={handleResetChange}
+                required
+                minLength="6"
+                autoFocus
+                autoComplete="new-password"
+                aria-label="New password"
+                placeholder="New password"
+                className="w-full p-4 bg-white border border-gray-300 text-gray-900 focus:outline-none focus:border-gray-500 shadow-sm"
+              />
+              <input
+                type="password"
+                name="confirmPassword"
+                value={resetData.confirmPassword}
+                onChange={handleResetChange}
                 required
-                className="w-full p-4 bg-white border border-gray-300 text-gray-900 placeholder-transparent focus:outline-none focus:border-gray-500 transition-all duration-300 shadow-sm"
-                placeholder="Enter your password"
+                minLength="6"
+                autoComplete="new-password"
+                aria-label="Confirm new password"
+                placeholder="Confirm new password"
+                className="w-full p-4 bg-white border border-gray-300 text-gray-900 focus:outline-none focus:border-gray-500 shadow-sm"
               />
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full p-4 bg-gray-800 hover:bg-gray-900 text-white font-semibold shadow-md disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {loading ? 'Saving...' : 'Set New Password'}
+              </button>
+              <div className="text-sm">
+                <button type="button" onClick={() => handleShowPasswordMode(null)} className="text-gray-600 hover:text-gray-900">
+                  Back to sign in
+                </button>
+              </div>
+            </form>
+          ) : completedLogin ? (
+            <div className="space-y-6">
+              <RecoveryCodeList codes={completedLogin.recovery_codes} />
+              <button
+                onClick={() => onLogin(completedLogin)}
+                className="w-full p-4 bg-gray-800 hover:bg-gray-900 text-white font-semibold shadow-md"
+              >
+                Continue
+              </button>
             </div>
-
-            <button
-              type="submit"
-              disabled={loading}
-              className="w-full p-4 bg-gray-800 hover:bg-gray-900 text-white font-semibold shadow-md transform transition-all duration-300 hover:-translate-y-0.5 hover:shadow-lg disabled:opacity-50 disabled:cursor-not-allowed disabled:transform-none relative overflow-hidden group"
-            >
-              <span className="relative z-10">
-                {loading ? (
-                  <div className="flex items-center justify-center">
-                    <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                      <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                      <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                    </svg>
-                    Signing in...
-                  </div>
-                ) : (
-                  'Sign In'
+          ) : challenge ? (
+            <form onSubmit={handleVerify} className="space-y-6">
+              {challenge.setup && (
+                setupInfo ? <TotpSetupInstructions setupInfo={setupInfo} /> : (
+                  <p className="text-sm text-gray-700 text-center">Your role requires two-factor authentication.</p>
+                )
+              )}
+              {!challenge.setup && (
+                <p className="text-sm text-gray-700 text-center">
+                  {useRecoveryCode
+                    ? 'Enter one of your recovery codes.'
+                    : 'Enter the 6-digit code from your authenticator app.'}
+                </p>
+              )}
+              <input
+                type="text"
+                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                autoComplete="one-time-code"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                required
+                autoFocus
+                aria-label={useRecoveryCode ? 'Recovery code' : 'Verification code'}
+                placeholder={useRecoveryCode ? 'XXXX-XXXX-XXXX-XXXX' : '123456'}
+                className="w-full p-4 bg-white border border-gray-300 text-gray-900 text-center tracking-widest focus:outline-none focus:border-gray-500 shadow-sm"
+              />
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full p-4 bg-gray-800 hover:bg-gray-900 text-white font-semibold shadow-md disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {loading ? 'Verifying...' : 'Verify'}
+              </button>
+              <div className="flex justify-between text-sm">
+                <button type="button" onClick={handleBackToPassword} className="text-gray-600 hover:text-gray-900">
+                  Back to sign in
+                </button>
+                {!challenge.setup && (
+                  <button
+                    type="button"
+                    onClick={() => { setUseRecoveryCode(!useRecoveryCode); setCode(''); }}
+                    className="text-gray-600 hover:text-gray-900"
+                  >
+                    {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}
+                  </button>
                 )}
-              </span>
-            </button>
-          </form>
+              </div>
+            </form>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-6">
+              <div className="relative">
+                <label 
+                  htmlFor="username" 
+                  className={`absolute left-4 transition-all duration-300 pointer-events-none ${
+                    focusedField === 'username' || formData.username
+                      ? '-top-2 text-xs text-gray-700 font-semibold bg-white px-1'
+                      : 'top-4 text-gray-500'
+                  }`}
+                >
+                  Username
+                </label>
+                <input
+                  type="text"
+                  id="username"
+                  name="username"
+                  value={formData.username}
+                  onChange={handleChange}
+                  onFocus={() => setFocusedField('username')}
+                  onBlur={() => setFocusedField('')}
+                  required
+                  className="w-full p-4 bg-white border border-gray-300 text-gray-900 placeholder-transparent focus:outline-none focus:border-gray-500 transition-all duration-300 shadow-sm"
+                  placeholder="Enter your username"
+                />
+              </div>
+
+              <div className="relative">
+                <label 
+                  htmlFor="password" 
+                  className={`absolute left-4 transition-all duration-300 pointer-events-none ${
+                    focusedField === 'password' || formData.password
+                      ? '-top-2 text-xs text-gray-700 font-semibold bg-white px-1'
+                      : 'top-4 text-gray-500'
+                  }`}
+                >
+                  Password
+                </label>
+                <input
+                  type="password"
+                  id="password"
+                  name="password"
+                  value={formData.password}
+                  onChange={handleChange}
+                  onFocus={() => setFocusedField('password')}
+                  onBlur={() => setFocusedField('')}
+                  required
+                  className="w-full p-4 bg-white border border-gray-300 text-gray-900 placeholder-transparent focus:outline-none focus:border-gray-500 transition-all duration-300 shadow-sm"
+                  placeholder="Enter your password"
+                />
+              </div>
+
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full p-4 bg-gray-800 hover:bg-gray-900 text-white font-semibold shadow-md transform transition-all duration-300 hover:-translate-y-0.5 hover:shadow-lg disabled:opacity-50 disabled:cursor-not-allowed disabled:transform-none relative overflow-hidden group"
+              >
+                <span className="relative z-10">
+                  {loading ? (
+                    <div className="flex items-center justify-center">
+                      <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                        <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                        <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                      </svg>
+                      Signing in...
+                    </div>
+                  ) : (
+                    'Sign In'
+                  )}
+                </span>
+              </button>
+
+              <div className="text-center text-sm">
+                <button type="button" onClick={() => handleShowPasswordMode('forgot')} className="text-gray-600 hover:text-gray-900">
+                  Forgot password?
+                </button>
+              </div>
+            </form>
+          )}
 
           <div className="mt-8 text-center">
             <p className="text-gray-600 text-sm">
@@ -4,6 +4,7 @@
 
 import React from 'react';
 import { useUserPermissions } from '../hooks/useUser.jsx';
+import { PERMISSIONS } from '../utils/permissions';
 
 /**
  * Universal Permission component that handles all permission scenarios
@@ -187,7 +188,7 @@ export function PermissionCheck(props) {
 }
 
 // Pre-configured permission buttons for common operations
-export function EditButton({ permission = 'edit_user', children = 'Edit', variant = 'primary', size = 'sm', ...props }) {
+export function EditButton({ permission = PERMISSIONS.EDIT_USER, children = 'Edit', variant = 'primary', size = 'sm', ...props }) {
   return (
     <PermissionButton
       permission={permission}
@@ -201,7 +202,7 @@ export function EditButton({ permission = 'edit_user', children = 'Edit', varian
   );
 }
 
-export function DeleteButton({ permission = 'delete_user', children = 'Delete', variant = 'danger', size = 'sm', ...props }) {
+export function DeleteButton({ permission = PERMISSIONS.DELETE_USER, children = 'Delete', variant = 'danger', size = 'sm', ...props }) {
   return (
     <PermissionButton
       permission={permission}
@@ -215,7 +216,7 @@ export function DeleteButton({ permission = 'delete_user', children = 'Delete',
   );
 }
 
-export function CreateButton({ permission = 'create_user', children = 'Create', variant = 'success', size = 'md', ...props }) {
+export function CreateButton({ permission = PERMISSIONS.CREATE_USER, children = 'Create', variant = 'success', size = 'md', ...props }) {
   return (
     <PermissionButton
       permission={permission}
@@ -229,7 +230,7 @@ export function CreateButton({ permission = 'create_user', children = 'Create',
   );
 }
 
-export function ViewButton({ permission = 'view_user', children = 'View', variant = 'secondary', size = 'sm', ...props }) {
+export function ViewButton({ permission = PERMISSIONS.VIEW_USERS, children = 'View', variant = 'secondary', size = 'sm', ...props }) {
   return (
     <PermissionButton
       permission={permission}
@@ -245,39 +246,39 @@ export function ViewButton({ permission = 'view_user', children = 'View', varian
 
 // Specific buttons for different entities
 export function UserEditButton(props) {
-  return <EditButton permission="edit_user" {...props} />;
+  return <EditButton permission={PERMISSIONS.EDIT_USER} {...props} />;
 }
 
 export function UserDeleteButton(props) {
-  return <DeleteButton permission="delete_user" {...props} />;
+  return <DeleteButton permission={PERMISSIONS.DELETE_USER} {...props} />;
 }
 
 export function UserCreateButton(props) {
-  return <CreateButton permission="create_user" children="Add User" {...props} />;
+  return <CreateButton permission={PERMISSIONS.CREATE_USER} children="Add User" {...props} />;
 }
 
 export function CompanyEditButton(props) {
-  return <EditButton permission="edit_company" {...props} />;
+  return <EditButton permission={PERMISSIONS.EDIT_COMPANY} {...props} />;
 }
 
 export function CompanyDeleteButton(props) {
-  return <DeleteButton permission="delete_company" {...props} />;
+  return <DeleteButton permission={PERMISSIONS.DELETE_COMPANY} {...props} />;
 }
 
 export function CompanyCreateButton(props) {
-  return <CreateButton permission="create_company" children="Add Company" {...props} />;
+  return <CreateButton permission={PERMISSIONS.CREATE_COMPANY} children="Add Company" {...props} />;
 }
 
 export function CampaignEditButton(props) {
-  return <EditButton permission="edit_campaign" {...props} />;
+  return <EditButton permission={PERMISSIONS.EDIT_CAMPAIGN} {...props} />;
 }
 
-export function CampaignDeleteButton(props) {
-  return <DeleteButton permission="delete_campaign" {...props} />;
+export function CampaignCreateButton(props) {
+  return <CreateButton permission={PERMISSIONS.CREATE_CAMPAIGN} children="Add Campaign" {...props} />;
 }
 
-export function CampaignCreateButton(props) {
-  return <CreateButton permission="create_campaign" children="Add Campaign" {...props} />;
+export function LocationCreateButton(props) {
+  return <CreateButton permission={PERMISSIONS.CREATE_LOCATION} children="Add Location" {...props} />;
 }
 
 export default Permission;
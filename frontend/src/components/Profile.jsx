@@ -0,0 +1,179 @@
+// frontend/src/components/Profile.jsx
+// Profile page for the signed-in user - account details, email address, password and two-factor settings
+
+import { useState } from 'react';
+import { useApi } from '../hooks/useApi';
+import { useDataFetching } from '../hooks/useDataFetching';
+import LoadingSpinner from './ui/LoadingSpinner';
+import ErrorAlert from './ui/ErrorAlert';
+import SuccessAlert from './ui/SuccessAlert';
+import TwoFactorSettings from './TwoFactorSettings';
+import { formatDateTime } from '../utils/formatters';
+
+const emptyPasswordForm = { current_password: '', password: '', confirmPassword: '' };
+
+function Profile({ token }) {
+  const [emailForm, setEmailForm] = useState(null);
+  const [passwordForm, setPasswordForm] = useState(emptyPasswordForm);
+  const [success, setSuccess] = useState('');
+
+  const { data: account, loading, error: fetchError, refetch } = useDataFetching('/me', token);
+  const { put, error: apiError, setError: setApiError } = useApi(token);
+
+  const error = apiError || fetchError;
+
+  const handleEmailSubmit = async (e) => {
+    e.preventDefault();
+    setApiError('');
+    setSuccess('');
+    try {
+      await put('/me/email', emailForm);
+      setEmailForm(null);
+      setSuccess('Email address updated');
+      refetch();
+    } catch {
+      // Error is already set by useApi hook
+    }
+  };
+
+  const handlePasswordSubmit = async (e) => {
+    e.preventDefault();
+    setSuccess('');
+    if (passwordForm.password !== passwordForm.confirmPassword) {
+      setApiError('New passwords do not match');
+      return;
+    }
+    setApiError('');
+    try {
+      const result = await put('/me/password', {
+        current_password: passwordForm.current_password,
+        password: passwordForm.password
+      });
+      setPasswordForm(emptyPasswordForm);
+      setSuccess(result.sessions_revoked > 0
+        ? `Password changed; signed out of ${result.sessions_revoked} other session(s)`
+        : 'Password changed');
+    } catch {
+      // Error is already set by useApi hook
+    }
+  };
+
+  const handlePasswordChange = (e) => {
+    setPasswordForm({ ...passwordForm, [e.target.name]: e.target.value });
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white p-6 shadow-sm border border-gray-300">
+        <h3 className="text-2xl font-bold text-gray-900 border-b-2 border-gray-800 pb-2 mb-6">My Profile</h3>
+
+        <ErrorAlert error={error} onClose={() => setApiError('')} />
+        <SuccessAlert message={success} onClose={() => setSuccess('')} />
+
+        {loading ? (
+          <LoadingSpinner message="Loading profile..." />
+        ) : (
+          <div className="max-w-xl space-y-8">
+            <dl className="grid grid-cols-3 gap-y-2 text-sm">
+              <dt className="text-gray-500">Username</dt>
+              <dd className="col-span-2 text-gray-900">{account.username}</dd>
+              <dt className="text-gray-500">Company</dt>
+              <dd className="col-span-2 text-gray-900">{account.company_name || '—'}</dd>
+              <dt className="text-gray-500">Last sign-in</dt>
+              <dd className="col-span-2 text-gray-900">
+                {account.last_login_at ? formatDateTime(account.last_login_at) : '—'}
+              </dd>
+              <dt className="text-gray-500">Email</dt>
+              <dd className="col-span-2 text-gray-900">
+                {account.email || <span className="text-gray-500">Not set - you cannot reset a forgotten password</span>}
+                {!emailForm && (
+                  <button
+                    onClick={() => setEmailForm({ email: account.email || '', current_password: '' })}
+                    className="ml-3 text-gray-600 hover:text-gray-900 underline"
+                  >
+                    Change
+                  </button>
+                )}
+              </dd>
+            </dl>
+
+            {emailForm && (
+              <form onSubmit={handleEmailSubmit} className="space-y-3">
+                <h4 className="text-lg font-semibold text-gray-900">Change Email Address</h4>
+                <input
+                  type="email"
+                  value={emailForm.email}
+                  onChange={(e) => setEmailForm({ ...emailForm, email: e.target.value })}
+                  placeholder="you@example.com"
+                  aria-label="Email address"
+                  className="form-input"
+                />
+                <input
+                  type="password"
+                  value={emailForm.current_password}
+                  onChange={(e) => setEmailForm({ ...emailForm, current_password: e.target.value })}
+                  required
+                  autoComplete="current-password"
+                  placeholder="Current password"
+                  aria-label="Current password"
+                  className="form-input"
+                />
+                <div className="flex gap-2">
+                  <button type="submit" className="btn-primary text-sm px-3 py-1.5">Save Email</button>
+                  <button type="button" onClick={() => setEmailForm(null)} className="btn-secondary text-sm px-3 py-1.5">
+                    Cancel
+                  </button>
+                </div>
+              </form>
+            )}
+
+            <form onSubmit={handlePasswordSubmit} className="space-y-3">
+              <h4 className="text-lg font-semibold text-gray-900">Change Password</h4>
+              <p className="text-sm text-gray-600">Your other sessions are signed out when the password changes.</p>
+              <input
+                type="password"
+                name="current_password"
+                value={passwordForm.current_password}
+                onChange={handlePasswordChange}
+                required
+                autoComplete="current-password"
+                placeholder="Current password"
+                aria-label="Current password"
+                className="form-input"
+              />
+              <input
+                type="password"
+                name="password"
+                value={passwordForm.password}
+                onChange={handlePasswordChange}
+                required
+                minLength="6"
+                autoComplete="new-password"
+                placeholder="New password"
+                aria-label="New password"
+                className="form-input"
+              />
+              <input
+                type="password"
+                name="confirmPassword"
+                value={passwordForm.confirmPassword}
+                onChange={handlePasswordChange}
+                required
+                minLength="6"
+                autoComplete="new-password"
+                placeholder="Confirm new password"
+                aria-label="Confirm new password"
+                className="form-input"
+              />
+              <button type="submit" className="btn-primary text-sm px-3 py-1.5">Change Password</button>
+            </form>
+          </div>
+        )}
+      </div>
+
+      <TwoFactorSettings token={token} />
+    </div>
+  );
+}
+
+export default Profile;
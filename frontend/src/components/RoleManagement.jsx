@@ -9,30 +9,33 @@ import { PermissionGuard } from './Permission';
 import LoadingSpinner from './ui/LoadingSpinner';
 import ErrorAlert from './ui/ErrorAlert';
 import SuccessAlert from './ui/SuccessAlert';
+import { getPermissionGroup } from '../utils/permissions';
 
 function RoleManagement({ token }) {
   const [success, setSuccess] = useState('');
   const [selectedUser, setSelectedUser] = useState(null);
   const [selectedRole, setSelectedRole] = useState(null);
   const [showUserRoleModal, setShowUserRoleModal] = useState(false);
+  const [assignCompanyId, setAssignCompanyId] = useState('');
   const [showRolePermissionModal, setShowRolePermissionModal] = useState(false);
 
   const { post, put, del, error: apiError, setError: setApiError } = useApi(token);
 
   // Fetch all required data in parallel
   const { 
-    data: { users = [], roles = [], permissions = [] }, 
+    data: { users = [], roles = [], permissions = [], companies = [] }, 
     loading, 
     error: fetchError, 
     refetch 
-  } = useMultipleDataFetching(['/users', '/roles', '/permissions'], token);
+  } = useMultipleDataFetching(['/users', '/roles', '/permissions', '/companies'], token);
 
   const error = apiError || fetchError;
 
-  const handleAssignRole = async (userId, roleName) => {
+  // An empty company ID assigns the role for all companies
+  const handleAssignRole = async (userId, roleName, companyId) => {
     try {
-      await post(`/rbac/users/${userId}/roles`, { role: roleName });
-      setSuccess(`Role ${roleName} assigned successfully!`);
+      const response = await post(`/rbac/users/${userId}/roles`, { role: roleName, company_id: companyId || null });
+      setSuccess(response.message || `Role ${roleName} assigned successfully!`);
       refetch(); // Refresh data
       setShowUserRoleModal(false);
     } catch (err) {
@@ -40,20 +43,23 @@ function RoleManagement({ token }) {
     }
   };
 
-  const handleRemoveRole = async (userId, roleName) => {
-    if (!window.confirm(`Are you sure you want to remove the ${roleName} role from this user?`)) return;
+  const handleRemoveRole = async (userId, assignment) => {
+    const scope = assignment.company_name ? ` for ${assignment.company_name}` : '';
+    if (!window.confirm(`Are you sure you want to remove the ${assignment.role} role${scope} from this user?`)) return;
     
     try {
-      await del(`/rbac/users/${userId}/roles/${roleName}`);
-      setSuccess(`Role ${roleName} removed successfully!`);
+      const query = assignment.company_id ? `?company_id=${assignment.company_id}` : '';
+      await del(`/rbac/users/${userId}/roles/${assignment.role}${query}`);
+      setSuccess(`Role ${assignment.role} removed successfully!`);
       refetch(); // Refresh data
     } catch (err) {
       console.error('Error removing role:', err);
     }
   };
 
-  const handleUpdateRolePermissions = async (roleId, permissionIds) => {
-    console.log('handleUpdateRolePermissions called with:', roleId, permissionIds);
+  // parentRole is the role name to inherit from, or null for none
+  const handleUpdateRolePermissions = async (roleId, permissionIds, parentRole, deniedPermissionIds, requiresTwoFactor) => {
+    console.log('handleUpdateRolePermissions called with:', roleId, permissionIds, parentRole, deniedPermissionIds);
     
     // Find the role name from the role ID
     const roleToUpdate = roles.find(r => r.id === roleId);
@@ -63,7 +69,20 @@ function RoleManagement({ token }) {
     }
     
     try {
-      const response = await put(`/roles/${roleToUpdate.name}/permissions`, { permissions: permissionIds });
+      const roleUpdates = {};
+      if ((roleToUpdate.parent_role || null) !== parentRole) {
+        roleUpdates.parent_role = parentRole;
+      }
+      if (roleToUpdate.requires_two_factor !== requiresTwoFactor) {
+        roleUpdates.requires_two_factor = requiresTwoFactor;
+      }
+      if (Object.keys(roleUpdates).length > 0) {
+        await put(`/roles/${roleToUpdate.name}`, roleUpdates);
+      }
+      const response = await put(`/roles/${roleToUpdate.name}/permissions`, {
+        permissions: permissionIds,
+        denied_permissions: deniedPermissionIds
+      });
       console.log('Update response:', response);
       setSuccess('Role permissions updated successfully!');
       refetch(); // Refresh data
@@ -104,12 +123,19 @@ function RoleManagement({ token }) {
                     <div className="mt-2">
                       <span className="text-xs text-gray-500">Current Roles:</span>
                       <div className="flex flex-wrap gap-1 mt-1">
-                        {user.roles && user.roles.length > 0 ? (
-                          user.roles.map(role => (
-                            <span key={role} className="inline-flex items-center px-2 py-1 text-xs font-medium bg-blue-100 text-blue-800 rounded-full">
-                              {getRoleDisplayName(role, roles)}
+                        {user.role_assignments && user.role_assignments.length > 0 ? (
+                          user.role_assignments.map(assignment => (
+                            <span
+                              key={`${assignment.role}-${assignment.company_id ?? 'all'}`}
+                              className="inline-flex items-center px-2 py-1 text-xs font-medium bg-blue-100 text-blue-800 rounded-full"
+                              title={assignment.company_name ? `Only for ${assignment.company_name}` : 'All companies'}
+                            >
+                              {getRoleDisplayName(assignment.role, roles)}
+                              {assignment.company_name && (
+                                <span className="ml-1 text-blue-600">· {assignment.company_name}</span>
+                              )}
                               <button
-                                onClick={() => handleRemoveRole(user.id, role)}
+                                onClick={() => handleRemoveRole(user.id, assignment)}
                                 className="ml-1 text-blue-600 hover:text-red-600"
                                 title="Remove role"
                               >
@@ -126,6 +152,7 @@ function RoleManagement({ token }) {
                   <button
                     onClick={() => {
                       setSelectedUser(user);
+                      setAssignCompanyId('');
                       setShowUserRoleModal(true);
                     }}
                     className="btn-primary text-sm px-3 py-1"
@@ -148,6 +175,14 @@ function RoleManagement({ token }) {
                   <div className="flex-1">
                     <h5 className="font-medium text-gray-900">{getRoleDisplayName(role.name, roles)}</h5>
                     <p className="text-sm text-gray-600">{role.description || 'No description'}</p>
+                    {role.parent_role && (
+                      <p className="text-xs text-gray-500 mt-1">
+                        Inherits from {getRoleDisplayName(role.parent_role, roles)}
+                      </p>
+                    )}
+                    {role.requires_two_factor && (
+                      <p className="text-xs text-amber-700 mt-1">Requires two-factor authentication</p>
+                    )}
                     <div className="mt-2">
                       <span className="text-xs text-gray-500">Users with this role:</span>
                       <p className="text-sm text-gray-700">
@@ -176,25 +211,42 @@ function RoleManagement({ token }) {
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
           <div className="bg-white rounded-lg p-6 w-full max-w-md">
             <h3 className="text-lg font-semibold mb-4">Assign Role to {selectedUser.username}</h3>
-            <div className="space-y-3">
-              {roles.map(role => (
-                <button
-                  key={role.id}
-                  onClick={() => handleAssignRole(selectedUser.id, role.name)}
-                  disabled={selectedUser.roles && selectedUser.roles.includes(role.name)}
-                  className={`w-full text-left p-3 rounded border ${
-                    selectedUser.roles && selectedUser.roles.includes(role.name)
-                      ? 'bg-gray-100 text-gray-500 cursor-not-allowed'
-                      : 'hover:bg-gray-50 border-gray-200'
-                  }`}
-                >
-                  <div className="font-medium">{getRoleDisplayName(role.name, roles)}</div>
-                  <div className="text-sm text-gray-600">{role.description || 'No description'}</div>
-                  {selectedUser.roles && selectedUser.roles.includes(role.name) && (
-                    <div className="text-xs text-green-600 mt-1">Already assigned</div>
-                  )}
-                </button>
+            <label htmlFor="assign-role-company" className="form-label">Applies to</label>
+            <select
+              id="assign-role-company"
+              value={assignCompanyId}
+              onChange={(e) => setAssignCompanyId(e.target.value)}
+              className="form-input mb-4"
+            >
+              <option value="">All companies</option>
+              {companies.map(company => (
+                <option key={company.id} value={company.id}>Only {company.name}</option>
               ))}
+            </select>
+            <div className="space-y-3">
+              {roles.map(role => {
+                const alreadyAssigned = (selectedUser.role_assignments || []).some(assignment =>
+                  assignment.role === role.name && String(assignment.company_id ?? '') === assignCompanyId
+                );
+                return (
+                  <button
+                    key={role.id}
+                    onClick={() => handleAssignRole(selectedUser.id, role.name, assignCompanyId)}
+                    disabled={alreadyAssigned}
+                    className={`w-full text-left p-3 rounded border ${
+                      alreadyAssigned
+                        ? 'bg-gray-100 text-gray-500 cursor-not-allowed'
+                        : 'hover:bg-gray-50 border-gray-200'
+                    }`}
+                  >
+                    <div className="font-medium">{getRoleDisplayName(role.name, roles)}</div>
+                    <div className="text-sm text-gray-600">{role.description || 'No description'}</div>
+                    {alreadyAssigned && (
+                      <div className="text-xs text-green-600 mt-1">Already assigned</div>
+                    )}
+                  </button>
+                );
+              })}
             </div>
             <div className="flex gap-2 mt-6">
               <button
@@ -212,6 +264,7 @@ function RoleManagement({ token }) {
       {showRolePermissionModal && selectedRole && (
         <RolePermissionModal
           role={selectedRole}
+          roles={roles}
           permissions={permissions}
           onClose={() => setShowRolePermissionModal(false)}
           onSave={handleUpdateRolePermissions}
@@ -223,8 +276,14 @@ function RoleManagement({ token }) {
 }
 
 // Role Permission Management Modal Component
-function RolePermissionModal({ role, permissions, onClose, onSave, token }) {
+// Only direct permissions can be toggled; inherited ones come from the parent role chain
+// A denied permission wins over grants from any role the user holds
+function RolePermissionModal({ role, roles, permissions, onClose, onSave, token }) {
   const [selectedPermissions, setSelectedPermissions] = useState([]);
+  const [deniedPermissions, setDeniedPermissions] = useState([]);
+  const [inheritedFrom, setInheritedFrom] = useState({});
+  const [parentRole, setParentRole] = useState(role.parent_role || '');
+  const [requiresTwoFactor, setRequiresTwoFactor] = useState(Boolean(role.requires_two_factor));
   const [loading, setLoading] = useState(true);
   const { get } = useApi(token);
 
@@ -238,19 +297,41 @@ function RolePermissionModal({ role, permissions, onClose, onSave, token }) {
       const rolePermissions = await get(`/roles/${role.name}/permissions`);
       console.log('Fetched role permissions:', rolePermissions);
       
-      // Backend now returns permissions with 'permission' field (same as all permissions)
-      const permissionNames = rolePermissions.map(p => p.permission);
+      // inherited_from names the ancestor role granting or denying a permission; it is empty for direct entries
+      const direct = rolePermissions.filter(p => !p.inherited_from);
+      const permissionNames = direct.filter(p => p.effect === 'allow').map(p => p.permission);
       console.log('Permission names:', permissionNames);
       
       setSelectedPermissions(permissionNames);
+      setDeniedPermissions(direct.filter(p => p.effect === 'deny').map(p => p.permission));
+      setInheritedFrom(Object.fromEntries(
+        rolePermissions.filter(p => p.inherited_from).map(p => [p.permission, { role: p.inherited_from, effect: p.effect }])
+      ));
     } catch (err) {
       console.error('Error fetching role permissions:', err);
       setSelectedPermissions([]);
+      setDeniedPermissions([]);
+      setInheritedFrom({});
     } finally {
       setLoading(false);
     }
   };
 
+  // A role cannot inherit from itself or from a role that already inherits from it
+  const descendants = new Set([role.name]);
+  let added = true;
+  while (added) {
+    added = false;
+    roles.forEach(r => {
+      if (r.parent_role && descendants.has(r.parent_role) && !descendants.has(r.name)) {
+        descendants.add(r.name);
+        added = true;
+      }
+    });
+  }
+  const parentOptions = roles.filter(r => !descendants.has(r.name));
+  const parentChanged = parentRole !== (role.parent_role || '');
+
   const handlePermissionToggle = (permissionName) => {
     setSelectedPermissions(prev => 
       prev.includes(permissionName)
@@ -259,13 +340,23 @@ function RolePermissionModal({ role, permissions, onClose, onSave, token }) {
     );
   };
 
+  // Denying a permission drops a direct grant of it, since one permission has a single entry per role
+  const handleDenyToggle = (permissionName) => {
+    setDeniedPermissions(prev =>
+      prev.includes(permissionName)
+        ? prev.filter(p => p !== permissionName)
+        : [...prev, permissionName]
+    );
+    setSelectedPermissions(prev => prev.filter(p => p !== permissionName));
+  };
+
   const handleSave = () => {
-    console.log('Saving permissions for role:', role.id, 'permissions:', selectedPermissions);
-    onSave(role.id, selectedPermissions);
+    console.log('Saving permissions for role:', role.id, 'permissions:', selectedPermissions, 'denied:', deniedPermissions);
+    onSave(role.id, selectedPermissions, parentRole || null, deniedPermissions, requiresTwoFactor);
   };
 
   const groupedPermissions = permissions.reduce((acc, permission) => {
-    const category = permission.permission.split('_')[0]; // group by first word
+    const category = getPermissionGroup(permission.permission);
     if (!acc[category]) acc[category] = [];
     acc[category].push(permission);
     return acc;
@@ -284,27 +375,77 @@ function RolePermissionModal({ role, permissions, onClose, onSave, token }) {
           Manage Permissions for {getRoleDisplayName(role.name, [role])}
         </h3>
         
+        <label htmlFor="role-parent" className="form-label">Inherits from</label>
+        <select
+          id="role-parent"
+          value={parentRole}
+          onChange={(e) => setParentRole(e.target.value)}
+          className="form-input mb-1"
+        >
+          <option value="">No parent role</option>
+          {parentOptions.map(r => (
+            <option key={r.id} value={r.name}>{getRoleDisplayName(r.name, roles)}</option>
+          ))}
+        </select>
+        <p className="text-xs text-gray-500 mb-4">
+          {parentChanged
+            ? 'Inherited permissions below will update after saving.'
+            : 'Inherited permissions are granted by the parent role and can only be changed there.'}
+        </p>
+
+        <label className="flex items-center gap-2 text-sm text-gray-700 mb-4 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={requiresTwoFactor}
+            onChange={(e) => setRequiresTwoFactor(e.target.checked)}
+          />
+          Require two-factor authentication for users with this role or a role inheriting from it
+        </label>
+        
         {loading ? (
           <div className="text-center py-4">Loading permissions...</div>
         ) : (
           <div className="space-y-4">
             {Object.entries(groupedPermissions).map(([category, categoryPermissions]) => (
               <div key={category} className="border border-gray-200 rounded-lg p-4">
-                <h4 className="font-medium text-gray-900 mb-3 capitalize">{category} Management</h4>
+                <h4 className="font-medium text-gray-900 mb-3">{category}</h4>
                 <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
-                  {categoryPermissions.map(permission => (
-                    <label key={permission.id} className="flex items-center">
-                      <input
-                        type="checkbox"
-                        checked={selectedPermissions.includes(permission.permission)}
-                        onChange={() => handlePermissionToggle(permission.permission)}
-                        className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
-                      />
-                      <span className="ml-2 text-sm text-gray-700">
-                        {permission.description || permission.permission}
-                      </span>
-                    </label>
-                  ))}
+                  {categoryPermissions.map(permission => {
+                    const inherited = !parentChanged && inheritedFrom[permission.permission];
+                    const inheritedDeny = inherited && inherited.effect === 'deny';
+                    const denied = inheritedDeny || deniedPermissions.includes(permission.permission);
+                    return (
+                      <div key={permission.id} className="flex items-center justify-between">
+                        <label className="flex items-center">
+                          <input
+                            type="checkbox"
+                            checked={!denied && (!!inherited || selectedPermissions.includes(permission.permission))}
+                            disabled={!!inherited || denied}
+                            onChange={() => handlePermissionToggle(permission.permission)}
+                            className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                          />
+                          <span className={`ml-2 text-sm ${denied ? 'text-red-700 line-through' : inherited ? 'text-gray-500' : 'text-gray-700'}`}>
+                            {permission.description || permission.permission}
+                          </span>
+                          {inherited && (
+                            <span className={`ml-1 text-xs ${inheritedDeny ? 'text-red-500' : 'text-gray-400'}`}>
+                              ({inheritedDeny ? 'denied by' : 'inherited from'} {getRoleDisplayName(inherited.role, roles)})
+                            </span>
+                          )}
+                        </label>
+                        <label className="flex items-center text-xs text-red-600 ml-2" title="A deny wins over grants from any other role">
+                          <input
+                            type="checkbox"
+                            checked={denied}
+                            disabled={inheritedDeny}
+                            onChange={() => handleDenyToggle(permission.permission)}
+                            className="rounded border-gray-300 text-red-600 focus:ring-red-500"
+                          />
+                          <span className="ml-1">Deny</span>
+                        </label>
+                      </div>
+                    );
+                  })}
                 </div>
               </div>
             ))}
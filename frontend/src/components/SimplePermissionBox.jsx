@@ -9,6 +9,7 @@ function SimplePermissionBox() {
   const { 
     getPermissions,
     getMissingPermissions,
+    getDeniedPermissions,
     getPermissionDisplayName,
     loading, 
     error 
@@ -16,7 +17,18 @@ function SimplePermissionBox() {
 
   // Get permissions data using new User system
   const userPermissions = getPermissions();
-  const missingPermissions = getMissingPermissions();
+  const deniedPermissions = getDeniedPermissions();
+  // Denied permissions get their own section, so leave them out of the restricted list
+  const deniedNames = deniedPermissions.filter(d => d.company_id === null).map(d => d.permission);
+  const missingPermissions = getMissingPermissions().filter(p => !deniedNames.includes(p));
+  
+  // Explain which role or per-user override denies a permission
+  const getDenialReason = (denial) => {
+    const by = denial.source === 'user' ? 'by a personal override' : `by role ${denial.role}`;
+    const inherited = denial.inherited_from ? ` (from ${denial.inherited_from})` : '';
+    const scope = denial.company_id !== null ? ' for one company' : '';
+    return `Denied ${by}${inherited}${scope}`;
+  };
   
   // Create missing permissions by category for compatibility
   const getMissingPermissionsByCategory = () => {
@@ -67,7 +79,8 @@ function SimplePermissionBox() {
 
   // Use the new User system to get missing permissions by category
   const missingByCategory = getMissingPermissionsByCategory();
-  const hasAnyMissingPermissions = Object.values(missingByCategory).some(perms => perms.length > 0);
+  const hasRestrictedPermissions = Object.values(missingByCategory).some(perms => perms.length > 0);
+  const hasAnyMissingPermissions = deniedPermissions.length > 0 || hasRestrictedPermissions;
   
   // Determine icon and color based on permission status
   const getStatusInfo = () => {
@@ -93,7 +106,7 @@ function SimplePermissionBox() {
         bgColor: 'bg-amber-100',
         borderColor: 'border-amber-300',
         title: 'Limited Access',
-        description: 'Some features are restricted'
+        description: deniedPermissions.length > 0 ? 'Some features are denied or restricted' : 'Some features are restricted'
       };
     }
   };
@@ -152,35 +165,54 @@ function SimplePermissionBox() {
                   </p>
                 </div>
                 
-                <div>
-                  <h4 className="font-medium text-xs text-gray-700 mb-3">Restricted Features:</h4>
-                  <div className="space-y-3">
-                    {Object.entries(missingByCategory).map(([category, permissions]) => {
-                      if (permissions.length === 0) return null;
-                      
-                      return (
-                        <div key={category} className="bg-gray-50 rounded-md p-3">
-                          <h5 className="font-medium text-xs text-gray-700 mb-2">
-                            {getCategoryDisplayName(category)}
-                          </h5>
-                          <div className="space-y-1">
-                            {permissions.slice(0, 3).map((permission) => (
-                              <div key={permission} className="flex items-center text-xs text-gray-600">
-                                <span className="w-1 h-1 bg-gray-400 rounded-full mr-2 flex-shrink-0"></span>
-                                <span>{getPermissionDisplayName(permission)}</span>
-                              </div>
-                            ))}
-                            {permissions.length > 3 && (
-                              <div className="text-xs text-gray-500 pl-3">
-                                +{permissions.length - 3} more...
-                              </div>
-                            )}
+                {deniedPermissions.length > 0 && (
+                  <div>
+                    <h4 className="font-medium text-xs text-red-700 mb-3">Denied Features:</h4>
+                    <div className="bg-red-50 border border-red-200 rounded-md p-3 space-y-2">
+                      {deniedPermissions.map((denial) => (
+                        <div key={`${denial.permission}-${denial.company_id ?? 'all'}`} className="text-xs">
+                          <div className="flex items-center text-red-800">
+                            <span className="text-red-600 font-bold mr-2 flex-shrink-0">✕</span>
+                            <span>{getPermissionDisplayName(denial.permission)}</span>
                           </div>
+                          <div className="pl-4 text-red-600">{getDenialReason(denial)}</div>
                         </div>
-                      );
-                    })}
+                      ))}
+                    </div>
                   </div>
-                </div>
+                )}
+                
+                {hasRestrictedPermissions && (
+                  <div>
+                    <h4 className="font-medium text-xs text-gray-700 mb-3">Restricted Features:</h4>
+                    <div className="space-y-3">
+                      {Object.entries(missingByCategory).map(([category, permissions]) => {
+                        if (permissions.length === 0) return null;
+                        
+                        return (
+                          <div key={category} className="bg-gray-50 rounded-md p-3">
+                            <h5 className="font-medium text-xs text-gray-700 mb-2">
+                              {getCategoryDisplayName(category)}
+                            </h5>
+                            <div className="space-y-1">
+                              {permissions.slice(0, 3).map((permission) => (
+                                <div key={permission} className="flex items-center text-xs text-gray-600">
+                                  <span className="w-1 h-1 bg-gray-400 rounded-full mr-2 flex-shrink-0"></span>
+                                  <span>{getPermissionDisplayName(permission)}</span>
+                                </div>
+                              ))}
+                              {permissions.length > 3 && (
+                                <div className="text-xs text-gray-500 pl-3">
+                                  +{permissions.length - 3} more...
+                                </div>
+                              )}
+                            </div>
+                          </div>
+                        );
+                      })}
+                    </div>
+                  </div>
+                )}
               </div>
             )}
           </div>
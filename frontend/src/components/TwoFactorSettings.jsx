@@ -0,0 +1,182 @@
+// frontend/src/components/TwoFactorSettings.jsx
+// Two-factor authentication settings for the signed-in user - set up TOTP, replace recovery codes, turn it off
+
+import { useState } from 'react';
+import { useApi } from '../hooks/useApi';
+import { useDataFetching } from '../hooks/useDataFetching';
+import LoadingSpinner from './ui/LoadingSpinner';
+import ErrorAlert from './ui/ErrorAlert';
+import SuccessAlert from './ui/SuccessAlert';
+import { formatDateTime } from '../utils/formatters';
+
+// QR code and manual secret for adding the account to an authenticator app
+export function TotpSetupInstructions({ setupInfo }) {
+  return (
+    <div className="flex flex-col items-center gap-3">
+      <p className="text-sm text-gray-700 text-center">
+        Scan this QR code with an authenticator app, then enter the 6-digit code it shows.
+      </p>
+      <img src={setupInfo.qr_code} alt="Authenticator app QR code" className="w-48 h-48 border border-gray-300" />
+      <p className="text-xs text-gray-500 text-center">
+        Can't scan it? Enter this key instead:
+        <span className="block font-mono text-sm text-gray-800 break-all mt-1">{setupInfo.secret}</span>
+      </p>
+    </div>
+  );
+}
+
+// One-time recovery codes; the server keeps only hashes, so they are shown once
+export function RecoveryCodeList({ codes }) {
+  return (
+    <div>
+      <p className="text-sm text-gray-700 mb-2">
+        Save these recovery codes somewhere safe. Each one can be used once to log in if you lose your authenticator app.
+        They will not be shown again.
+      </p>
+      <ul className="grid grid-cols-2 gap-2 bg-gray-50 border border-gray-300 p-4 font-mono text-sm">
+        {codes.map(code => <li key={code}>{code}</li>)}
+      </ul>
+    </div>
+  );
+}
+
+function TwoFactorSettings({ token }) {
+  const [setupInfo, setSetupInfo] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const { data: status, loading, error: fetchError, refetch } = useDataFetching('/2fa', token);
+  const { post, error: apiError, setError: setApiError } = useApi(token);
+
+  const error = apiError || fetchError;
+
+  // Run a request that needs the current code, then clear the code field
+  const submitWithCode = async (request) => {
+    setApiError('');
+    setSuccess('');
+    try {
+      await request();
+      setCode('');
+      refetch();
+    } catch {
+      // Error is already set by useApi hook
+    }
+  };
+
+  const handleStartSetup = async () => {
+    setApiError('');
+    setSuccess('');
+    setRecoveryCodes(null);
+    try {
+      setSetupInfo(await post('/2fa/setup'));
+    } catch {
+      // Error is already set by useApi hook
+    }
+  };
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    submitWithCode(async () => {
+      const result = await post('/2fa/enable', { code });
+      setSetupInfo(null);
+      setRecoveryCodes(result.recovery_codes);
+      setSuccess('Two-factor authentication enabled');
+    });
+  };
+
+  const handleRegenerateCodes = () => submitWithCode(async () => {
+    const result = await post('/2fa/recovery-codes', { code });
+    setRecoveryCodes(result.recovery_codes);
+    setSuccess('New recovery codes generated; the old ones no longer work');
+  });
+
+  const handleDisable = () => {
+    if (!window.confirm('Turn off two-factor authentication for your account?')) return;
+    submitWithCode(async () => {
+      await post('/2fa/disable', { code });
+      setRecoveryCodes(null);
+      setSuccess('Two-factor authentication disabled');
+    });
+  };
+
+  const codeInput = (
+    <input
+      type="text"
+      inputMode="numeric"
+      autoComplete="one-time-code"
+      value={code}
+      onChange={(e) => setCode(e.target.value)}
+      placeholder="6-digit code"
+      maxLength="6"
+      className="form-input max-w-[10rem]"
+    />
+  );
+
+  return (
+    <div className="bg-white p-6 shadow-sm border border-gray-300">
+      <h3 className="text-2xl font-bold text-gray-900 border-b-2 border-gray-800 pb-2 mb-6">Account Security</h3>
+
+      <ErrorAlert error={error} onClose={() => setApiError('')} />
+      <SuccessAlert message={success} onClose={() => setSuccess('')} />
+
+      {loading ? (
+        <LoadingSpinner message="Loading two-factor settings..." />
+      ) : (
+        <div className="max-w-xl space-y-6">
+          <div>
+            <h4 className="text-lg font-semibold text-gray-900 mb-1">Two-Factor Authentication</h4>
+            <p className="text-sm text-gray-600">
+              {status.enabled
+                ? `Enabled since ${formatDateTime(status.enabled_at)}. ${status.recovery_codes_remaining} recovery code(s) left.`
+                : 'Not enabled. Logging in only needs your password.'}
+            </p>
+            {status.required && (
+              <p className="text-xs text-amber-700 mt-1">Required by one of your roles.</p>
+            )}
+          </div>
+
+          {recoveryCodes && <RecoveryCodeList codes={recoveryCodes} />}
+
+          {!status.enabled && !setupInfo && (
+            <button onClick={handleStartSetup} className="btn-primary text-sm px-3 py-1.5">
+              Set Up Two-Factor Authentication
+            </button>
+          )}
+
+          {!status.enabled && setupInfo && (
+            <form onSubmit={handleEnable} className="space-y-4">
+              <TotpSetupInstructions setupInfo={setupInfo} />
+              <div className="flex gap-2 justify-center">
+                {codeInput}
+                <button type="submit" disabled={!code} className="btn-primary text-sm px-3 py-1.5">Enable</button>
+                <button type="button" onClick={() => setSetupInfo(null)} className="btn-secondary text-sm px-3 py-1.5">
+                  Cancel
+                </button>
+              </div>
+            </form>
+          )}
+
+          {status.enabled && (
+            <div>
+              <p className="text-sm text-gray-700 mb-2">Enter a current code from your authenticator app to:</p>
+              <div className="flex gap-2 flex-wrap">
+                {codeInput}
+                <button onClick={handleRegenerateCodes} disabled={!code} className="btn-secondary text-sm px-3 py-1.5">
+                  New Recovery Codes
+                </button>
+                {!status.required && (
+                  <button onClick={handleDisable} disabled={!code} className="btn-danger text-sm px-3 py-1.5">
+                    Turn Off
+                  </button>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TwoFactorSettings;
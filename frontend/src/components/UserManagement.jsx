@@ -1,6 +1,6 @@
 // frontend/src/components/UserManagement.jsx
 
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { useMultipleDataFetching } from '../hooks/useDataFetching';
 import { useApi } from '../hooks/useApi';
 import { useUserPermissions, getRoleDisplayName } from '../hooks/useUser.jsx';
@@ -13,14 +13,21 @@ import Permission, {
 import LoadingSpinner from './ui/LoadingSpinner';
 import ErrorAlert from './ui/ErrorAlert';
 import SuccessAlert from './ui/SuccessAlert';
+import { formatDateTime, formatTimeRemaining } from '../utils/formatters';
+import { PERMISSIONS } from '../utils/permissions';
+
+// Default length of a temporary permission grant, e.g. two weeks of holiday cover
+const DEFAULT_GRANT_DAYS = 14;
 
 function UserManagement({ token }) {
   const [success, setSuccess] = useState('');
   const [editingId, setEditingId] = useState(null);
   const [changingPasswordId, setChangingPasswordId] = useState(null);
   const [passwordInputs, setPasswordInputs] = useState({});
+  const [grantingId, setGrantingId] = useState(null);
   const [newUser, setNewUser] = useState({ 
     username: '', 
+    email: '', 
     password: '', 
     user_type: 'client',
     company_id: ''
@@ -31,14 +38,17 @@ function UserManagement({ token }) {
 
   // Fetch all required data in parallel
   const { 
-    data: { users = [], companies = [], roles = [] }, 
+    data: { users = [], companies = [], roles = [], permissions = [] }, 
     loading, 
     error: fetchError, 
     refetch 
-  } = useMultipleDataFetching(['/users', '/companies', '/roles'], token);
+  } = useMultipleDataFetching(['/users', '/companies', '/roles', '/permissions'], token);
 
   const error = apiError || fetchError;
 
+  const getPermissionLabel = (permissionName) =>
+    permissions.find(p => p.permission === permissionName)?.description || permissionName.replace(/_/g, ' ');
+
   const handleNewUserChange = (e) => {
     setNewUser({ ...newUser, [e.target.name]: e.target.value });
     if (error) setApiError('');
@@ -57,6 +67,7 @@ function UserManagement({ token }) {
       await post('/users', userData);
       setNewUser({ 
         username: '', 
+        email: '', 
         password: '', 
         user_type: 'client',
         company_id: ''
@@ -104,6 +115,46 @@ function UserManagement({ token }) {
     }
   };
 
+  const handleSignOutUser = async (user) => {
+    if (!window.confirm(`Sign ${user.username} out of all sessions?`)) return;
+    setApiError('');
+    setSuccess('');
+
+    try {
+      const result = await del(`/users/${user.id}/sessions`);
+      setSuccess(`${user.username} signed out of ${result.sessions_revoked} session(s)`);
+    } catch {
+      // Error is already set by useApi hook
+    }
+  };
+
+  const handleUnlockUser = async (user) => {
+    setApiError('');
+    setSuccess('');
+
+    try {
+      await post(`/users/${user.id}/unlock`);
+      setSuccess(`${user.username} unlocked`);
+      refetch();
+    } catch {
+      // Error is already set by useApi hook
+    }
+  };
+
+  const handleResetTwoFactor = async (user) => {
+    if (!window.confirm(`Reset two-factor authentication for ${user.username}? They will be signed out and need to set it up again.`)) return;
+    setApiError('');
+    setSuccess('');
+
+    try {
+      await del(`/users/${user.id}/2fa`);
+      setSuccess(`Two-factor authentication reset for ${user.username}`);
+      refetch();
+    } catch {
+      // Error is already set by useApi hook
+    }
+  };
+
   const handleChangePassword = (userId) => {
     setChangingPasswordId(userId);
     setPasswordInputs(prev => ({ ...prev, [userId]: '' }));
@@ -139,6 +190,36 @@ function UserManagement({ token }) {
     }
   };
 
+  const handleGrantTemporaryPermission = async (userId, permission, days) => {
+    setApiError('');
+    setSuccess('');
+    
+    try {
+      const expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+      await put(`/rbac/users/${userId}/permissions/${permission}`, { effect: 'allow', expires_at: expiresAt });
+      setGrantingId(null);
+      setSuccess(`${getPermissionLabel(permission)} granted for ${days} day(s)`);
+      refetch();
+    } catch {
+      // Error is already set by useApi hook
+    }
+  };
+
+  const handleRevokeTemporaryPermission = async (userId, grant) => {
+    if (!window.confirm(`Remove the temporary ${getPermissionLabel(grant.permission)} permission?`)) return;
+    setApiError('');
+    setSuccess('');
+    
+    try {
+      const query = grant.company_id ? `?company_id=${grant.company_id}` : '';
+      await del(`/rbac/users/${userId}/permissions/${grant.permission}${query}`);
+      setSuccess('Temporary permission removed');
+      refetch();
+    } catch {
+      // Error is already set by useApi hook
+    }
+  };
+
   const handleCancelPasswordChange = () => {
     const userId = changingPasswordId;
     setChangingPasswordId(null);
@@ -154,6 +235,7 @@ function UserManagement({ token }) {
   const UserRow = ({ user }) => {
     const [editData, setEditData] = useState({
       username: user.username,
+      email: user.email || '',
       user_type: user.user_type || 'client',
       company_id: user.company_id || ''
     });
@@ -175,6 +257,14 @@ function UserManagement({ token }) {
               required
               className="form-input"
             />
+            <input
+              type="email"
+              name="email"
+              value={editData.email}
+              onChange={handleEditChange}
+              placeholder="Email (for password resets)"
+              className="form-input mt-1"
+            />
           </td>
           <td className="table-cell">
             <select name="user_type" value={editData.user_type} onChange={handleEditChange} className="form-input cursor-pointer">
@@ -191,7 +281,7 @@ function UserManagement({ token }) {
                     key={index}
                     className="inline-flex px-2 py-1 text-xs font-medium rounded-md bg-purple-100 text-purple-800"
                   >
-                    {can('view_roles') 
+                    {can(PERMISSIONS.VIEW_ROLES) 
                       ? getRoleDisplayName(role, roles)
                       : role.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase())
                     }
@@ -200,7 +290,7 @@ function UserManagement({ token }) {
               ) : (
                 <span className="text-xs text-gray-500">No roles assigned</span>
               )}
-              <PermissionGuard permission="manage_roles">
+              <PermissionGuard permission={PERMISSIONS.MANAGE_ROLES}>
                 <div className="text-xs text-gray-400 mt-1">
                   (Use Role Management to modify)
                 </div>
@@ -217,11 +307,14 @@ function UserManagement({ token }) {
               ))}
             </select>
           </td>
+          <td className="table-cell">
+            <LoginActivity user={user} />
+          </td>
           <td className="table-cell">
             <div className="flex gap-2 flex-wrap">
               <Permission
                 as="button"
-                permission="edit_user"
+                permission={PERMISSIONS.EDIT_USER}
                 variant="success"
                 size="sm"
                 onClick={() => handleSaveEdit(user.id, editData)}
@@ -244,7 +337,10 @@ function UserManagement({ token }) {
     return (
       <tr key={user.id} className="hover:bg-gray-50">
         <td className="table-cell">{user.id}</td>
-        <td className="table-cell">{user.username}</td>
+        <td className="table-cell">
+          {user.username}
+          {user.email && <div className="text-xs text-gray-500">{user.email}</div>}
+        </td>
         <td className="table-cell">
           <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
             user.user_type === 'employee' ? 'bg-blue-100 text-blue-800' :
@@ -263,7 +359,7 @@ function UserManagement({ token }) {
                   key={index}
                   className="inline-flex px-2 py-1 text-xs font-medium rounded-md bg-purple-100 text-purple-800"
                 >
-                  {can('view_roles') 
+                  {can(PERMISSIONS.VIEW_ROLES) 
                     ? (roles.find(r => r.name === role)?.description || role.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase()))
                     : role.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase())
                   }
@@ -273,14 +369,22 @@ function UserManagement({ token }) {
               <span className="text-xs text-gray-500">No roles assigned</span>
             )}
           </div>
+          <TemporaryPermissions
+            grants={user.temporary_permissions}
+            getPermissionLabel={getPermissionLabel}
+            onRevoke={(grant) => handleRevokeTemporaryPermission(user.id, grant)}
+          />
         </td>
         <td className="table-cell">{user.company_name || 'No Company'}</td>
+        <td className="table-cell">
+          <LoginActivity user={user} />
+        </td>
         <td className="table-cell">
           <div className="flex gap-2 flex-wrap">
             <UserEditButton onClick={() => handleEditUser(user)} />
             <Permission
               as="button"
-              permission="edit_user"
+              permission={PERMISSIONS.EDIT_USER}
               variant="secondary"
               size="sm"
               onClick={() => handleChangePassword(user.id)}
@@ -288,6 +392,49 @@ function UserManagement({ token }) {
             >
               Password
             </Permission>
+            <Permission
+              as="button"
+              permission={PERMISSIONS.EDIT_USER}
+              variant="secondary"
+              size="sm"
+              onClick={() => handleSignOutUser(user)}
+              disabledText="Cannot sign out users"
+            >
+              Sign Out Everywhere
+            </Permission>
+            {isLocked(user) && (
+              <Permission
+                as="button"
+                permission={PERMISSIONS.EDIT_USER}
+                variant="primary"
+                size="sm"
+                onClick={() => handleUnlockUser(user)}
+                disabledText="Cannot unlock users"
+              >
+                Unlock
+              </Permission>
+            )}
+            {user.two_factor_enabled_at && (
+              <Permission
+                as="button"
+                permission={PERMISSIONS.MANAGE_ROLES}
+                variant="secondary"
+                size="sm"
+                onClick={() => handleResetTwoFactor(user)}
+                disabledText="Cannot reset two-factor authentication"
+              >
+                Reset 2FA
+              </Permission>
+            )}
+            <PermissionGuard permission={PERMISSIONS.MANAGE_ROLES}>
+              <button
+                className="btn-secondary text-sm px-3 py-1.5"
+                onClick={() => setGrantingId(grantingId === user.id ? null : user.id)}
+                title="Grant a permission for a limited time"
+              >
+                Temporary Access
+              </button>
+            </PermissionGuard>
             <UserDeleteButton onClick={() => handleDeleteUser(user.id)} />
           </div>
         </td>
@@ -298,7 +445,7 @@ function UserManagement({ token }) {
   // Password change row component
   const PasswordChangeRow = ({ userId }) => (
     <tr key={`password-${userId}`} className="bg-yellow-50">
-      <td colSpan="4" className="table-cell">
+      <td colSpan="5" className="table-cell">
         <div className="flex items-center gap-4">
           <label htmlFor={`new-password-${userId}`} className="text-sm font-medium text-gray-700">
             New Password:
@@ -320,7 +467,7 @@ function UserManagement({ token }) {
         <div className="flex gap-2">
           <Permission
             as="button"
-            permission="edit_user"
+            permission={PERMISSIONS.EDIT_USER}
             variant="success"
             size="sm"
             onClick={() => handleSavePassword(userId)}
@@ -345,7 +492,7 @@ function UserManagement({ token }) {
         User Management
       </h3>
       
-      <PermissionGuard permission="create_user">
+      <PermissionGuard permission={PERMISSIONS.CREATE_USER}>
         <form onSubmit={handleAddUser} className="bg-gray-50 p-6 mb-8 border border-gray-300">
           <h4 className="text-lg font-semibold text-gray-900 mb-4">Add New User</h4>
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-4 mb-4">
@@ -361,6 +508,17 @@ function UserManagement({ token }) {
                 className="form-input"
               />
             </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Email</label>
+              <input
+                type="email"
+                name="email"
+                value={newUser.email}
+                onChange={handleNewUserChange}
+                placeholder="For password resets"
+                className="form-input"
+              />
+            </div>
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">Password *</label>
               <input
@@ -412,6 +570,7 @@ function UserManagement({ token }) {
                 <th className="table-header">User Type</th>
                 <th className="table-header">Roles</th>
                 <th className="table-header">Company</th>
+                <th className="table-header">Sign-in</th>
                 <th className="table-header">Actions</th>
               </tr>
             </thead>
@@ -422,6 +581,15 @@ function UserManagement({ token }) {
                   {changingPasswordId === user.id && (
                     <PasswordChangeRow key={`password-${user.id}`} userId={user.id} />
                   )}
+                  {grantingId === user.id && (
+                    <TemporaryGrantRow
+                      key={`grant-${user.id}`}
+                      userId={user.id}
+                      permissions={permissions}
+                      onGrant={handleGrantTemporaryPermission}
+                      onCancel={() => setGrantingId(null)}
+                    />
+                  )}
                 </React.Fragment>
               ))}
             </tbody>
@@ -432,5 +600,143 @@ function UserManagement({ token }) {
   );
 }
 
+// Whether brute-force protection currently locks the user out
+function isLocked(user) {
+  return Boolean(user.locked_until) && new Date(user.locked_until).getTime() > Date.now();
+}
+
+// Last successful login plus failed attempts since, so admins can spot accounts under attack
+function LoginActivity({ user }) {
+  return (
+    <div className="text-xs space-y-1">
+      <div className="text-gray-600">
+        {user.last_login_at ? `Last login ${formatDateTime(user.last_login_at)}` : 'Never logged in'}
+      </div>
+      {user.two_factor_enabled_at && (
+        <span
+          className="inline-flex px-2 py-1 font-medium rounded-md bg-green-100 text-green-800 mr-1"
+          title={`Since ${formatDateTime(user.two_factor_enabled_at)}`}
+        >
+          2FA
+        </span>
+      )}
+      {user.failed_attempts > 0 && (
+        <span
+          className="inline-flex px-2 py-1 font-medium rounded-md bg-amber-100 text-amber-800"
+          title={user.last_failed_login_at ? `Last failed ${formatDateTime(user.last_failed_login_at)}` : ''}
+        >
+          {user.failed_attempts} failed attempt{user.failed_attempts === 1 ? '' : 's'}
+        </span>
+      )}
+      {isLocked(user) && (
+        <span className="inline-flex px-2 py-1 font-medium rounded-md bg-red-100 text-red-800 ml-1">
+          Locked until {formatDateTime(user.locked_until)}
+        </span>
+      )}
+    </div>
+  );
+}
+
+// Active temporary grants (and denies) with the time left on each
+// Keeps its own clock so the countdown ticks without re-rendering the whole user table
+function TemporaryPermissions({ grants = [], getPermissionLabel, onRevoke }) {
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 30000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Grants drop out of the list once they expire
+  const active = grants.filter(grant => new Date(grant.expires_at).getTime() > now);
+  if (active.length === 0) return null;
+
+  return (
+    <div className="flex flex-wrap gap-1 mt-1">
+      {active.map(grant => (
+        <span
+          key={`${grant.permission}-${grant.company_id ?? 'all'}`}
+          className={`inline-flex items-center px-2 py-1 text-xs font-medium rounded-md ${
+            grant.effect === 'deny' ? 'bg-red-100 text-red-800' : 'bg-amber-100 text-amber-800'
+          }`}
+          title={`Until ${formatDateTime(grant.expires_at)}${grant.granted_by_username ? `, set by ${grant.granted_by_username}` : ''}`}
+        >
+          {grant.effect === 'deny' ? 'Denied: ' : ''}{getPermissionLabel(grant.permission)}
+          {grant.company_name && <span className="ml-1">· {grant.company_name}</span>}
+          <span className="ml-1 opacity-75">⏱ {formatTimeRemaining(grant.expires_at, now)}</span>
+          <PermissionGuard permission={PERMISSIONS.MANAGE_ROLES}>
+            <button
+              onClick={() => onRevoke(grant)}
+              className="ml-1 hover:text-red-600"
+              title="Remove temporary permission"
+            >
+              ×
+            </button>
+          </PermissionGuard>
+        </span>
+      ))}
+    </div>
+  );
+}
+
+// Temporary permission grant row component
+function TemporaryGrantRow({ userId, permissions, onGrant, onCancel }) {
+  const [permission, setPermission] = useState('');
+  const [days, setDays] = useState(DEFAULT_GRANT_DAYS);
+
+  return (
+    <tr className="bg-amber-50">
+      <td colSpan="5" className="table-cell">
+        <div className="flex items-center gap-4 flex-wrap">
+          <label htmlFor={`grant-permission-${userId}`} className="text-sm font-medium text-gray-700">
+            Grant permission:
+          </label>
+          <select
+            id={`grant-permission-${userId}`}
+            value={permission}
+            onChange={(e) => setPermission(e.target.value)}
+            className="form-input max-w-xs cursor-pointer"
+          >
+            <option value="">Select a permission</option>
+            {permissions.map(p => (
+              <option key={p.id} value={p.permission}>{p.description || p.permission}</option>
+            ))}
+          </select>
+          <label htmlFor={`grant-days-${userId}`} className="text-sm font-medium text-gray-700">
+            for
+          </label>
+          <input
+            type="number"
+            id={`grant-days-${userId}`}
+            min="1"
+            max="365"
+            value={days}
+            onChange={(e) => setDays(e.target.value)}
+            className="form-input w-20"
+          />
+          <span className="text-sm text-gray-700">day(s)</span>
+        </div>
+      </td>
+      <td className="table-cell">
+        <div className="flex gap-2">
+          <button
+            className="btn-success text-sm px-3 py-1.5"
+            disabled={!permission || !(Number(days) > 0)}
+            onClick={() => onGrant(userId, permission, Number(days))}
+          >
+            Grant
+          </button>
+          <button
+            className="btn-secondary text-sm px-3 py-1.5"
+            onClick={onCancel}
+          >
+            Cancel
+          </button>
+        </div>
+      </td>
+    </tr>
+  );
+}
+
 export default UserManagement;
 
@@ -0,0 +1,165 @@
+// frontend/src/components/contractor/SiteChecklist.jsx
+// Sites a contractor must post at for one campaign, with per-site posting status
+
+import React, { useState } from 'react';
+import { useApi } from '../../hooks/useApi';
+import ErrorAlert from '../ui/ErrorAlert';
+import { getSiteTypeDisplay, getPlacementStatusDisplay } from '../../utils/formatters';
+
+/**
+ * Single site with status badge and contractor actions
+ * @param {Object} props
+ * @param {Object} props.location - Campaign placement with location details
+ * @param {boolean} props.canReport - Whether the contractor may report status for this site
+ * @param {Function} props.onReport - Called with (location, status, reason); resolves to true on success
+ */
+function SiteItem({ location, canReport, onReport }) {
+  const [reportingProblem, setReportingProblem] = useState(false);
+  const [reason, setReason] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const submit = async (status) => {
+    setSubmitting(true);
+    const reported = await onReport(location, status, status === 'failed' ? reason.trim() : undefined);
+    setSubmitting(false);
+    if (reported) {
+      setReportingProblem(false);
+      setReason('');
+    }
+  };
+
+  return (
+    <li className="border-l-2 border-blue-300 pl-2">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="font-medium">{location.name}</span> - {location.quantity} × {location.size_format || 'poster'}
+        <span className={`status-badge status-${location.status}`}>
+          {getPlacementStatusDisplay(location.status)}
+        </span>
+      </div>
+      <div className="text-xs text-gray-600">
+        {location.address} ({getSiteTypeDisplay(location.site_type)})
+        {location.latitude !== null && location.longitude !== null && (
+          <>
+            {' '}
+            <a
+              href={`https://www.google.com/maps?q=${location.latitude},${location.longitude}`}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="text-blue-600 hover:underline"
+            >
+              Map
+            </a>
+          </>
+        )}
+      </div>
+      {location.owner_notes && (
+        <div className="text-xs text-gray-500 italic">{location.owner_notes}</div>
+      )}
+      {location.status_reason && (
+        <div className="text-xs text-red-700 italic">"{location.status_reason}"</div>
+      )}
+
+      {canReport && location.status !== 'waived' && (
+        reportingProblem ? (
+          <div className="mt-1 space-y-1">
+            <textarea
+              className="form-input text-xs"
+              rows={2}
+              placeholder="What went wrong at this site?"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+            />
+            <div className="flex gap-1">
+              <button
+                className="btn-danger text-xs px-2 py-1"
+                onClick={() => submit('failed')}
+                disabled={submitting || !reason.trim()}
+              >
+                Report Problem
+              </button>
+              <button
+                className="btn-secondary text-xs px-2 py-1"
+                onClick={() => { setReportingProblem(false); setReason(''); }}
+                disabled={submitting}
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        ) : (
+          <div className="mt-1 flex gap-1">
+            {location.status !== 'posted' && (
+              <button
+                className="btn-success text-xs px-2 py-1"
+                onClick={() => submit('posted')}
+                disabled={submitting}
+              >
+                Mark Posted
+              </button>
+            )}
+            {location.status !== 'failed' && (
+              <button
+                className="btn-danger text-xs px-2 py-1"
+                onClick={() => setReportingProblem(true)}
+                disabled={submitting}
+              >
+                Report Problem
+              </button>
+            )}
+          </div>
+        )
+      )}
+    </li>
+  );
+}
+
+/**
+ * @param {Object} props
+ * @param {Object} props.campaign - Contractor campaign including its locations
+ * @param {string} props.token - Authentication token
+ * @param {Function} props.onUpdated - Called after a site status changed
+ */
+function SiteChecklist({ campaign, token, onUpdated }) {
+  const { put, error, setError } = useApi(token);
+  const locations = campaign.locations || [];
+  // Progress can only be reported once the campaign has been started
+  const canReport = campaign.status === 'in_progress';
+
+  const handleReport = async (location, status, reason) => {
+    try {
+      await put(`/campaigns/${campaign.id}/locations/${location.id}/status`, { status, reason });
+      onUpdated();
+      return true;
+    } catch {
+      // Error is already set by useApi hook
+      return false;
+    }
+  };
+
+  const doneCount = locations.filter(location => location.status === 'posted' || location.status === 'waived').length;
+
+  return (
+    <div className="mb-3">
+      <div className="font-medium text-gray-700 text-sm mb-1">
+        Sites to post at{locations.length > 0 && ` (${doneCount} of ${locations.length} done)`}:
+      </div>
+      <ErrorAlert error={error} onClose={() => setError('')} />
+      {locations.length > 0 ? (
+        <ul className="text-sm text-gray-700 space-y-2">
+          {locations.map(location => (
+            <SiteItem
+              key={location.id}
+              location={location}
+              canReport={canReport}
+              onReport={handleReport}
+            />
+          ))}
+        </ul>
+      ) : (
+        <div className="text-sm text-gray-500 italic">No sites listed yet - ask the campaign manager.</div>
+      )}
+    </div>
+  );
+}
+
+export default SiteChecklist;
@@ -20,7 +20,8 @@ function CampaignForm({
     description: '',
     start_date: '',
     end_date: '',
-    company_id: ''
+    company_id: '',
+    required_images: 1
   });
 
   const { post, error, setError } = useApi(token);
@@ -55,7 +56,8 @@ function CampaignForm({
         description: '',
         start_date: '',
         end_date: '',
-        company_id: ''
+        company_id: '',
+        required_images: 1
       });
       onSuccess('Campaign created successfully!');
       onCampaignCreated(data);
@@ -124,7 +126,7 @@ function CampaignForm({
         />
       </div>
 
-      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 mb-4">
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-4 mb-4">
         <div>
           <label htmlFor="start_date" className="form-label">Start Date</label>
           <input
@@ -150,6 +152,20 @@ function CampaignForm({
             disabled={submitting}
           />
         </div>
+
+        <div>
+          <label htmlFor="required_images" className="form-label">Approved Photos Needed</label>
+          <input
+            type="number"
+            id="required_images"
+            name="required_images"
+            min="0"
+            value={newCampaign.required_images}
+            onChange={handleInputChange}
+            className="form-input"
+            disabled={submitting}
+          />
+        </div>
       </div>
 
       <CampaignCreateButton 
@@ -0,0 +1,255 @@
+// frontend/src/components/employee/CampaignLocationsEditor.jsx
+// Placement list editor - which sites a campaign is posted at, how many posters per site and their posting status
+
+import React, { useState, useEffect } from 'react';
+import { useApi } from '../../hooks/useApi';
+import { useDataFetching } from '../../hooks/useDataFetching';
+import { useUserPermissions } from '../../hooks/useUser.jsx';
+import LoadingSpinner from '../ui/LoadingSpinner';
+import ErrorAlert from '../ui/ErrorAlert';
+import SuccessAlert from '../ui/SuccessAlert';
+import { getSiteTypeDisplay, getPlacementStatusDisplay } from '../../utils/formatters';
+import { PERMISSIONS } from '../../utils/permissions';
+
+/**
+ * @param {Object} props
+ * @param {number} props.campaignId - Campaign ID
+ * @param {string} props.token - Authentication token
+ */
+function CampaignLocationsEditor({ campaignId, token }) {
+  const [placements, setPlacements] = useState([]);
+  const [newPlacement, setNewPlacement] = useState({ location_id: '', quantity: 1 });
+  const [success, setSuccess] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const { can } = useUserPermissions();
+  const canEdit = can(PERMISSIONS.EDIT_CAMPAIGN);
+
+  const { put, error: apiError, setError: setApiError } = useApi(token);
+  const {
+    data: savedPlacements,
+    loading: placementsLoading,
+    error: placementsError
+  } = useDataFetching(`/campaigns/${campaignId}/locations`, token);
+  const { data: locations, loading: locationsLoading, error: locationsError } = useDataFetching('/locations', token);
+
+  const loading = placementsLoading || locationsLoading;
+  const error = apiError || placementsError || locationsError;
+
+  useEffect(() => {
+    setPlacements(savedPlacements);
+  }, [savedPlacements]);
+
+  const availableLocations = locations.filter(
+    location => !placements.some(placement => placement.location_id === location.id)
+  );
+
+  const handleQuantityChange = (locationId, quantity) => {
+    setPlacements(prev => prev.map(placement => (
+      placement.location_id === locationId ? { ...placement, quantity } : placement
+    )));
+    setSuccess('');
+  };
+
+  const handleRemove = (locationId) => {
+    setPlacements(prev => prev.filter(placement => placement.location_id !== locationId));
+    setSuccess('');
+  };
+
+  const handleAdd = () => {
+    const location = locations.find(l => l.id === Number(newPlacement.location_id));
+    if (!location) return;
+    // Unsaved placements have no id or status until the list is saved
+    const { id: locationId, ...details } = location;
+    setPlacements(prev => [...prev, {
+      ...details,
+      location_id: locationId,
+      quantity: newPlacement.quantity
+    }]);
+    setNewPlacement({ location_id: '', quantity: 1 });
+    setSuccess('');
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setApiError('');
+    setSuccess('');
+
+    try {
+      const saved = await put(`/campaigns/${campaignId}/locations`, {
+        locations: placements.map(placement => ({
+          location_id: placement.location_id,
+          quantity: Number(placement.quantity)
+        }))
+      });
+      setPlacements(saved);
+      setSuccess('Campaign sites saved');
+    } catch {
+      // Error is already set by useApi hook
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Waive a site (no posting needed) or reset it so the contractor reports it again
+  const handleStatusChange = async (placement, status) => {
+    let reason;
+    if (status === 'waived') {
+      reason = window.prompt(`Why is ${placement.name} waived?`);
+      if (reason === null) return;
+    }
+    setApiError('');
+    setSuccess('');
+
+    try {
+      const updated = await put(`/campaigns/${campaignId}/locations/${placement.id}/status`, { status, reason });
+      setPlacements(prev => prev.map(row => (row.id === updated.id ? updated : row)));
+    } catch {
+      // Error is already set by useApi hook
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner message="Loading sites..." size="sm" />;
+  }
+
+  return (
+    <div className="mt-4">
+      <h4 className="text-lg font-semibold mb-3 text-gray-700">Campaign Sites</h4>
+      <ErrorAlert error={error} onClose={() => setApiError('')} />
+      <SuccessAlert message={success} onClose={() => setSuccess('')} />
+
+      {placements.length === 0 ? (
+        <div className="text-gray-500 text-sm italic mb-3">No sites added to this campaign yet.</div>
+      ) : (
+        <table className="w-full border-collapse mb-3">
+          <thead>
+            <tr>
+              <th className="table-header">Site</th>
+              <th className="table-header">Type</th>
+              <th className="table-header">Posters</th>
+              <th className="table-header">Status</th>
+              {canEdit && <th className="table-header"></th>}
+            </tr>
+          </thead>
+          <tbody>
+            {placements.map((placement) => (
+              <tr key={placement.location_id}>
+                <td className="table-cell">
+                  <div className="font-medium">{placement.name}</div>
+                  <div className="text-xs text-gray-600">{placement.address}</div>
+                </td>
+                <td className="table-cell text-sm">
+                  {getSiteTypeDisplay(placement.site_type)}
+                  {placement.size_format && ` (${placement.size_format})`}
+                </td>
+                <td className="table-cell">
+                  {canEdit ? (
+                    <input
+                      type="number"
+                      min="1"
+                      value={placement.quantity}
+                      onChange={(e) => handleQuantityChange(placement.location_id, e.target.value)}
+                      className="form-input text-sm w-20"
+                    />
+                  ) : placement.quantity}
+                </td>
+                <td className="table-cell text-sm">
+                  {placement.status ? (
+                    <>
+                      <span className={`status-badge status-${placement.status}`}>
+                        {getPlacementStatusDisplay(placement.status)}
+                      </span>
+                      {placement.status_reason && (
+                        <div className="text-xs text-gray-600 italic mt-1">"{placement.status_reason}"</div>
+                      )}
+                      {placement.status_updated_by_username && (
+                        <div className="text-xs text-gray-500 mt-1">by {placement.status_updated_by_username}</div>
+                      )}
+                    </>
+                  ) : (
+                    <span className="text-xs text-gray-500 italic">Not saved yet</span>
+                  )}
+                </td>
+                {canEdit && (
+                  <td className="table-cell">
+                    <div className="flex flex-wrap gap-1">
+                      {placement.id && placement.status !== 'waived' && placement.status !== 'posted' && (
+                        <button
+                          className="btn-secondary text-xs px-2 py-1"
+                          onClick={() => handleStatusChange(placement, 'waived')}
+                        >
+                          Waive
+                        </button>
+                      )}
+                      {placement.id && placement.status && placement.status !== 'not_started' && (
+                        <button
+                          className="btn-secondary text-xs px-2 py-1"
+                          onClick={() => handleStatusChange(placement, 'not_started')}
+                        >
+                          Reset
+                        </button>
+                      )}
+                      <button
+                        className="btn-danger text-xs px-2 py-1"
+                        onClick={() => handleRemove(placement.location_id)}
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {canEdit && (
+        <div className="flex flex-wrap items-end gap-2">
+          <div>
+            <label className="form-label text-xs">Add site</label>
+            <select
+              value={newPlacement.location_id}
+              onChange={(e) => setNewPlacement({ ...newPlacement, location_id: e.target.value })}
+              className="form-input text-sm"
+            >
+              <option value="">Select a location</option>
+              {availableLocations.map(location => (
+                <option key={location.id} value={location.id}>
+                  {location.name} - {location.address}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="form-label text-xs">Posters</label>
+            <input
+              type="number"
+              min="1"
+              value={newPlacement.quantity}
+              onChange={(e) => setNewPlacement({ ...newPlacement, quantity: e.target.value })}
+              className="form-input text-sm w-20"
+            />
+          </div>
+          <button
+            className="btn-secondary text-sm px-3 py-1.5"
+            onClick={handleAdd}
+            disabled={!newPlacement.location_id}
+          >
+            Add
+          </button>
+          <button
+            className="btn-success text-sm px-3 py-1.5"
+            onClick={handleSave}
+            disabled={saving}
+          >
+            {saving ? 'Saving...' : 'Save Sites'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CampaignLocationsEditor;
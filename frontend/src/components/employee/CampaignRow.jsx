@@ -7,6 +7,10 @@ import { formatDate, getStatusDisplay } from '../../utils/formatters';
 import Permission from '../Permission';
 import ContractorAssignment from './ContractorAssignment';
 import CampaignImages from '../CampaignImages';
+import CampaignTimeline from '../CampaignTimeline';
+import CampaignLocationsEditor from './CampaignLocationsEditor';
+import DownloadButton from '../ui/DownloadButton';
+import { PERMISSIONS } from '../../utils/permissions';
 
 function CampaignRow({ 
   campaign, 
@@ -26,10 +30,13 @@ function CampaignRow({
     start_date: campaign.start_date?.split('T')[0] || '',
     end_date: campaign.end_date?.split('T')[0] || '',
     company_id: campaign.company_id,
-    status: campaign.status
+    status: campaign.status,
+    required_images: campaign.required_images ?? 1
   });
 
   const [showImages, setShowImages] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showSites, setShowSites] = useState(false);
   const { put, error, setError } = useApi(token);
 
   const handleEditChange = (e) => {
@@ -132,10 +139,22 @@ function CampaignRow({
             >
               <option value="pending">Pending Review</option>
               <option value="approved">Approved</option>
+              <option value="rejected">Rejected</option>
               <option value="in_progress">In Progress</option>
               <option value="completed">Completed</option>
               <option value="cancelled">Cancelled</option>
             </select>
+            <label className="block text-xs text-gray-600 mt-1">
+              Photos needed
+              <input
+                type="number"
+                name="required_images"
+                min="0"
+                value={editData.required_images}
+                onChange={handleEditChange}
+                className="form-input-sm ml-1 w-16"
+              />
+            </label>
           </td>
           <td className="table-cell">
             <div className="flex flex-wrap gap-1">
@@ -186,10 +205,15 @@ function CampaignRow({
           <span className={`status-badge status-${campaign.status}`}>
             {getStatusDisplay(campaign.status)}
           </span>
+          {typeof campaign.total_images !== 'undefined' && (
+            <div className="text-xs text-gray-500 mt-1" title="Approved photos / photos needed to complete">
+              Photos: {campaign.approved_images} / {campaign.required_images} approved
+            </div>
+          )}
         </td>
         <td className="table-cell">
           <div className="flex flex-wrap gap-1">
-            <Permission permission="edit_campaign">
+            <Permission permission={PERMISSIONS.EDIT_CAMPAIGN}>
               <button
                 onClick={() => onEditStart(campaign.id)}
                 className="btn-primary text-xs"
@@ -197,7 +221,7 @@ function CampaignRow({
                 Edit
               </button>
             </Permission>
-            <Permission permission="assign_campaign">
+            <Permission permission={PERMISSIONS.ASSIGN_CAMPAIGN}>
               <button
                 onClick={() => onAssignStart(campaign.id)}
                 className="btn-secondary text-xs"
@@ -205,7 +229,7 @@ function CampaignRow({
                 Assign
               </button>
             </Permission>
-            <Permission permission="view_campaigns">
+            <Permission permission={PERMISSIONS.VIEW_CAMPAIGNS}>
               <button
                 onClick={() => setShowImages(!showImages)}
                 className="bg-purple-600 text-white px-2 py-1 rounded text-xs hover:bg-purple-700 transition-colors"
@@ -214,6 +238,43 @@ function CampaignRow({
                 {showImages ? '👁️‍🗨️ Hide' : '📷 Images'}
               </button>
             </Permission>
+            <Permission permission={PERMISSIONS.VIEW_CAMPAIGNS}>
+              <DownloadButton
+                url={`/campaigns/${campaign.id}/images/archive`}
+                filename={`campaign-${campaign.id}-photos.zip`}
+                label="Download Photos"
+                title={Number(campaign.approved_images) > 0 ? 'Download approved photos as a ZIP' : 'No approved photos yet'}
+                disabled={!(Number(campaign.approved_images) > 0)}
+                token={token}
+              />
+            </Permission>
+            <Permission permission={PERMISSIONS.VIEW_CAMPAIGNS}>
+              <DownloadButton
+                url={`/campaigns/${campaign.id}/report.pdf`}
+                filename={`campaign-${campaign.id}-report.pdf`}
+                label="Report (PDF)"
+                title="Download the proof-of-performance report"
+                token={token}
+              />
+            </Permission>
+            <Permission permission={PERMISSIONS.VIEW_CAMPAIGNS}>
+              <button
+                onClick={() => setShowHistory(!showHistory)}
+                className="btn-secondary text-xs"
+                title={showHistory ? "Hide History" : "View History"}
+              >
+                {showHistory ? 'Hide History' : 'History'}
+              </button>
+            </Permission>
+            <Permission permission={PERMISSIONS.VIEW_LOCATIONS}>
+              <button
+                onClick={() => setShowSites(!showSites)}
+                className="btn-secondary text-xs"
+                title={showSites ? "Hide Sites" : "View Sites"}
+              >
+                {showSites ? 'Hide Sites' : 'Sites'}
+              </button>
+            </Permission>
           </div>
         </td>
       </tr>
@@ -222,7 +283,25 @@ function CampaignRow({
       {showImages && (
         <tr>
           <td colSpan="8" className="p-4 bg-gray-50 border-t border-gray-300">
-            <CampaignImages campaignId={campaign.id} token={token} />
+            <CampaignImages campaignId={campaign.id} token={token} campaignStatus={campaign.status} />
+          </td>
+        </tr>
+      )}
+      
+      {/* Status history expansion row */}
+      {showHistory && (
+        <tr>
+          <td colSpan="8" className="p-4 bg-gray-50 border-t border-gray-300">
+            <CampaignTimeline campaignId={campaign.id} token={token} />
+          </td>
+        </tr>
+      )}
+      
+      {/* Campaign sites expansion row */}
+      {showSites && (
+        <tr>
+          <td colSpan="8" className="p-4 bg-gray-50 border-t border-gray-300">
+            <CampaignLocationsEditor campaignId={campaign.id} token={token} />
           </td>
         </tr>
       )}
@@ -1,8 +1,12 @@
 // frontend/src/components/ui/CampaignCard.jsx
 // Reusable campaign card component
 
-import React from 'react';
+import React, { useState } from 'react';
 import { formatDate, getStatusDisplay, getStatusClass } from '../../utils/formatters';
+import CampaignTimeline from '../CampaignTimeline';
+import DownloadButton from './DownloadButton';
+import { PermissionGuard } from '../Permission';
+import { PERMISSIONS } from '../../utils/permissions';
 
 /**
  * Campaign card component for displaying campaign information
@@ -11,13 +15,42 @@ import { formatDate, getStatusDisplay, getStatusClass } from '../../utils/format
  * @param {React.ReactNode} props.children - Additional content (buttons, etc.)
  * @param {Function} props.onClick - Optional click handler for the card
  * @param {string} props.className - Additional CSS classes
+ * @param {string} props.token - Optional authentication token; enables the status history toggle
+ * @param {boolean} props.showDownloads - Show download buttons for the approved photos and the PDF report (requires token)
+ * @param {Function} props.onApprove - Optional approve handler (campaign, comment) for pending campaigns
+ * @param {Function} props.onReject - Optional reject handler (campaign, comment) for pending campaigns
  */
 function CampaignCard({ 
   campaign, 
   children, 
   onClick, 
-  className = '' 
+  className = '',
+  token,
+  onApprove,
+  onReject,
+  showDownloads = false
 }) {
+  const [showHistory, setShowHistory] = useState(false);
+  const [rejecting, setRejecting] = useState(false);
+  const [comment, setComment] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const hasApprovedImages = Number(campaign.approved_images) > 0;
+  const canReview = campaign.status === 'pending' && (onApprove || onReject);
+
+  const handleDecision = async (handler) => {
+    setSubmitting(true);
+    try {
+      await handler(campaign, comment.trim());
+      setRejecting(false);
+      setComment('');
+    } catch {
+      // Error is surfaced by the parent component
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
   const cardClasses = `
     bg-white border border-gray-200 rounded-lg p-6 shadow-sm 
     hover:shadow-md transition-shadow duration-200 
@@ -65,6 +98,111 @@ function CampaignCard({
           {children}
         </div>
       )}
+
+      {showDownloads && token && (
+        <div className="mt-3 flex flex-wrap gap-2">
+          <DownloadButton
+            url={`/campaigns/${campaign.id}/images/archive`}
+            filename={`campaign-${campaign.id}-photos.zip`}
+            label="Download Photos"
+            title={hasApprovedImages ? 'Download approved photos as a ZIP' : 'No approved photos yet'}
+            disabled={!hasApprovedImages}
+            token={token}
+            className="btn-secondary text-sm px-3 py-1.5"
+          />
+          <DownloadButton
+            url={`/campaigns/${campaign.id}/report.pdf`}
+            filename={`campaign-${campaign.id}-report.pdf`}
+            label="Report (PDF)"
+            title="Download the proof-of-performance report"
+            token={token}
+            className="btn-secondary text-sm px-3 py-1.5"
+          />
+        </div>
+      )}
+
+      {canReview && (
+        <PermissionGuard permission={PERMISSIONS.APPROVE_CAMPAIGN}>
+          <div className="mt-4 border-t border-gray-200 pt-3" onClick={(e) => e.stopPropagation()}>
+            {rejecting ? (
+              <div className="space-y-2">
+                <label htmlFor={`reject-comment-${campaign.id}`} className="form-label">
+                  Reason for rejection *
+                </label>
+                <textarea
+                  id={`reject-comment-${campaign.id}`}
+                  value={comment}
+                  onChange={(e) => setComment(e.target.value)}
+                  placeholder="Tell the team what needs to change"
+                  rows="3"
+                  className="form-input"
+                  disabled={submitting}
+                />
+                <div className="flex flex-wrap gap-2">
+                  <button
+                    type="button"
+                    className="btn-danger text-sm px-3 py-1.5"
+                    onClick={() => handleDecision(onReject)}
+                    disabled={submitting || !comment.trim()}
+                  >
+                    {submitting ? 'Rejecting...' : 'Confirm Rejection'}
+                  </button>
+                  <button
+                    type="button"
+                    className="btn-secondary text-sm px-3 py-1.5"
+                    onClick={() => {
+                      setRejecting(false);
+                      setComment('');
+                    }}
+                    disabled={submitting}
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <div className="flex flex-wrap gap-2">
+                {onApprove && (
+                  <button
+                    type="button"
+                    className="btn-success text-sm px-3 py-1.5"
+                    onClick={() => handleDecision(onApprove)}
+                    disabled={submitting}
+                  >
+                    {submitting ? 'Approving...' : 'Approve'}
+                  </button>
+                )}
+                {onReject && (
+                  <button
+                    type="button"
+                    className="btn-secondary text-sm px-3 py-1.5"
+                    onClick={() => setRejecting(true)}
+                    disabled={submitting}
+                  >
+                    Reject
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+        </PermissionGuard>
+      )}
+
+      {token && (
+        <div className="mt-4 border-t border-gray-200 pt-3">
+          <button
+            type="button"
+            className="text-sm font-medium text-gray-700 hover:text-gray-900 underline"
+            onClick={(e) => {
+              e.stopPropagation();
+              setShowHistory(!showHistory);
+            }}
+          >
+            {showHistory ? 'Hide timeline' : 'Show timeline'}
+          </button>
+          {showHistory && <CampaignTimeline campaignId={campaign.id} token={token} />}
+        </div>
+      )}
     </div>
   );
 }
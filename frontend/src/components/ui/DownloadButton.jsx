@@ -0,0 +1,53 @@
+// frontend/src/components/ui/DownloadButton.jsx
+// Button that downloads a file from the API with the user's token, e.g. a photo ZIP or a PDF report
+
+import React, { useState } from 'react';
+import { useApi } from '../../hooks/useApi';
+
+/**
+ * @param {Object} props
+ * @param {string} props.url - API path of the file
+ * @param {string} props.filename - Filename used when the server does not send one
+ * @param {string} props.label - Button text
+ * @param {string} props.title - Button tooltip
+ * @param {boolean} props.disabled - Disable the button
+ * @param {string} props.token - Authentication token
+ * @param {string} props.className - Button CSS classes
+ */
+function DownloadButton({ url, filename, label, title, disabled = false, token, className = 'btn-secondary text-xs' }) {
+  const [downloading, setDownloading] = useState(false);
+  const { download, error, setError } = useApi(token);
+
+  const handleDownload = async (e) => {
+    e.stopPropagation();
+    setDownloading(true);
+    try {
+      await download(url, filename);
+    } catch {
+      // Error is already set by useApi hook
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  return (
+    <span className="inline-flex flex-col">
+      <button
+        type="button"
+        onClick={handleDownload}
+        className={className}
+        disabled={downloading || disabled}
+        title={title}
+      >
+        {downloading ? 'Preparing...' : label}
+      </button>
+      {error && (
+        <span className="text-xs text-red-600 mt-1" onClick={() => setError('')}>
+          {error}
+        </span>
+      )}
+    </span>
+  );
+}
+
+export default DownloadButton;
@@ -1,6 +1,7 @@
 // frontend/src/hooks/useApi.js
 
 import { useState } from 'react';
+import { authFetch } from '../utils/session';
 
 export const useApi = (token = null) => {
   const [loading, setLoading] = useState(false);
@@ -20,19 +21,24 @@ export const useApi = (token = null) => {
         headers['Content-Type'] = 'application/json';
       }
       
-      // Only add Authorization header if token exists
-      if (token) {
-        headers['Authorization'] = `Bearer ${token}`;
-      }
-
-      const response = await fetch(`http://localhost:3001/api${url}`, {
-        headers,
+      // authFetch adds the Authorization header when signed in, and refreshes expired tokens
+      const response = await authFetch(`http://localhost:3001/api${url}`, {
         ...options,
-      });
+        headers,
+      }, token);
 
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`);
+        const requestError = new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`);
+        // Callers can read the status and any extra fields of the error response, e.g. retry_after
+        requestError.status = response.status;
+        requestError.data = errorData;
+        throw requestError;
+      }
+
+      // File downloads need the raw response body
+      if (options.rawResponse) {
+        return response;
       }
 
       // Handle empty responses (like DELETE requests)
@@ -73,12 +79,27 @@ export const useApi = (token = null) => {
     method: 'DELETE',
   });
 
+  // Download a file and hand it to the browser; the server's filename is used when it sends one
+  const download = async (url, fallbackFilename) => {
+    const response = await apiCall(url, { rawResponse: true });
+    const disposition = response.headers.get('content-disposition') || '';
+    const filenameMatch = disposition.match(/filename="?([^";]+)"?/);
+
+    const objectUrl = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = objectUrl;
+    link.download = filenameMatch ? filenameMatch[1] : fallbackFilename;
+    link.click();
+    URL.revokeObjectURL(objectUrl);
+  };
+
   return { 
     apiCall, 
     get, 
     post, 
     put, 
     del, 
+    download,
     loading, 
     error, 
     setError 
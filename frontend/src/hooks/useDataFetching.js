@@ -2,6 +2,7 @@
 // Custom hook for common data fetching patterns
 
 import { useState, useEffect } from 'react';
+import { authFetch } from '../utils/session';
 
 /**
  * Custom hook for fetching data from API endpoints
@@ -21,12 +22,11 @@ export const useDataFetching = (endpoint, token) => {
     setError('');
     
     try {
-      const response = await fetch(`http://localhost:3001/api${endpoint}`, {
+      const response = await authFetch(`http://localhost:3001/api${endpoint}`, {
         headers: {
-          'Authorization': `Bearer ${token}`,
           'Content-Type': 'application/json'
         }
-      });
+      }, token);
 
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({}));
@@ -74,12 +74,11 @@ export const useMultipleDataFetching = (endpoints, token) => {
     
     try {
       const promises = endpoints.map(async (endpoint) => {
-        const response = await fetch(`http://localhost:3001/api${endpoint}`, {
+        const response = await authFetch(`http://localhost:3001/api${endpoint}`, {
           headers: {
-            'Authorization': `Bearer ${token}`,
             'Content-Type': 'application/json'
           }
-        });
+        }, token);
 
         if (!response.ok) {
           const errorData = await response.json().catch(() => ({}));
@@ -3,6 +3,8 @@
 // Emphasizes permissions array for visual display while maintaining security
 
 import { useState, useEffect, useContext, createContext } from 'react';
+import { isDeclaredPermission } from '../utils/permissions';
+import { authFetch } from '../utils/session';
 
 // Create user context
 const UserContext = createContext();
@@ -12,7 +14,7 @@ const UserContext = createContext();
  * Emphasizes permissions array for visual display
  */
 class FrontendUser {
-  constructor(userData = {}, permissions = [], allPermissions = []) {
+  constructor(userData = {}, permissions = [], allPermissions = [], denied = []) {
     this.id = userData.id;
     this.username = userData.username;
     this.user_type = userData.user_type;
@@ -23,6 +25,8 @@ class FrontendUser {
     // Store permissions as simple array for visual display
     this._permissions = Array.isArray(permissions) ? permissions : [];
     this._allPermissions = Array.isArray(allPermissions) ? allPermissions : [];
+    // Explicit denies with the role or override behind them: [{ permission, role, source, company_id }]
+    this._denied = Array.isArray(denied) ? denied : [];
   }
 
   /**
@@ -31,6 +35,9 @@ class FrontendUser {
    * @returns {boolean} - True if user has permission
    */
   can(permission) {
+    if (import.meta.env.DEV && !isDeclaredPermission(permission)) {
+      console.warn(`Checked undeclared permission "${permission}" - add it to shared/permissions.json`);
+    }
     return this._permissions.includes(permission);
   }
 
@@ -77,6 +84,14 @@ class FrontendUser {
     return allPermissionNames.filter(permission => !this.can(permission));
   }
 
+  /**
+   * Get permissions explicitly denied to the user (for visual display)
+   * @returns {Object[]} - Array of { permission, role, source, company_id }; role is null for per-user overrides
+   */
+  getDeniedPermissions() {
+    return [...this._denied];
+  }
+
   /**
    * Get permissions grouped by category (for visual display)
    * @returns {Object} - Permissions grouped by category
@@ -154,20 +169,23 @@ export function UserProvider({ children, token }) {
       setLoading(true);
       setError(null);
 
-      // Fetch user permissions and all permissions in parallel
-      const [permissionsResponse, allPermissionsResponse] = await Promise.all([
-        fetch('/api/users/me/permissions', {
+      // Fetch user permissions, all permissions and the decisions behind them in parallel
+      const [permissionsResponse, allPermissionsResponse, decisionsResponse] = await Promise.all([
+        authFetch('/api/users/me/permissions', {
+          headers: {
+            'Content-Type': 'application/json'
+          }
+        }, token),
+        authFetch('/api/permissions', {
           headers: {
-            'Authorization': `Bearer ${token}`,
             'Content-Type': 'application/json'
           }
-        }),
-        fetch('/api/permissions', {
+        }, token),
+        authFetch('/api/rbac/me', {
           headers: {
-            'Authorization': `Bearer ${token}`,
             'Content-Type': 'application/json'
           }
-        })
+        }, token)
       ]);
 
       if (!permissionsResponse.ok) {
@@ -176,13 +194,14 @@ export function UserProvider({ children, token }) {
 
       const permissions = await permissionsResponse.json();
       const allPermissions = allPermissionsResponse.ok ? await allPermissionsResponse.json() : [];
+      const decisions = decisionsResponse.ok ? await decisionsResponse.json() : {};
 
       // For now, we'll extract user data from token or create a placeholder
       // In a real app, you might want to fetch user details separately
       const userData = token ? JSON.parse(atob(token.split('.')[1])) : {};
 
       // Create FrontendUser instance
-      const userInstance = new FrontendUser(userData, permissions, allPermissions);
+      const userInstance = new FrontendUser(userData, permissions, allPermissions, decisions.denied);
       setUser(userInstance);
     } catch (err) {
       console.error('Error fetching user data:', err);
@@ -229,6 +248,7 @@ export function useUserPermissions() {
     hasRole: (role) => user?.hasRole(role) ?? false,
     getPermissions: () => user?.getPermissions() ?? [],
     getMissingPermissions: () => user?.getMissingPermissions() ?? [],
+    getDeniedPermissions: () => user?.getDeniedPermissions() ?? [],
     getPermissionsByCategory: () => user?.getPermissionsByCategory() ?? {},
     getPermissionDisplayName: (permission) => user?.getPermissionDisplayName(permission) ?? permission
   };
@@ -20,6 +20,7 @@ export const getStatusDisplay = (status) => {
   const statusMap = {
     'pending': 'Pending Review',
     'approved': 'Approved',
+    'rejected': 'Rejected',
     'in_progress': 'In Progress',
     'completed': 'Completed',
     'cancelled': 'Cancelled'
@@ -35,3 +36,141 @@ export const getStatusDisplay = (status) => {
 export const getStatusClass = (status) => {
   return `status-badge status-${status}`;
 };
+
+/**
+ * Format a timestamp to a localized date and time
+ * @param {string} dateString - Timestamp to format
+ * @returns {string} Formatted date and time or 'Not set' if no timestamp
+ */
+export const formatDateTime = (dateString) => {
+  if (!dateString) return 'Not set';
+  return new Date(dateString).toLocaleString();
+};
+
+/**
+ * Format the time left until a timestamp as a short countdown
+ * @param {string} dateString - Timestamp the countdown runs to
+ * @param {number} now - Current time in milliseconds (default: Date.now())
+ * @returns {string} Countdown such as '13d 4h', '3h 12m' or '5m', or 'expired' once passed
+ */
+export const formatTimeRemaining = (dateString, now = Date.now()) => {
+  const minutes = Math.floor((new Date(dateString).getTime() - now) / 60000);
+  if (minutes < 0) return 'expired';
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes % 60}m`;
+  return `${Math.max(minutes, 1)}m`;
+};
+
+// Poster site types (matches the locations.site_type enum)
+export const SITE_TYPES = ['billboard', 'bus_shelter', 'street_pole', 'wall', 'kiosk', 'indoor', 'other'];
+
+/**
+ * Get display text for a location site type
+ * @param {string} siteType - Site type
+ * @returns {string} Human-readable site type
+ */
+export const getSiteTypeDisplay = (siteType) => {
+  const siteTypeMap = {
+    'billboard': 'Billboard',
+    'bus_shelter': 'Bus Shelter',
+    'street_pole': 'Street Pole',
+    'wall': 'Wall',
+    'kiosk': 'Kiosk',
+    'indoor': 'Indoor',
+    'other': 'Other'
+  };
+  return siteTypeMap[siteType] || siteType;
+};
+
+/**
+ * Get display text for the posting status of a campaign location
+ * @param {string} status - Placement status
+ * @returns {string} Human-readable status text
+ */
+export const getPlacementStatusDisplay = (status) => {
+  const statusMap = {
+    'not_started': 'Not Started',
+    'posted': 'Posted',
+    'failed': 'Failed',
+    'waived': 'Waived'
+  };
+  return statusMap[status] || status;
+};
+
+/**
+ * Format a location's coordinates
+ * @param {Object} location - Location with latitude and longitude
+ * @returns {string} "lat, lng" or 'Not set' if the location has no coordinates
+ */
+export const formatCoordinates = (location) => {
+  if (location.latitude === null || location.latitude === undefined ||
+      location.longitude === null || location.longitude === undefined) {
+    return 'Not set';
+  }
+  return `${Number(location.latitude).toFixed(5)}, ${Number(location.longitude).toFixed(5)}`;
+};
+
+/**
+ * Format a size in bytes for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Size in KB or MB
+ */
+export const formatFileSize = (bytes) => {
+  if (bytes >= 1024 * 1024) {
+    return `${(bytes / (1024 * 1024)).toFixed(1).replace(/\.0$/, '')} MB`;
+  }
+  return `${Math.ceil(bytes / 1024)} KB`;
+};
+
+// Actions recorded in the audit log (matches AUDIT_ACTIONS in the backend audit service)
+export const AUDIT_ACTIONS = [
+  'user.create', 'user.update', 'user.password_change', 'user.delete',
+  'user.password_reset', 'user.sessions_revoke', 'user.unlock', 'user.two_factor_reset',
+  'user.role_assign', 'user.role_remove', 'user.permission_set', 'user.permission_remove',
+  'role.create', 'role.update', 'role.permissions_update', 'role.delete',
+  'company.create', 'company.update', 'company.delete'
+];
+
+/**
+ * Get display text for an audit log action
+ * @param {string} action - Audit action, e.g. 'user.role_assign'
+ * @returns {string} Human-readable action text
+ */
+export const getAuditActionDisplay = (action) => {
+  const actionMap = {
+    'user.create': 'User Created',
+    'user.update': 'User Updated',
+    'user.password_change': 'Password Changed',
+    'user.password_reset': 'Password Reset by Email',
+    'user.sessions_revoke': 'Signed Out Everywhere',
+    'user.unlock': 'Account Unlocked',
+    'user.two_factor_reset': 'Two-Factor Reset',
+    'user.delete': 'User Deleted',
+    'user.role_assign': 'Role Assigned',
+    'user.role_remove': 'Role Removed',
+    'user.permission_set': 'Permission Override Set',
+    'user.permission_remove': 'Permission Override Removed',
+    'role.create': 'Role Created',
+    'role.update': 'Role Updated',
+    'role.permissions_update': 'Role Permissions Changed',
+    'role.delete': 'Role Deleted',
+    'company.create': 'Company Created',
+    'company.update': 'Company Updated',
+    'company.delete': 'Company Deleted'
+  };
+  return actionMap[action] || action;
+};
+
+/**
+ * Format a before or after value from an audit log change
+ * @param {*} value - Recorded value
+ * @returns {string} Display text; '—' when there was no value
+ */
+export const formatAuditValue = (value) => {
+  if (value === null || value === undefined || (Array.isArray(value) && value.length === 0)) return '—';
+  if (Array.isArray(value)) return value.join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
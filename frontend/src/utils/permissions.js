@@ -0,0 +1,27 @@
+// frontend/src/utils/permissions.js
+// Permission registry shared with the backend - reference permissions through PERMISSIONS instead of string literals
+
+import PERMISSION_DEFINITIONS from '../../../shared/permissions.json';
+
+export { PERMISSION_DEFINITIONS };
+
+// e.g. PERMISSIONS.VIEW_CAMPAIGNS === 'view_campaigns'
+export const PERMISSIONS = Object.freeze(Object.fromEntries(
+  PERMISSION_DEFINITIONS.map(definition => [definition.permission.toUpperCase(), definition.permission])
+));
+
+/**
+ * Check whether a permission name is declared in the registry
+ * @param {string} permission - Permission name
+ * @returns {boolean} True if declared
+ */
+export const isDeclaredPermission = (permission) =>
+  PERMISSION_DEFINITIONS.some(definition => definition.permission === permission);
+
+/**
+ * Get the registry group a permission belongs to, e.g. 'Campaign management'
+ * @param {string} permission - Permission name
+ * @returns {string} Group name, or 'Other' for permissions missing from the registry
+ */
+export const getPermissionGroup = (permission) =>
+  PERMISSION_DEFINITIONS.find(definition => definition.permission === permission)?.group || 'Other';
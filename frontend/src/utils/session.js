@@ -0,0 +1,102 @@
+// frontend/src/utils/session.js
+// Tokens of the signed-in session, kept in memory only
+// Access tokens are short-lived; authFetch swaps an expired one for a new token pair and retries the request once
+
+const API_BASE = 'http://localhost:3001/api';
+
+let session = { token: null, refreshToken: null };
+// Refresh in progress, shared so parallel requests rotate the refresh token only once
+let refreshing = null;
+let onSessionEnded = () => {};
+
+/**
+ * Store the tokens returned by a successful login
+ * @param {Object} loginData - { token, refresh_token }
+ */
+export const startSession = ({ token, refresh_token }) => {
+  session = { token, refreshToken: refresh_token };
+};
+
+/**
+ * Forget the session's tokens
+ */
+export const clearSession = () => {
+  session = { token: null, refreshToken: null };
+};
+
+/**
+ * Register what happens when the session can no longer be refreshed, e.g. return to the login screen
+ * @param {Function} handler - Called without arguments
+ */
+export const setSessionEndedHandler = (handler) => {
+  onSessionEnded = handler;
+};
+
+/**
+ * Exchange the refresh token for a new access token and refresh token
+ * @returns {Promise<string>} The new access token
+ */
+const refreshSession = () => {
+  if (!refreshing) {
+    refreshing = fetch(`${API_BASE}/token/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refresh_token: session.refreshToken })
+    })
+      .then(async (response) => {
+        if (!response.ok) {
+          throw new Error('Session expired, please log in again');
+        }
+        const data = await response.json();
+        session = { token: data.token, refreshToken: data.refresh_token };
+        return data.token;
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+};
+
+/**
+ * fetch() with the session's access token, refreshing it once when the server answers 401
+ * Ends the session when the refresh token is expired or revoked
+ * @param {string} url - Request URL
+ * @param {Object} options - fetch options
+ * @param {string} token - Token to use when no session has been started (e.g. the login token)
+ * @returns {Promise<Response>}
+ */
+export const authFetch = async (url, options = {}, token = null) => {
+  const send = (accessToken) => fetch(url, {
+    ...options,
+    headers: {
+      ...options.headers,
+      ...(accessToken ? { 'Authorization': `Bearer ${accessToken}` } : {})
+    }
+  });
+
+  const response = await send(session.token || token);
+  if (response.status !== 401 || !session.refreshToken) {
+    return response;
+  }
+
+  try {
+    return await send(await refreshSession());
+  } catch (err) {
+    clearSession();
+    onSessionEnded();
+    throw err;
+  }
+};
+
+/**
+ * Revoke the session on the server and forget its tokens
+ * @returns {Promise<void>}
+ */
+export const endSession = async () => {
+  if (session.token) {
+    // Logging out locally must not depend on the server being reachable
+    await authFetch(`${API_BASE}/logout`, { method: 'POST' }).catch(() => {});
+  }
+  clearSession();
+};
@@ -6,6 +6,10 @@ import tailwindcss from '@tailwindcss/vite'
 export default defineConfig({
   plugins: [react(), tailwindcss()],
   server: {
+    fs: {
+      // The permission registry lives in ../shared so the backend can read it too
+      allow: ['.', '../shared']
+    },
     proxy: {
       '/api': {
         target: 'http://localhost:3001',